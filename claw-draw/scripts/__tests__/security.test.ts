@@ -69,16 +69,25 @@ describe('env-harvesting protection', () => {
   });
 
   it('no published script should use process.env for anything except allowed vars', () => {
-    const scripts = ['auth.mjs', 'clawdraw.mjs', 'connection.mjs', 'symmetry.mjs', 'snapshot.mjs', 'roam.mjs', 'setup-claude-code.mjs'];
+    const scripts = ['auth.mjs', 'clawdraw.mjs', 'connection.mjs', 'symmetry.mjs', 'snapshot.mjs', 'roam.mjs', 'setup-claude-code.mjs', 'providers.mjs', 'jobs.mjs', 'pgs-lock.mjs', 'pgs-plan.mjs', 'mask.mjs', 'strokes.mjs', 'rasterize.mjs', 'inq.mjs', 'ledger.mjs', 'secrets.mjs', 'client.mjs', 'output.mjs', 'dev-relay.mjs', 'delivery.mjs', 'rate.mjs', 'history.mjs', 'key-command.mjs', 'file-lock.mjs', 'chat-log.mjs'];
     const ALLOWED_ENV_VARS = new Set([
       'process.env.CLAWDRAW_API_KEY',
       'process.env.CLAWDRAW_DISPLAY_NAME',
       'process.env.CLAWDRAW_NO_HISTORY',
       'process.env.CLAWDRAW_SWARM_ID',
+      'process.env.CLAWDRAW_MAX_INQ',
+      'process.env.CLAWDRAW_CHAT_BUDGET',
+      'process.env.CLAWDRAW_PROFILE',
+      'process.env.CLAWDRAW_KEY_PASSPHRASE',
+      'process.env.CLAWDRAW_KEY_COMMAND',
       'process.env.CLAWDRAW_PAINT_CORNER',
       'process.env.CLAWDRAW_RELAY_URL',
       'process.env.CLAWDRAW_LOGIC_URL',
       'process.env.CLAWDRAW_WS_URL',
+      // Image-model provider keys (providers.mjs only — hardcoded provider URLs)
+      'process.env.BFL_API_KEY',
+      'process.env.GEMINI_API_KEY',
+      'process.env.OPENAI_API_KEY',
     ]);
     for (const name of scripts) {
       const src = readScript(name);
@@ -106,7 +115,7 @@ describe('dangerous-exec protection', () => {
   });
 
   it('no script should use execSync', () => {
-    const scripts = ['auth.mjs', 'clawdraw.mjs', 'connection.mjs', 'symmetry.mjs', 'snapshot.mjs', 'roam.mjs'];
+    const scripts = ['auth.mjs', 'clawdraw.mjs', 'connection.mjs', 'symmetry.mjs', 'snapshot.mjs', 'roam.mjs', 'providers.mjs', 'jobs.mjs', 'pgs-lock.mjs', 'pgs-plan.mjs', 'mask.mjs', 'strokes.mjs', 'rasterize.mjs', 'inq.mjs', 'ledger.mjs', 'secrets.mjs', 'client.mjs', 'output.mjs', 'dev-relay.mjs', 'delivery.mjs', 'rate.mjs', 'history.mjs', 'key-command.mjs', 'file-lock.mjs', 'chat-log.mjs'];
     for (const name of scripts) {
       const src = readScript(name);
       expect(src).not.toContain('execSync');
@@ -322,7 +331,7 @@ describe('community/ safety', () => {
 // ---------------------------------------------------------------------------
 
 describe('@security-manifest headers', () => {
-  const publishedScripts = ['clawdraw.mjs', 'auth.mjs', 'connection.mjs', 'snapshot.mjs', 'symmetry.mjs', 'roam.mjs', 'setup-claude-code.mjs'];
+  const publishedScripts = ['clawdraw.mjs', 'auth.mjs', 'connection.mjs', 'snapshot.mjs', 'symmetry.mjs', 'roam.mjs', 'setup-claude-code.mjs', 'providers.mjs', 'jobs.mjs', 'pgs-lock.mjs', 'pgs-plan.mjs', 'mask.mjs', 'strokes.mjs', 'rasterize.mjs', 'inq.mjs', 'ledger.mjs', 'secrets.mjs', 'client.mjs', 'output.mjs', 'dev-relay.mjs', 'delivery.mjs', 'rate.mjs', 'history.mjs', 'key-command.mjs', 'file-lock.mjs', 'chat-log.mjs'];
 
   it('all published scripts have @security-manifest header', () => {
     for (const name of publishedScripts) {
@@ -341,8 +350,9 @@ describe('@security-manifest headers', () => {
     }
   });
 
-  it('no manifest declares exec: anything other than none', () => {
+  it('no manifest declares exec: anything other than none, except key-command.mjs', () => {
     for (const name of publishedScripts) {
+      if (name === 'key-command.mjs') continue;
       const src = readScript(name);
       const execLines = src.match(/\/\/\s*exec:.*/g) || [];
       for (const line of execLines) {
@@ -350,6 +360,21 @@ describe('@security-manifest headers', () => {
       }
     }
   });
+
+  it('key-command.mjs declares the CLAWDRAW_KEY_COMMAND exec without a shell', () => {
+    const src = readScript('key-command.mjs');
+    expect(src).toMatch(/\/\/\s*exec:.*CLAWDRAW_KEY_COMMAND.*no shell/);
+    expect(src).toMatch(/^import \{ execFileSync \} from 'node:child_process';$/m);
+    expect(src).not.toMatch(/shell:\s*true/);
+    expect(src).not.toMatch(/\b(spawn|exec|execFile)\(/);
+  });
+
+  it('only key-command.mjs imports child_process', () => {
+    for (const name of publishedScripts) {
+      if (name === 'key-command.mjs') continue;
+      expect(readScript(name), `${name} imports child_process`).not.toContain('child_process');
+    }
+  });
 });
 
 // ---------------------------------------------------------------------------
@@ -357,7 +382,7 @@ describe('@security-manifest headers', () => {
 // ---------------------------------------------------------------------------
 
 describe('open package isolation', () => {
-  const publishedScripts = ['clawdraw.mjs', 'auth.mjs', 'connection.mjs', 'snapshot.mjs', 'symmetry.mjs', 'roam.mjs'];
+  const publishedScripts = ['clawdraw.mjs', 'auth.mjs', 'connection.mjs', 'snapshot.mjs', 'symmetry.mjs', 'roam.mjs', 'providers.mjs', 'jobs.mjs', 'pgs-lock.mjs', 'pgs-plan.mjs', 'mask.mjs', 'strokes.mjs', 'rasterize.mjs', 'inq.mjs', 'ledger.mjs', 'secrets.mjs', 'client.mjs', 'output.mjs', 'dev-relay.mjs', 'delivery.mjs', 'rate.mjs', 'history.mjs', 'key-command.mjs', 'file-lock.mjs', 'chat-log.mjs'];
 
   it('open is statically imported in connection.mjs', () => {
     const src = readScript('connection.mjs');
@@ -5,51 +5,228 @@
  * Handles the agent API key -> JWT exchange flow. Caches tokens to
  * ~/.clawdraw/token.json with a 5-minute TTL to avoid repeated auth calls.
  *
+ * Named profiles keep several agents (or swarm workers) on one machine from
+ * sharing a token cache or overwriting each other's key. Profile <name>
+ * stores its files in ~/.clawdraw/profiles/<name>/; the "default" profile is
+ * the original ~/.clawdraw/apikey.json + token.json. The active profile is
+ * --profile (via selectProfile), else CLAWDRAW_PROFILE, else the one chosen
+ * with `clawdraw profiles use`, else "default". A profile without its own
+ * API key uses the default profile's key, with its own token cache.
+ *
+ * Keys are stored through secrets.mjs, in plaintext (file mode 0o600),
+ * encrypted under CLAWDRAW_KEY_PASSPHRASE, or not at all: with
+ * CLAWDRAW_KEY_COMMAND the key is printed by an external command each time
+ * (key-command.mjs). `migrateApiKey` moves a profile's key between them.
+ *
  * Usage:
- *   import { getToken, createAgent, getAgentInfo } from './auth.mjs';
+ *   import { getToken, createAgent, getAgentInfo, selectProfile } from './auth.mjs';
  *
+ *   selectProfile('worker-1');             // optional, for this process
  *   const token = await getToken();        // cached or fresh JWT
  *   const agent = await createAgent('MyBot'); // POST /api/agents
  *   const info  = await getAgentInfo(token);  // GET /api/agents/me
  */
 
 // @security-manifest
-// env: CLAWDRAW_API_KEY
+// env: CLAWDRAW_API_KEY, CLAWDRAW_PROFILE, CLAWDRAW_KEY_PASSPHRASE, CLAWDRAW_KEY_COMMAND
 // endpoints: api.clawdraw.ai (HTTPS)
-// files: ~/.clawdraw/token.json, ~/.clawdraw/apikey.json
+// files: ~/.clawdraw/token.json, ~/.clawdraw/apikey.json, ~/.clawdraw/apikey.enc.json, ~/.clawdraw/apikey.cmd.json, ~/.clawdraw/profiles/<name>/ (same four files), ~/.clawdraw/profiles/active.json
 // exec: none
 
 import fs from 'node:fs';
 import path from 'node:path';
 import os from 'node:os';
+import { readStoredKey, writeStoredKey, storedKeyInfo, KEY_BACKENDS } from './secrets.mjs';
+import { runKeyCommand } from './key-command.mjs';
 
 const LOGIC_URL = process.env.CLAWDRAW_LOGIC_URL || 'https://api.clawdraw.ai';
 const CACHE_DIR = path.join(os.homedir(), '.clawdraw');
-const CACHE_FILE = path.join(CACHE_DIR, 'token.json');
-const APIKEY_FILE = path.join(CACHE_DIR, 'apikey.json');
-const TOKEN_TTL_MS = 5 * 60 * 1000; // 5 minutes
+const PROFILES_DIR = path.join(CACHE_DIR, 'profiles');
+const ACTIVE_PROFILE_FILE = path.join(PROFILES_DIR, 'active.json');
+/** Local lifetime of a cached token, whatever its JWT exp says. */
+export const TOKEN_TTL_MS = 5 * 60 * 1000; // 5 minutes
+
+/** Profile whose files are the top-level ~/.clawdraw/apikey.json + token.json. */
+export const DEFAULT_PROFILE = 'default';
+const PROFILE_NAME_RE = /^[A-Za-z0-9_-]{1,64}$/;
+
+/** Profile chosen for this process with selectProfile (--profile). */
+let selectedProfile = null;
+
+// ---------------------------------------------------------------------------
+// Profiles
+// ---------------------------------------------------------------------------
+
+export function checkProfileName(name, source = 'Profile name') {
+  if (!PROFILE_NAME_RE.test(String(name))) {
+    throw new Error(`${source} must be 1-64 letters, digits, - or _ (got "${name}")`);
+  }
+  return String(name);
+}
+
+function readActiveProfileFile() {
+  try {
+    const { profile } = JSON.parse(fs.readFileSync(ACTIVE_PROFILE_FILE, 'utf-8'));
+    return PROFILE_NAME_RE.test(profile) ? profile : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Use a profile for the rest of this process, overriding CLAWDRAW_PROFILE
+ * and `profiles use`.
+ *
+ * @param {string} name
+ */
+export function selectProfile(name) {
+  selectedProfile = checkProfileName(name, '--profile');
+}
+
+/**
+ * Name of the profile in effect.
+ *
+ * @returns {string}
+ */
+export function activeProfile() {
+  if (selectedProfile) return selectedProfile;
+  if (process.env.CLAWDRAW_PROFILE) return checkProfileName(process.env.CLAWDRAW_PROFILE, 'CLAWDRAW_PROFILE');
+  return readActiveProfileFile() || DEFAULT_PROFILE;
+}
+
+function profileDir(profile) {
+  return profile === DEFAULT_PROFILE ? CACHE_DIR : path.join(PROFILES_DIR, profile);
+}
+
+/**
+ * Credential file paths for a profile.
+ *
+ * @param {string} [profile] - Defaults to the active profile
+ * @returns {{ dir: string, tokenFile: string }}
+ */
+export function profilePaths(profile = activeProfile()) {
+  const dir = profileDir(checkProfileName(profile));
+  return { dir, tokenFile: path.join(dir, 'token.json') };
+}
+
+function ensureProfileDir(profile) {
+  fs.mkdirSync(CACHE_DIR, { recursive: true, mode: 0o700 });
+  if (profile !== DEFAULT_PROFILE) {
+    fs.mkdirSync(PROFILES_DIR, { recursive: true, mode: 0o700 });
+    fs.mkdirSync(profileDir(profile), { recursive: true, mode: 0o700 });
+  }
+}
+
+/**
+ * All profiles, "default" first.
+ *
+ * @returns {Array<{ name: string, active: boolean, hasKey: boolean, backend: string|null, agentName: string|null, agentId: string|null, tokenValid: boolean }>}
+ */
+export function listProfiles() {
+  let names = [];
+  try {
+    names = fs.readdirSync(PROFILES_DIR, { withFileTypes: true })
+      .filter(e => e.isDirectory() && PROFILE_NAME_RE.test(e.name) && e.name !== DEFAULT_PROFILE)
+      .map(e => e.name)
+      .sort();
+  } catch {
+    // No named profiles yet
+  }
+  const active = activeProfile();
+  return [DEFAULT_PROFILE, ...names].map(name => {
+    const { dir, tokenFile } = profilePaths(name);
+    const keyInfo = storedKeyInfo(dir);
+    const tokenData = readJson(tokenFile);
+    return {
+      name,
+      active: name === active,
+      hasKey: Boolean(keyInfo),
+      backend: keyInfo?.backend || null,
+      agentName: keyInfo?.agentName || null,
+      agentId: keyInfo?.agentId || null,
+      tokenValid: Boolean(tokenData?.token && Date.now() < tokenData.expiresAt),
+    };
+  });
+}
+
+/**
+ * Make a profile the default for future commands (`clawdraw profiles use`).
+ *
+ * @param {string} name
+ */
+export function setActiveProfile(name) {
+  checkProfileName(name);
+  if (name === DEFAULT_PROFILE) {
+    fs.rmSync(ACTIVE_PROFILE_FILE, { force: true });
+    return;
+  }
+  ensureProfileDir(name);
+  fs.writeFileSync(ACTIVE_PROFILE_FILE, JSON.stringify({ profile: name }), { encoding: 'utf-8', mode: 0o600 });
+}
+
+/**
+ * Delete a named profile's key and token. If it was the `profiles use`
+ * choice, "default" becomes active again.
+ *
+ * @param {string} name
+ */
+export function removeProfile(name) {
+  checkProfileName(name);
+  if (name === DEFAULT_PROFILE) {
+    throw new Error('The default profile cannot be removed');
+  }
+  const dir = profileDir(name);
+  if (!fs.existsSync(dir)) {
+    const err = new Error(`Profile "${name}" does not exist`);
+    err.code = 'NOT_FOUND';
+    throw err;
+  }
+  fs.rmSync(dir, { recursive: true, force: true });
+  if (readActiveProfileFile() === name) fs.rmSync(ACTIVE_PROFILE_FILE, { force: true });
+}
+
+function readJson(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf-8'));
+  } catch {
+    return null;
+  }
+}
 
 // ---------------------------------------------------------------------------
 // File-based token cache
 // ---------------------------------------------------------------------------
 
-function readCache() {
+/**
+ * Expiry of a JWT from its `exp` claim, without verifying it.
+ *
+ * @param {string} token
+ * @returns {number|null} Epoch ms, or null when the token isn't a readable JWT
+ */
+export function tokenExpiresAt(token) {
   try {
-    const raw = fs.readFileSync(CACHE_FILE, 'utf-8');
-    const data = JSON.parse(raw);
-    if (data.token && data.expiresAt && Date.now() < data.expiresAt) {
-      return data.token;
-    }
+    const parts = String(token).split('.');
+    if (parts.length !== 3) return null;
+    const { exp } = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf-8'));
+    return Number.isFinite(exp) ? exp * 1000 : null;
   } catch {
-    // No cache or invalid — that's fine
+    return null;
+  }
+}
+
+function readCache() {
+  const data = readJson(profilePaths().tokenFile);
+  if (data?.token && data.expiresAt && Date.now() < data.expiresAt) {
+    return data.token;
   }
   return null;
 }
 
 function writeCache(token) {
+  const profile = activeProfile();
   try {
-    fs.mkdirSync(CACHE_DIR, { recursive: true, mode: 0o700 });
-    fs.writeFileSync(CACHE_FILE, JSON.stringify({
+    ensureProfileDir(profile);
+    fs.writeFileSync(profilePaths(profile).tokenFile, JSON.stringify({
       token,
       expiresAt: Date.now() + TOKEN_TTL_MS,
       createdAt: new Date().toISOString(),
@@ -60,27 +237,65 @@ function writeCache(token) {
 }
 
 // ---------------------------------------------------------------------------
-// File-based API key storage
+// API key storage (backends in secrets.mjs)
 // ---------------------------------------------------------------------------
 
-export function readApiKey() {
-  try {
-    const raw = fs.readFileSync(APIKEY_FILE, 'utf-8');
-    const data = JSON.parse(raw);
-    return data.apiKey || null;
-  } catch {
-    return null;
-  }
+/** Passphrase and key command for secrets.mjs, from the environment. */
+function keyOptions() {
+  const command = process.env.CLAWDRAW_KEY_COMMAND;
+  return {
+    passphrase: process.env.CLAWDRAW_KEY_PASSPHRASE,
+    keyCommand: command ? () => runKeyCommand(command) : undefined,
+  };
 }
 
-export function writeApiKey(apiKey, agentId, agentName) {
-  fs.mkdirSync(CACHE_DIR, { recursive: true, mode: 0o700 });
-  fs.writeFileSync(APIKEY_FILE, JSON.stringify({
+/**
+ * @param {string} [profile] - Defaults to the active profile
+ * @returns {string|null} The profile's own API key, else the one
+ *   CLAWDRAW_KEY_COMMAND prints. Throws when it is encrypted and
+ *   CLAWDRAW_KEY_PASSPHRASE is missing or wrong, or when the command fails.
+ */
+export function readApiKey(profile = activeProfile()) {
+  const record = readStoredKey(profilePaths(profile).dir, keyOptions());
+  return record?.apiKey || null;
+}
+
+/**
+ * Save a profile's API key with the backend it already uses (plaintext file
+ * for a new profile).
+ */
+export function writeApiKey(apiKey, agentId, agentName, profile = activeProfile()) {
+  ensureProfileDir(profile);
+  const { dir } = profilePaths(profile);
+  writeStoredKey(dir, {
     apiKey,
     agentId,
     agentName,
     createdAt: new Date().toISOString(),
-  }), { encoding: 'utf-8', mode: 0o600 });
+  }, { backend: storedKeyInfo(dir)?.backend || 'file', ...keyOptions() });
+}
+
+/**
+ * Move a profile's stored API key to another backend.
+ *
+ * @param {string} profile
+ * @param {string} backend - One of KEY_BACKENDS
+ * @returns {{ from: string, to: string }}
+ */
+export function migrateApiKey(profile, backend) {
+  if (!KEY_BACKENDS.includes(backend)) {
+    throw new Error(`Unknown key backend "${backend}". Use one of: ${KEY_BACKENDS.join(', ')}`);
+  }
+  const { dir } = profilePaths(profile);
+  const record = readStoredKey(dir, keyOptions());
+  if (!record) {
+    throw new Error(`Profile "${profile}" has no stored API key`);
+  }
+  if (record.backend !== backend) {
+    const { apiKey, agentId, agentName, createdAt } = record;
+    writeStoredKey(dir, { apiKey, agentId, agentName, createdAt }, { backend, ...keyOptions() });
+  }
+  return { from: record.backend, to: backend };
 }
 
 // ---------------------------------------------------------------------------
@@ -92,29 +307,24 @@ export function writeApiKey(apiKey, agentId, agentName) {
  * otherwise fetches a fresh one from the logic API.
  *
  * @param {string} apiKey - The agent API key (required)
+ * @param {object} [opts]
+ * @param {boolean} [opts.refresh=false] - Skip the cache and always exchange (client.mjs refreshes near expiry)
  * @returns {Promise<string>} JWT token
  */
-export async function getToken(apiKey) {
-  // Try to use environment variable if apiKey not provided
-  const key = apiKey || process.env.CLAWDRAW_API_KEY || readApiKey();
-
-  // Check cache first (even without key)
-  const cached = readCache();
-  if (cached) {
-    // Basic valid check
-    try {
-      const parts = cached.split('.');
-      if (parts.length === 3) {
-        const payload = JSON.parse(atob(parts[1]));
-        if (payload.exp * 1000 > Date.now()) {
-          return cached;
-        }
-      }
-    } catch {}
+export async function getToken(apiKey, { refresh = false } = {}) {
+  // Check cache first (even without key), so a valid token doesn't need
+  // the passphrase of an encrypted key
+  const cached = refresh ? null : readCache();
+  if (cached && tokenExpiresAt(cached) > Date.now()) {
+    return cached;
   }
 
+  // Try to use environment variable if apiKey not provided
+  const key = apiKey || process.env.CLAWDRAW_API_KEY || readApiKey() || readApiKey(DEFAULT_PROFILE);
   if (!key) {
-    throw new Error('No API key found. Run `clawdraw setup` to create an agent, or set CLAWDRAW_API_KEY.');
+    const err = new Error('No API key found. Run `clawdraw setup` to create an agent, or set CLAWDRAW_API_KEY.');
+    err.code = 'NO_API_KEY';
+    throw err;
   }
 
   // Fetch fresh token
@@ -126,7 +336,10 @@ export async function getToken(apiKey) {
 
   if (!res.ok) {
     const text = await res.text();
-    throw new Error(`Agent auth failed (${res.status}): ${text}`);
+    const err = new Error(`Agent auth failed (${res.status}): ${text}`);
+    err.code = 'AUTH_FAILED';
+    err.status = res.status;
+    throw err;
   }
 
   const data = await res.json();
@@ -143,7 +356,12 @@ export async function getToken(apiKey) {
  */
 export async function createAgent(name) {
   // Pass existing API key (if any) to bypass rate limits for linked admin accounts
-  const existingKey = readApiKey();
+  let existingKey = null;
+  try {
+    existingKey = readApiKey() || readApiKey(DEFAULT_PROFILE);
+  } catch {
+    // Locked encrypted key — create without it
+  }
   const payload = { name };
   if (existingKey) payload.existingApiKey = existingKey;
 
@@ -155,7 +373,9 @@ export async function createAgent(name) {
 
   if (!res.ok) {
     const text = await res.text();
-    throw new Error(`Create agent failed (${res.status}): ${text}`);
+    const err = new Error(`Create agent failed (${res.status}): ${text}`);
+    err.status = res.status;
+    throw err;
   }
 
   return res.json();
@@ -174,7 +394,9 @@ export async function getAgentInfo(token) {
 
   if (!res.ok) {
     const text = await res.text();
-    throw new Error(`Get agent info failed (${res.status}): ${text}`);
+    const err = new Error(`Get agent info failed (${res.status}): ${text}`);
+    err.status = res.status;
+    throw err;
   }
 
   return res.json();
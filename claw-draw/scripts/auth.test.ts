@@ -0,0 +1,132 @@
+/**
+ * Tests for auth.mjs — named profiles, per-profile key/token files and key
+ * migration between storage backends.
+ *
+ * HOME is pointed at a temp dir before the module loads, so credentials
+ * live in <tmp>/.clawdraw/.
+ */
+
+import { describe, it, expect, afterAll, afterEach, vi } from 'vitest';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+const tmpHome = fs.mkdtempSync(path.join(os.tmpdir(), 'clawdraw-auth-test-'));
+const realHome = process.env.HOME;
+process.env.HOME = tmpHome;
+delete process.env.CLAWDRAW_PROFILE;
+delete process.env.CLAWDRAW_API_KEY;
+
+const {
+  getToken, readApiKey, writeApiKey, activeProfile, selectProfile, profilePaths,
+  listProfiles, setActiveProfile, removeProfile, migrateApiKey, tokenExpiresAt,
+} = await import('./auth.mjs');
+const dir = path.join(tmpHome, '.clawdraw');
+const mode = (p: string) => fs.statSync(p).mode & 0o777;
+
+afterEach(() => {
+  delete process.env.CLAWDRAW_PROFILE;
+  delete process.env.CLAWDRAW_KEY_PASSPHRASE;
+  vi.unstubAllGlobals();
+});
+
+afterAll(() => {
+  process.env.HOME = realHome;
+  fs.rmSync(tmpHome, { recursive: true, force: true });
+});
+
+describe('profiles', () => {
+  it('should keep the default profile at the top level and others under profiles/', () => {
+    expect(profilePaths('default').dir).toBe(dir);
+    expect(profilePaths('worker-1').tokenFile).toBe(path.join(dir, 'profiles', 'worker-1', 'token.json'));
+    expect(() => profilePaths('../etc')).toThrow('letters, digits');
+  });
+
+  it('should store each profile\'s key separately with private permissions', () => {
+    writeApiKey('key-main', 'a1', 'main', 'default');
+    writeApiKey('key-w1', 'a2', 'w1', 'worker-1');
+    expect(readApiKey('default')).toBe('key-main');
+    expect(readApiKey('worker-1')).toBe('key-w1');
+    expect(readApiKey('worker-2')).toBeNull();
+    expect(mode(path.join(dir, 'profiles'))).toBe(0o700);
+    expect(mode(path.join(dir, 'profiles', 'worker-1'))).toBe(0o700);
+    expect(mode(path.join(dir, 'profiles', 'worker-1', 'apikey.json'))).toBe(0o600);
+  });
+
+  it('should resolve the active profile from `use`, then CLAWDRAW_PROFILE', () => {
+    expect(activeProfile()).toBe('default');
+    setActiveProfile('worker-1');
+    expect(activeProfile()).toBe('worker-1');
+    process.env.CLAWDRAW_PROFILE = 'worker-2';
+    expect(activeProfile()).toBe('worker-2');
+    process.env.CLAWDRAW_PROFILE = 'no spaces';
+    expect(() => activeProfile()).toThrow('CLAWDRAW_PROFILE must be');
+    delete process.env.CLAWDRAW_PROFILE;
+    setActiveProfile('default');
+    expect(activeProfile()).toBe('default');
+  });
+
+  it('should list and remove profiles, but never the default', () => {
+    expect(listProfiles().map((p: { name: string }) => p.name)).toEqual(['default', 'worker-1']);
+    expect(listProfiles()[1]).toMatchObject({ hasKey: true, agentName: 'w1', active: false });
+    setActiveProfile('worker-1');
+    removeProfile('worker-1');
+    expect(activeProfile()).toBe('default');
+    expect(listProfiles()).toHaveLength(1);
+    expect(() => removeProfile('default')).toThrow('cannot be removed');
+    expect(() => removeProfile('worker-1')).toThrow('does not exist');
+  });
+
+  it('should migrate a key to the encrypted backend and back', () => {
+    writeApiKey('key-w4', 'a4', 'w4', 'worker-4');
+    expect(() => migrateApiKey('worker-4', 'encrypted')).toThrow('CLAWDRAW_KEY_PASSPHRASE');
+
+    process.env.CLAWDRAW_KEY_PASSPHRASE = 'pass';
+    expect(migrateApiKey('worker-4', 'encrypted')).toEqual({ from: 'file', to: 'encrypted' });
+    expect(listProfiles().find((p: { name: string }) => p.name === 'worker-4')).toMatchObject({ backend: 'encrypted', agentName: 'w4' });
+    expect(readApiKey('worker-4')).toBe('key-w4');
+
+    // New keys for the profile keep its backend
+    writeApiKey('key-w4b', 'a4', 'w4', 'worker-4');
+    expect(fs.existsSync(path.join(dir, 'profiles', 'worker-4', 'apikey.json'))).toBe(false);
+
+    delete process.env.CLAWDRAW_KEY_PASSPHRASE;
+    expect(() => readApiKey('worker-4')).toThrow('CLAWDRAW_KEY_PASSPHRASE');
+    process.env.CLAWDRAW_KEY_PASSPHRASE = 'pass';
+    expect(migrateApiKey('worker-4', 'file')).toEqual({ from: 'encrypted', to: 'file' });
+    delete process.env.CLAWDRAW_KEY_PASSPHRASE;
+    expect(readApiKey('worker-4')).toBe('key-w4b');
+    removeProfile('worker-4');
+  });
+
+  it('should cache tokens per profile, using the default key when a profile has none', async () => {
+    const fetchMock = vi.fn(async (_url: string, init: { body: string }) => ({
+      ok: true,
+      json: async () => ({ token: `tok-${JSON.parse(init.body).apiKey}` }),
+    }));
+    vi.stubGlobal('fetch', fetchMock);
+
+    selectProfile('worker-3');
+    expect(await getToken()).toBe('tok-key-main');
+    expect(fs.existsSync(profilePaths('worker-3').tokenFile)).toBe(true);
+    expect(fs.existsSync(profilePaths('default').tokenFile)).toBe(false);
+    expect(mode(profilePaths('worker-3').tokenFile)).toBe(0o600);
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+  });
+
+  it('should read JWT expiry and skip a valid cached token on refresh', async () => {
+    const exp = Math.floor(Date.now() / 1000) + 600;
+    const token = `h.${Buffer.from(JSON.stringify({ exp })).toString('base64url')}.s`;
+    expect(tokenExpiresAt(token)).toBe(exp * 1000);
+    expect(tokenExpiresAt('not-a-jwt')).toBeNull();
+
+    const fetchMock = vi.fn(async () => ({ ok: true, json: async () => ({ token }) }));
+    vi.stubGlobal('fetch', fetchMock);
+    selectProfile('worker-5');
+    expect(await getToken('k')).toBe(token);
+    expect(await getToken('k')).toBe(token);
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+    await getToken('k', { refresh: true });
+    expect(fetchMock).toHaveBeenCalledTimes(2);
+  });
+});
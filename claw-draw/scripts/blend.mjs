@@ -1,18 +1,128 @@
 /**
  * Cosine-blend compositing — pastes original pixels back over the overlap
- * zone of an AI-generated image, using the original screenshot's alpha channel
- * as the content mask. Guarantees pixel preservation regardless of model.
+ * zone of an AI-generated image. Guarantees pixel preservation regardless of
+ * model.
+ *
+ * Which pixels count as original content should match the outpaint mask
+ * (mask.mjs), so the blend keeps exactly what Fill was told to keep. Given the
+ * unflattened capture, the blend uses the same alpha-only test (opaqueMask);
+ * without it, it falls back to the flattened screenshot, where empty canvas is
+ * opaque black and brightness has to stand in (contentMask).
  *
  * Dependencies: sharp (native PNG decode/encode + image processing)
  */
 
 import sharp from 'sharp';
 
+/** Sum of R+G+B at or below this is "empty black" canvas background. */
+const BRIGHTNESS_THRESHOLD = 6;
+/** Alpha at or below this is transparent. */
+const ALPHA_THRESHOLD = 10;
+
+/**
+ * True if an RGBA pixel holds content.
+ *
+ * Content = alpha > 10 AND not near-black (canvas background is opaque black).
+ * PGS screenshots render empty canvas as rgb(0,0,0) with alpha=255,
+ * so alpha alone is insufficient — we also check brightness.
+ */
+export function isContentPixel(r, g, b, a) {
+  return a > ALPHA_THRESHOLD && r + g + b > BRIGHTNESS_THRESHOLD;
+}
+
+/**
+ * Binary content mask of a raw RGBA buffer (1 = content, 0 = empty).
+ *
+ * @param {Buffer|Uint8Array} rgba
+ * @param {number} width
+ * @param {number} height
+ * @returns {Uint8Array}
+ */
+export function contentMask(rgba, width, height) {
+  const mask = new Uint8Array(width * height);
+  for (let i = 0; i < width * height; i++) {
+    const off = i * 4;
+    mask[i] = isContentPixel(rgba[off], rgba[off + 1], rgba[off + 2], rgba[off + 3]) ? 1 : 0;
+  }
+  return mask;
+}
+
+/**
+ * Binary mask of the opaque pixels of a raw RGBA buffer (1 = opaque). For
+ * pixels captured from the source images themselves, where empty canvas is
+ * transparent and dark art is still content.
+ *
+ * @param {Buffer|Uint8Array} rgba
+ * @param {number} width
+ * @param {number} height
+ * @returns {Uint8Array}
+ */
+export function opaqueMask(rgba, width, height) {
+  const mask = new Uint8Array(width * height);
+  for (let i = 0; i < width * height; i++) {
+    mask[i] = rgba[i * 4 + 3] > ALPHA_THRESHOLD ? 1 : 0;
+  }
+  return mask;
+}
+
+/**
+ * Approximate distance (px) from each content pixel to the nearest empty
+ * pixel; empty pixels are 0. Two-pass (forward + backward) city-block
+ * transform. Pixels with no empty pixel in reach get width + height.
+ *
+ * @param {Uint8Array} mask - 1 = content, 0 = empty
+ * @param {number} w
+ * @param {number} h
+ * @returns {Float32Array}
+ */
+export function distanceToEmpty(mask, w, h) {
+  const dist = new Float32Array(w * h);
+  const INF = w + h;
+
+  // Initialize: content pixels get INF distance (far from empty edge),
+  // empty pixels get 0 (they ARE the edge)
+  for (let i = 0; i < w * h; i++) {
+    dist[i] = mask[i] > 0 ? INF : 0;
+  }
+
+  // Forward pass (top-left to bottom-right)
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) {
+      const i = y * w + x;
+      if (dist[i] === 0) continue; // empty pixel, distance stays 0
+      if (x > 0) dist[i] = Math.min(dist[i], dist[i - 1] + 1);
+      if (y > 0) dist[i] = Math.min(dist[i], dist[(y - 1) * w + x] + 1);
+    }
+  }
+
+  // Backward pass (bottom-right to top-left)
+  for (let y = h - 1; y >= 0; y--) {
+    for (let x = w - 1; x >= 0; x--) {
+      const i = y * w + x;
+      if (dist[i] === 0) continue;
+      if (x < w - 1) dist[i] = Math.min(dist[i], dist[i + 1] + 1);
+      if (y < h - 1) dist[i] = Math.min(dist[i], dist[(y + 1) * w + x] + 1);
+    }
+  }
+
+  return dist;
+}
+
+/** Decode a PNG to raw RGBA at width x height, stretching if needed. */
+async function rawRgba(png, width, height) {
+  const meta = await sharp(png).metadata();
+  let pipeline = sharp(png).ensureAlpha();
+  if (meta.width !== width || meta.height !== height) {
+    pipeline = pipeline.resize(width, height, { fit: 'fill' });
+  }
+  return pipeline.raw().toBuffer();
+}
+
 /**
  * Composite original pixels back over the AI-generated result using
  * alpha-channel-guided cosine blending.
  *
- * Where the original has content (alpha > 0), original pixels are preserved.
+ * Where the original has content, original pixels are preserved.
  * Where it's transparent, generated pixels are used. At the boundary, a
  * smooth cosine blend over `blendWidth` pixels creates a seamless transition.
  *
@@ -20,6 +130,8 @@ import sharp from 'sharp';
  * @param {Buffer} generatedPng - PNG buffer of the AI-generated result
  * @param {object} [opts]
  * @param {number} [opts.blendWidth=60] - Width of the cosine blend zone in pixels
+ * @param {Buffer|null} [opts.capturePng] - The unflattened capture behind the
+ *   screenshot; its opaque pixels are the content to preserve
  * @returns {Promise<Buffer>} Composited PNG buffer
  */
 export async function cosineBlendComposite(originalPng, generatedPng, opts = {}) {
@@ -31,61 +143,15 @@ export async function cosineBlendComposite(originalPng, generatedPng, opts = {})
   const genH = genMeta.height;
 
   // Decode original, resize to match generated dimensions if needed
-  const origMeta = await sharp(originalPng).metadata();
-  let origPipeline = sharp(originalPng).ensureAlpha();
-  if (origMeta.width !== genW || origMeta.height !== genH) {
-    origPipeline = origPipeline.resize(genW, genH, { fit: 'fill' });
-  }
-  const origRaw = await origPipeline.raw().toBuffer();
+  const origRaw = await rawRgba(originalPng, genW, genH);
 
   // Decode generated image
   const genRaw = await sharp(generatedPng).ensureAlpha().raw().toBuffer();
 
-  // Build binary content mask from original pixels.
-  // Content = alpha > 10 AND not near-black (canvas background is opaque black).
-  // PGS screenshots render empty canvas as rgb(0,0,0) with alpha=255,
-  // so alpha alone is insufficient — we also check brightness.
-  const BRIGHTNESS_THRESHOLD = 6; // sum of R+G+B below this = "empty black"
-  const mask = new Float32Array(genW * genH);
-  for (let i = 0; i < genW * genH; i++) {
-    const off = i * 4;
-    const a = origRaw[off + 3];
-    const brightness = origRaw[off] + origRaw[off + 1] + origRaw[off + 2];
-    // Pixel has content if: transparent (alpha-based empty) = NO,
-    // AND it's not just the opaque black canvas background
-    mask[i] = (a > 10 && brightness > BRIGHTNESS_THRESHOLD) ? 1.0 : 0.0;
-  }
-
-  // Compute distance field: for each pixel, approximate distance to nearest
-  // opposite-value pixel. Uses two-pass (horizontal + vertical) approximation.
-  const dist = new Float32Array(genW * genH);
-  const INF = genW + genH;
-
-  // Initialize: content pixels get INF distance (far from empty edge),
-  // empty pixels get 0 (they ARE the edge)
-  for (let i = 0; i < genW * genH; i++) {
-    dist[i] = mask[i] > 0 ? INF : 0;
-  }
-
-  // Forward pass (top-left to bottom-right)
-  for (let y = 0; y < genH; y++) {
-    for (let x = 0; x < genW; x++) {
-      const i = y * genW + x;
-      if (dist[i] === 0) continue; // empty pixel, distance stays 0
-      if (x > 0) dist[i] = Math.min(dist[i], dist[i - 1] + 1);
-      if (y > 0) dist[i] = Math.min(dist[i], dist[(y - 1) * genW + x] + 1);
-    }
-  }
-
-  // Backward pass (bottom-right to top-left)
-  for (let y = genH - 1; y >= 0; y--) {
-    for (let x = genW - 1; x >= 0; x--) {
-      const i = y * genW + x;
-      if (dist[i] === 0) continue;
-      if (x < genW - 1) dist[i] = Math.min(dist[i], dist[i + 1] + 1);
-      if (y < genH - 1) dist[i] = Math.min(dist[i], dist[(y + 1) * genW + x] + 1);
-    }
-  }
+  const mask = opts.capturePng
+    ? opaqueMask(await rawRgba(opts.capturePng, genW, genH), genW, genH)
+    : contentMask(origRaw, genW, genH);
+  const dist = distanceToEmpty(mask, genW, genH);
 
   // Blend pixels using distance field
   const result = Buffer.alloc(genW * genH * 4);
@@ -125,3 +191,24 @@ export async function cosineBlendComposite(originalPng, generatedPng, opts = {})
     .png()
     .toBuffer();
 }
+
+/**
+ * The PNG place-image uploads for a job. Extend results get the original
+ * pixels cosine-blended back over the overlap zone; insert and modify
+ * repaint existing content on purpose and are placed as generated.
+ *
+ * @param {Buffer} generatedPng - PNG buffer of the AI-generated result
+ * @param {object} opts
+ * @param {string} opts.tool - The job's tool ('extend', 'insert', 'modify')
+ * @param {Buffer|null} [opts.originalPng] - The job's context screenshot, if one was recorded
+ * @param {Buffer|null} [opts.capturePng] - The unflattened capture behind it, if one was recorded
+ * @param {boolean} [opts.noBlend=false] - --no-blend
+ * @param {number} [opts.blendWidth=60]
+ * @returns {Promise<{ png: Buffer, blend: 'applied'|'disabled'|'not-extend'|'no-original' }>}
+ */
+export async function blendForPlacement(generatedPng, { tool, originalPng = null, capturePng = null, noBlend = false, blendWidth } = {}) {
+  if (noBlend) return { png: generatedPng, blend: 'disabled' };
+  if (tool !== 'extend') return { png: generatedPng, blend: 'not-extend' };
+  if (!originalPng) return { png: generatedPng, blend: 'no-original' };
+  return { png: await cosineBlendComposite(originalPng, generatedPng, { blendWidth, capturePng }), blend: 'applied' };
+}
@@ -0,0 +1,65 @@
+/**
+ * Tests for blend.mjs — which place-image results get the cosine blend.
+ *
+ * The original is opaque white on the left half and transparent on the
+ * right; the generated image is solid red.
+ */
+
+import { describe, it, expect } from 'vitest';
+import sharp from 'sharp';
+
+const { blendForPlacement } = await import('./blend.mjs');
+
+const W = 16, H = 8;
+
+async function png(fill: (x: number) => number[]): Promise<Buffer> {
+  const raw = Buffer.alloc(W * H * 4);
+  for (let y = 0; y < H; y++) {
+    for (let x = 0; x < W; x++) raw.set(fill(x), (y * W + x) * 4);
+  }
+  return sharp(raw, { raw: { width: W, height: H, channels: 4 } }).png().toBuffer();
+}
+
+async function pixel(buf: Buffer, x: number, y: number): Promise<number[]> {
+  const raw = await sharp(buf).ensureAlpha().raw().toBuffer();
+  const o = (y * W + x) * 4;
+  return [...raw.subarray(o, o + 4)];
+}
+
+const original = await png(x => (x < W / 2 ? [255, 255, 255, 255] : [0, 0, 0, 0]));
+const generated = await png(() => [255, 0, 0, 255]);
+
+describe('blendForPlacement', () => {
+  it('should paste the original back over an extend result', async () => {
+    const { png: out, blend } = await blendForPlacement(generated, { tool: 'extend', originalPng: original, blendWidth: 2 });
+    expect(blend).toBe('applied');
+    expect(await pixel(out, 0, 4)).toEqual([255, 255, 255, 255]);
+    expect(await pixel(out, W - 1, 4)).toEqual([255, 0, 0, 255]);
+  });
+
+  it('should place insert and modify results as generated', async () => {
+    for (const tool of ['insert', 'modify']) {
+      const { png: out, blend } = await blendForPlacement(generated, { tool, originalPng: original });
+      expect(blend).toBe('not-extend');
+      expect(out).toBe(generated);
+    }
+  });
+
+  it('should skip the blend with --no-blend or without a screenshot', async () => {
+    const disabled = await blendForPlacement(generated, { tool: 'extend', originalPng: original, noBlend: true });
+    expect(disabled).toEqual({ png: generated, blend: 'disabled' });
+    const missing = await blendForPlacement(generated, { tool: 'extend', originalPng: null });
+    expect(missing).toEqual({ png: generated, blend: 'no-original' });
+  });
+
+  it('should preserve dark art the outpaint mask kept when given the capture', async () => {
+    // Flattened, the dark left half looks like empty black canvas; the capture shows it is opaque
+    const capture = await png(x => (x < W / 2 ? [2, 2, 2, 255] : [0, 0, 0, 0]));
+    const screenshot = await png(x => (x < W / 2 ? [2, 2, 2, 255] : [0, 0, 0, 255]));
+    const fromScreenshot = await blendForPlacement(generated, { tool: 'extend', originalPng: screenshot, blendWidth: 2 });
+    expect(await pixel(fromScreenshot.png, 0, 4)).toEqual([255, 0, 0, 255]);
+    const fromCapture = await blendForPlacement(generated, { tool: 'extend', originalPng: screenshot, capturePng: capture, blendWidth: 2 });
+    expect(await pixel(fromCapture.png, 0, 4)).toEqual([2, 2, 2, 255]);
+    expect(await pixel(fromCapture.png, W - 1, 4)).toEqual([255, 0, 0, 255]);
+  });
+});
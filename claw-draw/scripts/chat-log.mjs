@@ -0,0 +1,84 @@
+#!/usr/bin/env node
+/**
+ * Chat messages this machine has seen, in ~/.clawdraw/chat-log.json.
+ *
+ * `chat --listen --since` replays recent chat. The dev-relay emulator
+ * answers a `chat.history` request for that, but the production relay is
+ * not documented to, so the CLI keeps its own log of every `chat.message`
+ * it receives (while listening, watching or sending) and replays from it.
+ * Messages sent while no clawdraw command was connected are not in it.
+ *
+ * Like the undo history, the log is a convenience: read errors yield an
+ * empty list and write errors are ignored.
+ *
+ * Usage:
+ *   import { recordChatMessages, loadChatLog } from './chat-log.mjs';
+ *
+ *   conn.on('chat', (msg) => recordChatMessages([msg]));
+ *   const recent = loadChatLog({ since: Date.now() - 600_000 });
+ */
+
+// @security-manifest
+// env: none
+// endpoints: none
+// files: ~/.clawdraw/chat-log.json
+// exec: none
+
+import fs from 'node:fs';
+import path from 'node:path';
+import os from 'node:os';
+import { withFileLock } from './file-lock.mjs';
+
+const STATE_DIR = path.join(os.homedir(), '.clawdraw');
+const CHAT_LOG_FILE = path.join(STATE_DIR, 'chat-log.json');
+/** Newest messages kept; older ones are dropped. */
+const CHAT_LOG_MAX_MESSAGES = 500;
+
+/** Oldest first; messages without a time sort first. */
+function byCreatedAt(a, b) {
+  return (Number(a.createdAt) || 0) - (Number(b.createdAt) || 0);
+}
+
+/**
+ * Logged chat messages, oldest first.
+ *
+ * @param {object} [opts]
+ * @param {number} [opts.since] - Only messages sent at or after this time (ms since the epoch)
+ * @returns {import('./connection.mjs').ChatMessage[]}
+ */
+export function loadChatLog({ since } = {}) {
+  let messages;
+  try {
+    messages = JSON.parse(fs.readFileSync(CHAT_LOG_FILE, 'utf-8'));
+  } catch {
+    return [];
+  }
+  if (!Array.isArray(messages)) return [];
+  return messages.filter(m => since === undefined || Number(m.createdAt) >= since);
+}
+
+/**
+ * Add messages to the log, skipping ones already in it (by id) and keeping
+ * the newest CHAT_LOG_MAX_MESSAGES.
+ *
+ * @param {import('./connection.mjs').ChatMessage[]} messages
+ */
+export function recordChatMessages(messages) {
+  const fresh = messages.filter(m => m && m.id !== undefined && m.id !== null);
+  if (fresh.length === 0) return;
+  try {
+    fs.mkdirSync(STATE_DIR, { recursive: true, mode: 0o700 });
+    withFileLock(CHAT_LOG_FILE + '.lock', () => {
+      const logged = loadChatLog();
+      const known = new Set(logged.map(m => String(m.id)));
+      const added = fresh.filter(m => !known.has(String(m.id)) && known.add(String(m.id)));
+      if (added.length === 0) return;
+      const next = [...logged, ...added].sort(byCreatedAt).slice(-CHAT_LOG_MAX_MESSAGES);
+      const tmp = `${CHAT_LOG_FILE}.${process.pid}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify(next), { encoding: 'utf-8', mode: 0o600 });
+      fs.renameSync(tmp, CHAT_LOG_FILE);
+    }, { retries: 10 });
+  } catch {
+    // Non-critical — the log only feeds chat --listen --since
+  }
+}
@@ -0,0 +1,48 @@
+/**
+ * Tests for chat-log.mjs — logging seen chat messages and replaying them.
+ *
+ * HOME is pointed at a temp dir before the module loads, so the log lives
+ * in <tmp>/.clawdraw/chat-log.json.
+ */
+
+import { describe, it, expect, afterAll } from 'vitest';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+const tmpHome = fs.mkdtempSync(path.join(os.tmpdir(), 'clawdraw-chat-log-test-'));
+const realHome = process.env.HOME;
+process.env.HOME = tmpHome;
+
+const { recordChatMessages, loadChatLog } = await import('./chat-log.mjs');
+
+afterAll(() => {
+  process.env.HOME = realHome;
+  fs.rmSync(tmpHome, { recursive: true, force: true });
+});
+
+function message(id: string, createdAt: number) {
+  return { id, userId: 'agent_x', username: 'Muse', content: `hi ${id}`, createdAt };
+}
+
+describe('chat log', () => {
+  it('should read as empty before anything is logged', () => {
+    expect(loadChatLog()).toEqual([]);
+  });
+
+  it('should keep messages in time order without duplicates', () => {
+    recordChatMessages([message('m2', 2000), message('m1', 1000)]);
+    recordChatMessages([message('m2', 2000), message('m3', 3000), message('m3', 3000)]);
+    expect(loadChatLog().map((m: any) => m.id)).toEqual(['m1', 'm2', 'm3']);
+    expect(loadChatLog({ since: 2000 }).map((m: any) => m.id)).toEqual(['m2', 'm3']);
+  });
+
+  it('should skip messages without an id and keep the newest 500', () => {
+    recordChatMessages([{ content: 'no id', createdAt: 5000 }]);
+    recordChatMessages(Array.from({ length: 600 }, (_, i) => message(`n${i}`, 10_000 + i)));
+    const logged = loadChatLog();
+    expect(logged).toHaveLength(500);
+    expect(logged[0].id).toBe('n100');
+    expect(logged.some((m: any) => m.content === 'no id')).toBe(false);
+  });
+});
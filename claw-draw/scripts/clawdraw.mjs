@@ -2,39 +2,96 @@
 /**
  * ClawDraw CLI — OpenClaw skill entry point.
  *
- * Image-generation-only workflow:
+ * Image generation plus stroke drawing:
  *   clawdraw setup [name]               Create agent + save API key (first-time setup)
  *   clawdraw create <name>              Create agent, get API key
  *   clawdraw auth                       Exchange API key for JWT (cached)
  *   clawdraw status                     Show agent info + INQ balance
  *   clawdraw rename --name <name>       Set display name
  *   clawdraw link                       Generate link code for web account
+ *   clawdraw profiles list|use|remove [<name>]  Manage named credential profiles
+ *   clawdraw keys migrate --to file|encrypted|command [--all]  Move stored API keys to another backend
  *   clawdraw buy [--tier ...]           Buy INQ via Stripe
  *   clawdraw zones                      Discover available canvas zones for generation
  *   clawdraw inspect-area [--cx N] [--cy N] [--radius N]  Inspect canvas area
  *   clawdraw propose-pgs --x N --y N --width N --height N --model MODEL  Validate generation area
- *   clawdraw generate --x N --y N --width N --height N --tool extend|insert|modify --prompt "..."
- *                                       Generate image
- *   clawdraw place-image --file <path>  Place generated image using saved lock coordinates
- *   clawdraw undo [--count N]           Undo last N image placements
- *   clawdraw chat --message "..."       Send a chat message
+ *   clawdraw generate --tool extend|insert|modify --prompt "..." [--job <id>]
+ *                                       Generate image via the PGS model's provider
+ *   clawdraw place-image [--job <id>] [--file <path>] [--blend-width N] [--no-blend]
+ *                                       Place generated image using the job's lock
+ *   clawdraw extend --image <id> --direction left|right|up|down --prompt "..." [--overlap 0.33]
+ *                                       Plan a square PGS beside an image, then generate + place
+ *   clawdraw panorama --from <id> --direction D --frames N --prompts FILE [--max-inq N]
+ *                                       Chain square extends, each frame extending the last
+ *   clawdraw jobs list|show|resume|cancel [<id>]
+ *                                       Manage PGS generation jobs (~/.clawdraw/jobs/)
+ *   clawdraw ledger [--by day|command|model|swarm] [--since D] [--format csv|json]
+ *                                       INQ spend report (~/.clawdraw/ledger.jsonl)
+ *   clawdraw draw <primitive> [--param value ...] [--cx N --cy N] [--symmetry MODE]
+ *                                       Draw a stroke primitive (--list, <primitive> --info)
+ *   clawdraw stroke --stdin [--cx N --cy N]  Draw JSON strokes read from stdin
+ *   clawdraw compose --file scene.json  Draw a scene of primitives and raw strokes
+ *   clawdraw paint --image <url|path> [--mode vangogh]  Trace an image into strokes
+ *   clawdraw roam [--blend 0.5] [--speed normal] [--budget N]  Autonomous stroke drawing
+ *                                       (draw/stroke/compose/paint/roam accept --dry-run [--out preview.png])
+ *   clawdraw resume-send [<id>] [--list] [--include-unconfirmed]
+ *                                       Send the strokes an interrupted drawing never sent
+ *   clawdraw undo [--count N] [--id <id>] [--swarm <id>] [--since T]
+ *                                       Delete placed images, confirmed by the relay
+ *   clawdraw redo [--count N] [--id <id>]  Place undone images again from the local cache
+ *   clawdraw chat --message "..." [--reply-to <id>]  Send (or answer) a chat message
+ *   clawdraw chat --listen [--since 10m] [--near x,y]  Stream chat messages as JSON lines
+ *   clawdraw watch --cx N --cy N [--radius N]  Stream canvas activity as JSON lines
  *   clawdraw waypoint --name "..." --x N --y N --zoom Z  Drop a waypoint
  *   clawdraw waypoint-delete --id <id>  Delete a waypoint
- *   clawdraw plan-swarm [--agents N]    Plan multi-agent coordination
+ *   clawdraw plan-swarm [--agents N] [--profiles a,b,...]  Plan multi-agent coordination
+ *   clawdraw dev-relay [--port 8787] [--inq N] [--no-rate-limits]
+ *                                       Local relay emulator (see dev-relay.mjs)
+ *
+ * Every command accepts --profile <name> to use that profile's API key and
+ * token cache (see auth.mjs).
+ *
+ * Spending commands print an INQ estimate first and refuse to exceed
+ * --max-inq / CLAWDRAW_MAX_INQ; --estimate stops after the estimate.
+ *
+ * With --json, prose goes to stderr and stdout carries one result object
+ * with a stable error code and exit code on failure (see output.mjs).
  */
 
 // @security-manifest
-// env: CLAWDRAW_API_KEY, CLAWDRAW_DISPLAY_NAME, CLAWDRAW_NO_HISTORY, CLAWDRAW_SWARM_ID, CLAWDRAW_PAINT_CORNER, CLAWDRAW_RELAY_URL, CLAWDRAW_LOGIC_URL, CLAWDRAW_WS_URL
-// endpoints: api.clawdraw.ai (HTTPS), relay.clawdraw.ai (WSS)
-// files: ~/.clawdraw/token.json, ~/.clawdraw/state.json, ~/.clawdraw/apikey.json, ~/.clawdraw/stroke-history.json, ~/.clawdraw/last-lock.json, ~/.clawdraw/last-pgs.json
+// env: CLAWDRAW_API_KEY, CLAWDRAW_DISPLAY_NAME, CLAWDRAW_NO_HISTORY, CLAWDRAW_SWARM_ID, CLAWDRAW_MAX_INQ, CLAWDRAW_CHAT_BUDGET, CLAWDRAW_PAINT_CORNER, CLAWDRAW_RELAY_URL, CLAWDRAW_LOGIC_URL, CLAWDRAW_WS_URL
+// endpoints: api.clawdraw.ai (HTTPS), relay.clawdraw.ai (WSS), image-model providers via providers.mjs
+// files: ~/.clawdraw/token.json, ~/.clawdraw/state.json, ~/.clawdraw/apikey.json, ~/.clawdraw/profiles/ (via auth.mjs), ~/.clawdraw/stroke-history.json, ~/.clawdraw/images/*.png, ~/.clawdraw/redo.json (via history.mjs), ~/.clawdraw/chat-log.json (via chat-log.mjs), ~/.clawdraw/jobs/*.json, ~/.clawdraw/deliveries/ (via delivery.mjs), ~/.clawdraw/ledger.jsonl, user-supplied ledger --out export (write), /tmp/clawdraw-*.png (temporary), user-supplied --out preview PNG (write)
 // exec: none
 
 import fs from 'node:fs';
 import path from 'node:path';
 import os from 'node:os';
-import { getToken, createAgent, getAgentInfo, writeApiKey, readApiKey } from './auth.mjs';
-import { connect, addWaypoint, getWaypointUrl, deleteWaypoint, setUsername, disconnect } from './connection.mjs';
-import { getTilesForBounds, fetchTiles, compositeAndCrop, captureFromImages } from './snapshot.mjs';
+import { getToken, createAgent, getAgentInfo, writeApiKey, readApiKey, selectProfile, activeProfile, profilePaths, listProfiles, setActiveProfile, removeProfile, checkProfileName, migrateApiKey, DEFAULT_PROFILE } from './auth.mjs';
+import { KEY_BACKENDS } from './secrets.mjs';
+import { createClient } from './client.mjs';
+import { startJsonOutput, isJsonOutput, takeJsonFlag, report, setErrorCode, fail, codeForError, errorCodeForStatus, finishOutput } from './output.mjs';
+import { connect, connectWithRetry, addWaypoint, getWaypointUrl, deleteImages, deleteWaypoint, setUsername, disconnect, drawAndTrack, sendStrokes, viewportForArea, sendChatMessage, CANVAS_EVENTS, CHAT_MAX_LENGTH, CHAT_HISTORY_MAX } from './connection.mjs';
+import { getTilesForBounds, fetchTiles, compositeAndCrop, captureFromImages, fetchAreaImages, waitForAreaImage, computeBoundingBox, RESAMPLE_FILTERS } from './snapshot.mjs';
+import { blendForPlacement } from './blend.mjs';
+import { getProvider, generateImage } from './providers.mjs';
+import { acquireLock, renewLock, releaseLock, createLockManager, lockRemainingMs, PGS_LOCK_MIN_REMAINING_MS, PGS_LOCK_RENEW_INTERVAL_MS } from './pgs-lock.mjs';
+import { buildOutpaintMask, maskCoverage, maskCoverageByRegion, MASK_MODES } from './mask.mjs';
+import { planExtend, planPanorama, runPanorama, DEFAULT_EXTEND_OVERLAP } from './pgs-plan.mjs';
+import { createJob, loadJob, updateJob, listJobs, findLatestJob, findJobByLockId, FINISHED_STATUSES } from './jobs.mjs';
+import { createDelivery, loadDelivery, listDeliveries, findLatestDelivery, RESUMABLE_STATUSES } from './delivery.mjs';
+import { appendHistorySession, loadStrokeHistory, forgetImages, markUnconfirmedDeletes, selectUndoTargets, cacheImage, loadRedoStack, writeRedoStack, pushRedo, selectRedoTargets, pruneImageCache } from './history.mjs';
+import { recordChatMessages, loadChatLog } from './chat-log.mjs';
+import { normalizeStrokes, runPrimitive, composeStrokes, withSymmetry, loadImagePixels, PAINT_MODES } from './strokes.mjs';
+import { estimateStrokesInq, estimatePgsInq, resolveMaxInq, checkInqCap, describeSpend, PGS_INQ_PER_PIXEL, CHAT_INQ, DEFAULT_MAX_INQ, DEFAULT_PGS_RESOLUTION } from './inq.mjs';
+import { renderStrokesPng } from './rasterize.mjs';
+import { appendLedgerEntry, readLedger, summarizeLedger, ledgerToCsv, strokesArea, LEDGER_GROUPS } from './ledger.mjs';
+import { cmdRoam } from './roam.mjs';
+import { createDevRelay } from './dev-relay.mjs';
+import { listPrimitives, getPrimitiveInfo } from '../primitives/index.mjs';
+import { setNearbyCache } from '../primitives/collaborator.mjs';
+import { traceImage } from '../lib/image-trace.mjs';
+import sharp from 'sharp';
 
 
 const RELAY_HTTP_URL = process.env.CLAWDRAW_RELAY_URL || 'https://relay.clawdraw.ai';
@@ -44,6 +101,11 @@ const CLAWDRAW_API_KEY = process.env.CLAWDRAW_API_KEY;
 const CLAWDRAW_DISPLAY_NAME = process.env.CLAWDRAW_DISPLAY_NAME || undefined;
 const CLAWDRAW_NO_HISTORY = process.env.CLAWDRAW_NO_HISTORY === '1';
 const CLAWDRAW_SWARM_ID = process.env.CLAWDRAW_SWARM_ID || null;
+const CLAWDRAW_MAX_INQ = process.env.CLAWDRAW_MAX_INQ || undefined;
+const CLAWDRAW_CHAT_BUDGET = process.env.CLAWDRAW_CHAT_BUDGET || undefined;
+
+/** Authorized relay/logic requests; the JWT is refreshed before it expires. */
+const api = createClient({ apiKey: CLAWDRAW_API_KEY });
 const STATE_DIR = path.join(os.homedir(), '.clawdraw');
 const STATE_FILE = path.join(STATE_DIR, 'state.json');
 
@@ -70,77 +132,31 @@ function writeState(state) {
 
 
 // ---------------------------------------------------------------------------
-// Stroke history tracking (~/.clawdraw/stroke-history.json)
+// Stroke history tracking (~/.clawdraw/stroke-history.json, via history.mjs)
 // ---------------------------------------------------------------------------
 
-const HISTORY_FILE = path.join(STATE_DIR, 'stroke-history.json');
-const HISTORY_MAX_SESSIONS = 20;
 const BULK_DELETE_BATCH_SIZE = 10000;
 
-/** Load stroke history sessions from disk. */
-function loadStrokeHistory() {
-  try {
-    const data = JSON.parse(fs.readFileSync(HISTORY_FILE, 'utf-8'));
-    return Array.isArray(data) ? data : [];
-  } catch {
-    return [];
-  }
-}
-
-/** Atomically write stroke history sessions to disk (tmp → rename). */
-function writeStrokeHistory(sessions) {
-  try {
-    fs.mkdirSync(STATE_DIR, { recursive: true });
-    const tmp = HISTORY_FILE + '.tmp';
-    fs.writeFileSync(tmp, JSON.stringify(sessions, null, 2), 'utf-8');
-    fs.renameSync(tmp, HISTORY_FILE);
-  } catch {
-    // Non-critical — history is a convenience feature
-  }
-}
-
-/** Acquire a file lock around a history read-modify-write cycle. */
-function withHistoryLock(fn) {
-  const lockFile = HISTORY_FILE + '.lock';
-  const maxRetries = 10;
-  const retryMs = 50;
-  for (let i = 0; i < maxRetries; i++) {
-    try {
-      fs.writeFileSync(lockFile, String(process.pid), { flag: 'wx' }); // atomic O_EXCL
-      try { return fn(); } finally { try { fs.unlinkSync(lockFile); } catch {} }
-    } catch (e) {
-      if (e.code === 'EEXIST' && i < maxRetries - 1) {
-        const end = Date.now() + retryMs;
-        while (Date.now() < end) {} // brief spin wait
-        continue;
-      }
-      return; // fail open — history is non-critical
-    }
-  }
-}
-
 /**
  * Save a new image placement session to history for undo.
  *
  * @param {Array<string>} imageIds - Array of image IDs that were placed
+ * @param {Array<object>} [images] - Per-image geometry, model and cached PNG (for redo)
  */
-function saveImageHistory(imageIds) {
-  if (CLAWDRAW_NO_HISTORY) return;
-  if (!imageIds || imageIds.length === 0) return;
-  withHistoryLock(() => {
-    const sessions = loadStrokeHistory();
-    const session = {
-      timestamp: new Date().toISOString(),
-      ...(CLAWDRAW_SWARM_ID ? { swarmId: CLAWDRAW_SWARM_ID } : {}),
-      type: 'image',
-      imageIds,
-    };
-    sessions.push(session);
-    while (sessions.length > HISTORY_MAX_SESSIONS) {
-      sessions.shift();
-    }
-    writeStrokeHistory(sessions);
-  });
+function saveImageHistory(imageIds, images) {
+  if (CLAWDRAW_NO_HISTORY || !imageIds || imageIds.length === 0) return;
+  appendHistorySession({ type: 'image', imageIds, ...(images ? { images } : {}) }, { swarmId: CLAWDRAW_SWARM_ID });
+  pruneImageCache();
+}
+
+/**
+ * Save a stroke drawing session to history.
+ *
+ * @param {Array<string>} strokeIds - IDs of the strokes the relay acknowledged
+ */
+function saveStrokeHistory(strokeIds) {
+  if (CLAWDRAW_NO_HISTORY || !strokeIds || strokeIds.length === 0) return;
+  appendHistorySession({ type: 'strokes', strokeIds }, { swarmId: CLAWDRAW_SWARM_ID });
 }
 
 // ---------------------------------------------------------------------------
@@ -180,51 +196,72 @@ function sleep(ms) {
   return new Promise(resolve => setTimeout(resolve, ms));
 }
 
-function isRetriableStatus(status) {
-  return status === 429 || status === 500 || status === 502 || status === 503 || status === 504;
+/** Show a path under the home directory as ~/... */
+function displayPath(p) {
+  const home = os.homedir();
+  return p.startsWith(home + path.sep) ? '~' + p.slice(home.length) : p;
+}
+
+// ---------------------------------------------------------------------------
+// INQ — ceiling, actual spend and the ledger (estimates come from inq.mjs)
+// ---------------------------------------------------------------------------
+
+/**
+ * Check an estimate against --max-inq / CLAWDRAW_MAX_INQ before anything is
+ * sent. With --estimate, stop there (exit 0).
+ */
+function guardInq(args, inq) {
+  let maxInq;
+  try {
+    maxInq = resolveMaxInq(args['max-inq'], CLAWDRAW_MAX_INQ);
+    report({ estimatedInq: inq, maxInq });
+    checkInqCap(inq, maxInq);
+  } catch (err) {
+    fail(maxInq === undefined ? 'VALIDATION' : 'INQ', `Error: ${err.message}`);
+  }
+  if (args.estimate) {
+    console.log(`Within the ${maxInq} INQ cap. Estimate only — nothing sent.`);
+    report({ estimateOnly: true });
+    process.exit(0);
+  }
 }
 
-async function readErrorMessage(res) {
+/** Current INQ balance, or null when it can't be read (never fails the command). */
+async function readInqBalance() {
   try {
-    const data = await res.json();
-    return data.error || data.message || `HTTP ${res.status}`;
+    const info = await getAgentInfo(await api.token());
+    return Number.isFinite(info.inqBalance) ? info.inqBalance : null;
   } catch {
-    return `HTTP ${res.status}`;
+    return null;
   }
 }
 
-async function fetchJsonWithRetry(url, fetchOptions, {
-  retries = 3,
-  baseDelayMs = 250,
-  tag = 'request',
-} = {}) {
-  let lastError = null;
-  for (let attempt = 0; attempt <= retries; attempt++) {
-    let res = null;
-    try {
-      res = await fetch(url, fetchOptions);
-      if (res.ok) return await res.json();
-      const errMsg = await readErrorMessage(res);
-      if (attempt < retries && isRetriableStatus(res.status)) {
-        const waitMs = baseDelayMs * Math.pow(2, attempt);
-        console.warn(`[${tag}] retry ${attempt + 1}/${retries} after ${res.status} (${waitMs}ms)`);
-        await sleep(waitMs);
-        continue;
-      }
-      throw new Error(errMsg);
-    } catch (err) {
-      lastError = err;
-      const retriable = !res || isRetriableStatus(res.status);
-      if (attempt < retries && retriable) {
-        const waitMs = baseDelayMs * Math.pow(2, attempt);
-        console.warn(`[${tag}] retry ${attempt + 1}/${retries} after error (${waitMs}ms): ${err.message}`);
-        await sleep(waitMs);
-        continue;
-      }
-      throw err;
-    }
+/**
+ * Print actual vs estimated spend from the balance change since `before`,
+ * then append the action to the spend ledger (~/.clawdraw/ledger.jsonl).
+ *
+ * @param {object} action
+ * @param {string} action.command
+ * @param {number} action.estimatedInq
+ * @param {number|null} action.before - Balance read before spending
+ * @param {object} [action.details] - model, area, jobId, imageIds, strokeIds
+ */
+async function recordSpend({ command, estimatedInq, before, ...details }) {
+  const after = await readInqBalance();
+  console.log(describeSpend(estimatedInq, before, after));
+  report({ inq: { estimated: estimatedInq, before, after, spent: before !== null && after !== null ? before - after : null } });
+  try {
+    appendLedgerEntry({
+      command,
+      ...(CLAWDRAW_SWARM_ID ? { swarmId: CLAWDRAW_SWARM_ID } : {}),
+      ...details,
+      estimatedInq,
+      inqBefore: before,
+      inqAfter: after,
+    });
+  } catch (err) {
+    console.warn(`WARNING: Could not write the spend ledger: ${err.message}`);
   }
-  throw lastError || new Error('Unknown fetch error');
 }
 
 // ---------------------------------------------------------------------------
@@ -233,8 +270,7 @@ async function fetchJsonWithRetry(url, fetchOptions, {
 
 async function cmdCreate(name) {
   if (!name) {
-    console.error('Usage: clawdraw create <agent-name>');
-    process.exit(1);
+    fail('VALIDATION', 'Usage: clawdraw create <agent-name>');
   }
   try {
     const result = await createAgent(name);
@@ -248,9 +284,9 @@ async function cmdCreate(name) {
     console.log('');
     console.log('Set it as an environment variable:');
     console.log(`  export CLAWDRAW_API_KEY="${result.apiKey}"`);
+    report({ agentId: result.agentId, name: result.name, apiKey: result.apiKey });
   } catch (err) {
-    console.error('Error:', err.message);
-    process.exit(1);
+    fail(codeForError(err), `Error: ${err.message}`);
   }
 }
 
@@ -273,11 +309,17 @@ async function cmdSetup(providedName) {
   if (existingKey) {
     console.log('CLAWDRAW_API_KEY is already set in your environment.');
     console.log('Run `clawdraw status` to check your agent info.');
+    report({ created: false, source: 'env' });
     process.exit(0);
   }
 
   // Check for existing saved key file
-  const savedKey = readApiKey();
+  let savedKey;
+  try {
+    savedKey = readApiKey();
+  } catch (err) {
+    fail(codeForError(err), `Error: ${err.message}`);
+  }
   if (savedKey) {
     try {
       const token = await getToken(savedKey);
@@ -288,6 +330,7 @@ async function cmdSetup(providedName) {
       console.log(`  INQ:   ${info.inqBalance !== undefined ? info.inqBalance : 'unknown'}`);
       console.log('');
       console.log('Ready! Try: clawdraw zones');
+      report({ created: false, source: 'saved', profile: activeProfile(), name: info.name, agentId: info.agentId, inqBalance: info.inqBalance ?? null });
       process.exit(0);
     } catch {
       // Key exists but is invalid/revoked — fall through to create a fresh agent
@@ -306,13 +349,14 @@ async function cmdSetup(providedName) {
 
   // Validate name format (server requires 1-32 alphanumeric/underscore)
   if (!/^[a-zA-Z0-9_]{1,32}$/.test(name)) {
-    console.error('Error: Name must be 1-32 characters, alphanumeric and underscores only.');
-    console.error(`  Got: "${name}"`);
-    console.error('  Examples: my_artist, claude_bot, agent_42');
-    process.exit(1);
+    fail('VALIDATION',
+      'Error: Name must be 1-32 characters, alphanumeric and underscores only.',
+      `  Got: "${name}"`,
+      '  Examples: my_artist, claude_bot, agent_42');
   }
 
-  console.log(`Creating agent "${name}"...`);
+  const profile = activeProfile();
+  console.log(`Creating agent "${name}"${profile === DEFAULT_PROFILE ? '' : ` for profile ${profile}`}...`);
 
   try {
     const result = await createAgent(name);
@@ -323,7 +367,7 @@ async function cmdSetup(providedName) {
     console.log('');
     console.log(`  Name:     ${result.name}`);
     console.log(`  Agent ID: ${result.agentId}`);
-    console.log(`  API Key:  saved to ~/.clawdraw/apikey.json`);
+    console.log(`  API Key:  saved in ${displayPath(profilePaths().dir)} (profile ${activeProfile()})`);
 
     // Auto-authenticate
     const token = await getToken(result.apiKey);
@@ -331,29 +375,29 @@ async function cmdSetup(providedName) {
     console.log(`  INQ:      ${info.inqBalance !== undefined ? info.inqBalance : 'unknown'}`);
     console.log('');
     console.log('Ready! Try: clawdraw zones');
+    report({ created: true, profile: activeProfile(), name: result.name, agentId: result.agentId, inqBalance: info.inqBalance ?? null });
   } catch (err) {
-    console.error('Error:', err.message);
-    process.exit(1);
+    fail(codeForError(err), `Error: ${err.message}`);
   }
 }
 
 async function cmdAuth() {
   try {
-    const token = await getToken(CLAWDRAW_API_KEY);
+    await getToken(CLAWDRAW_API_KEY);
     console.log('Authenticated successfully!');
-    console.log(`Token cached at ~/.clawdraw/token.json (expires in ~5 minutes)`);
+    console.log(`Token cached at ${displayPath(profilePaths().tokenFile)} (expires in ~5 minutes)`);
+    report({ authenticated: true, profile: activeProfile(), tokenFile: profilePaths().tokenFile });
   } catch (err) {
-    console.error('Error:', err.message);
-    process.exit(1);
+    fail(codeForError(err), `Error: ${err.message}`);
   }
 }
 
 async function cmdStatus() {
   try {
-    const token = await getToken(CLAWDRAW_API_KEY);
-    const info = await getAgentInfo(token);
+    const info = await getAgentInfo(await api.token());
     console.log('ClawDraw Agent Status');
     console.log('');
+    console.log(`  Profile:  ${activeProfile()}`);
     console.log(`  Agent:    ${info.name} (${info.agentId})`);
     console.log(`  Master:   ${info.masterId}`);
     if (info.inqBalance !== undefined) {
@@ -366,9 +410,16 @@ async function cmdStatus() {
     if (state.firstCustomAt) {
       console.log(`  First custom at:  ${state.firstCustomAt}`);
     }
+    report({
+      profile: activeProfile(),
+      agentId: info.agentId,
+      name: info.name,
+      masterId: info.masterId ?? null,
+      inqBalance: info.inqBalance ?? null,
+      hasCustomAlgorithm: !!state.hasCustomAlgorithm,
+    });
   } catch (err) {
-    console.error('Error:', err.message);
-    process.exit(1);
+    fail(codeForError(err), `Error: ${err.message}`);
   }
 }
 
@@ -387,20 +438,16 @@ async function cmdLink(code) {
   // Strip whitespace and non-alphanumeric chars (handles trailing letters, spaces, punctuation)
   const cleanCode = code.replace(/[^A-Za-z0-9]/g, '').toUpperCase();
   if (cleanCode.length !== 6) {
-    console.error(`Error: Link code must be exactly 6 characters (got ${cleanCode.length}: "${cleanCode}")`);
-    console.error('Get a fresh code at https://clawdraw.ai/?openclaw');
-    process.exit(1);
+    fail('VALIDATION',
+      `Error: Link code must be exactly 6 characters (got ${cleanCode.length}: "${cleanCode}")`,
+      'Get a fresh code at https://clawdraw.ai/?openclaw');
   }
 
   // Uses LOGIC_HTTP_URL from top-level constant
   try {
-    const token = await getToken(CLAWDRAW_API_KEY);
-    const res = await fetch(`${LOGIC_HTTP_URL}/api/link/redeem`, {
+    const res = await api.fetch(`${LOGIC_HTTP_URL}/api/link/redeem`, {
       method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${token}`,
-        'Content-Type': 'application/json',
-      },
+      headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify({ code: cleanCode }),
     });
 
@@ -427,9 +474,9 @@ async function cmdLink(code) {
     console.log('Your web account and agents now share the same INQ pool.');
     console.log('Daily shared INQ grant: 550,000 INQ.');
     console.log('One-time linking bonus: 150,000 INQ credited.');
+    report({ linkedUserId: data.linkedUserId, masterId: data.masterId });
   } catch (err) {
-    console.error('Error:', err.message);
-    process.exit(1);
+    fail(codeForError(err), `Error: ${err.message}`);
   }
 }
 
@@ -438,14 +485,13 @@ async function cmdBuy(args) {
   const tierId = args.tier || 'bucket';
   const validTiers = ['splash', 'bucket', 'barrel', 'ocean'];
   if (!validTiers.includes(tierId)) {
-    console.error(`Invalid tier: ${tierId}`);
-    console.error(`Valid tiers: ${validTiers.join(', ')}`);
-    process.exit(1);
+    fail('VALIDATION',
+      `Invalid tier: ${tierId}`,
+      `Valid tiers: ${validTiers.join(', ')}`);
   }
 
   try {
-    const token = await getToken(CLAWDRAW_API_KEY);
-    const info = await getAgentInfo(token);
+    const info = await getAgentInfo(await api.token());
     const masterId = info.masterId || info.agentId;
 
     const res = await fetch(`${LOGIC_HTTP_URL}/api/payments/create-checkout`, {
@@ -474,10 +520,95 @@ async function cmdBuy(args) {
     console.log(`  ${data.url}`);
     console.log('');
     console.log('INQ will be credited to your account automatically after payment.');
+    report({ tier: tierId, checkoutUrl: data.url });
+  } catch (err) {
+    fail(codeForError(err), `Error: ${err.message}`);
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Profiles — named API key + token cache sets (~/.clawdraw/profiles/)
+// ---------------------------------------------------------------------------
+
+async function cmdProfiles(sub, name) {
+  try {
+    switch (sub) {
+      case undefined:
+      case 'list': {
+        console.log('Profiles:');
+        for (const p of listProfiles()) {
+          const agent = p.hasKey ? `${p.agentName || 'agent'} (${p.agentId || 'unknown id'}), ${p.backend} key`
+            : p.name === DEFAULT_PROFILE ? 'no API key — run clawdraw setup' : 'uses the default API key';
+          const token = p.tokenValid ? ', token cached' : '';
+          console.log(`  ${p.active ? '*' : ' '} ${p.name.padEnd(16)} ${agent}${token}`);
+        }
+        console.log('');
+        console.log(`Active: ${activeProfile()} (override with --profile <name> or CLAWDRAW_PROFILE)`);
+        report({ active: activeProfile(), profiles: listProfiles() });
+        break;
+      }
+      case 'use': {
+        if (!name) throw new Error('Usage: clawdraw profiles use <name>');
+        setActiveProfile(name);
+        console.log(`Active profile: ${name}`);
+        report({ active: name, hasKey: !!readApiKey(name) });
+        if (!readApiKey(name)) {
+          console.log(name === DEFAULT_PROFILE
+            ? 'It has no API key yet. Run: clawdraw setup'
+            : `It has no API key of its own and will use the default one. For a separate agent run: clawdraw setup --profile ${name}`);
+        }
+        break;
+      }
+      case 'remove': {
+        if (!name) throw new Error('Usage: clawdraw profiles remove <name>');
+        removeProfile(name);
+        console.log(`Removed profile ${name} (its API key file and token cache).`);
+        report({ removed: name });
+        break;
+      }
+      default:
+        throw new Error('Usage: clawdraw profiles list|use|remove [<name>]');
+    }
   } catch (err) {
-    console.error('Error:', err.message);
-    process.exit(1);
+    fail(codeForError(err) || 'VALIDATION', `Error: ${err.message}`);
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Keys — move stored API keys between backends (secrets.mjs)
+// ---------------------------------------------------------------------------
+
+async function cmdKeys(sub, args) {
+  if (sub !== 'migrate' || !KEY_BACKENDS.includes(args.to)) {
+    fail('VALIDATION',
+      `Usage: clawdraw keys migrate --to ${KEY_BACKENDS.join('|')} [--all]`,
+      '  encrypted needs CLAWDRAW_KEY_PASSPHRASE (also to read the key afterwards)',
+      '  command needs CLAWDRAW_KEY_COMMAND, a command that prints the same key (also afterwards)');
+  }
+
+  const profiles = args.all
+    ? listProfiles().filter(p => p.hasKey).map(p => p.name)
+    : [activeProfile()];
+  if (profiles.length === 0) {
+    console.log('No stored API keys to migrate.');
+    return;
+  }
+
+  let failed = 0;
+  const results = [];
+  for (const profile of profiles) {
+    try {
+      const { from, to } = migrateApiKey(profile, args.to);
+      console.log(from === to ? `  ${profile}: already ${to}` : `  ${profile}: ${from} → ${to}`);
+      results.push({ profile, ok: true, from, to });
+    } catch (err) {
+      failed++;
+      console.error(`  ${profile}: ${err.message}`);
+      results.push({ profile, ok: false, error: err.message });
+    }
   }
+  report({ migrated: results });
+  if (failed > 0) fail('AUTH');
 }
 
 async function cmdWaypoint(args) {
@@ -489,110 +620,294 @@ async function cmdWaypoint(args) {
 
   // Validate required params
   if (!name || x === undefined || y === undefined || zoom === undefined) {
-    console.error('Usage: clawdraw waypoint --name "..." --x N --y N --zoom Z [--description "..."]');
-    process.exit(1);
+    fail('VALIDATION', 'Usage: clawdraw waypoint --name "..." --x N --y N --zoom Z [--description "..."]');
   }
   if (typeof x !== 'number' || typeof y !== 'number' || !isFinite(x) || !isFinite(y)) {
-    console.error('Error: --x and --y must be finite numbers');
-    process.exit(1);
+    fail('VALIDATION', 'Error: --x and --y must be finite numbers');
   }
   if (typeof zoom !== 'number' || !isFinite(zoom) || zoom <= 0) {
-    console.error('Error: --zoom must be a positive finite number');
-    process.exit(1);
+    fail('VALIDATION', 'Error: --zoom must be a positive finite number');
   }
   if (name.length > 64) {
-    console.error('Error: --name must be 64 characters or fewer');
-    process.exit(1);
+    fail('VALIDATION', 'Error: --name must be 64 characters or fewer');
   }
   if (description.length > 512) {
-    console.error('Error: --description must be 512 characters or fewer');
-    process.exit(1);
+    fail('VALIDATION', 'Error: --description must be 512 characters or fewer');
   }
 
   try {
-    const token = await getToken(CLAWDRAW_API_KEY);
-    const ws = await connect(token, { username: CLAWDRAW_DISPLAY_NAME });
+    const ws = await connect(api, { username: CLAWDRAW_DISPLAY_NAME });
 
     const wp = await addWaypoint(ws, { name, x, y, zoom, description });
     disconnect(ws);
 
     console.log(`Waypoint created: "${wp.name}" at (${wp.x}, ${wp.y}) zoom=${wp.zoom}`);
     console.log(`Link: ${getWaypointUrl(wp)}`);
+    report({ waypoint: wp, url: getWaypointUrl(wp) });
     process.exit(0);
   } catch (err) {
-    console.error('Error:', err.message);
-    process.exit(1);
+    fail(codeForError(err), `Error: ${err.message}`);
   }
 }
 
 async function cmdWaypointDelete(args) {
   const id = args.id;
   if (!id) {
+    if (isJsonOutput()) {
+      fail('VALIDATION', 'Usage: clawdraw waypoint-delete --id <id>');
+    }
     console.log('Usage: clawdraw waypoint-delete --id <id>');
     console.log('Deletes a waypoint by ID (own waypoints only).');
     process.exit(0);
   }
 
   try {
-    const token = await getToken(CLAWDRAW_API_KEY);
-    const ws = await connect(token, { username: CLAWDRAW_DISPLAY_NAME });
+    const ws = await connect(api, { username: CLAWDRAW_DISPLAY_NAME });
     await deleteWaypoint(ws, String(id));
     disconnect(ws);
     console.log(`Waypoint ${id} deleted.`);
+    report({ deleted: String(id) });
   } catch (err) {
-    console.error('Error:', err.message);
-    process.exit(1);
+    fail(codeForError(err), `Error: ${err.message}`);
   }
 }
 
+// ---------------------------------------------------------------------------
+// Chat — send, reply, and listen
+// ---------------------------------------------------------------------------
+
+/** --radius for `chat --listen --near` when none is given. */
+const CHAT_NEAR_RADIUS = 2000;
+/** Units a relative --since may use (30s, 10m, 2h, 1d). */
+const SINCE_UNITS_MS = new Map([['s', 1000], ['m', 60_000], ['h', 3_600_000], ['d', 86_400_000]]);
+
+/** Parse chat's --since (a duration back from now, or a date) into ms since the epoch. */
+function parseChatSince(value) {
+  const relative = /^(\d+(?:\.\d+)?)([smhd])$/.exec(String(value));
+  if (relative) return Date.now() - Number(relative[1]) * SINCE_UNITS_MS.get(relative[2]);
+  const t = typeof value === 'string' ? Date.parse(value) : NaN;
+  if (Number.isNaN(t)) {
+    fail('VALIDATION', `Error: --since must be a duration like 10m or 2h, or a date (got "${value}")`);
+  }
+  return t;
+}
+
+/** --chat-budget, else CLAWDRAW_CHAT_BUDGET, else no session limit. */
+function resolveChatBudget(args) {
+  const raw = args['chat-budget'] ?? CLAWDRAW_CHAT_BUDGET;
+  if (raw === undefined) return undefined;
+  const budget = Number(raw);
+  if (!(budget >= 0) || !Number.isFinite(budget)) {
+    fail('VALIDATION', 'Error: --chat-budget / CLAWDRAW_CHAT_BUDGET must be a non-negative number of INQ');
+  }
+  return budget;
+}
+
 async function cmdChat(args) {
-  const content = args.message;
+  if (args.listen) return cmdChatListen(args);
+
+  const content = args.message !== undefined && args.message !== true ? String(args.message) : '';
   if (!content) {
-    console.error('Usage: clawdraw chat --message "your message"');
-    process.exit(1);
+    fail('VALIDATION',
+      'Usage: clawdraw chat --message "your message" [--reply-to <id>] [--estimate] [--max-inq N]',
+      '       clawdraw chat --listen [--since 10m] [--near x,y] [--radius N] [--duration S]');
+  }
+  if (content.length > CHAT_MAX_LENGTH) {
+    fail('VALIDATION', `Error: Chat message must be ${CHAT_MAX_LENGTH} characters or fewer`);
   }
-  if (content.length > 500) {
-    console.error('Error: Chat message must be 500 characters or fewer');
-    process.exit(1);
+  if (args['reply-to'] === true) {
+    fail('VALIDATION', 'Error: --reply-to needs the ID of the message you are answering (see chat --listen)');
   }
+  const replyTo = args['reply-to'] !== undefined ? String(args['reply-to']) : undefined;
+  const budget = resolveChatBudget(args);
+
+  console.log(`Estimate: ~${CHAT_INQ} INQ`);
+  guardInq(args, CHAT_INQ);
 
   try {
-    const token = await getToken(CLAWDRAW_API_KEY);
-    const ws = await connect(token, { username: CLAWDRAW_DISPLAY_NAME });
+    const before = await readInqBalance();
+    const ws = await connect(api, { username: CLAWDRAW_DISPLAY_NAME, chatBudget: budget });
+    let sent;
+    try {
+      sent = await sendChatMessage(ws, content, { replyTo });
+    } finally {
+      disconnect(ws);
+    }
 
-    // Wait briefly for sync.error (rate limit or invalid content)
-    const result = await new Promise((resolve) => {
-      const timeout = setTimeout(() => resolve({ ok: true }), 3000);
+    if (sent.message && !CLAWDRAW_NO_HISTORY) recordChatMessages([sent.message]);
+    const id = sent.message?.id ?? null;
+    console.log(`Chat sent${replyTo ? ` in reply to ${replyTo}` : ''}: "${content}"${id ? ` (${id})` : ''}`);
+    report({ sent: content, id, replyTo: replyTo ?? null, inq: sent.inq });
+    await recordSpend({ command: 'chat', estimatedInq: CHAT_INQ, before });
+    process.exit(0);
+  } catch (err) {
+    fail(codeForError(err), `Error: ${err.message}`);
+  }
+}
 
-      ws.on('message', (data) => {
-        try {
-          const msg = JSON.parse(data);
-          if (msg.type === 'sync.error') {
-            clearTimeout(timeout);
-            resolve({ ok: false, error: msg.message || msg.code || 'Unknown error' });
-          }
-        } catch { /* ignore parse errors */ }
-      });
+async function cmdChatListen(args) {
+  if (args.message !== undefined) {
+    fail('VALIDATION', 'Error: Use either --listen or --message, not both');
+  }
+  const since = args.since !== undefined ? parseChatSince(args.since) : undefined;
+  let near = null;
+  if (args.near !== undefined) {
+    const [x, y] = String(args.near).split(',').map(Number);
+    const radius = args.radius !== undefined ? Number(args.radius) : CHAT_NEAR_RADIUS;
+    if (!Number.isFinite(x) || !Number.isFinite(y)) {
+      fail('VALIDATION', `Error: --near must be x,y (got "${args.near}")`);
+    }
+    if (!(radius > 0) || !Number.isFinite(radius)) {
+      fail('VALIDATION', 'Error: --radius must be a positive number');
+    }
+    near = { x, y, radius };
+  }
+  const duration = args.duration !== undefined ? Number(args.duration) : 0;
+  if (!(duration >= 0)) {
+    fail('VALIDATION', 'Error: --duration must be a non-negative number of seconds');
+  }
 
-      ws.send(JSON.stringify({
-        type: 'chat.send',
-        chatMessage: { content },
-      }));
-    });
+  let conn;
+  try {
+    conn = await connectWithRetry(api, { username: CLAWDRAW_DISPLAY_NAME, ...(near ? viewportForArea(near) : {}) });
+  } catch (err) {
+    fail(codeForError(err), `Error: ${err.message}`);
+  }
+
+  // Status goes to stderr so stdout is nothing but messages
+  console.warn(`Listening for chat${near ? ` within ${near.radius} units of (${near.x}, ${near.y})` : ''}. ` +
+    `Answer with: clawdraw chat --reply-to <id> --message "..." (${CHAT_INQ} INQ each). ` +
+    (duration > 0 ? `Stopping after ${duration}s.` : 'Press Ctrl+C to stop.'));
+
+  const seen = new Set();
+  let streamed = 0;
+  const print = (msg) => {
+    if (seen.has(msg.id)) return;
+    seen.add(msg.id);
+    // Messages without a sender position can't be placed, so --near drops them
+    if (near && !(Number.isFinite(msg.x) && Math.hypot(msg.x - near.x, msg.y - near.y) <= near.radius)) return;
+    streamed++;
+    process.stdout.write(JSON.stringify(msg) + '\n');
+  };
+  // Live messages wait until the history is out, so the stream stays in order
+  let backlog = [];
+  conn.on('chat', (msg) => {
+    if (!CLAWDRAW_NO_HISTORY) recordChatMessages([msg]);
+    if (backlog) backlog.push(msg);
+    else print(msg);
+  });
+  if (since !== undefined) {
+    // Only the dev-relay emulator is known to answer chat.history, so the
+    // backlog is what this machine logged, plus whatever the relay sends
+    let relayed = [];
+    try {
+      relayed = await conn.fetchChatHistory({ since, limit: CHAT_HISTORY_MAX });
+    } catch (err) {
+      console.warn(`No chat history from the relay (${err.message}); showing messages seen on this machine only.`);
+    }
+    if (!CLAWDRAW_NO_HISTORY) recordChatMessages(relayed);
+    [...loadChatLog({ since }), ...relayed]
+      .sort((a, b) => (Number(a.createdAt) || 0) - (Number(b.createdAt) || 0))
+      .forEach(print);
+  }
+  backlog.forEach(print);
+  backlog = null;
+
+  await untilStopped(duration);
+  conn.disconnect();
+  console.warn(`Stopped listening (${streamed} message${streamed === 1 ? '' : 's'}).`);
+  report({ messages: streamed, replyInq: CHAT_INQ });
+  process.exit(0);
+}
 
-    disconnect(ws);
+// ---------------------------------------------------------------------------
+// Watch — stream canvas activity around a point as JSON lines
+// ---------------------------------------------------------------------------
 
-    if (!result.ok) {
-      console.error(`Error: ${result.error}`);
-      process.exit(1);
+/** Events `watch` streams unless --events says otherwise (initial state and tile refreshes are left out). */
+const WATCH_DEFAULT_EVENTS = CANVAS_EVENTS.filter(e => !['chunks.initial', 'images.initial', 'tile.updated'].includes(e));
+const WATCH_DEFAULT_RADIUS = 1000;
+
+/**
+ * Whether an event happened inside the watched circle. The relay sends
+ * whole chunks, so this trims them to the radius; chat, deletions and
+ * departures carry no position and always pass.
+ */
+function inWatchArea(event, payload, { x, y, radius }) {
+  const near = (px, py) => Math.hypot(px - x, py - y) <= radius;
+  switch (event) {
+    case 'stroke.added':
+      return (payload.stroke?.points || []).some(p => near(p.x, p.y));
+    case 'image.placed': {
+      const img = payload.image || {};
+      const nx = Math.max(img.x, Math.min(x, img.x + img.width));
+      const ny = Math.max(img.y, Math.min(y, img.y + img.height));
+      return near(nx, ny);
     }
+    case 'presence':
+      return payload.left || (payload.cursor !== undefined && near(payload.cursor.x, payload.cursor.y));
+    case 'waypoint.added':
+      return near(payload.waypoint?.x, payload.waypoint?.y);
+    default:
+      return true;
+  }
+}
 
-    console.log(`Chat sent: "${content}"`);
-    process.exit(0);
+/** Resolve on Ctrl+C / SIGTERM, or after `seconds` when that is above 0. */
+function untilStopped(seconds) {
+  return new Promise((resolve) => {
+    process.once('SIGINT', resolve);
+    process.once('SIGTERM', resolve);
+    if (seconds > 0) setTimeout(resolve, seconds * 1000);
+  });
+}
+
+async function cmdWatch(args) {
+  const cx = Number(args.cx);
+  const cy = Number(args.cy);
+  const radius = args.radius !== undefined ? Number(args.radius) : WATCH_DEFAULT_RADIUS;
+  const duration = args.duration !== undefined ? Number(args.duration) : 0;
+  if (args.cx === undefined || args.cy === undefined) {
+    fail('VALIDATION', 'Usage: clawdraw watch --cx N --cy N [--radius 1000] [--events a,b,...] [--duration S]');
+  }
+  if (!Number.isFinite(cx) || !Number.isFinite(cy)) {
+    fail('VALIDATION', 'Error: --cx and --cy must be numbers');
+  }
+  if (!(radius > 0) || !Number.isFinite(radius)) {
+    fail('VALIDATION', 'Error: --radius must be a positive number');
+  }
+  if (!(duration >= 0)) {
+    fail('VALIDATION', 'Error: --duration must be a non-negative number of seconds');
+  }
+  const events = args.events ? String(args.events).split(',').map(e => e.trim()).filter(Boolean) : WATCH_DEFAULT_EVENTS;
+  const unknown = events.filter(e => !CANVAS_EVENTS.includes(e));
+  if (unknown.length > 0) {
+    fail('VALIDATION', `Error: Unknown event(s) ${unknown.join(', ')}. Use: ${CANVAS_EVENTS.join(', ')}`);
+  }
+
+  const area = { x: cx, y: cy, radius };
+  let conn;
+  try {
+    conn = await connectWithRetry(api, { username: CLAWDRAW_DISPLAY_NAME, ...viewportForArea(area) });
   } catch (err) {
-    console.error('Error:', err.message);
-    process.exit(1);
+    fail(codeForError(err), `Error: ${err.message}`);
   }
+
+  // Status goes to stderr so stdout is nothing but events
+  console.warn(`Watching ${radius} units around (${cx}, ${cy}): ${events.join(', ')}. ${duration > 0 ? `Stopping after ${duration}s.` : 'Press Ctrl+C to stop.'}`);
+  let streamed = 0;
+  conn.on('*', (payload, event) => {
+    if (event === 'chat' && !CLAWDRAW_NO_HISTORY) recordChatMessages([payload]);
+    if (!events.includes(event) || !inWatchArea(event, payload, area)) return;
+    streamed++;
+    process.stdout.write(JSON.stringify({ event, at: new Date().toISOString(), ...payload }) + '\n');
+  });
+
+  await untilStopped(duration);
+  conn.disconnect();
+  console.warn(`Stopped watching (${streamed} event${streamed === 1 ? '' : 's'}).`);
+  report({ center: { x: cx, y: cy }, radius, events: streamed });
+  process.exit(0);
 }
 
 const TILE_CDN_URL = (process.env.CLAWDRAW_RELAY_URL || 'https://relay.clawdraw.ai') + '/tiles';
@@ -635,154 +950,677 @@ async function cmdInspectArea(args) {
     chunks,
     pixelScale: 4,
   };
-  console.log(JSON.stringify(result));
+  report(result);
+  if (!isJsonOutput()) console.log(JSON.stringify(result));
 }
 
 
 // ---------------------------------------------------------------------------
-// Undo — delete last N image placements via WebSocket
+// Stroke drawing — draw / stroke / compose / paint
 // ---------------------------------------------------------------------------
 
-async function cmdUndo(args) {
-  const count = Math.max(1, Number(args.count) || 1);
-  const sessions = loadStrokeHistory();
-
-  // Filter to image sessions only
-  const imageSessions = sessions.filter(s => s.type === 'image' && Array.isArray(s.imageIds) && s.imageIds.length > 0);
+/** Print a stroke-count / INQ estimate line. */
+function printStrokeEstimate(strokes) {
+  const est = estimateStrokesInq(strokes);
+  console.log(`Estimate: ${est.strokes} strokes, ${est.points} points, ~${est.inq} INQ`);
+  report({ estimate: est });
+  return est;
+}
 
-  if (imageSessions.length === 0) {
-    console.log('No image placements in history to undo.');
-    console.log('(History is stored at ~/.clawdraw/stroke-history.json)');
-    process.exit(0);
+/**
+ * Render strokes offline to the --out PNG (see rasterize.mjs). Exits on a
+ * bad --preview-scale or an unwritable path.
+ */
+function writeStrokePreview(strokes, args) {
+  const scale = args['preview-scale'] !== undefined ? Number(args['preview-scale']) : undefined;
+  if (scale !== undefined && !(scale > 0)) {
+    fail('VALIDATION', 'Error: --preview-scale must be a positive number (pixels per canvas unit)');
   }
+  try {
+    const png = renderStrokesPng(strokes, { scale });
+    fs.writeFileSync(String(args.out), png);
+  } catch (err) {
+    fail(codeForError(err), `Error writing preview: ${err.message}`);
+  }
+  console.log(`Preview: ${path.resolve(String(args.out))}`);
+  report({ preview: path.resolve(String(args.out)) });
+}
 
-  // Take the last N sessions
-  const toUndo = imageSessions.slice(-count);
-  const imageIds = toUndo.flatMap(s => s.imageIds);
-
-  console.log(`Undoing ${toUndo.length} image placement(s) — ${imageIds.length} image(s)...`);
+/**
+ * Estimate, then send strokes through drawAndTrack (waypoint, browser,
+ * snapshot). With `absolute` the strokes keep their coordinates; otherwise
+ * the drawing is centred on --cx/--cy, or auto-placed in empty space when
+ * those are omitted.
+ *
+ * @param {Array} strokes
+ * @param {object} args - Parsed CLI args (--cx, --cy, --symmetry, --dry-run, --out, --estimate, --max-inq, --no-waypoint, --name)
+ * @param {object} opts
+ * @param {string} opts.command - Command name for the spend ledger
+ * @param {string} opts.name - Default waypoint name
+ * @param {boolean} [opts.absolute=false]
+ */
+async function sendDrawing(strokes, args, { command, name, absolute = false }) {
+  const cx = args.cx !== undefined ? Number(args.cx) : undefined;
+  const cy = args.cy !== undefined ? Number(args.cy) : undefined;
+  if ((cx !== undefined && !Number.isFinite(cx)) || (cy !== undefined && !Number.isFinite(cy))) {
+    fail('VALIDATION', 'Error: --cx and --cy must be numbers');
+  }
+  if (args.out && !args['dry-run']) {
+    fail('VALIDATION', 'Error: --out renders a preview and needs --dry-run');
+  }
 
   try {
-    const token = await getToken(CLAWDRAW_API_KEY);
-    const ws = await connect(token, { username: CLAWDRAW_DISPLAY_NAME });
-
-    let deleted = 0;
-    for (const id of imageIds) {
-      ws.send(JSON.stringify({ type: 'image.delete', imageId: id }));
-      deleted++;
+    strokes = withSymmetry(strokes, args.symmetry, absolute && cx !== undefined && cy !== undefined ? { x: cx, y: cy } : undefined);
+  } catch (err) {
+    fail('VALIDATION', err.message);
+  }
+  if (strokes.length === 0) {
+    fail('VALIDATION', 'Error: nothing to draw (0 strokes)');
+  }
+
+  const est = printStrokeEstimate(strokes);
+  if (args['dry-run']) {
+    const b = computeBoundingBox(strokes);
+    let where = 'as given', dx = 0, dy = 0;
+    if (!absolute && cx !== undefined && cy !== undefined) {
+      dx = cx - Math.round((b.minX + b.maxX) / 2);
+      dy = cy - Math.round((b.minY + b.maxY) / 2);
+      where = `centred on (${cx}, ${cy})`;
+    } else if (!absolute) {
+      where = 'before auto-placement in empty space';
     }
+    console.log(`Bounds: (${Math.round(b.minX + dx)}, ${Math.round(b.minY + dy)}) → (${Math.round(b.maxX + dx)}, ${Math.round(b.maxY + dy)}), ${where}`);
+    if (args.out) writeStrokePreview(strokes, args);
+    console.log('Dry run — nothing sent.');
+    report({ dryRun: true, bounds: { minX: Math.round(b.minX + dx), minY: Math.round(b.minY + dy), maxX: Math.round(b.maxX + dx), maxY: Math.round(b.maxY + dy) } });
+    return;
+  }
+  guardInq(args, est.inq);
 
-    // Brief wait for server processing
-    await sleep(1000);
+  let result, before;
+  const delivery = createDelivery({ command, profile: activeProfile() });
+  try {
+    before = await readInqBalance();
+    const ws = await connect(api, { username: CLAWDRAW_DISPLAY_NAME, center: cx !== undefined && cy !== undefined ? { x: cx, y: cy } : undefined });
+    result = await drawAndTrack(ws, strokes, {
+      cx, cy,
+      name: args.name ? String(args.name) : name,
+      skipWaypoint: !!args['no-waypoint'],
+      absolute,
+      swarm: !!CLAWDRAW_SWARM_ID,
+      journal: delivery,
+    });
     disconnect(ws);
+  } catch (err) {
+    if (delivery.strokes.length > 0) console.error(`Resume with: clawdraw resume-send ${delivery.id}`);
+    fail(codeForError(err), `Error: ${err.message}`);
+  }
+
+  saveStrokeHistory(result.ackedStrokeIds);
+
+  const acked = new Set(result.ackedStrokeIds);
+  const spent = estimateStrokesInq(strokes.filter(s => acked.has(String(s.id)))).inq;
+  console.log(`Sent: ${result.strokesAcked}/${est.strokes} strokes accepted (~${spent} INQ)`);
+  printThroughput(result.throughput);
+  const deliveryStatus = finishDelivery(delivery);
+  report({
+    strokesSent: result.strokesSent,
+    strokesAcked: result.strokesAcked,
+    strokeIds: result.ackedStrokeIds,
+    errors: [...new Set(result.errors)],
+    center: { x: result.cx, y: result.cy },
+    waypointUrl: result.waypointUrl,
+    snapshotPath: result.snapshotPath,
+    delivery: { id: delivery.id, status: deliveryStatus, pending: result.pendingStrokeIds.length, unconfirmed: result.unconfirmedStrokeIds.length },
+    throughput: result.throughput,
+  });
+  await recordSpend({
+    command,
+    estimatedInq: spent,
+    before,
+    area: strokesArea(strokes.filter(s => acked.has(String(s.id)))),
+    strokeIds: result.ackedStrokeIds,
+  });
+  if (result.errors.length > 0) {
+    console.error(`Rejected batches: ${[...new Set(result.errors)].join(', ')}`);
+  }
+  if (result.strokesAcked === 0 || result.errors.includes('INSUFFICIENT_INQ')) {
+    fail(result.errors.includes('INSUFFICIENT_INQ') ? 'INQ' : codeForError({ code: result.errors[0] }) || 'ERROR');
+  }
+  process.exit(0);
+}
 
-    // Remove undone sessions from history
-    const removeTimestamps = new Set(toUndo.map(s => s.timestamp));
-    const remaining = sessions.filter(s => !removeTimestamps.has(s.timestamp));
-    writeStrokeHistory(remaining);
+/** Nearby strokes for collaborator behaviors (GET /api/nearby). */
+async function fetchNearbyStrokes(x, y, radius) {
+  const url = `${RELAY_HTTP_URL}/api/nearby?x=${x}&y=${y}&radius=${radius}&detail=sdf`;
+  return api.fetchJson(url, {}, { tag: 'nearby' });
+}
 
-    console.log(`Undo complete: ${deleted} image(s) deleted.`);
-  } catch (err) {
-    console.error('Error:', err.message);
-    process.exit(1);
+async function cmdDrawList(args) {
+  const prims = await listPrimitives({ category: args.category });
+  let category = null;
+  for (const p of prims) {
+    if (p.category !== category) {
+      console.log(`${category === null ? '' : '\n'}${p.category}:`);
+      category = p.category;
+    }
+    console.log(`  ${p.name.padEnd(22)} ${p.description || ''}${p.source === 'community' ? ' (community)' : ''}`);
   }
 }
 
-// ---------------------------------------------------------------------------
-// Rename — change display name for the session
-// ---------------------------------------------------------------------------
+async function cmdDraw(name, args) {
+  if (!name || args.list) {
+    if (!name && !args.list) {
+      fail('VALIDATION',
+        'Usage: clawdraw draw <primitive> [--param value ...] [--cx N --cy N] [--symmetry MODE] [--dry-run [--out preview.png]]',
+        '       clawdraw draw --list [--category C]   List primitives',
+        '       clawdraw draw <primitive> --info      Show a primitive\'s parameters');
+    }
+    await cmdDrawList(args);
+    return;
+  }
 
-async function cmdRename(args) {
-  const name = args.name;
-  if (!name) {
-    console.error('Usage: clawdraw rename --name <display-name>');
-    process.exit(1);
+  const info = await getPrimitiveInfo(name);
+  if (!info) {
+    fail('VALIDATION', `Unknown primitive "${name}". Run: clawdraw draw --list`);
   }
 
-  if (!/^[a-zA-Z0-9_-]{1,32}$/.test(name)) {
-    console.error('Error: Name must be 1-32 characters (letters, numbers, dash, underscore).');
-    process.exit(1);
+  if (args.info) {
+    console.log(`${info.name} (${info.category}) — ${info.description || ''}`);
+    for (const [key, p] of Object.entries(info.parameters || {})) {
+      const range = p.min !== undefined || p.max !== undefined ? ` [${p.min ?? ''}..${p.max ?? ''}]` : '';
+      const def = p.default !== undefined ? ` default ${JSON.stringify(p.default)}` : '';
+      const opts = p.options ? ` one of ${p.options.join('|')}` : '';
+      console.log(`  --${key.padEnd(18)} ${p.type || 'any'}${p.required ? ', required' : ''}${range}${def}${opts}${p.description ? ` — ${p.description}` : ''}`);
+    }
+    return;
+  }
+
+  // Collaborator behaviors work on the strokes around --cx/--cy
+  const collaborative = info.category === 'collaborator';
+  if (collaborative) {
+    if (args.cx === undefined || args.cy === undefined) {
+      fail('VALIDATION', `Error: ${name} works on existing strokes — pass --cx and --cy near them`);
+    }
+    args = { nearX: args.cx, nearY: args.cy, ...args };
+    try {
+      setNearbyCache(await fetchNearbyStrokes(args.cx, args.cy, Number(args['nearby-radius']) || 500));
+    } catch (err) {
+      fail(codeForError(err), `Error: ${err.message}`);
+    }
   }
 
+  let strokes;
   try {
-    const token = await getToken(CLAWDRAW_API_KEY);
-    const ws = await connect(token);
-    await setUsername(ws, name);
-    disconnect(ws);
-    console.log(`Display name set to "${name}" for this session.`);
-    console.log('Note: This is temporary. Use the web dashboard for a permanent rename.');
+    strokes = await runPrimitive(name, args);
   } catch (err) {
-    console.error('Error:', err.message);
-    process.exit(1);
+    fail(codeForError(err), `${name} failed: ${err.message}`);
   }
+
+  // Primitives place themselves at --cx/--cy; without them they are drawn at
+  // the origin and auto-placed.
+  const positioned = collaborative || (args.cx !== undefined && args.cy !== undefined);
+  await sendDrawing(strokes, args, { command: 'draw', name, absolute: positioned });
 }
 
-// ---------------------------------------------------------------------------
-// Plan-swarm — compute geometry for multi-agent parallel drawing
-// ---------------------------------------------------------------------------
+async function cmdStroke(args) {
+  if (!args.stdin) {
+    fail('VALIDATION',
+      'Usage: <generator> | clawdraw stroke --stdin [--cx N --cy N] [--color C] [--brush-size N] [--opacity N]',
+      '  Reads a JSON array of strokes ({ points: [{x, y}], brush: {size, color, opacity} }) from stdin.',
+      '  Without --cx/--cy the strokes are drawn at their own coordinates.');
+  }
 
-async function cmdPlanSwarm(args) {
-  // Generate swarm ID
-  const now = new Date();
-  const ts = now.toISOString().replace(/\D/g, '').slice(0, 14);
-  const rand = Math.random().toString(16).slice(2, 7);
-  const swarmId = `swarm-${ts}-${rand}`;
+  let strokes;
+  try {
+    const input = JSON.parse(fs.readFileSync(0, 'utf-8'));
+    strokes = normalizeStrokes(input, { color: args.color, brushSize: args['brush-size'], opacity: args.opacity });
+  } catch (err) {
+    fail('VALIDATION', `Invalid stroke input: ${err.message}`);
+  }
 
-  if (Number(args.agents) > 8) console.warn('--agents capped at 8 (max concurrent sessions per agent)');
-  const N = Math.min(8, Math.max(1, Number(args.agents) || 4));
-  const pattern = args.pattern || 'converge';
-  const spread = Number(args.spread) || 3000;
-  const totalBudget = Number(args.budget) || 80000;
-  const jsonOut = args.json || false;
+  await sendDrawing(strokes, args, { command: 'stroke', name: 'Strokes', absolute: args.cx === undefined || args.cy === undefined });
+}
 
-  if (!['converge', 'radiate', 'tile'].includes(pattern)) {
-    console.error('Error: --pattern must be converge, radiate, or tile');
-    process.exit(1);
+async function cmdCompose(args) {
+  if (!args.file) {
+    fail('VALIDATION',
+      'Usage: clawdraw compose --file scene.json [--cx N --cy N] [--symmetry MODE] [--dry-run [--out preview.png]]',
+      '  Scene: { "composition": [{ "primitive": "circle", "params": {...} }, { "strokes": [...] }], "symmetry": "none" }');
   }
 
-  // Parse new args
-  const namesArg = args.names ? String(args.names).split(',').map(s => s.trim()) : [];
-
-  let rolesArg = [];
-  if (args.roles) {
-    try {
-      rolesArg = Array.isArray(args.roles) ? args.roles : JSON.parse(String(args.roles));
-    } catch {
-      console.error('Error: --roles must be a valid JSON array'); process.exit(1);
-    }
+  let scene, strokes;
+  try {
+    scene = JSON.parse(fs.readFileSync(String(args.file), 'utf-8'));
+    strokes = await composeStrokes(scene);
+  } catch (err) {
+    fail('VALIDATION', `Invalid scene: ${err.message}`);
   }
-  const roleMap = new Map(rolesArg.map(r => [r.id, r]));
 
-  const stageMap = new Map();
-  if (args.stages) {
-    String(args.stages).split('|').forEach((group, idx) => {
-      group.split(',').map(s => parseInt(s.trim(), 10)).filter(n => !isNaN(n))
-        .forEach(id => stageMap.set(id, idx));
-    });
+  const symmetry = args.symmetry ?? scene.symmetry;
+  await sendDrawing(strokes, { ...args, symmetry }, {
+    command: 'compose',
+    name: scene.name || path.basename(String(args.file), '.json'),
+    absolute: args.cx === undefined || args.cy === undefined,
+  });
+}
+
+async function cmdPaint(args) {
+  const mode = args.mode || 'vangogh';
+  if (!args.image) {
+    fail('VALIDATION',
+      'Usage: clawdraw paint --image <url|path> [--mode ' + PAINT_MODES.join('|') + ']',
+      '  [--width N]       Canvas width of the painting (default: 600)',
+      '  [--density N]     Stroke density multiplier (default: 1)',
+      '  [--resolution N]  Sampling resolution in px, longest edge (default: 160)',
+      '  [--cx N --cy N]   Centre of the painting (default: auto-placed)',
+      '  [--dry-run]       Trace and estimate only',
+      '  [--out FILE]      With --dry-run, render a PNG preview');
+  }
+  if (!PAINT_MODES.includes(mode)) {
+    fail('VALIDATION', `Error: --mode must be one of: ${PAINT_MODES.join(', ')}`);
   }
 
-  // Determine center
-  let cx = args.cx !== undefined ? Number(args.cx) : undefined;
-  let cy = args.cy !== undefined ? Number(args.cy) : undefined;
+  const canvasWidth = Number(args.width) || 600;
+  let strokes;
+  try {
+    const pixels = await loadImagePixels(String(args.image), { maxSide: Number(args.resolution) || undefined });
+    strokes = traceImage({
+      ...pixels,
+      canvasWidth,
+      canvasHeight: Math.round(canvasWidth * pixels.height / pixels.width),
+      cx: Number(args.cx) || 0,
+      cy: Number(args.cy) || 0,
+    }, { mode, density: Number(args.density) || 1 });
+  } catch (err) {
+    fail(codeForError(err), `Paint failed: ${err.message}`);
+  }
+
+  console.log(`Traced ${args.image} (${mode})`);
+  await sendDrawing(strokes, args, {
+    command: 'paint',
+    name: `Painting (${mode})`,
+    absolute: args.cx !== undefined && args.cy !== undefined,
+  });
+}
+
+// ---------------------------------------------------------------------------
+// Resume send — re-send strokes an interrupted drawing never got acked
+// ---------------------------------------------------------------------------
+
+/** One line on how fast the relay took the strokes (SendResult.throughput). */
+function printThroughput({ elapsedMs, pointsPerSec, rateLimited }) {
+  if (elapsedMs <= 0) return;
+  const limits = rateLimited > 0 ? `, ${rateLimited} rate-limit hit${rateLimited === 1 ? '' : 's'}` : '';
+  console.log(`Throughput: ${pointsPerSec.toLocaleString('en-US')} points/s over ${(elapsedMs / 1000).toFixed(1)}s${limits}`);
+}
+
+/**
+ * Close a delivery journal and, when strokes are still unconfirmed, tell
+ * the user how to send them.
+ *
+ * @returns {string} The delivery's status
+ */
+function finishDelivery(delivery) {
+  let status;
+  try {
+    status = delivery.finish();
+  } catch (err) {
+    console.warn(`WARNING: Could not update the delivery journal: ${err.message}`);
+    return delivery.status;
+  }
+  if (status === 'interrupted') {
+    const unconfirmed = delivery.unconfirmed().length;
+    const unsent = delivery.pending().length - unconfirmed;
+    if (unsent > 0) {
+      console.error(`${unsent} stroke(s) not sent. Resume with: clawdraw resume-send ${delivery.id}`);
+    }
+    if (unconfirmed > 0) printUnconfirmedHint(delivery.id, unconfirmed);
+  }
+  return status;
+}
+
+/** Strokes sent but never answered may have landed; re-sending them is opt-in. */
+function printUnconfirmedHint(id, count) {
+  console.error(`${count} stroke(s) were sent but never confirmed and may already be on the canvas. Check it, then re-send them with: clawdraw resume-send ${id} --include-unconfirmed`);
+}
+
+async function cmdResumeSend(id, args) {
+  if (args.list) {
+    const deliveries = listDeliveries({ status: RESUMABLE_STATUSES });
+    report({ deliveries });
+    if (deliveries.length === 0) {
+      console.log('No interrupted drawings.');
+      return;
+    }
+    for (const d of deliveries) {
+      console.log(`${d.id}  ${d.status.padEnd(11)} ${d.command.padEnd(8)} ${d.strokes} strokes${d.unconfirmed ? ` (${d.unconfirmed} unconfirmed)` : ''}  profile ${d.profile}  ${d.createdAt}`);
+    }
+    return;
+  }
+
+  let delivery;
+  try {
+    delivery = id ? loadDelivery(String(id)) : findLatestDelivery({ profile: activeProfile() });
+  } catch (err) {
+    fail('VALIDATION', `Error: ${err.message}`);
+  }
+  if (!delivery) {
+    if (id) {
+      fail('NOT_FOUND', `Error: Delivery ${id} not found or already complete. Run: clawdraw resume-send --list`);
+    }
+    console.log('No interrupted drawings to resume.');
+    report({ resumed: false });
+    return;
+  }
+  if (delivery.profile !== activeProfile()) {
+    fail('VALIDATION', `Error: Delivery ${delivery.id} was sent by profile "${delivery.profile}". Run: clawdraw resume-send ${delivery.id} --profile ${delivery.profile}`);
+  }
+
+  // Strokes sent but never answered may be on the canvas already, and the
+  // production relay is not known to skip IDs it has seen, so they are
+  // re-sent only on request
+  const unconfirmed = delivery.unconfirmed();
+  const withUnconfirmed = !!args['include-unconfirmed'];
+  const pending = withUnconfirmed ? delivery.pending() : delivery.unsent();
+  console.log(`Resuming ${delivery.id} (${delivery.command}): ${delivery.acked.size}/${delivery.strokes.length} strokes already acked`);
+  report({ deliveryId: delivery.id, command: delivery.command, alreadyAcked: delivery.acked.size, unconfirmed: unconfirmed.length });
+  if (withUnconfirmed && unconfirmed.length > 0) {
+    console.warn(`WARNING: Re-sending ${unconfirmed.length} unconfirmed stroke(s); any that already landed may be drawn and charged twice.`);
+  }
+  if (pending.length === 0) {
+    if (unconfirmed.length > 0) {
+      console.log('Nothing unsent left.');
+      printUnconfirmedHint(delivery.id, unconfirmed.length);
+      report({ status: 'interrupted', strokesAcked: 0 });
+      fail('ERROR');
+    }
+    finishDelivery(delivery);
+    console.log('Nothing left to send.');
+    report({ status: 'complete', strokesAcked: 0 });
+    return;
+  }
+
+  const est = printStrokeEstimate(pending);
+  if (args['dry-run']) {
+    console.log('Dry run — nothing sent.');
+    report({ dryRun: true, pending: pending.length });
+    return;
+  }
+  guardInq(args, est.inq);
+
+  const b = computeBoundingBox(pending);
+  const center = { x: Math.round((b.minX + b.maxX) / 2), y: Math.round((b.minY + b.maxY) / 2) };
+  let result, before;
+  try {
+    before = await readInqBalance();
+    let ws = await connect(api, { username: CLAWDRAW_DISPLAY_NAME, center });
+    // Strokes already at their final coordinates, with the IDs they were
+    // journaled under: no waypoint or placement
+    result = await sendStrokes(ws, pending, {
+      journal: delivery,
+      swarm: !!CLAWDRAW_SWARM_ID,
+      reconnect: async () => {
+        disconnect(ws);
+        return (ws = await connect(api, { username: CLAWDRAW_DISPLAY_NAME, center }));
+      },
+    });
+    disconnect(ws);
+  } catch (err) {
+    fail(codeForError(err), `Error: ${err.message}`);
+  }
+
+  saveStrokeHistory(result.ackedStrokeIds);
+  const acked = new Set(result.ackedStrokeIds);
+  const spent = estimateStrokesInq(pending.filter(s => acked.has(String(s.id)))).inq;
+  console.log(`Sent: ${result.strokesAcked}/${pending.length} remaining strokes accepted (~${spent} INQ)`);
+  printThroughput(result.throughput);
+  const status = finishDelivery(delivery);
+  report({
+    status,
+    strokesSent: result.strokesSent,
+    strokesAcked: result.strokesAcked,
+    strokeIds: result.ackedStrokeIds,
+    pending: result.pendingStrokeIds.length,
+    unconfirmed: delivery.unconfirmed().length,
+    errors: [...new Set(result.errors)],
+    throughput: result.throughput,
+  });
+  await recordSpend({
+    command: 'resume-send',
+    estimatedInq: spent,
+    before,
+    area: strokesArea(pending.filter(s => acked.has(String(s.id)))),
+    strokeIds: result.ackedStrokeIds,
+  });
+  if (result.errors.length > 0) {
+    console.error(`Rejected batches: ${[...new Set(result.errors)].join(', ')}`);
+  }
+  if (status !== 'complete') {
+    fail(result.errors.includes('INSUFFICIENT_INQ') ? 'INQ' : codeForError({ code: result.errors[0] }) || 'ERROR');
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Undo — delete image placements via WebSocket, confirmed by the relay
+// ---------------------------------------------------------------------------
+
+async function cmdUndo(args) {
+  let targets;
+  try {
+    targets = selectUndoTargets(loadStrokeHistory(), args);
+  } catch (err) {
+    fail('VALIDATION', `Error: ${err.message}`);
+  }
+
+  if (targets.length === 0) {
+    console.log('No matching image placements in history to undo.');
+    console.log('(History is stored at ~/.clawdraw/stroke-history.json)');
+    report({ deleted: [], unconfirmed: [], failed: [], redoable: 0 });
+    process.exit(0);
+  }
+
+  console.log(`Undoing ${targets.length} image(s)...`);
+
+  let results;
+  try {
+    const ws = await connect(api, { username: CLAWDRAW_DISPLAY_NAME });
+    const res = await deleteImages(ws, targets.map(t => t.id));
+    disconnect(ws);
+    results = res.results.map((r, i) => ({ ...targets[i], ...r }));
+  } catch (err) {
+    fail(codeForError(err), `Error: ${err.message}`);
+  }
+  for (const r of results) {
+    if (r.ok && r.unconfirmed) console.log(`  ? ${r.id} delete sent, no answer from the relay`);
+    else if (r.ok) console.log(`  ✓ ${r.id} deleted`);
+    else console.error(`  ✗ ${r.id}: ${r.error}`);
+  }
+
+  // Forget only confirmed deletes; refused ones stay undoable, and unanswered
+  // ones stay in history (marked) and off the redo stack, since they may still be placed
+  const deleted = results.filter(r => r.ok && !r.unconfirmed);
+  const unconfirmed = results.filter(r => r.ok && r.unconfirmed);
+  const failed = results.filter(r => !r.ok);
+  forgetImages(deleted.map(r => r.id));
+  markUnconfirmedDeletes(unconfirmed.map(r => r.id));
+  const redoable = pushRedo(deleted.map(r => r.details));
+  pruneImageCache();
+
+  console.log(`Undo complete: ${deleted.length}/${results.length} image(s) deleted.`);
+  if (unconfirmed.length > 0) {
+    console.log(`${unconfirmed.length} delete(s) unanswered; they stay in history. Check the canvas, then ` +
+      `retry with: clawdraw undo --id ${unconfirmed.map(r => r.id).join(',')}`);
+  }
+  if (redoable.length > 0) console.log(`Restore with: clawdraw redo --count ${redoable.length}`);
+  report({
+    deleted: deleted.map(r => r.id),
+    unconfirmed: unconfirmed.map(r => r.id),
+    failed: failed.map(r => ({ id: r.id, code: r.code ?? null, error: r.error })),
+    redoable: redoable.length,
+  });
+  if (failed.length > 0) fail(codeForError(failed[0]) || 'ERROR');
+}
+
+// ---------------------------------------------------------------------------
+// Redo — place undone images again from the local cache
+// ---------------------------------------------------------------------------
+
+async function cmdRedo(args) {
+  const stack = loadRedoStack();
+  if (stack.length === 0) {
+    console.log('Nothing to redo.');
+    report({ redone: [] });
+    process.exit(0);
+  }
+
+  const { images: toRedo, missing, uncached } = selectRedoTargets(stack, args);
+  if (missing.length > 0) {
+    fail('NOT_FOUND', `Not in the redo stack: ${missing.join(', ')}`);
+  }
+  for (const img of uncached) {
+    console.error(`Cached image for ${img.id} is missing (${img.file}); it can't be redone.`);
+  }
+  if (uncached.length > 0) fail('NOT_FOUND');
+
+  const estimatedInq = toRedo.reduce((sum, img) => sum + estimatePgsInq(img.resolution), 0);
+  console.log(`Estimate: ~${estimatedInq} INQ to place ${toRedo.length} image(s) again`);
+  guardInq(args, estimatedInq);
+
+  try {
+    await api.token();
+  } catch (err) {
+    fail(codeForError(err), `Error: ${err.message}`);
+  }
+
+  const redone = [];
+  for (const img of toRedo) {
+    console.log(`\nRedo ${img.id} → (${img.x}, ${img.y}) ${img.width}x${img.height}`);
+    let job;
+    try {
+      ({ job } = await proposePgs(img));
+    } catch (err) {
+      fail(codeForError(err), `Error: ${err.message}`);
+    }
+    if (job.status === 'failed') {
+      fail('LOCK', `The area is no longer available (${job.error}). ${img.id} stays in the redo stack.`);
+    }
+    // The cached PNG is the final upload, so there is nothing to generate or blend
+    updateJob(job.id, { status: 'generated', resultPath: img.file, redoOf: img.id });
+    await cmdPlaceImage({ job: job.id });
+    writeRedoStack(loadRedoStack().filter(entry => entry.id !== img.id));
+    redone.push({ undoneId: img.id, imageId: loadJob(job.id)?.imageId ?? null, jobId: job.id });
+  }
+  pruneImageCache();
+  report({ redone });
+}
+
+// ---------------------------------------------------------------------------
+// Rename — change display name for the session
+// ---------------------------------------------------------------------------
+
+async function cmdRename(args) {
+  const name = args.name;
+  if (!name) {
+    fail('VALIDATION', 'Usage: clawdraw rename --name <display-name>');
+  }
+
+  if (!/^[a-zA-Z0-9_-]{1,32}$/.test(name)) {
+    fail('VALIDATION', 'Error: Name must be 1-32 characters (letters, numbers, dash, underscore).');
+  }
+
+  try {
+    const ws = await connect(api);
+    await setUsername(ws, name);
+    disconnect(ws);
+    console.log(`Display name set to "${name}" for this session.`);
+    report({ username: name });
+    console.log('Note: This is temporary. Use the web dashboard for a permanent rename.');
+  } catch (err) {
+    fail(codeForError(err), `Error: ${err.message}`);
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Plan-swarm — compute geometry for multi-agent parallel drawing
+// ---------------------------------------------------------------------------
+
+async function cmdPlanSwarm(args) {
+  // Generate swarm ID
+  const now = new Date();
+  const ts = now.toISOString().replace(/\D/g, '').slice(0, 14);
+  const rand = Math.random().toString(16).slice(2, 7);
+  const swarmId = `swarm-${ts}-${rand}`;
+
+  if (Number(args.agents) > 8) console.warn('--agents capped at 8 (max concurrent sessions per agent)');
+  const N = Math.min(8, Math.max(1, Number(args.agents) || 4));
+  const pattern = args.pattern || 'converge';
+  const spread = Number(args.spread) || 3000;
+  const totalBudget = Number(args.budget) || 80000;
+  const jsonOut = isJsonOutput();
+
+  if (!['converge', 'radiate', 'tile'].includes(pattern)) {
+    fail('VALIDATION', 'Error: --pattern must be converge, radiate, or tile');
+  }
+
+  // Parse new args
+  const namesArg = args.names ? String(args.names).split(',').map(s => s.trim()) : [];
+
+  let rolesArg = [];
+  if (args.roles) {
+    try {
+      rolesArg = Array.isArray(args.roles) ? args.roles : JSON.parse(String(args.roles));
+    } catch {
+      fail('VALIDATION', 'Error: --roles must be a valid JSON array');
+    }
+  }
+  const roleMap = new Map(rolesArg.map(r => [r.id, r]));
+
+  // Each worker runs under its own profile so their token caches don't collide
+  const profilesArg = args.profiles ? String(args.profiles).split(',').map(s => s.trim()) : [];
+  try {
+    if (profilesArg.length > 0 && profilesArg.length < N) {
+      throw new Error(`--profiles needs ${N} names, one per agent (got ${profilesArg.length})`);
+    }
+    if (new Set(profilesArg).size !== profilesArg.length) {
+      throw new Error('--profiles names must be distinct');
+    }
+    profilesArg.forEach(name => checkProfileName(name, '--profiles'));
+  } catch (err) {
+    fail('VALIDATION', `Error: ${err.message}`);
+  }
+
+  // The swarm's total budget is what the plan commits to spending
+  if (!jsonOut || args.estimate) {
+    console.log(`Estimate: up to ${totalBudget} INQ across ${N} agents (${Math.floor(totalBudget / N)} each)`);
+  }
+  guardInq(args, totalBudget);
+
+  const stageMap = new Map();
+  if (args.stages) {
+    String(args.stages).split('|').forEach((group, idx) => {
+      group.split(',').map(s => parseInt(s.trim(), 10)).filter(n => !isNaN(n))
+        .forEach(id => stageMap.set(id, idx));
+    });
+  }
+
+  // Determine center
+  let cx = args.cx !== undefined ? Number(args.cx) : undefined;
+  let cy = args.cy !== undefined ? Number(args.cy) : undefined;
 
   if (cx === undefined || cy === undefined) {
     // Auto-find empty space
     try {
-      const token = await getToken(CLAWDRAW_API_KEY);
-      const res = await fetch(`${RELAY_HTTP_URL}/api/find-space?mode=empty`, {
-        headers: { 'Authorization': `Bearer ${token}` },
-      });
+      const res = await api.fetch(`${RELAY_HTTP_URL}/api/find-space?mode=empty`, {}, { retries: 3, tag: 'find-space' });
       if (res.ok) {
         const data = await res.json();
         cx = data.canvasX;
         cy = data.canvasY;
       } else {
-        console.error('Could not find empty space. Provide --cx and --cy explicitly.');
-        process.exit(1);
+        fail('ERROR', 'Could not find empty space. Provide --cx and --cy explicitly.');
       }
     } catch (err) {
-      console.error('Error finding space:', err.message);
-      process.exit(1);
+      fail(codeForError(err), `Error finding space: ${err.message}`);
     }
   }
 
@@ -817,6 +1655,7 @@ async function cmdPlanSwarm(args) {
         env: {
           CLAWDRAW_DISPLAY_NAME: `swarm-${LABELS[i] || `A${i}`}`,
           CLAWDRAW_SWARM_ID: swarmId,
+          CLAWDRAW_MAX_INQ: String(perAgent),
         },
       });
     }
@@ -840,6 +1679,7 @@ async function cmdPlanSwarm(args) {
         env: {
           CLAWDRAW_DISPLAY_NAME: `swarm-${LABELS[i] || `A${i}`}`,
           CLAWDRAW_SWARM_ID: swarmId,
+          CLAWDRAW_MAX_INQ: String(perAgent),
         },
       });
     }
@@ -859,6 +1699,8 @@ async function cmdPlanSwarm(args) {
     a.stage = stage;
     a.instructions = role.instructions || null;
     a.env.CLAWDRAW_DISPLAY_NAME = name;
+    a.profile = profilesArg[a.id] || `worker-${a.id}`;
+    a.env.CLAWDRAW_PROFILE = a.profile;
     if (!stageToAgents.has(stage)) stageToAgents.set(stage, []);
     stageToAgents.get(stage).push(a.id);
   }
@@ -882,7 +1724,7 @@ async function cmdPlanSwarm(args) {
       waypointAgent: 0,
       agents,
     };
-    console.log(JSON.stringify(output, null, 2));
+    report(output);
   } else {
     const choreoNote = choreographed ? ` (choreographed, ${stageCount} stages)` : '';
     console.log(`Swarm plan: ${N} agents, ${pattern} pattern${choreoNote}`);
@@ -905,7 +1747,7 @@ async function cmdPlanSwarm(args) {
           const nameStr = a.name ? `"${a.name}"` : '';
           const roleStr = a.role || '';
           const dirStr = a.direction || '';
-          console.log(`  Agent ${a.id} [${a.label}]  ${nameStr}  ${roleStr}  ${dirStr}  start (${a.cx}, ${a.cy}) ${arrow}  ${a.budget} INQ  ${wpNote}`);
+          console.log(`  Agent ${a.id} [${a.label}]  ${nameStr}  ${roleStr}  ${dirStr}  start (${a.cx}, ${a.cy}) ${arrow}  ${a.budget} INQ  profile ${a.profile}  ${wpNote}`);
           if (a.tools.length > 0) {
             // For stage 0 tools, just show the tool name
             // For later stages, show the prescriptive command pattern
@@ -926,7 +1768,7 @@ async function cmdPlanSwarm(args) {
       for (const a of agents) {
         const arrow = pattern === 'tile' ? '(local)' : '→ center';
         const wpNote = a.noWaypoint ? '--no-waypoint' : '[opens waypoint]';
-        console.log(`Agent ${a.id} [${a.label}]  start (${a.cx}, ${a.cy}) ${arrow}  budget: ${a.budget} INQ  ${wpNote}`);
+        console.log(`Agent ${a.id} [${a.label}]  start (${a.cx}, ${a.cy}) ${arrow}  budget: ${a.budget} INQ  profile: ${a.profile}  ${wpNote}`);
       }
       console.log('');
       console.log('Run with --json for machine-readable output to distribute to workers.');
@@ -940,19 +1782,15 @@ async function cmdPlanSwarm(args) {
 
 async function cmdZones() {
   try {
-    const token = await getToken(CLAWDRAW_API_KEY);
-    const resp = await fetch(`${RELAY_HTTP_URL}/api/pgs/zones`, {
-      headers: { Authorization: `Bearer ${token}` },
-    });
+    const resp = await api.fetch(`${RELAY_HTTP_URL}/api/pgs/zones`, {}, { retries: 3, tag: 'zones' });
     if (!resp.ok) {
-      console.error(`Zones failed (${resp.status}): ${await resp.text()}`);
-      process.exit(1);
+      fail(errorCodeForStatus(resp.status) || 'ERROR', `Zones failed (${resp.status}): ${await resp.text()}`);
     }
     const data = await resp.json();
-    console.log(JSON.stringify(data, null, 2));
+    report(data);
+    if (!isJsonOutput()) console.log(JSON.stringify(data, null, 2));
   } catch (err) {
-    console.error('Error:', err.message);
-    process.exit(1);
+    fail(codeForError(err), `Error: ${err.message}`);
   }
 }
 
@@ -960,6 +1798,36 @@ async function cmdZones() {
 // propose-pgs — check if a generation area is available
 // ---------------------------------------------------------------------------
 
+/**
+ * Propose a PGS area and record it as a new job.
+ *
+ * @returns {Promise<{ result: object, job: object }>} Relay response + the stored job
+ */
+async function proposePgs({ x, y, width, height, model }) {
+  const resp = await api.fetch(`${RELAY_HTTP_URL}/api/pgs/propose`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ x, y, width, height, model }),
+  });
+
+  if (!resp.ok) {
+    const err = await resp.text();
+    throw new Error(`Propose failed (${resp.status}): ${err}`);
+  }
+
+  const result = await resp.json();
+
+  // Each proposal becomes its own job, so several areas can be in flight
+  let job = createJob({
+    pgs: { ...result, model, x, y, width, height },
+    ...(CLAWDRAW_SWARM_ID ? { swarmId: CLAWDRAW_SWARM_ID } : {}),
+  });
+  if (!result.approved) {
+    job = updateJob(job.id, { status: 'failed', error: 'PGS not approved' });
+  }
+  return { result, job };
+}
+
 async function cmdProposePgs(args) {
   const x = args.x !== undefined ? Number(args.x) : undefined;
   const y = args.y !== undefined ? Number(args.y) : undefined;
@@ -968,44 +1836,33 @@ async function cmdProposePgs(args) {
   const model = args.model || 'nano-banana-pro';
 
   if (x === undefined || y === undefined || width === undefined || height === undefined) {
-    console.error('Usage: clawdraw propose-pgs --x N --y N --width N --height N --model MODEL');
-    console.error('Models: nano-banana-pro, nano-banana-2, flux-fill-pro, flux-kontext, gpt-image-1.5');
-    process.exit(1);
+    fail('VALIDATION',
+      'Usage: clawdraw propose-pgs --x N --y N --width N --height N --model MODEL [--estimate] [--max-inq N]',
+      'Models: nano-banana-pro, nano-banana-2, flux-fill-pro, flux-kontext, gpt-image-1.5');
   }
 
-  try {
-    const token = await getToken(CLAWDRAW_API_KEY);
-    const resp = await fetch(`${RELAY_HTTP_URL}/api/pgs/propose`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        Authorization: `Bearer ${token}`,
-      },
-      body: JSON.stringify({ x, y, width, height, model }),
-    });
+  // The relay picks the resolution; until it has, assume the default
+  if (args.estimate) {
+    const [resW, resH] = DEFAULT_PGS_RESOLUTION;
+    console.log(`Estimate: ~${estimatePgsInq()} INQ to generate at ${resW}x${resH}px (${PGS_INQ_PER_PIXEL} INQ/px; the proposal reports the exact resolution)`);
+    guardInq(args, estimatePgsInq());
+  }
 
-    if (!resp.ok) {
-      const err = await resp.text();
-      console.error(`Propose failed (${resp.status}): ${err}`);
-      process.exit(1);
+  try {
+    const { result, job } = await proposePgs({ x, y, width, height, model });
+    const estimatedInq = estimatePgsInq(result.resolution);
+    report({ ...result, jobId: job.id, estimatedInq });
+    if (!isJsonOutput()) console.log(JSON.stringify({ ...result, jobId: job.id, estimatedInq }, null, 2));
+    if (result.approved) {
+      try {
+        checkInqCap(estimatedInq, resolveMaxInq(args['max-inq'], CLAWDRAW_MAX_INQ));
+      } catch (err) {
+        updateJob(job.id, { status: 'cancelled', error: 'INQ cap reached' });
+        fail('INQ', `Error: ${err.message}`);
+      }
     }
-
-    const result = await resp.json();
-
-    // Save PGS state for generate command
-    const pgsState = {
-      ...result,
-      model,
-      x, y, width, height,
-    };
-    const statePath = path.join(os.homedir(), '.clawdraw', 'last-pgs.json');
-    fs.mkdirSync(path.dirname(statePath), { recursive: true });
-    fs.writeFileSync(statePath, JSON.stringify(pgsState, null, 2));
-
-    console.log(JSON.stringify(result, null, 2));
   } catch (err) {
-    console.error('Error:', err.message);
-    process.exit(1);
+    fail(codeForError(err), `Error: ${err.message}`);
   }
 }
 
@@ -1013,282 +1870,447 @@ async function cmdProposePgs(args) {
 // generate — acquire lock, capture screenshot, prepare prompt for image gen
 // ---------------------------------------------------------------------------
 
-async function cmdGenerate(args) {
-  const tool = args.tool;
-  const prompt = args.prompt;
-  const target = args.target;
-  const modification = args.modification;
+/** Mask-shaping flags shared by generate, extend and panorama. */
+const MASK_ARG_KEYS = ['mask', 'feather', 'mask-noise', 'mask-noise-scale', 'mask-seed'];
 
-  // Load PGS state from last propose-pgs
-  const statePath = path.join(os.homedir(), '.clawdraw', 'last-pgs.json');
-  let pgsState;
+/** Copy the mask-shaping flags out of a command's args (for passing to generate). */
+function pickMaskArgs(args) {
+  return Object.fromEntries(MASK_ARG_KEYS.filter(k => args[k] !== undefined).map(k => [k, args[k]]));
+}
+
+/**
+ * Parse --mask/--feather/--mask-noise/--mask-noise-scale/--mask-seed,
+ * falling back to the options saved on the job.
+ */
+function parseMaskOptions(args, saved = {}) {
+  const mode = args.mask !== undefined ? String(args.mask) : (saved.mode || 'rect');
+  if (!MASK_MODES.includes(mode)) {
+    throw new Error(`Invalid --mask "${mode}". Must be one of: ${MASK_MODES.join(', ')}`);
+  }
+  const num = (key, savedValue, fallback) => {
+    const v = args[key] !== undefined ? Number(args[key]) : (savedValue ?? fallback);
+    if (!Number.isFinite(v) || v < 0) throw new Error(`--${key} must be a non-negative number`);
+    return v;
+  };
+  const options = {
+    mode,
+    feather: num('feather', saved.feather, 0),
+    noise: num('mask-noise', saved.noise, 0),
+    noiseScale: num('mask-noise-scale', saved.noiseScale, 48),
+    seed: num('mask-seed', saved.seed, 1),
+  };
+  if (options.noiseScale < 1) throw new Error('--mask-noise-scale must be at least 1');
+  return options;
+}
+
+function describeMaskOptions(o) {
+  const parts = [o.mode];
+  if (o.feather) parts.push(`feather ${o.feather}px`);
+  if (o.noise) parts.push(`noise ${o.noise}px`);
+  return parts.join(', ');
+}
+
+/** Lock held by the running command, released by failJob and on SIGINT/SIGTERM. */
+let heldLock = null;
+
+/**
+ * Release any held lock, mark the job failed, then exit with the same message
+ * and error code (null leaves the message to be classified).
+ * Never resolves — callers `await` it so execution stops at the failure.
+ */
+async function failJob(jobId, message, code = 'ERROR') {
+  if (heldLock) {
+    const { lock } = heldLock;
+    stopLockHeartbeat();
+    if (await lock.release()) console.error(`Released PGS lock ${lock.lockId}.`);
+  }
+  try {
+    updateJob(jobId, { status: 'failed', error: message, lockId: undefined, lockExpiresAt: undefined });
+  } catch {}
+  fail(code, message);
+}
 
-  if (args.lockId) {
-    // Resume from existing lock (not yet supported server-side for info fetch from skill)
-    console.error('--lockId resume not yet supported. Run propose-pgs first.');
-    process.exit(1);
+function onLockSignal(signal) {
+  if (!heldLock) process.exit(1);
+  console.error(`\n${signal} received — releasing PGS lock...`);
+  failJob(heldLock.jobId, `Interrupted (${signal})`);
+}
+
+/**
+ * Hold the job's PGS lock for the rest of this command: reuse a stored lock
+ * that still has time left (renewed if the relay allows it), otherwise
+ * acquire a fresh one. A live lock is never re-acquired, since the relay
+ * would see the area as locked by this agent already. Starts the heartbeat
+ * and releases the lock if the process is interrupted.
+ *
+ * @returns {Promise<object>} Lock manager (see pgs-lock.mjs)
+ */
+async function holdJobLock(job) {
+  let lockId, expiresAt;
+  let renewRefused = false;
+  if (job.lockId && lockRemainingMs(job.lockExpiresAt) > PGS_LOCK_MIN_REMAINING_MS) {
+    lockId = job.lockId;
+    expiresAt = Date.now() + lockRemainingMs(job.lockExpiresAt);
+    try {
+      ({ expiresAt } = await renewLock(RELAY_HTTP_URL, api, lockId));
+      console.log(`Reusing PGS lock ${lockId}`);
+    } catch (err) {
+      renewRefused = !!err.status;
+      console.log(`Reusing PGS lock ${lockId} (${Math.round(lockRemainingMs(expiresAt) / 1000)}s left; the relay did not renew it)`);
+    }
   }
+  if (!lockId) {
+    console.log('Acquiring PGS lock...');
+    try {
+      ({ lockId, expiresAt } = await acquireLock(RELAY_HTTP_URL, api, job.pgs));
+    } catch (err) {
+      await failJob(job.id, `PGS ${err.message}`, errorCodeForStatus(err.status) || 'LOCK');
+    }
+  }
+
+  const lock = createLockManager({
+    relayUrl: RELAY_HTTP_URL,
+    token: api,
+    lockId,
+    expiresAt,
+    onRenew: (t) => {
+      try { updateJob(job.id, { lockExpiresAt: new Date(t).toISOString() }); } catch {}
+    },
+    onError: (err) => {
+      if (lock.renewing) {
+        console.warn(`WARNING: Lock renewal failed: ${err.message}`);
+      } else {
+        // Only the dev-relay emulator is known to renew locks
+        console.warn(`WARNING: The relay does not renew PGS locks (${err.message}); lock ${lockId} expires in ${Math.round(lockRemainingMs(lock.expiresAt) / 1000)}s.`);
+      }
+    },
+  });
+
+  // `jobs cancel` from another shell stops this run within one heartbeat
+  // interval, whether or not the relay renews the lock
+  const cancelWatch = setInterval(() => {
+    if (loadJob(job.id)?.status !== 'cancelled') return;
+    stopLockHeartbeat();
+    lock.release().finally(() => {
+      fail('LOCK', `\nJob ${job.id} was cancelled — lock released, stopping.`);
+    });
+  }, PGS_LOCK_RENEW_INTERVAL_MS);
+  cancelWatch.unref?.();
+  heldLock = { lock, jobId: job.id, cancelWatch };
+  // A relay that just refused to renew this lock won't on a heartbeat either
+  if (!renewRefused) lock.start();
+  process.on('SIGINT', onLockSignal);
+  process.on('SIGTERM', onLockSignal);
+
+  updateJob(job.id, { lockId, lockExpiresAt: new Date(expiresAt).toISOString() });
+  return lock;
+}
+
+/** Stop renewing the held lock (it stays valid until it expires). */
+function stopLockHeartbeat() {
+  if (!heldLock) return;
+  heldLock.lock.stop();
+  clearInterval(heldLock.cancelWatch);
+  heldLock = null;
+  process.removeListener('SIGINT', onLockSignal);
+  process.removeListener('SIGTERM', onLockSignal);
+}
 
-  if (!fs.existsSync(statePath)) {
-    console.error('No PGS state found. Run propose-pgs first.');
-    process.exit(1);
+/**
+ * Resolve the job a command operates on: --job, then --lockId, then the
+ * newest job in one of `statuses`.
+ */
+function resolveJob(args, statuses, usageHint) {
+  let job;
+  try {
+    if (args.job !== undefined) {
+      job = loadJob(String(args.job));
+      if (!job) fail('NOT_FOUND', `Job ${args.job} not found. Run: clawdraw jobs list`);
+    } else if (args.lockId !== undefined) {
+      job = findJobByLockId(String(args.lockId));
+      if (!job) fail('NOT_FOUND', `No job holds lock ${args.lockId}. Run: clawdraw jobs list`);
+    } else {
+      job = findLatestJob(statuses);
+      if (!job) fail('VALIDATION', usageHint);
+    }
+  } catch (err) {
+    fail('VALIDATION', err.message);
+  }
+  if (FINISHED_STATUSES.has(job.status)) {
+    fail('VALIDATION', `Job ${job.id} is already ${job.status}.`);
   }
+  return job;
+}
 
-  pgsState = JSON.parse(fs.readFileSync(statePath, 'utf-8'));
+async function cmdGenerate(args) {
+  // Job from --job / --lockId, else the newest proposal
+  const job = resolveJob(args, ['proposed'], 'No pending PGS job found. Run propose-pgs first.');
+  const pgsState = job.pgs || {};
 
   if (!pgsState.approved) {
-    console.error('Last PGS was not approved. Run propose-pgs again.');
-    process.exit(1);
+    fail('VALIDATION', `PGS for job ${job.id} was not approved. Run propose-pgs again.`);
   }
 
+  // Resumed jobs reuse the request recorded on the first attempt
+  const tool = args.tool || job.tool;
+  const prompt = args.prompt || job.prompt;
+  const target = args.target || job.target;
+  const modification = args.modification || job.modification;
+  const sourceId = args.source !== undefined ? String(args.source) : job.source;
+
   const { x, y, width, height, model, resolution } = pgsState;
 
   if (!tool || !prompt) {
-    console.error('Usage: clawdraw generate --tool extend|insert|modify --prompt "..."');
-    console.error('  (x/y/width/height/model come from the last propose-pgs)');
-    process.exit(1);
+    fail('VALIDATION',
+      'Usage: clawdraw generate --tool extend|insert|modify --prompt "..." [--job <id>] [--provider NAME] [--estimate] [--max-inq N]',
+      '  (x/y/width/height/model come from the job\'s propose-pgs; default is the newest proposal)',
+      '  --provider overrides the image-model provider (e.g. mock for offline runs)');
   }
 
   const validTools = ['extend', 'insert', 'modify'];
   if (!validTools.includes(tool)) {
-    console.error(`Invalid tool "${tool}". Must be one of: ${validTools.join(', ')}`);
-    process.exit(1);
+    fail('VALIDATION', `Invalid tool "${tool}". Must be one of: ${validTools.join(', ')}`);
   }
 
   if (tool === 'modify' && (!target || !modification)) {
-    console.error('Tool "modify" requires --target and --modification arguments.');
-    process.exit(1);
+    fail('VALIDATION', 'Tool "modify" requires --target and --modification arguments.');
   }
 
-  let token;
+  let maskOptions;
   try {
-    token = await getToken(CLAWDRAW_API_KEY);
+    maskOptions = parseMaskOptions(args, job.maskOptions);
   } catch (err) {
-    console.error('Auth error:', err.message);
-    process.exit(1);
+    fail('VALIDATION', err.message);
   }
 
-  const [resW, resH] = resolution || [1024, 1024];
+  const filter = args.filter || job.filter || 'bilinear';
+  if (!RESAMPLE_FILTERS.includes(filter)) {
+    fail('VALIDATION', `Invalid --filter "${filter}". Must be one of: ${RESAMPLE_FILTERS.join(', ')}`);
+  }
 
-  // Acquire lock first
-  console.log('Acquiring PGS lock...');
-  let lockId;
+  // Image-model provider follows the PGS model; --provider overrides (e.g. mock)
+  let provider;
   try {
-    const lockResp = await fetch(`${RELAY_HTTP_URL}/api/pgs/lock`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        Authorization: `Bearer ${token}`,
-      },
-      body: JSON.stringify({ x, y, width, height, model, resolution }),
-    });
+    provider = getProvider(args.provider || job.provider || model);
+  } catch (err) {
+    fail('VALIDATION', err.message);
+  }
 
-    if (!lockResp.ok) {
-      const err = await lockResp.text();
-      console.error(`Lock failed (${lockResp.status}): ${err}`);
-      process.exit(1);
-    }
-    const lockData = await lockResp.json();
-    lockId = lockData.lockId;
+  const [resW, resH] = resolution || DEFAULT_PGS_RESOLUTION;
+  const estimatedInq = estimatePgsInq([resW, resH]);
+  console.log(`Estimate: ~${estimatedInq} INQ (${resW}x${resH}px at ${PGS_INQ_PER_PIXEL} INQ/px)`);
+  guardInq(args, estimatedInq);
+
+  updateJob(job.id, {
+    tool, prompt, filter, maskOptions, provider: provider.name,
+    ...(target !== undefined ? { target } : {}),
+    ...(modification !== undefined ? { modification } : {}),
+    ...(sourceId !== undefined ? { source: sourceId } : {}),
+  });
+
+  try {
+    await api.token();
   } catch (err) {
-    console.error('Lock error:', err.message);
-    process.exit(1);
+    fail(codeForError(err), `Auth error: ${err.message}`);
+  }
+  // The PGS charge is measured from here to placement (see place-image)
+  if (job.inqBefore === undefined) {
+    updateJob(job.id, { inqBefore: await readInqBalance() });
   }
 
-  // --- EXTEND tool: Fill Pro outpainting ---
-  // Capture the overlap between existing content and PGS area, place on black canvas,
-  // mask the empty space, single Fill Pro call. Use square PGS to avoid landscape
-  // duplication bug at 50% mask.
-  if (tool === 'extend') {
-    const sharp = (await import('sharp')).default;
-    const bflKey = process.env.BFL_API_KEY;
-    if (!bflKey) { console.error('BFL_API_KEY not set. Required for extend tool.'); process.exit(1); }
+  // Hold the lock (with heartbeat) for the whole capture + generation
+  const lock = await holdJobLock(job);
+  const lockId = lock.lockId;
+  updateJob(job.id, { status: 'locked', error: undefined });
+  console.log(`Job: ${job.id}`);
+  report({ jobId: job.id, lockId, tool, model, area: { x, y, width, height }, resolution: [resW, resH] });
+
+  // --- Build the model request: context image + mask + prompt ---
+  let image;
+  let mask = null;
+  let capture = null;
+  let injectedPrompt;
 
+  if (tool === 'extend') {
+    // Composite every image overlapping the PGS area (z-order) onto a black canvas,
+    // preserve their union, mask the empty space. Use square PGS to avoid the
+    // landscape duplication bug at 50% mask.
     console.log(`Extending area (${x}, ${y}) ${width}x${height} at ${resW}x${resH}px...`);
+    const bbox = { minX: x, minY: y, maxX: x + width, maxY: y + height };
 
-    // 1. Find images overlapping the PGS area, pick best overlap
-    let contentImages = [];
-    try {
-      const resp = await fetch(`${RELAY_HTTP_URL}/api/pgs/area-images`, {
-        method: 'POST',
-        headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
-        body: JSON.stringify({ x, y, width, height }),
-      });
-      if (resp.ok) {
-        const data = await resp.json();
-        contentImages = data.images || [];
-      }
-    } catch { /* no images */ }
+    // 1. Find images overlapping the PGS area, bottom-most first (same order captureFromImages draws)
+    const contentImages = (await fetchAreaImages(RELAY_HTTP_URL, api, bbox))
+      .filter(img => img.x < bbox.maxX && img.x + img.width > bbox.minX &&
+                     img.y < bbox.maxY && img.y + img.height > bbox.minY)
+      .sort((a, b) => (a.createdAt || 0) - (b.createdAt || 0));
 
     if (contentImages.length === 0) {
-      console.error('No existing content found in PGS area. Use insert tool for empty areas.');
-      process.exit(1);
+      await failJob(job.id, 'No existing content found in PGS area. Use insert tool for empty areas.', 'VALIDATION');
     }
 
-    // Sort by overlap area (descending), tie-break by recency
-    const pgsR = x + width, pgsB = y + height;
-    contentImages.sort((a, b) => {
-      const oA = Math.max(0, Math.min(pgsR, a.x + a.width) - Math.max(x, a.x)) *
-                 Math.max(0, Math.min(pgsB, a.y + a.height) - Math.max(y, a.y));
-      const oB = Math.max(0, Math.min(pgsR, b.x + b.width) - Math.max(x, b.x)) *
-                 Math.max(0, Math.min(pgsB, b.y + b.height) - Math.max(y, b.y));
-      return oB - oA || b.createdAt - a.createdAt;
-    });
-    const src = contentImages[0];
-    console.log(`  Source: ${src.id} at (${src.x},${src.y}) ${src.width}x${src.height}`);
-
-    // 2. Capture only the overlap between source and PGS area
-    const overlapBbox = {
-      minX: Math.max(src.x, x),
-      minY: Math.max(src.y, y),
-      maxX: Math.min(src.x + src.width, x + width),
-      maxY: Math.min(src.y + src.height, y + height),
-    };
-    const overlapW = overlapBbox.maxX - overlapBbox.minX;
-    const overlapH = overlapBbox.maxY - overlapBbox.minY;
-    console.log(`  Overlap: (${overlapBbox.minX},${overlapBbox.minY}) ${overlapW}x${overlapH}`);
-
-    const contentBuf = await captureFromImages(RELAY_HTTP_URL, token, overlapBbox, [overlapW, overlapH]);
-    if (!contentBuf) {
-      console.error('Failed to capture content image');
-      process.exit(1);
+    // --source names the image being extended (extend/panorama pass the image they planned from)
+    if (sourceId !== undefined && !contentImages.some(img => img.id === sourceId)) {
+      await failJob(job.id, `Source image ${sourceId} not found in PGS area.`, 'NOT_FOUND');
     }
 
-    // 3. Place content on PGS-resolution canvas, mask the empty space, call Fill Pro
-    // Scale factors: canvas units → PGS pixels
+    // 2. Each image's footprint in PGS pixels (canvas units → PGS pixels)
     const sx = resW / width, sy = resH / height;
-    const cLeft = Math.round((overlapBbox.minX - x) * sx);
-    const cTop = Math.round((overlapBbox.minY - y) * sy);
-    const cW = Math.round(overlapW * sx);
-    const cH = Math.round(overlapH * sy);
-
-    const fillPct = Math.round(100 * (1 - (cW * cH) / (resW * resH)));
-    console.log(`  Content in output: (${cLeft},${cTop}) ${cW}x${cH} of ${resW}x${resH} (${fillPct}% fill)`);
-
-    // Resize content to its footprint in PGS resolution
-    const resizedContent = await sharp(contentBuf).resize(cW, cH, { fit: 'fill' }).png().toBuffer();
-
-    // Place on black canvas at PGS resolution
-    const canvas = await sharp({
-      create: { width: resW, height: resH, channels: 3, background: { r: 0, g: 0, b: 0 } },
-    }).composite([{ input: resizedContent, left: cLeft, top: cTop }])
-      .removeAlpha().png().toBuffer();
-
-    // Build mask: white = empty (fill), black = content (preserve)
-    const maskBuf = Buffer.alloc(resW * resH);
-    for (let row = 0; row < resH; row++) {
-      for (let col = 0; col < resW; col++) {
-        const inContent = col >= cLeft && col < cLeft + cW && row >= cTop && row < cTop + cH;
-        maskBuf[row * resW + col] = inContent ? 0 : 255;
-      }
+    const footprints = contentImages.map(img => {
+      const left = Math.round((Math.max(img.x, x) - x) * sx);
+      const top = Math.round((Math.max(img.y, y) - y) * sy);
+      return {
+        left,
+        top,
+        width: Math.round((Math.min(img.x + img.width, x + width) - x) * sx) - left,
+        height: Math.round((Math.min(img.y + img.height, y + height) - y) * sy) - top,
+      };
+    });
+
+    // 3. Capture the whole PGS area from the source images, flattened onto black
+    capture = await captureFromImages(RELAY_HTTP_URL, api, bbox, [resW, resH], { filter });
+    if (!capture) {
+      await failJob(job.id, 'Failed to capture content image');
+    }
+    image = await sharp(capture).flatten({ background: { r: 0, g: 0, b: 0 } }).png().toBuffer();
+
+    // 4. Build mask: white = empty (fill), black = content (preserve), shaped per --mask/--feather/--mask-noise.
+    //    The content silhouette comes from the capture before flattening, where empty canvas is transparent.
+    const rgba = maskOptions.mode === 'content' ? await sharp(capture).ensureAlpha().raw().toBuffer() : null;
+    const maskBuf = buildOutpaintMask({ width: resW, height: resH, rects: footprints, rgba, ...maskOptions });
+    const cov = maskCoverage(maskBuf);
+    const pct = (n, of = resW * resH) => (of > 0 ? Math.round(100 * n / of) : 0);
+    console.log(`  Mask (${describeMaskOptions(maskOptions)}): ${pct(cov.preserved)}% preserved, ` +
+      `${pct(cov.partial)}% feathered, ${pct(cov.generated)}% generated`);
+    mask = await sharp(maskBuf, { raw: { width: resW, height: resH, channels: 1 } }).png().toBuffer();
+
+    // 5. Per-image report, so extending next to a neighbour's work shows what it keeps
+    const regions = maskCoverageByRegion(maskBuf, resW, resH, footprints);
+    const sources = contentImages.map((img, i) => ({
+      id: img.id,
+      footprint: footprints[i],
+      visiblePx: regions[i].visible,
+      preservedPx: regions[i].preserved,
+      featheredPx: regions[i].partial,
+      regeneratedPx: regions[i].generated,
+    }));
+    console.log(`  Context: ${contentImages.length} image(s), topmost last`);
+    for (const src of sources) {
+      const f = src.footprint;
+      const tag = src.id === sourceId ? ' [source]' : '';
+      const detail = src.visiblePx === 0
+        ? 'fully covered by later images'
+        : `${pct(src.preservedPx, src.visiblePx)}% preserved, ${pct(src.featheredPx, src.visiblePx)}% feathered, ` +
+          `${pct(src.regeneratedPx, src.visiblePx)}% regenerated`;
+      console.log(`    ${src.id}${tag}: (${f.left},${f.top}) ${f.width}x${f.height}px — ${detail}`);
     }
-    const mask = await sharp(maskBuf, { raw: { width: resW, height: resH, channels: 1 } }).png().toBuffer();
+    updateJob(job.id, { sources });
 
-    const fillPrompt = `${prompt}. Same art style, same lighting, same color palette. No text, no words, no letters, no watermarks, no logos.`;
+    injectedPrompt = `${prompt}. Same art style, same lighting, same color palette. No text, no words, no letters, no watermarks, no logos.`;
+  } else {
+    // --- INSERT / MODIFY tools: screenshot of the whole PGS area ---
+    console.log(`Capturing area (${x}, ${y}) ${width}x${height} canvas units at ${resW}x${resH}px...`);
+    const bbox = { minX: x, minY: y, maxX: x + width, maxY: y + height };
 
-    console.log(`  Calling Fill Pro (${resW}x${resH}, ${(resW * resH / 1e6).toFixed(2)}MP)...`);
+    image = await captureFromImages(RELAY_HTTP_URL, api, bbox, [resW, resH], { filter });
+    if (image) {
+      console.log(`  Screenshot from source images (${resW}x${resH}px)`);
+    } else {
+      console.log('  No images found, falling back to tile-based capture...');
+      const grid = getTilesForBounds(bbox);
+      const tileBuffers = await fetchTiles(TILE_CDN_URL, grid.tiles);
+      image = await compositeAndCrop(tileBuffers, grid, bbox, [resW, resH], { filter });
+    }
 
-    const fillBody = {
-      prompt: fillPrompt,
-      image: canvas.toString('base64'),
-      mask: mask.toString('base64'),
-      steps: 50, guidance: 30, output_format: 'png',
-    };
-    const fillResp = await fetch('https://api.bfl.ai/v1/flux-pro-1.0-fill', {
-      method: 'POST',
-      headers: { 'x-key': bflKey, 'Content-Type': 'application/json' },
-      body: JSON.stringify(fillBody),
-    });
-    if (!fillResp.ok) throw new Error(`Fill Pro ${fillResp.status}: ${(await fillResp.text()).slice(0, 200)}`);
-    const fillData = await fillResp.json();
-    const pollingUrl = fillData.polling_url || `https://api.bfl.ai/v1/get_result?id=${fillData.id}`;
-
-    // Poll for result
-    const t0 = Date.now();
-    let finalBuf;
-    while (Date.now() - t0 < 180000) {
-      await new Promise(r => setTimeout(r, 2000));
-      const pr = await fetch(pollingUrl, { headers: { 'x-key': bflKey } });
-      const pd = await pr.json();
-      if (pd.status === 'Ready') {
-        const imgResp = await fetch(pd.result.sample);
-        finalBuf = Buffer.from(await imgResp.arrayBuffer());
+    switch (tool) {
+      case 'insert':
+        injectedPrompt = `Insert into this image: ${prompt}. Blend naturally with the existing scene — match the art style, lighting, and color palette so the insertion looks like it was always part of the image.`;
+        break;
+      case 'modify':
+        injectedPrompt = `In this image, modify ${target} to ${modification}. Preserve the surrounding art style, lighting, and color palette — the modification should blend seamlessly with the rest of the image.`;
         break;
-      }
-      if (pd.status === 'Error' || pd.status === 'Failed') throw new Error('Fill Pro failed: ' + JSON.stringify(pd));
-      process.stdout.write('.');
     }
-    if (!finalBuf) throw new Error('Fill Pro timed out');
-    console.log('');
+  }
 
-    // Resize if Fill Pro returned different dimensions
-    const rMeta = await sharp(finalBuf).metadata();
-    if (rMeta.width !== resW || rMeta.height !== resH) {
-      console.log(`  Fill Pro returned ${rMeta.width}x${rMeta.height}, resizing to ${resW}x${resH}`);
-      finalBuf = await sharp(finalBuf).resize(resW, resH, { fit: 'fill' }).png().toBuffer();
-    }
+  // Context screenshot doubles as the cosine-blend original for place-image
+  const ts = Date.now();
+  const screenshotPath = path.join(os.tmpdir(), `clawdraw-pgs-screenshot-${ts}.png`);
+  fs.writeFileSync(screenshotPath, image);
+  let maskPath = null;
+  if (mask) {
+    maskPath = path.join(os.tmpdir(), `clawdraw-pgs-mask-${ts}.png`);
+    fs.writeFileSync(maskPath, mask);
+  }
+  // Unflattened capture: place-image's blend takes the content it preserves from here, as the mask did
+  let capturePath = null;
+  if (capture) {
+    capturePath = path.join(os.tmpdir(), `clawdraw-pgs-capture-${ts}.png`);
+    fs.writeFileSync(capturePath, capture);
+  }
 
-    // 4. Save for place-image
-    const resultPath = path.join(os.tmpdir(), `clawdraw-extend-result-${Date.now()}.png`);
-    fs.writeFileSync(resultPath, finalBuf);
+  updateJob(job.id, { screenshotPath, maskPath, capturePath, resultPath: undefined, promptPath: undefined });
 
-    const lockState = { lockId, x, y, width, height, model, resolution, tool };
-    fs.writeFileSync(path.join(os.homedir(), '.clawdraw', 'last-lock.json'), JSON.stringify(lockState, null, 2));
+  // --- No credentials for this model: hand the request to the agent ---
+  if (!provider.isConfigured()) {
+    const promptPath = path.join(os.tmpdir(), `clawdraw-pgs-prompt-${ts}.txt`);
+    fs.writeFileSync(promptPath, injectedPrompt, 'utf-8');
+    updateJob(job.id, { promptPath });
+    stopLockHeartbeat();
 
-    console.log(`  Result saved: ${resultPath} (${resW}x${resH}px)`);
     console.log('');
-    console.log('Run: clawdraw place-image --file ' + resultPath);
+    console.log('PGS generation prepared:');
+    console.log(`  Tool: ${tool}`);
+    console.log(`  Area: (${x}, ${y}) ${width}x${height} canvas units`);
+    console.log(`  Resolution: ${resW}x${resH} pixels`);
+    console.log(`  Model: ${model}`);
+    console.log(`  Job: ${job.id}`);
+    console.log(`  Lock: ${lockId} (${Math.round(lockRemainingMs(lock.expiresAt) / 1000)}s left; place-image reuses it until it expires, then re-acquires it)`);
+    console.log(`  Screenshot: ${screenshotPath}`);
+    if (maskPath) console.log(`  Mask: ${maskPath} (white = generate, black = preserve)`);
+    console.log(`  Prompt file: ${promptPath}`);
+    console.log(`  Injected prompt: ${injectedPrompt}`);
+    console.log('');
+    console.log(`${provider.envKey} is not set, so ${provider.label} cannot be called directly.`);
+    console.log('Use your image generation tool to create an image from the screenshot + prompt.');
+    console.log(`Output must be ${resW}x${resH} pixels.`);
+    console.log(`Then run: clawdraw place-image --job ${job.id} --file <result.png>`);
+    console.log('(Lock and placement coordinates are saved in the job.)');
+    report({
+      status: 'prepared',
+      screenshotPath,
+      maskPath,
+      promptPath,
+      prompt: injectedPrompt,
+      next: `clawdraw place-image --job ${job.id} --file <result.png>`,
+    });
     return;
   }
 
-  // --- INSERT / MODIFY tools: capture screenshot + build prompt for external model ---
-  console.log(`Capturing area (${x}, ${y}) ${width}x${height} canvas units at ${resW}x${resH}px...`);
-  const bbox = { minX: x, minY: y, maxX: x + width, maxY: y + height };
-
-  let pngBuf = await captureFromImages(RELAY_HTTP_URL, token, bbox, [resW, resH]);
-  if (pngBuf) {
-    console.log(`  Screenshot from source images (${resW}x${resH}px)`);
-  } else {
-    console.log('  No images found, falling back to tile-based capture...');
-    const grid = getTilesForBounds(bbox);
-    const tileBuffers = await fetchTiles(TILE_CDN_URL, grid.tiles);
-    pngBuf = await compositeAndCrop(tileBuffers, grid, bbox, [resW, resH]);
-  }
-
-  let injectedPrompt;
-  switch (tool) {
-    case 'insert':
-      injectedPrompt = `Insert into this image: ${prompt}. Blend naturally with the existing scene — match the art style, lighting, and color palette so the insertion looks like it was always part of the image.`;
-      break;
-    case 'modify':
-      injectedPrompt = `In this image, modify ${target} to ${modification}. Preserve the surrounding art style, lighting, and color palette — the modification should blend seamlessly with the rest of the image.`;
-      break;
+  // --- Call the provider ---
+  console.log(`  Calling ${provider.label} (${resW}x${resH}, ${(resW * resH / 1e6).toFixed(2)}MP)...`);
+  let finalBuf;
+  try {
+    finalBuf = await generateImage(provider, {
+      image,
+      mask,
+      prompt: injectedPrompt,
+      resolution: [resW, resH],
+      onProgress: () => process.stdout.write('.'),
+    });
+  } catch (err) {
+    console.log('');
+    await failJob(job.id, `Generation failed: ${err.message}`, codeForError(err));
   }
+  console.log('');
 
-  const screenshotPath = path.join(os.tmpdir(), `clawdraw-pgs-screenshot-${Date.now()}.png`);
-  const promptPath = path.join(os.tmpdir(), `clawdraw-pgs-prompt-${Date.now()}.txt`);
-  fs.writeFileSync(screenshotPath, pngBuf);
-  fs.writeFileSync(promptPath, injectedPrompt, 'utf-8');
-
-  const lockState = { lockId, x, y, width, height, model, resolution, screenshotPath, tool };
-  const lockStatePath = path.join(os.homedir(), '.clawdraw', 'last-lock.json');
-  fs.writeFileSync(lockStatePath, JSON.stringify(lockState, null, 2));
+  const resultPath = path.join(os.tmpdir(), `clawdraw-${tool}-result-${ts}.png`);
+  fs.writeFileSync(resultPath, finalBuf);
+  updateJob(job.id, { status: 'generated', resultPath });
+  stopLockHeartbeat();
 
+  console.log(`  Result saved: ${resultPath} (${resW}x${resH}px)`);
   console.log('');
-  console.log('PGS generation prepared:');
-  console.log(`  Tool: ${tool}`);
-  console.log(`  Area: (${x}, ${y}) ${width}x${height} canvas units`);
-  console.log(`  Resolution: ${resW}x${resH} pixels`);
-  console.log(`  Model: ${model}`);
-  console.log(`  Lock: ${lockId}`);
-  console.log(`  Screenshot: ${screenshotPath}`);
-  console.log(`  Prompt file: ${promptPath}`);
-  console.log(`  Injected prompt: ${injectedPrompt}`);
-  console.log('');
-  console.log('Use your image generation tool to create an image from the screenshot + prompt.');
-  console.log(`Output must be ${resW}x${resH} pixels.`);
-  console.log('Then run: clawdraw place-image --file <result.png>');
-  console.log('(Lock and placement coordinates are saved automatically.)');
+  console.log(`Run: clawdraw place-image --job ${job.id}`);
+  report({ status: 'generated', screenshotPath, maskPath, resultPath, next: `clawdraw place-image --job ${job.id}` });
 }
 
 // ---------------------------------------------------------------------------
@@ -1296,29 +2318,32 @@ async function cmdGenerate(args) {
 // ---------------------------------------------------------------------------
 
 async function cmdPlaceImage(args) {
-  const filePath = args.file;
+  const noBlend = args['no-blend'] === true;
+  const blendWidth = args['blend-width'] !== undefined ? Number(args['blend-width']) : 60;
 
-  if (!filePath) { console.error('--file is required'); process.exit(1); }
-  if (!fs.existsSync(filePath)) {
-    console.error(`File not found: ${filePath}`);
-    process.exit(1);
+  if (!Number.isFinite(blendWidth) || blendWidth <= 0) {
+    fail('VALIDATION', 'Error: --blend-width must be a positive number of pixels');
   }
 
-  // Lock state is REQUIRED — must run propose-pgs → generate first
-  const lockStatePath = path.join(os.homedir(), '.clawdraw', 'last-lock.json');
-  if (!fs.existsSync(lockStatePath)) {
-    console.error('No lock found. Run propose-pgs → generate first.');
-    console.error('Manual coordinate placement (--x --y --width --height) is no longer supported.');
-    process.exit(1);
+  // A job is REQUIRED — must run propose-pgs → generate first
+  const job = resolveJob(args, ['generated', 'locked'],
+    'No locked job found. Run propose-pgs → generate first.\n' +
+    'Manual coordinate placement (--x --y --width --height) is no longer supported.');
+  if (!job.pgs?.approved) {
+    fail('VALIDATION', `PGS for job ${job.id} was not approved. Run propose-pgs again.`);
   }
 
-  const lockState = JSON.parse(fs.readFileSync(lockStatePath, 'utf-8'));
-  if (!lockState.lockId) {
-    console.error('Lock state is missing lockId. Run propose-pgs → generate again.');
-    process.exit(1);
+  // --file defaults to the job's generated result
+  const filePath = args.file || job.resultPath;
+  if (!filePath) {
+    fail('VALIDATION', `--file is required (job ${job.id} has no generated result)`);
+  }
+  if (!fs.existsSync(filePath)) {
+    fail('NOT_FOUND', `File not found: ${filePath}`);
   }
 
-  console.log(`Using lock ${lockState.lockId} → (${lockState.x}, ${lockState.y}) ${lockState.width}x${lockState.height}`);
+  const lockState = { ...job.pgs, tool: job.tool, screenshotPath: job.screenshotPath, capturePath: job.capturePath };
+  console.log(`Job ${job.id} → (${lockState.x}, ${lockState.y}) ${lockState.width}x${lockState.height}`);
 
   // Local PNG dimension check (early feedback before server roundtrip)
   let imageBuffer = fs.readFileSync(filePath);
@@ -1331,55 +2356,600 @@ async function cmdPlaceImage(args) {
       const tolerance = 0.10;
       if (Math.abs(pngW - expectedW) / expectedW > tolerance ||
           Math.abs(pngH - expectedH) / expectedH > tolerance) {
-        console.error(`Image dimensions ${pngW}x${pngH} don't match lock resolution ${expectedW}x${expectedH} (±10% tolerance).`);
-        console.error('The server will reject this placement. Generate an image at the correct resolution.');
-        process.exit(1);
+        fail('VALIDATION',
+          `Image dimensions ${pngW}x${pngH} don't match lock resolution ${expectedW}x${expectedH} (±10% tolerance).`,
+          'The server will reject this placement. Generate an image at the correct resolution.');
       }
       console.log(`PNG dimensions ${pngW}x${pngH} match lock resolution ${expectedW}x${expectedH} ✓`);
     }
   }
 
-  const token = await getToken(CLAWDRAW_API_KEY);
+  // Paste original pixels back over the overlap zone (cosine blend).
+  // Extend only — insert/modify intentionally repaint existing content.
+  const screenshotPath = lockState.tool === 'extend' && !noBlend ? lockState.screenshotPath : null;
+  const originalPng = screenshotPath && fs.existsSync(screenshotPath) ? fs.readFileSync(screenshotPath) : null;
+  // Preserve what the Fill mask preserved: opaque pixels of the unflattened capture (jobs from
+  // before capturePath was recorded fall back to the screenshot's non-black pixels)
+  const capturePath = originalPng && lockState.capturePath;
+  const capturePng = capturePath && fs.existsSync(capturePath) ? fs.readFileSync(capturePath) : null;
+  let blend;
+  try {
+    ({ png: imageBuffer, blend } = await blendForPlacement(imageBuffer, { tool: lockState.tool, originalPng, capturePng, noBlend, blendWidth }));
+  } catch (err) {
+    fail(codeForError(err),
+      `Cosine blend failed: ${err.message}`,
+      'Re-run with --no-blend to place the generated file unchanged.');
+  }
+  if (blend === 'disabled') {
+    console.log('Cosine blend skipped (--no-blend).');
+  } else if (blend === 'no-original') {
+    console.warn('WARNING: No context screenshot recorded for this lock — placing without cosine blend.');
+  } else if (blend === 'applied') {
+    const blendedPath = path.join(os.tmpdir(), `clawdraw-blended-${Date.now()}.png`);
+    fs.writeFileSync(blendedPath, imageBuffer);
+    console.log(`Cosine blend applied (${blendWidth}px) → ${blendedPath}`);
+  }
+
   const base64 = imageBuffer.toString('base64');
 
+  const before = await readInqBalance();
+
+  // Reuse the job's lock while it lasts, or re-acquire it if it expired since generate
+  const lock = await holdJobLock(job);
+  console.log(`Using lock ${lock.lockId} (${Math.round(lockRemainingMs(lock.expiresAt) / 1000)}s left)`);
   console.log(`Placing image ${filePath}...`);
 
   // Only send lockId — server uses lock coordinates exclusively
-  const payload = { base64, lockId: lockState.lockId };
+  const payload = { base64, lockId: lock.lockId };
 
-  const resp = await fetch(`${LOGIC_HTTP_URL}/api/agents/images`, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      Authorization: `Bearer ${token}`,
-    },
-    body: JSON.stringify(payload),
-  });
+  let resp;
+  try {
+    // No automatic retries: a repeated upload could place the image twice
+    resp = await api.fetch(`${LOGIC_HTTP_URL}/api/agents/images`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(payload),
+    });
+  } catch (err) {
+    await failJob(job.id, `Place failed: ${err.message}`, codeForError(err));
+  }
 
   if (!resp.ok) {
     const err = await resp.text();
-    console.error(`Place failed (${resp.status}): ${err}`);
-    process.exit(1);
+    await failJob(job.id, `Place failed (${resp.status}): ${err}`, errorCodeForStatus(resp.status) || 'ERROR');
   }
 
   const result = await resp.json();
+  stopLockHeartbeat();
+  updateJob(job.id, { status: 'placed', imageId: result.image.id, placedFile: filePath, lockExpiresAt: undefined, error: undefined });
   console.log(`Image placed: ${result.image.id}`);
+  report({ jobId: job.id, imageId: result.image.id, file: filePath, broadcastOk: result.broadcastOk ?? null });
   if (result.broadcastOk === true) {
     console.log('Broadcast to live clients: OK ✓');
   } else if (result.broadcastOk === false) {
     console.warn('WARNING: Image saved but broadcast to live clients failed.');
     console.warn('Image will appear after page refresh or reconnect.');
   }
-  if (result.lockReleased === false) {
+  if (result.lockReleased === false && !(await releaseLock(RELAY_HTTP_URL, api, lock.lockId))) {
     console.warn('WARNING: Lock release failed. Lock will expire in ~2 minutes.');
   }
 
-  // Clean up lock state
-  try { fs.unlinkSync(lockStatePath); } catch {}
-  try { fs.unlinkSync(path.join(os.homedir(), '.clawdraw', 'last-pgs.json')); } catch {}
+  // Save to undo history, with what redo needs to place it again
+  const imageId = result.image.id;
+  saveImageHistory([imageId], [{
+    id: imageId,
+    x: job.pgs.x,
+    y: job.pgs.y,
+    width: job.pgs.width,
+    height: job.pgs.height,
+    model: job.pgs.model,
+    resolution: job.pgs.resolution,
+    file: CLAWDRAW_NO_HISTORY ? undefined : cacheImage(imageId, imageBuffer),
+  }]);
+  await recordSpend({
+    command: 'place-image',
+    estimatedInq: estimatePgsInq(job.pgs.resolution),
+    before: job.inqBefore ?? before,
+    model: job.pgs.model,
+    area: { x: job.pgs.x, y: job.pgs.y, width: job.pgs.width, height: job.pgs.height },
+    jobId: job.id,
+    tool: job.tool,
+    imageIds: [result.image.id],
+  });
+}
+
+// ---------------------------------------------------------------------------
+// extend — plan a square PGS next to an image, then propose → generate → place
+// ---------------------------------------------------------------------------
+
+/**
+ * Look up a placed image's canvas bounds via /api/pgs/area-images.
+ * The search is centred on the job that placed it, or on --cx/--cy.
+ */
+async function findSourceImage(imageId, args) {
+  let cx, cy;
+  const placed = listJobs({ status: ['placed'] }).find(j => j.imageId === imageId);
+  if (placed) {
+    cx = placed.pgs.x + placed.pgs.width / 2;
+    cy = placed.pgs.y + placed.pgs.height / 2;
+  } else if (args.cx !== undefined && args.cy !== undefined) {
+    cx = Number(args.cx);
+    cy = Number(args.cy);
+  } else {
+    throw new Error(`Image ${imageId} is not in the local job history. Pass --cx N --cy N near it.`);
+  }
+
+  const radius = Math.max(100, Number(args.radius) || 2048);
+  const images = await fetchAreaImages(RELAY_HTTP_URL, api, {
+    minX: cx - radius, minY: cy - radius, maxX: cx + radius, maxY: cy + radius,
+  });
+  const img = images.find(i => i.id === imageId);
+  if (!img) {
+    const err = new Error(`Image ${imageId} not found within ${radius} units of (${cx}, ${cy}).`);
+    err.code = 'NOT_FOUND';
+    throw err;
+  }
+  return img;
+}
+
+async function cmdExtend(args) {
+  const imageId = args.image !== undefined ? String(args.image) : undefined;
+  const direction = args.direction;
+  const prompt = args.prompt;
+  const model = args.model || 'flux-fill-pro';
+  const overlap = args.overlap !== undefined ? Number(args.overlap) : DEFAULT_EXTEND_OVERLAP;
+  const size = args.size !== undefined ? Number(args.size) : undefined;
+
+  if (!imageId || !direction || !prompt) {
+    fail('VALIDATION',
+      'Usage: clawdraw extend --image <id> --direction left|right|up|down --prompt "..."',
+      '  [--overlap 0.33]   Share of the square PGS past the image edge, up to 0.5',
+      '  [--size N]         Maximum PGS side in canvas units',
+      '  [--model MODEL]    PGS model (default: flux-fill-pro)',
+      '  [--cx N --cy N]    Where to look for an image not placed from this machine',
+      '  [--dry-run]        Print the planned PGS and stop');
+  }
+
+  try {
+    await api.token();
+  } catch (err) {
+    fail(codeForError(err), `Auth error: ${err.message}`);
+  }
+
+  let source, plan;
+  try {
+    parseMaskOptions(args); // fail before proposing
+    source = await findSourceImage(imageId, args);
+    plan = planExtend(source, direction, { overlap, size });
+  } catch (err) {
+    fail(codeForError(err) || 'VALIDATION', err.message);
+  }
+
+  console.log(`Source: ${source.id} at (${source.x}, ${source.y}) ${source.width}x${source.height}`);
+  console.log(`Planned PGS (${direction}): (${plan.x}, ${plan.y}) ${plan.width}x${plan.height} — ` +
+    `${Math.round((1 - plan.overlap) * 100)}% content / ${Math.round(plan.overlap * 100)}% mask, +${plan.newUnits} units`);
+
+  if (args['dry-run']) {
+    const planned = { source: { id: source.id, x: source.x, y: source.y, width: source.width, height: source.height }, direction, model, pgs: plan };
+    report({ dryRun: true, ...planned });
+    if (!isJsonOutput()) console.log(JSON.stringify(planned, null, 2));
+    return;
+  }
+
+  let job;
+  try {
+    const proposed = await proposePgs({ x: plan.x, y: plan.y, width: plan.width, height: plan.height, model });
+    job = proposed.job;
+    if (!proposed.result.approved) {
+      fail('ERROR',
+        'PGS was not approved:',
+        JSON.stringify(proposed.result, null, 2));
+    }
+  } catch (err) {
+    fail(codeForError(err), `Error: ${err.message}`);
+  }
+
+  await cmdGenerate({ job: job.id, tool: 'extend', prompt, source: source.id, provider: args.provider, filter: args.filter, 'max-inq': args['max-inq'], ...pickMaskArgs(args) });
+
+  // Without provider credentials generate stops after preparing the request
+  if (loadJob(job.id)?.status !== 'generated') return;
+
+  await cmdPlaceImage({ job: job.id, 'blend-width': args['blend-width'], 'no-blend': args['no-blend'] });
+}
+
+// ---------------------------------------------------------------------------
+// panorama — chain square extends, each frame extending the previous result
+// ---------------------------------------------------------------------------
+
+const PANORAMA_MAX_FRAMES = 20;
+
+/** Read one prompt per line; blank lines and # comments are skipped. */
+function readPromptsFile(file) {
+  return fs.readFileSync(file, 'utf-8')
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#'));
+}
+
+async function cmdPanorama(args) {
+  const fromId = args.from !== undefined ? String(args.from) : undefined;
+  const direction = args.direction;
+  const frames = Number(args.frames);
+  const model = args.model || 'flux-fill-pro';
+  const overlap = args.overlap !== undefined ? Number(args.overlap) : DEFAULT_EXTEND_OVERLAP;
+  const size = args.size !== undefined ? Number(args.size) : undefined;
+
+  if (!fromId || !direction || !(args.prompts || args.prompt)) {
+    fail('VALIDATION',
+      'Usage: clawdraw panorama --from <imageId> --direction left|right|up|down --frames N --prompts prompts.txt',
+      '  --prompts FILE    One prompt per frame (the last line repeats if there are fewer)',
+      '  --prompt "..."    Same prompt for every frame (instead of --prompts)',
+      `  --max-inq N       Total INQ cap for the whole panorama (default: CLAWDRAW_MAX_INQ or ${DEFAULT_MAX_INQ})`,
+      '  [--overlap 0.33] [--size N] [--model MODEL] [--cx N --cy N] [--dry-run]  Same as extend');
+  }
+  if (!Number.isInteger(frames) || frames < 1 || frames > PANORAMA_MAX_FRAMES) {
+    fail('VALIDATION', `Error: --frames must be an integer from 1 to ${PANORAMA_MAX_FRAMES}`);
+  }
+  let maxInq;
+  try {
+    maxInq = resolveMaxInq(args['max-inq'], CLAWDRAW_MAX_INQ);
+  } catch (err) {
+    fail(codeForError(err), `Error: ${err.message}`);
+  }
+
+  let prompts;
+  if (args.prompts) {
+    try {
+      prompts = readPromptsFile(String(args.prompts));
+    } catch (err) {
+      fail(codeForError(err), `Cannot read prompts file: ${err.message}`);
+    }
+    if (prompts.length === 0) {
+      fail('VALIDATION', `No prompts in ${args.prompts}`);
+    }
+  } else {
+    prompts = [String(args.prompt)];
+  }
+  const promptFor = (i) => prompts[Math.min(i, prompts.length - 1)];
+
+  try {
+    await api.token();
+  } catch (err) {
+    fail(codeForError(err), `Auth error: ${err.message}`);
+  }
+
+  let source;
+  try {
+    parseMaskOptions(args); // fail before proposing
+    source = await findSourceImage(fromId, args);
+  } catch (err) {
+    fail(codeForError(err) || 'VALIDATION', err.message);
+  }
+  console.log(`Source: ${source.id} at (${source.x}, ${source.y}) ${source.width}x${source.height}`);
+
+  // Plan every frame up front — each one extends the previous frame's square
+  let plans;
+  try {
+    plans = planPanorama(source, direction, frames, { overlap, size });
+  } catch (err) {
+    fail('VALIDATION', err.message);
+  }
+  plans.forEach((p, i) => {
+    console.log(`  Frame ${i + 1}: (${p.x}, ${p.y}) ${p.width}x${p.height} +${p.newUnits} units — ${promptFor(i)}`);
+  });
+
+  if (args['dry-run']) {
+    const planned = { source: source.id, direction, model, frames: plans.map((pgs, i) => ({ pgs, prompt: promptFor(i) })) };
+    report({ dryRun: true, ...planned });
+    if (!isJsonOutput()) console.log(JSON.stringify(planned, null, 2));
+    return;
+  }
+
+  const { placedIds, spent, stop } = await runPanorama(source, plans, {
+    maxInq,
+    propose: async (plan, i) => {
+      console.log('');
+      console.log(`=== Frame ${i + 1}/${plans.length} ===`);
+      const { job, result } = await proposePgs({ x: plan.x, y: plan.y, width: plan.width, height: plan.height, model });
+      return { job, approved: result.approved, result };
+    },
+    cost: (job) => estimatePgsInq(job.pgs.resolution),
+    cancel: (job) => updateJob(job.id, { status: 'cancelled', error: 'INQ cap reached' }),
+    generate: async (job, i, previous, inqLeft) => {
+      await cmdGenerate({ job: job.id, tool: 'extend', prompt: promptFor(i), source: previous.id, provider: args.provider, filter: args.filter, 'max-inq': inqLeft, ...pickMaskArgs(args) });
+      return loadJob(job.id)?.status === 'generated';
+    },
+    place: async (job) => {
+      await cmdPlaceImage({ job: job.id, 'blend-width': args['blend-width'], 'no-blend': args['no-blend'] });
+      return loadJob(job.id)?.imageId;
+    },
+    waitVisible: (imageId, plan) => {
+      console.log(`Waiting for ${imageId} to become visible...`);
+      return waitForAreaImage(RELAY_HTTP_URL, api, imageId, plan);
+    },
+  });
+
+  const left = stop ? plans.length - stop.frame - 1 : 0;
+  switch (stop?.reason) {
+    case 'not-approved':
+      console.error(`Frame ${stop.frame + 1}: PGS was not approved — stopping.`);
+      console.error(JSON.stringify(stop.result, null, 2));
+      break;
+    case 'error':
+      console.error(`Frame ${stop.frame + 1}: ${stop.error.message} — stopping.`);
+      break;
+    case 'inq-cap':
+      console.log(`Frame ${stop.frame + 1} would cost ~${stop.cost} INQ (spent ${spent} of ${maxInq}) — stopping at the INQ cap.`);
+      break;
+    case 'paused':
+      console.log('');
+      console.log('Panorama paused: frames need a configured provider to chain automatically.');
+      console.log(`Place this frame with place-image --job ${stop.job.id}, then continue with:`);
+      console.log(`  clawdraw panorama --from <placed image id> --direction ${direction} --frames ${left} ...`);
+      break;
+    case 'not-visible':
+      console.error(`Placed image ${stop.imageId} is not visible yet — stopping.`);
+      console.error(`Continue with: clawdraw panorama --from ${stop.imageId} --direction ${direction} --frames ${left} ...`);
+      break;
+  }
+
+  console.log('');
+  console.log(`Panorama: ${placedIds.length}/${plans.length} frame(s) placed, ~${spent} INQ spent.`);
+  if (placedIds.length > 0) console.log(`  Images: ${placedIds.join(', ')}`);
+  report({ framesPlanned: plans.length, framesPlaced: placedIds.length, imageIds: placedIds, inqSpent: spent });
+  if (placedIds.length < plans.length) {
+    const codes = { 'not-approved': 'VALIDATION', 'inq-cap': 'INQ', error: codeForError(stop?.error) };
+    setErrorCode(codes[stop?.reason] ?? 'ERROR');
+    process.exitCode = 1;
+  }
+}
+
+// ---------------------------------------------------------------------------
+// jobs — list, inspect, resume and cancel PGS generation jobs
+// ---------------------------------------------------------------------------
+
+function formatJobLine(job) {
+  const pgs = job.pgs || {};
+  const area = pgs.x !== undefined ? `(${pgs.x}, ${pgs.y}) ${pgs.width}x${pgs.height}` : '-';
+  const line = [job.id, job.status.padEnd(9), (job.tool || '-').padEnd(6), area.padEnd(24), job.updatedAt].join('  ');
+  return job.error ? `${line}  ${job.error}` : line;
+}
+
+async function cmdJobs(sub, id, args) {
+  switch (sub) {
+    case 'list': {
+      const status = args.status ? String(args.status).split(',') : undefined;
+      const jobs = listJobs({ status });
+      report({ jobs });
+      if (isJsonOutput()) return;
+      if (jobs.length === 0) {
+        console.log('No jobs. Run propose-pgs to start one.');
+        return;
+      }
+      for (const job of jobs) console.log(formatJobLine(job));
+      return;
+    }
+
+    case 'show': {
+      if (!id) fail('VALIDATION', 'Usage: clawdraw jobs show <id>');
+      const job = resolveJobById(id);
+      const held = job.lockId && !FINISHED_STATUSES.has(job.status);
+      const lockRemainingSec = held ? Math.round(lockRemainingMs(job.lockExpiresAt) / 1000) : null;
+      report({ job: { ...job, lockRemainingSec } });
+      if (isJsonOutput()) return;
+      console.log(JSON.stringify({ ...job, lockRemainingSec }, null, 2));
+      if (held) {
+        console.log('Note: lock renewal and early release are known to work only on the dev-relay emulator; ' +
+          'on the production relay the lock may simply run out when lockRemainingSec reaches 0.');
+      }
+      return;
+    }
+
+    case 'cancel': {
+      if (!id) fail('VALIDATION', 'Usage: clawdraw jobs cancel <id>');
+      const job = resolveJobById(id);
+      if (FINISHED_STATUSES.has(job.status)) {
+        fail('VALIDATION', `Job ${job.id} is already ${job.status}.`);
+      }
+      updateJob(job.id, { status: 'cancelled' });
+      console.log(`Job ${job.id} cancelled.`);
+      if (job.lockId && lockRemainingMs(job.lockExpiresAt) > 0) {
+        let released = false;
+        try {
+          released = await releaseLock(RELAY_HTTP_URL, api, job.lockId);
+        } catch {}
+        console.log(released
+          ? `Released PGS lock ${job.lockId}.`
+          : `Lock ${job.lockId} could not be released; it will expire in ~2 minutes.`);
+        updateJob(job.id, { lockExpiresAt: undefined });
+        report({ lockReleased: released });
+      }
+      report({ jobId: job.id, status: 'cancelled' });
+      return;
+    }
+
+    case 'resume': {
+      if (!id) fail('VALIDATION', 'Usage: clawdraw jobs resume <id> [generate/place-image options]');
+      const job = resolveJobById(id);
+      const passthrough = { ...args, job: job.id };
+
+      if (FINISHED_STATUSES.has(job.status)) {
+        fail('VALIDATION', `Job ${job.id} is already ${job.status}; nothing to resume.`);
+      }
+
+      // A generated result on disk only needs placing
+      if (job.resultPath && fs.existsSync(job.resultPath) && job.status !== 'proposed') {
+        console.log(`Resuming job ${job.id}: placing ${job.resultPath}`);
+        return cmdPlaceImage(passthrough);
+      }
+
+      // Prepared for an external model — waiting on the agent's image
+      if (job.status === 'locked' && job.promptPath && !args.provider) {
+        console.log(`Job ${job.id} is waiting for an externally generated image.`);
+        console.log(`  Screenshot: ${job.screenshotPath}`);
+        console.log(`  Prompt file: ${job.promptPath}`);
+        console.log(`Run: clawdraw place-image --job ${job.id} --file <result.png>`);
+        report({ jobId: job.id, status: job.status, screenshotPath: job.screenshotPath, promptPath: job.promptPath, next: `clawdraw place-image --job ${job.id} --file <result.png>` });
+        return;
+      }
+
+      if (!job.tool && !args.tool) {
+        fail('VALIDATION',
+          `Job ${job.id} has not been generated yet.`,
+          `Run: clawdraw generate --job ${job.id} --tool extend|insert|modify --prompt "..."`);
+      }
+      console.log(`Resuming job ${job.id}: generating (${args.tool || job.tool})`);
+      return cmdGenerate(passthrough);
+    }
+
+    default:
+      fail('VALIDATION',
+        'Usage: clawdraw jobs list [--status S1,S2] [--json]',
+        '       clawdraw jobs show <id>',
+        '       clawdraw jobs resume <id>',
+        '       clawdraw jobs cancel <id>');
+  }
+}
+
+function resolveJobById(id) {
+  try {
+    const job = loadJob(String(id));
+    if (job) return job;
+  } catch (err) {
+    fail('VALIDATION', err.message);
+  }
+  fail('NOT_FOUND', `Job ${id} not found. Run: clawdraw jobs list`);
+}
+
+// ---------------------------------------------------------------------------
+// ledger — spend report from ~/.clawdraw/ledger.jsonl
+// ---------------------------------------------------------------------------
+
+const LEDGER_FORMATS = ['table', 'csv', 'json'];
+
+/** Parse a --since/--until date into the ISO form ledger timestamps use. */
+function parseLedgerDate(value, flag) {
+  const t = Date.parse(String(value));
+  if (Number.isNaN(t)) {
+    fail('VALIDATION', `Error: ${flag} must be a date, e.g. 2026-10-01 or 2026-10-01T12:00:00Z`);
+  }
+  return new Date(t).toISOString();
+}
+
+function printLedgerTable(title, rows) {
+  console.log(title);
+  for (const r of rows) {
+    console.log(`  ${r.key.padEnd(28)} ${String(r.actions).padStart(6)} actions  ${String(r.spent).padStart(10)} INQ  (est. ${r.estimated})`);
+  }
+  console.log('');
+}
+
+async function cmdLedger(args) {
+  const format = args.format ? String(args.format) : 'table';
+  if (!LEDGER_FORMATS.includes(format)) {
+    fail('VALIDATION', `Error: --format must be one of: ${LEDGER_FORMATS.join(', ')}`);
+  }
+  const groups = args.by ? String(args.by).split(',') : LEDGER_GROUPS;
+  const badGroup = groups.find(g => !LEDGER_GROUPS.includes(g));
+  if (badGroup) {
+    fail('VALIDATION', `Error: --by must be one or more of: ${LEDGER_GROUPS.join(', ')}`);
+  }
+
+  let entries;
+  try {
+    entries = readLedger({
+      since: args.since !== undefined ? parseLedgerDate(args.since, '--since') : undefined,
+      until: args.until !== undefined ? parseLedgerDate(args.until, '--until') : undefined,
+      swarm: args.swarm !== undefined ? String(args.swarm) : undefined,
+    });
+  } catch (err) {
+    fail(codeForError(err), `Cannot read ledger: ${err.message}`);
+  }
+
+  const total = summarizeLedger(entries, 'command').reduce(
+    (t, g) => ({ actions: t.actions + g.actions, spent: t.spent + g.spent, estimated: t.estimated + g.estimated }),
+    { actions: 0, spent: 0, estimated: 0 });
+  total.spent = Math.round(total.spent * 100) / 100;
+  total.estimated = Math.round(total.estimated * 100) / 100;
+  const by = Object.fromEntries(groups.map(g => [g, summarizeLedger(entries, g)]));
+  report({ total, by });
+
+  let output;
+  if (format === 'csv') {
+    output = ledgerToCsv(entries);
+  } else if (format === 'json') {
+    output = JSON.stringify({ total, by, entries }, null, 2) + '\n';
+  }
+
+  if (output !== undefined) {
+    if (args.out) {
+      try {
+        fs.writeFileSync(String(args.out), output, 'utf-8');
+      } catch (err) {
+        fail(codeForError(err), `Cannot write export: ${err.message}`);
+      }
+      console.log(`Exported ${entries.length} ledger entries to ${path.resolve(String(args.out))}`);
+      report({ exported: entries.length, out: path.resolve(String(args.out)) });
+    } else {
+      process.stdout.write(output);
+    }
+    return;
+  }
+
+  if (entries.length === 0) {
+    console.log('No spend recorded for this period.');
+    return;
+  }
+  console.log(`Ledger: ${total.actions} actions, ${total.spent} INQ spent (estimated ${total.estimated})`);
+  console.log(`  ${entries[0].timestamp} → ${entries[entries.length - 1].timestamp}`);
+  console.log('');
+  for (const g of groups) printLedgerTable(`By ${g}:`, summarizeLedger(entries, g));
+}
+
+// ---------------------------------------------------------------------------
+// dev-relay — local relay emulator for offline development
+// ---------------------------------------------------------------------------
+
+const DEV_RELAY_DEFAULT_PORT = 8787;
+
+async function cmdDevRelay(args) {
+  const port = args.port !== undefined ? Number(args.port) : DEV_RELAY_DEFAULT_PORT;
+  const host = args.host !== undefined ? String(args.host) : '127.0.0.1';
+  const inqBalance = args.inq !== undefined ? Number(args.inq) : undefined;
+  if (!Number.isInteger(port) || port < 0 || port > 65535) {
+    fail('VALIDATION', 'Error: --port must be an integer from 0 to 65535');
+  }
+  if (inqBalance !== undefined && !(inqBalance >= 0)) {
+    fail('VALIDATION', 'Error: --inq must be a non-negative number');
+  }
+
+  const relay = createDevRelay({
+    inqBalance,
+    rateLimits: !args['no-rate-limits'],
+    log: args.verbose ? (line) => console.log(`[dev-relay] ${line}`) : undefined,
+  });
+  let address;
+  try {
+    address = await relay.listen(port, host);
+  } catch (err) {
+    fail(codeForError(err), `Cannot listen on ${host}:${port}: ${err.message}`);
+  }
+
+  const env = relay.env();
+  console.log(`ClawDraw dev relay listening on ${address.url}`);
+  console.log('Point the CLI at it (any API key works):');
+  for (const [name, value] of Object.entries(env)) console.log(`  export ${name}=${value}`);
+  console.log('Press Ctrl+C to stop. The canvas is in memory and is lost on exit.');
+  report({ ...address, env });
 
-  // Save to undo history
-  saveImageHistory([result.image.id]);
+  // Runs until interrupted
+  await new Promise((resolve) => {
+    const stop = () => resolve();
+    process.once('SIGINT', stop);
+    process.once('SIGTERM', stop);
+  });
+  await relay.close();
+  console.log('Dev relay stopped.');
 }
 
 // ---------------------------------------------------------------------------
@@ -1387,114 +2957,188 @@ async function cmdPlaceImage(args) {
 // ---------------------------------------------------------------------------
 
 const REMOVED_COMMANDS = new Set([
-  'stroke', 'draw', 'compose', 'list', 'info', 'scan', 'look',
-  'find-space', 'nearby', 'erase', 'paint', 'template', 'marker', 'roam',
+  'list', 'info', 'scan', 'look',
+  'find-space', 'nearby', 'erase', 'template', 'marker',
 ]);
 
-const [,, command, ...rest] = process.argv;
+/** Apply the global --profile flag and return the arguments without it. */
+function takeProfileFlag(argv) {
+  const i = argv.indexOf('--profile');
+  if (i === -1) return argv;
+  const name = argv[i + 1];
+  try {
+    if (name === undefined || name.startsWith('--')) throw new Error('--profile needs a profile name');
+    selectProfile(name);
+  } catch (err) {
+    fail('VALIDATION', `Error: ${err.message}`);
+  }
+  return [...argv.slice(0, i), ...argv.slice(i + 2)];
+}
+
+/** Run one command; resolves when the command's work is done. */
+async function runCommand(command, rest) {
+  switch (command) {
+    case 'setup':
+      return cmdSetup(rest[0]);
+
+    case 'create':
+      return cmdCreate(rest[0]);
+
+    case 'auth':
+      return cmdAuth();
+
+    case 'status':
+      return cmdStatus();
+
+    case 'rename':
+      return cmdRename(parseArgs(rest));
+
+    case 'link':
+      return cmdLink(rest[0]);
+
+    case 'buy':
+      return cmdBuy(parseArgs(rest));
+
+    case 'profiles':
+      return cmdProfiles(rest[0], rest[1]);
+
+    case 'keys':
+      return cmdKeys(rest[0], parseArgs(rest.slice(1)));
+
+    case 'zones':
+      return cmdZones();
+
+    case 'inspect-area':
+      return cmdInspectArea(parseArgs(rest));
 
-switch (command) {
-  case 'setup':
-    cmdSetup(rest[0]);
-    break;
+    case 'propose-pgs':
+      return cmdProposePgs(parseArgs(rest));
 
-  case 'create':
-    cmdCreate(rest[0]);
-    break;
+    case 'generate':
+      return cmdGenerate(parseArgs(rest));
 
-  case 'auth':
-    cmdAuth();
-    break;
+    case 'place-image':
+      return cmdPlaceImage(parseArgs(rest));
 
-  case 'status':
-    cmdStatus();
-    break;
+    case 'extend':
+      return cmdExtend(parseArgs(rest));
 
-  case 'rename':
-    cmdRename(parseArgs(rest));
-    break;
+    case 'panorama':
+      return cmdPanorama(parseArgs(rest));
 
-  case 'link':
-    cmdLink(rest[0]);
-    break;
+    case 'ledger':
+      return cmdLedger(parseArgs(rest));
 
-  case 'buy':
-    cmdBuy(parseArgs(rest));
-    break;
+    case 'jobs':
+      return cmdJobs(rest[0], rest[1] && !rest[1].startsWith('--') ? rest[1] : undefined, parseArgs(rest.slice(1)));
 
-  case 'zones':
-    cmdZones();
-    break;
+    case 'draw':
+      return cmdDraw(rest[0] && !rest[0].startsWith('--') ? rest[0] : undefined, parseArgs(rest));
 
-  case 'inspect-area':
-    cmdInspectArea(parseArgs(rest));
-    break;
+    case 'stroke':
+      return cmdStroke(parseArgs(rest));
 
-  case 'propose-pgs':
-    cmdProposePgs(parseArgs(rest));
-    break;
+    case 'compose':
+      return cmdCompose(parseArgs(rest));
 
-  case 'generate':
-    cmdGenerate(parseArgs(rest));
-    break;
+    case 'paint':
+      return cmdPaint(parseArgs(rest));
 
-  case 'place-image':
-    cmdPlaceImage(parseArgs(rest));
-    break;
+    case 'roam':
+      return cmdRoam(parseArgs(rest));
 
-  case 'undo':
-    cmdUndo(parseArgs(rest));
-    break;
+    case 'resume-send':
+      return cmdResumeSend(rest[0] && !rest[0].startsWith('--') ? rest[0] : undefined, parseArgs(rest));
 
-  case 'chat':
-    cmdChat(parseArgs(rest));
-    break;
+    case 'undo':
+      return cmdUndo(parseArgs(rest));
 
-  case 'waypoint':
-    cmdWaypoint(parseArgs(rest));
-    break;
+    case 'redo':
+      return cmdRedo(parseArgs(rest));
 
-  case 'waypoint-delete':
-    cmdWaypointDelete(parseArgs(rest));
-    break;
+    case 'chat':
+      return cmdChat(parseArgs(rest));
 
-  case 'plan-swarm':
-    cmdPlanSwarm(parseArgs(rest));
-    break;
+    case 'watch':
+      return cmdWatch(parseArgs(rest));
 
-  case 'image':
-    console.error('Error: `clawdraw image` has been removed. Use `clawdraw generate` instead.');
-    process.exit(1);
-    break;
+    case 'waypoint':
+      return cmdWaypoint(parseArgs(rest));
 
-  default:
-    if (command && REMOVED_COMMANDS.has(command)) {
-      console.error('This command has been removed. Use: clawdraw zones → inspect-area → propose-pgs → generate');
-      process.exit(1);
+    case 'waypoint-delete':
+      return cmdWaypointDelete(parseArgs(rest));
+
+    case 'plan-swarm':
+      return cmdPlanSwarm(parseArgs(rest));
+
+    case 'dev-relay':
+      return cmdDevRelay(parseArgs(rest));
+
+    case 'image':
+      fail('VALIDATION', 'Error: `clawdraw image` has been removed. Use `clawdraw generate` instead.');
       break;
-    }
 
-    console.log('ClawDraw — AI image generation on an infinite canvas');
-    console.log('');
-    console.log('Commands:');
-    console.log('  setup [name]                   Create agent + save API key');
-    console.log('  create <name>                  Create agent, get API key');
-    console.log('  auth                           Authenticate (exchange API key for JWT)');
-    console.log('  status                         Show agent info + INQ balance');
-    console.log('  rename --name <name>           Set display name');
-    console.log('  link                           Generate link code for web account');
-    console.log('  buy [--tier ...]               Buy INQ via Stripe');
-    console.log('  zones                          Discover available canvas zones for generation');
-    console.log('  inspect-area [--cx N] [--cy N] [--radius N]  Inspect canvas area');
-    console.log('  propose-pgs --x N --y N --width N --height N --model MODEL  Validate generation area');
-    console.log('  generate --x N --y N --width N --height N --tool extend|insert|modify --prompt "..."  Generate image');
-    console.log('  place-image --file <path> --x N --y N --width N --height N  Place image on canvas');
-    console.log('  undo [--count N]               Undo last N image placements');
-    console.log('  chat --message "..."           Send a chat message');
-    console.log('  waypoint --name "..." --x N --y N --zoom Z  Drop a waypoint');
-    console.log('  waypoint-delete --id <id>      Delete a waypoint');
-    console.log('  plan-swarm [--agents N]        Plan multi-agent coordination');
-    console.log('');
-    console.log('Workflow: zones → inspect-area → propose-pgs → generate');
-    break;
+    default:
+      if (command && REMOVED_COMMANDS.has(command)) {
+        fail('VALIDATION', 'This command has been removed. Use: clawdraw zones → inspect-area → propose-pgs → generate');
+        break;
+      }
+      if (command && isJsonOutput()) {
+        fail('VALIDATION', `Unknown command: ${command}. Run clawdraw without arguments for the command list.`);
+      }
+
+      console.log('ClawDraw — AI image generation on an infinite canvas');
+      console.log('');
+      console.log('Commands:');
+      console.log('  setup [name]                   Create agent + save API key');
+      console.log('  create <name>                  Create agent, get API key');
+      console.log('  auth                           Authenticate (exchange API key for JWT)');
+      console.log('  status                         Show agent info + INQ balance');
+      console.log('  rename --name <name>           Set display name');
+      console.log('  link                           Generate link code for web account');
+      console.log('  buy [--tier ...]               Buy INQ via Stripe');
+      console.log('  profiles list|use|remove [<name>]  Manage credential profiles (any command: --profile <name>)');
+      console.log('  keys migrate --to file|encrypted|command [--all]  Move stored API keys to another backend');
+      console.log('  zones                          Discover available canvas zones for generation');
+      console.log('  inspect-area [--cx N] [--cy N] [--radius N]  Inspect canvas area');
+      console.log('  propose-pgs --x N --y N --width N --height N --model MODEL  Validate generation area');
+      console.log('  generate --tool extend|insert|modify --prompt "..." [--job <id>]  Generate image');
+      console.log('  place-image [--job <id>] [--file <path>] [--blend-width N] [--no-blend]  Place image on canvas');
+      console.log('  extend --image <id> --direction left|right|up|down --prompt "..." [--overlap 0.33]  Extend an image in one step');
+      console.log('  panorama --from <id> --direction D --frames N --prompts FILE [--max-inq N]  Chain extends into a panorama');
+      console.log('  jobs list|show|resume|cancel [<id>]  Manage PGS generation jobs');
+      console.log('  ledger [--by day|command|model|swarm] [--since D] [--format csv|json]  INQ spend report');
+      console.log('  draw <primitive> [--param v ...] [--cx N --cy N]  Draw a stroke primitive (--list, --info)');
+      console.log('  stroke --stdin [--cx N --cy N]  Draw JSON strokes read from stdin');
+      console.log('  compose --file scene.json      Draw a scene of primitives and strokes');
+      console.log('  paint --image <url|path> [--mode M]  Trace an image into strokes');
+      console.log('  roam [--blend 0.5] [--budget N] Autonomous create/collaborate loop');
+      console.log('  resume-send [<id>] [--list] [--include-unconfirmed]  Send strokes an interrupted drawing never sent');
+      console.log('  undo [--count N] [--id <id>] [--swarm <id>] [--since T]  Delete placed images');
+      console.log('  redo [--count N] [--id <id>]   Place undone images again');
+      console.log('  chat --message "..." [--reply-to <id>]  Send or answer a chat message');
+      console.log('  chat --listen [--since 10m] [--near x,y]  Stream chat messages as JSON lines');
+      console.log('  watch --cx N --cy N [--radius N]  Stream canvas activity as JSON lines');
+      console.log('  waypoint --name "..." --x N --y N --zoom Z  Drop a waypoint');
+      console.log('  waypoint-delete --id <id>      Delete a waypoint');
+      console.log('  plan-swarm [--agents N] [--profiles a,b,...]  Plan multi-agent coordination');
+      console.log('  dev-relay [--port 8787] [--inq N] [--no-rate-limits]  Run a local relay emulator');
+      console.log('');
+      console.log('');
+      console.log('Global flags: --profile <name>, --json (one JSON result on stdout; see SKILL.md for error codes)');
+      console.log('Workflow: zones → inspect-area → propose-pgs → generate');
+      break;
+  }
 }
+
+const { json, argv } = takeJsonFlag(process.argv.slice(2));
+// JSON mode starts before --profile is applied so a bad profile is reported too
+if (json) startJsonOutput(argv.find((a, i) => !a.startsWith('--') && argv[i - 1] !== '--profile'));
+const [command, ...rest] = takeProfileFlag(argv);
+
+runCommand(command, rest).then(
+  () => finishOutput(),
+  (err) => {
+    fail(codeForError(err), `Error: ${err.message}`);
+  },
+);
@@ -0,0 +1,185 @@
+#!/usr/bin/env node
+/**
+ * Token-scoped request client for the ClawDraw relay and logic APIs.
+ *
+ * One client holds the agent's JWT for a whole command. It refreshes the
+ * token shortly before it expires (so a 180s Fill Pro poll, a roam loop or a
+ * WebSocket reconnect never goes out with a stale JWT), retries a request
+ * once with a fresh token when the server answers 401, and retries 429/5xx
+ * and network errors with exponential backoff.
+ *
+ * Every request is paced by the `http:<tag>` rate controller (rate.mjs),
+ * shared by all clients in the process: a 429 halves that endpoint's rate
+ * and honours Retry-After, and successes slowly raise it again.
+ *
+ * Helpers that take a `token` (connection.mjs, pgs-lock.mjs, snapshot.mjs)
+ * accept either a JWT string or a client; `asClient` turns a bare string into
+ * a client that sends it as-is and never refreshes.
+ *
+ * Usage:
+ *   import { createClient } from './client.mjs';
+ *
+ *   const api = createClient({ apiKey: process.env.CLAWDRAW_API_KEY });
+ *   const data = await api.fetchJson(`${RELAY_HTTP_URL}/api/nearby?x=0&y=0`, {}, { tag: 'nearby' });
+ *   const res = await api.fetch(url, { method: 'POST', body });  // raw Response
+ *   const jwt = await api.token();                                // current JWT
+ */
+
+// @security-manifest
+// env: none (API key and token come from auth.mjs)
+// endpoints: api.clawdraw.ai (HTTPS), relay.clawdraw.ai (HTTPS)
+// files: none
+// exec: none
+
+import { getToken, tokenExpiresAt, TOKEN_TTL_MS } from './auth.mjs';
+import { rateController, parseRetryAfter } from './rate.mjs';
+
+/** Refresh a token this long before its expiry. */
+export const TOKEN_REFRESH_MARGIN_MS = 60 * 1000;
+
+const DEFAULT_BASE_DELAY_MS = 250;
+
+/**
+ * @typedef {object} RetryOptions
+ * @property {number} [retries] - Extra attempts after 429/5xx or a network error
+ * @property {number} [baseDelayMs=250] - First backoff; doubles per attempt
+ * @property {string} [tag='request'] - Label for retry warnings, and the endpoint's rate controller (`http:<tag>`)
+ */
+
+/**
+ * @typedef {object} Client
+ * @property {(opts?: { refresh?: boolean }) => Promise<string>} token - Current JWT, refreshed when near expiry
+ * @property {(url: string, init?: RequestInit, opts?: RetryOptions) => Promise<Response>} fetch
+ *   Authorized fetch; resolves with the final Response whatever its status (retries default 0)
+ * @property {(url: string, init?: RequestInit, opts?: RetryOptions) => Promise<any>} fetchJson
+ *   Authorized fetch of a JSON body; throws with the server's error message and `.status` (retries default 3)
+ */
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+export function isRetriableStatus(status) {
+  return status === 429 || status === 500 || status === 502 || status === 503 || status === 504;
+}
+
+/** The `error` / `message` field of a JSON error body, else "HTTP <status>". */
+export async function readErrorMessage(res) {
+  try {
+    const data = await res.json();
+    return data.error || data.message || `HTTP ${res.status}`;
+  } catch {
+    return `HTTP ${res.status}`;
+  }
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/** When a held token should be replaced: a margin before its JWT exp, else before the cache TTL. */
+function refreshDeadline(token) {
+  const expiresAt = tokenExpiresAt(token) ?? Date.now() + TOKEN_TTL_MS;
+  return expiresAt - TOKEN_REFRESH_MARGIN_MS;
+}
+
+// ---------------------------------------------------------------------------
+// Client
+// ---------------------------------------------------------------------------
+
+function buildClient(token, canRefresh) {
+  async function request(url, init = {}, { retries = 0, baseDelayMs = DEFAULT_BASE_DELAY_MS, tag = 'request' } = {}) {
+    const rate = rateController(`http:${tag}`);
+    let retried401 = false;
+    let refresh = false;
+    let attempt = 0;
+    while (true) {
+      const jwt = await token({ refresh });
+      refresh = false;
+      await rate.acquire();
+      const startedAt = Date.now();
+      let res;
+      try {
+        res = await fetch(url, { ...init, headers: { ...init.headers, Authorization: `Bearer ${jwt}` } });
+      } catch (err) {
+        if (attempt >= retries) throw err;
+        const waitMs = baseDelayMs * Math.pow(2, attempt);
+        console.warn(`[${tag}] retry ${attempt + 1}/${retries} after error (${waitMs}ms): ${err.message}`);
+        await sleep(waitMs);
+        attempt++;
+        continue;
+      }
+      if (res.status === 429) rate.limited({ retryAfterMs: parseRetryAfter(res.headers?.get?.('retry-after')) });
+      else if (res.status < 500) rate.success(Date.now() - startedAt);
+      if (res.status === 401 && canRefresh && !retried401) {
+        // Expired or revoked JWT: fetch a new one and try once more
+        retried401 = true;
+        refresh = true;
+        continue;
+      }
+      if (attempt < retries && isRetriableStatus(res.status)) {
+        const waitMs = baseDelayMs * Math.pow(2, attempt);
+        console.warn(`[${tag}] retry ${attempt + 1}/${retries} after ${res.status} (${waitMs}ms)`);
+        await sleep(waitMs);
+        attempt++;
+        continue;
+      }
+      return res;
+    }
+  }
+
+  async function fetchJson(url, init = {}, opts = {}) {
+    const res = await request(url, init, { retries: 3, ...opts });
+    if (res.ok) return res.json();
+    const err = new Error(await readErrorMessage(res));
+    err.status = res.status;
+    throw err;
+  }
+
+  return { token, fetch: request, fetchJson };
+}
+
+/**
+ * Create a client that fetches its JWT from auth.mjs.
+ *
+ * @param {object} [opts]
+ * @param {string} [opts.apiKey] - Passed to getToken (falls back to the stored key)
+ * @param {(opts: { refresh: boolean }) => Promise<string>} [opts.tokenSource] - Override the token exchange
+ * @returns {Client}
+ */
+export function createClient({ apiKey, tokenSource } = {}) {
+  const source = tokenSource || ((opts) => getToken(apiKey, opts));
+  let held = null;
+  let refreshAt = 0;
+  let pending = null;
+
+  async function load(force) {
+    let jwt = await source({ refresh: force });
+    // A cached token may already be inside the refresh margin
+    if (!force && refreshDeadline(jwt) <= Date.now()) jwt = await source({ refresh: true });
+    held = jwt;
+    refreshAt = refreshDeadline(jwt);
+    return jwt;
+  }
+
+  function token({ refresh = false } = {}) {
+    if (!refresh && held && Date.now() < refreshAt) return Promise.resolve(held);
+    // Concurrent callers share one exchange
+    pending ??= load(refresh || held !== null).finally(() => { pending = null; });
+    return pending;
+  }
+
+  return buildClient(token, true);
+}
+
+/**
+ * Use a JWT string or an existing client where a client is expected.
+ * A string becomes a client that always sends that token.
+ *
+ * @param {string|Client} auth
+ * @returns {Client}
+ */
+export function asClient(auth) {
+  if (auth && typeof auth === 'object' && typeof auth.fetch === 'function') return auth;
+  return buildClient(async () => auth, false);
+}
@@ -0,0 +1,100 @@
+/**
+ * Tests for client.mjs — proactive token refresh, 401 retry and backoff.
+ *
+ * The token exchange is a stub tokenSource; fetch is stubbed with a queue
+ * of replies that records the Authorization header of each call.
+ */
+
+import { describe, it, expect, afterEach, vi } from 'vitest';
+
+const { createClient, asClient, TOKEN_REFRESH_MARGIN_MS } = await import('./client.mjs');
+
+/** A JWT-shaped token whose exp is `expiresInMs` from now. */
+function jwt(name: string, expiresInMs: number) {
+  const payload = Buffer.from(JSON.stringify({ sub: name, exp: Math.floor((Date.now() + expiresInMs) / 1000) })).toString('base64url');
+  return `h.${payload}.${name}`;
+}
+
+/** A tokenSource that hands out the given tokens in order. */
+function tokenSource(...tokens: string[]) {
+  return vi.fn(async (_opts: { refresh: boolean }) => tokens.shift()!);
+}
+
+/** Stub fetch with replies (status numbers) in order; records the bearer token. */
+function stubFetch(...statuses: number[]) {
+  const auth: string[] = [];
+  vi.stubGlobal('fetch', vi.fn(async (_url: string, init: any) => {
+    auth.push(init.headers.Authorization.replace('Bearer ', ''));
+    const status = statuses.shift() ?? 200;
+    return { ok: status < 400, status, json: async () => (status < 400 ? { n: auth.length } : { error: `err ${status}` }) };
+  }));
+  return auth;
+}
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+  vi.restoreAllMocks();
+});
+
+describe('token refresh', () => {
+  it('should reuse a token until it is inside the refresh margin', async () => {
+    const a = jwt('a', 10 * 60 * 1000);
+    const source = tokenSource(a, jwt('b', 10 * 60 * 1000));
+    const api = createClient({ tokenSource: source });
+    expect(await api.token()).toBe(a);
+    expect(await api.token()).toBe(a);
+    expect(source).toHaveBeenCalledTimes(1);
+    expect(source).toHaveBeenCalledWith({ refresh: false });
+  });
+
+  it('should force a fresh exchange when the held token is about to expire', async () => {
+    const source = tokenSource(jwt('a', TOKEN_REFRESH_MARGIN_MS / 2), jwt('b', 10 * 60 * 1000));
+    const api = createClient({ tokenSource: source });
+    expect(await api.token()).toMatch(/\.b$/);
+    expect(source.mock.calls.map(([opts]) => opts)).toEqual([{ refresh: false }, { refresh: true }]);
+  });
+
+  it('should share one exchange between concurrent callers', async () => {
+    const source = tokenSource(jwt('a', 10 * 60 * 1000));
+    const api = createClient({ tokenSource: source });
+    const [t1, t2] = await Promise.all([api.token(), api.token()]);
+    expect(t1).toBe(t2);
+    expect(source).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('requests', () => {
+  it('should retry once with a fresh token after a 401', async () => {
+    const auth = stubFetch(401, 200);
+    const api = createClient({ tokenSource: tokenSource('old', 'new') });
+    expect(await api.fetchJson('http://relay.test/x')).toEqual({ n: 2 });
+    expect(auth).toEqual(['old', 'new']);
+  });
+
+  it('should give up after a second 401', async () => {
+    stubFetch(401, 401);
+    const api = createClient({ tokenSource: tokenSource('old', 'new', 'newer') });
+    await expect(api.fetchJson('http://relay.test/x')).rejects.toMatchObject({ message: 'err 401', status: 401 });
+  });
+
+  it('should back off on 429/5xx and return the last response when retries run out', async () => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const auth = stubFetch(503, 429, 200);
+    const api = createClient({ tokenSource: tokenSource('t') });
+    expect(await api.fetchJson('http://relay.test/x', {}, { baseDelayMs: 1 })).toEqual({ n: 3 });
+    expect(auth).toHaveLength(3);
+
+    stubFetch(503, 503);
+    const res = await api.fetch('http://relay.test/x', {}, { retries: 1, baseDelayMs: 1 });
+    expect(res.status).toBe(503);
+  });
+
+  it('should send a bare JWT unchanged and never refresh it', async () => {
+    const auth = stubFetch(401);
+    const res = await asClient('fixed').fetch('http://relay.test/x', { headers: { 'X-Test': '1' } });
+    expect(res.status).toBe(401);
+    expect(auth).toEqual(['fixed']);
+    const api = createClient({ tokenSource: tokenSource('t') });
+    expect(asClient(api)).toBe(api);
+  });
+});
@@ -1,20 +1,27 @@
 #!/usr/bin/env node
 /**
- * WebSocket connection manager for sending strokes to the ClawDraw relay.
+ * WebSocket connection manager for sending strokes to the ClawDraw relay
+ * and following what happens on the canvas.
  *
  * Usage:
- *   import { connect, sendStrokes, addWaypoint, getWaypointUrl, deleteStroke, deleteWaypoint, setUsername, disconnect } from './connection.mjs';
+ *   import { connect, sendStrokes, addWaypoint, getWaypointUrl, deleteStroke, deleteImage, deleteImages, deleteWaypoint, setUsername, canvasEvents, setViewport, sendChatMessage, fetchChatHistory, disconnect } from './connection.mjs';
  *
- *   const ws = await connect(token);
+ *   const ws = await connect(api);   // client from client.mjs (or a JWT string)
  *   const result = await sendStrokes(ws, strokes);
  *   console.log(`${result.strokesAcked}/${result.strokesSent} accepted`);
  *   const wp = await addWaypoint(ws, { name: 'My Spot', x: 0, y: 0, zoom: 1 });
  *   console.log(getWaypointUrl(wp));
+ *
+ *   setViewport(ws, viewportForArea({ x: 0, y: 0, radius: 2000 }));
+ *   canvasEvents(ws).on('stroke.added', ({ stroke, userId }) => { ... });
+ *
+ *   const recent = await fetchChatHistory(ws, { since: Date.now() - 600_000 });
+ *   await sendChatMessage(ws, 'Love the colours!', { replyTo: recent.at(-1).id });
  *   disconnect(ws);
  */
 
 // @security-manifest
-// env: none (receives token from auth.mjs)
+// env: none (receives token from auth.mjs via client.mjs)
 // endpoints: relay.clawdraw.ai (WSS, HTTPS)
 // files: none
 // exec: none
@@ -24,7 +31,11 @@ import open from 'open';
 import { statSync, writeFileSync } from 'fs';
 import { tmpdir } from 'os';
 import { join } from 'path';
+import { randomUUID } from 'crypto';
 import { computeBoundingBox, captureSnapshot } from './snapshot.mjs';
+import { asClient } from './client.mjs';
+import { rateController } from './rate.mjs';
+import { CHAT_INQ } from './inq.mjs';
 
 const TAB_COOLDOWN_FILE = join(tmpdir(), '.clawdraw-tab-opened');
 const TAB_COOLDOWN_MS = 90_000;
@@ -50,11 +61,115 @@ function openInBrowser(url) {
 const TILE_CDN_URL = (process.env.CLAWDRAW_RELAY_URL || 'https://relay.clawdraw.ai') + '/tiles';
 
 // ---------------------------------------------------------------------------
-// tile.updated listener registry (used by snapshot.mjs)
+// Canvas events
 // ---------------------------------------------------------------------------
 
-/** @type {Map<WebSocket, Set<Function>>} */
-const _tileUpdateListeners = new Map();
+/**
+ * Relay messages surfaced as canvas events: message type → event name and
+ * the payload listeners receive. `presence.update` and `presence.left` both
+ * become `presence` (with `left` telling them apart). `stroke.added` and
+ * `presence.*` follow the dev-relay emulator; the production relay is not
+ * documented to send them, so nothing may depend on their arrival.
+ */
+const CANVAS_EVENT_MESSAGES = new Map([
+  ['stroke.added', { event: 'stroke.added', payload: m => ({ stroke: m.stroke, userId: m.userId, chunk: m.chunk }) }],
+  ['stroke.deleted', { event: 'stroke.deleted', payload: m => ({ strokeId: m.strokeId }) }],
+  ['image.placed', { event: 'image.placed', payload: m => ({ image: m.image, userId: m.userId ?? m.image?.userId }) }],
+  ['image.deleted', { event: 'image.deleted', payload: m => ({ imageId: m.imageId }) }],
+  ['chunks.initial', { event: 'chunks.initial', payload: m => ({ chunks: m.chunks || {} }) }],
+  ['images.initial', { event: 'images.initial', payload: m => ({ images: m.images || [] }) }],
+  ['chat.message', { event: 'chat', payload: m => ({ ...m.chatMessage }) }],
+  ['presence.update', { event: 'presence', payload: m => ({ userId: m.userId, username: m.username, cursor: m.cursor, left: false }) }],
+  ['presence.left', { event: 'presence', payload: m => ({ userId: m.userId, username: m.username, left: true }) }],
+  ['waypoint.added', { event: 'waypoint.added', payload: m => ({ waypoint: m.waypoint }) }],
+  ['waypoint.deleted', { event: 'waypoint.deleted', payload: m => ({ waypointId: m.waypointId }) }],
+  ['tile.updated', { event: 'tile.updated', payload: m => ({ x: m.x, y: m.y, z: m.z, version: m.version }) }],
+]);
+
+/** Every event name `canvasEvents(ws).on()` accepts, besides `'*'` (all of them). */
+export const CANVAS_EVENTS = [...new Set([...CANVAS_EVENT_MESSAGES.values()].map(e => e.event))];
+
+/**
+ * @typedef {object} CanvasEvents
+ * @property {(event: string, listener: (payload: object, event: string) => void) => () => void} on
+ *   Listen for one of CANVAS_EVENTS, or `'*'` for all; returns a function that stops listening
+ * @property {(event: string, listener: Function) => void} off
+ * @property {(event: string, listener: (payload: object, event: string) => void) => () => void} once
+ */
+
+function createCanvasEmitter() {
+  /** event name → listeners */
+  const listeners = new Map();
+
+  function on(event, listener) {
+    if (event !== '*' && !CANVAS_EVENTS.includes(event)) {
+      throw new Error(`Unknown canvas event "${event}". Use one of: ${CANVAS_EVENTS.join(', ')}`);
+    }
+    if (!listeners.has(event)) listeners.set(event, new Set());
+    listeners.get(event).add(listener);
+    return () => off(event, listener);
+  }
+
+  function off(event, listener) {
+    listeners.get(event)?.delete(listener);
+  }
+
+  function once(event, listener) {
+    const stop = on(event, (payload, name) => {
+      stop();
+      listener(payload, name);
+    });
+    return stop;
+  }
+
+  function emit(event, payload) {
+    for (const name of [event, '*']) {
+      for (const listener of listeners.get(name) || []) {
+        try { listener(payload, event); } catch { /* ignore listener errors */ }
+      }
+    }
+  }
+
+  return { on, off, once, emit };
+}
+
+/** @type {Map<WebSocket, { events: CanvasEvents, onMessage: Function }>} */
+const _canvasEvents = new Map();
+
+/**
+ * The event emitter for a socket's canvas activity, created on first use.
+ * Events only arrive for chunks the viewport covers (see setViewport);
+ * chat and deletions are not tied to a place.
+ *
+ *   canvasEvents(ws).on('stroke.added', ({ stroke, userId }) => ...);
+ *   canvasEvents(ws).on('chat', (msg) => console.log(msg.username, msg.content));
+ *
+ * @param {WebSocket} ws
+ * @returns {CanvasEvents}
+ */
+export function canvasEvents(ws) {
+  let entry = _canvasEvents.get(ws);
+  if (!entry) {
+    const emitter = createCanvasEmitter();
+    const onMessage = (data) => {
+      let parsed;
+      try {
+        parsed = JSON.parse(data.toString());
+      } catch {
+        return; // ignore non-JSON frames
+      }
+      for (const msg of Array.isArray(parsed) ? parsed : [parsed]) {
+        const mapping = CANVAS_EVENT_MESSAGES.get(msg?.type);
+        if (mapping) emitter.emit(mapping.event, mapping.payload(msg));
+      }
+    };
+    ws.on('message', onMessage);
+    const { on, off, once } = emitter;
+    entry = { events: { on, off, once }, onMessage };
+    _canvasEvents.set(ws, entry);
+  }
+  return entry.events;
+}
 
 /**
  * Register a callback for tile.updated messages on a WebSocket.
@@ -63,12 +178,7 @@ const _tileUpdateListeners = new Map();
  * @param {(msg: {x:number, y:number, z:number, version:number}) => void} callback
  */
 export function onTileUpdate(ws, callback) {
-  let set = _tileUpdateListeners.get(ws);
-  if (!set) {
-    set = new Set();
-    _tileUpdateListeners.set(ws, set);
-  }
-  set.add(callback);
+  canvasEvents(ws).on('tile.updated', callback);
 }
 
 /**
@@ -78,21 +188,55 @@ export function onTileUpdate(ws, callback) {
  * @param {Function} callback
  */
 export function offTileUpdate(ws, callback) {
-  const set = _tileUpdateListeners.get(ws);
-  if (set) {
-    set.delete(callback);
-    if (set.size === 0) _tileUpdateListeners.delete(ws);
-  }
+  _canvasEvents.get(ws)?.events.off('tile.updated', callback);
 }
 
-/** Dispatch a tile.updated message to registered listeners. */
-function _dispatchTileUpdate(ws, msg) {
-  const set = _tileUpdateListeners.get(ws);
-  if (set) {
-    for (const cb of set) {
-      try { cb(msg); } catch { /* ignore listener errors */ }
-    }
-  }
+function releaseCanvasEvents(ws) {
+  const entry = _canvasEvents.get(ws);
+  if (!entry) return;
+  ws.removeListener('message', entry.onMessage);
+  _canvasEvents.delete(ws);
+}
+
+// ---------------------------------------------------------------------------
+// Viewport
+// ---------------------------------------------------------------------------
+
+/** Viewport size (screen px) connect() asks for when none is given. */
+const DEFAULT_VIEWPORT_SIZE = { width: 6000, height: 6000 };
+
+/**
+ * A viewport covering a circle at zoom 1, for setViewport/connect.
+ *
+ * @param {{ x: number, y: number, radius: number }} area
+ * @returns {{ center: { x: number, y: number }, zoom: number, size: { width: number, height: number } }}
+ */
+export function viewportForArea({ x, y, radius }) {
+  const side = Math.ceil(radius * 2);
+  return { center: { x, y }, zoom: 1, size: { width: side, height: side } };
+}
+
+/**
+ * Move a socket's viewport. The relay subscribes it to the chunks the new
+ * viewport covers (sending chunks.initial / images.initial for newly
+ * covered ones) and drops the rest. The presence heartbeat and reconnects
+ * keep using the new viewport.
+ *
+ * @param {WebSocket} ws
+ * @param {object} viewport
+ * @param {{ x: number, y: number }} viewport.center
+ * @param {number} [viewport.zoom] - Defaults to the current zoom
+ * @param {{ width: number, height: number }} [viewport.size] - Screen pixels; defaults to the current size
+ */
+export function setViewport(ws, { center, zoom, size }) {
+  const current = ws._currentViewport?.viewport || { zoom: 0.2, size: DEFAULT_VIEWPORT_SIZE };
+  ws._currentViewport = {
+    ...ws._currentViewport,
+    type: 'viewport.update',
+    viewport: { center, zoom: zoom ?? current.zoom, size: size ?? current.size },
+    cursor: center,
+  };
+  if (ws.readyState === WebSocket.OPEN) ws.send(JSON.stringify(ws._currentViewport));
 }
 
 const MAX_RETRIES = 5;
@@ -102,17 +246,25 @@ const BASE_DELAY_MS = 1000;
  * Connect to the relay WebSocket with auth token.
  * Sends an initial viewport.update on open.
  *
- * @param {string} token - JWT from auth.mjs getToken()
+ * The token is read from the client at connect time, so each (re)connect
+ * goes out with a JWT that is not about to expire.
+ *
+ * @param {string|import('./client.mjs').Client} auth - Client from client.mjs, or a JWT
  * @param {object} [opts]
  * @param {string} [opts.username] - Bot display name (relay uses JWT agentName if omitted)
  * @param {{ x: number, y: number }} [opts.center] - Viewport center
  * @param {number} [opts.zoom] - Viewport zoom
+ * @param {{ width: number, height: number }} [opts.size] - Viewport size in screen pixels
+ * @param {number} [opts.chatBudget] - Most INQ sendChatMessage may spend on this connection
  * @returns {Promise<WebSocket>}
  */
-export function connect(token, opts = {}) {
+export async function connect(auth, opts = {}) {
   const username = opts.username || undefined;
   const center = opts.center || { x: 0, y: 0 };
   const zoom = opts.zoom || 0.2;
+  const size = opts.size || DEFAULT_VIEWPORT_SIZE;
+  const client = asClient(auth);
+  const token = await client.token();
 
   return new Promise((resolve, reject) => {
     const ws = new WebSocket(WS_URL, {
@@ -126,14 +278,15 @@ export function connect(token, opts = {}) {
         viewport: {
           center,
           zoom,
-          size: { width: 6000, height: 6000 },
+          size,
         },
         cursor: center,
         ...(username ? { username } : {}),
       };
       ws.send(JSON.stringify(ws._currentViewport));
       ws._clawdrawUsername = username;
-      ws._authToken = token;
+      ws._authClient = client;
+      if (opts.chatBudget !== undefined) ws._chatBudget = { limit: opts.chatBudget, spent: 0 };
 
       // Re-send presence every 30s to prevent 60s eviction timeout
       ws._presenceHeartbeat = setInterval(() => {
@@ -142,19 +295,6 @@ export function connect(token, opts = {}) {
         }
       }, 30000);
 
-      // Persistent message handler for tile.updated dispatch
-      ws.on('message', (data) => {
-        try {
-          const parsed = JSON.parse(data.toString());
-          const msgs = Array.isArray(parsed) ? parsed : [parsed];
-          for (const msg of msgs) {
-            if (msg.type === 'tile.updated') {
-              _dispatchTileUpdate(ws, msg);
-            }
-          }
-        } catch { /* ignore non-JSON frames */ }
-      });
-
       // Wait for chunks.initial before resolving — strokes sent before
       // subscription completes get rejected with REGION_FULL / chunk.full.
       const subTimeout = setTimeout(() => {
@@ -198,6 +338,34 @@ export function connect(token, opts = {}) {
   });
 }
 
+/**
+ * Open a replacement for a socket that closed: same client, username and
+ * viewport, so the relay subscribes it to the same chunks. Retries with
+ * exponential backoff.
+ *
+ * @param {WebSocket} ws - The closed socket
+ * @returns {Promise<WebSocket>}
+ */
+async function reopen(ws) {
+  disconnect(ws);
+  const viewport = ws._currentViewport?.viewport;
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await connect(ws._authClient, {
+        username: ws._clawdrawUsername,
+        center: viewport?.center,
+        zoom: viewport?.zoom,
+        size: viewport?.size,
+      });
+    } catch (err) {
+      if (attempt >= MAX_RETRIES) throw err;
+      const delay = BASE_DELAY_MS * Math.pow(2, attempt - 1);
+      console.warn(`[connection] ${err.message}, retrying in ${delay}ms (attempt ${attempt}/${MAX_RETRIES})`);
+      await sleep(delay);
+    }
+  }
+}
+
 /** Default strokes per batch message (used when no adaptive pacing). */
 export const BATCH_SIZE = 100;
 
@@ -208,12 +376,19 @@ const ANIM_DELAY_MS = 100;
 /** Maximum wall-clock seconds for the entire send. Large stroke counts
  *  auto-scale batch size upward to stay within this cap. */
 const MAX_DRAW_SECONDS = 20;
+/** Most batches awaiting an ack at once under automatic pacing. The window
+ *  starts at 1, grows by one per ack and drops back to 1 on a rate limit,
+ *  timeout or reconnect. */
+const MAX_IN_FLIGHT = 4;
 
 /** Max retries per batch on RATE_LIMITED. */
 const BATCH_MAX_RETRIES = 5;
 /** Base backoff delay (ms) for rate-limit retries. */
 const RATE_LIMIT_BASE_MS = 200;
-/** Timeout (ms) waiting for ack/error per batch. */
+/**
+ * Timeout (ms) waiting for ack/error per batch. A batch that times out is
+ * left pending, not re-sent: it may have landed (see sendStrokes).
+ */
 const BATCH_ACK_TIMEOUT_MS = 5000;
 
 /**
@@ -225,66 +400,122 @@ const BATCH_ACK_TIMEOUT_MS = 5000;
  * @property {number} strokesSent  - Total individual strokes transmitted
  * @property {number} strokesAcked - Total individual strokes acknowledged
  * @property {string[]} ackedStrokeIds - IDs confirmed by stroke/strokes ack responses
+ * @property {string[]} pendingStrokeIds - IDs never confirmed and not refused for good
+ *   (timeouts, a closed socket, rate limits, INQ)
+ * @property {string[]} unconfirmedStrokeIds - Pending IDs that were sent but never
+ *   answered (timeout, or in flight when the socket closed); they may be on the
+ *   canvas already, so they are not re-sent automatically
+ * @property {{ elapsedMs: number, strokesPerSec: number, pointsPerSec: number, rateLimited: number }} throughput
+ *   Acked strokes and points per second over the whole send, and RATE_LIMITED answers received
  */
 
 /**
- * Wait for a single ack or sync.error from the relay.
- * Resolves with { type: 'ack' } on stroke.ack/strokes.ack,
- * { type: 'error', code, message } on sync.error,
- * or { type: 'timeout' } after BATCH_ACK_TIMEOUT_MS.
- *
- * @param {WebSocket} ws
- * @returns {Promise<{type: string, code?: string, message?: string}>}
+ * Collect stroke acks and sync.errors from a socket as they arrive, so
+ * several batches can be awaited at once. `attach` moves the listener to a
+ * replacement socket after a reconnect.
  */
-function waitForBatchResponse(ws) {
-  return new Promise((resolve) => {
-    const timeout = setTimeout(() => {
-      ws.removeListener('message', handler);
-      resolve({ type: 'timeout' });
-    }, BATCH_ACK_TIMEOUT_MS);
+function batchResponses(ws) {
+  const received = [];
+  let wake = null;
+  let socket = null;
 
-    function handler(data) {
-      try {
-        const parsed = JSON.parse(data.toString());
-        const msgs = Array.isArray(parsed) ? parsed : [parsed];
-        for (const msg of msgs) {
-          if (msg.type === 'stroke.ack' || msg.type === 'strokes.ack') {
-            clearTimeout(timeout);
-            ws.removeListener('message', handler);
-            resolve({ type: 'ack' });
-            return;
-          }
-          if (msg.type === 'sync.error') {
-            clearTimeout(timeout);
-            ws.removeListener('message', handler);
-            resolve({ type: 'error', code: msg.code || 'UNKNOWN', message: msg.message || '' });
-            return;
-          }
+  function onMessage(data) {
+    try {
+      const parsed = JSON.parse(data.toString());
+      const msgs = Array.isArray(parsed) ? parsed : [parsed];
+      for (const msg of msgs) {
+        if (msg.type === 'stroke.ack' || msg.type === 'strokes.ack') {
+          const ids = msg.strokeIds || (msg.strokeId !== undefined ? [msg.strokeId] : []);
+          received.push({ type: 'ack', strokeIds: ids.map(String) });
+        } else if (msg.type === 'sync.error') {
+          received.push({ type: 'error', code: msg.code || 'UNKNOWN', message: msg.message || '' });
         }
-      } catch { /* ignore non-JSON frames */ }
-    }
+      }
+    } catch { /* ignore non-JSON frames */ }
+    if (received.length > 0) wake?.();
+  }
 
-    ws.on('message', handler);
-  });
+  function onClose() {
+    received.push({ type: 'closed' });
+    wake?.();
+  }
+
+  function attach(next) {
+    detach();
+    socket = next;
+    socket.on('message', onMessage);
+    socket.on('close', onClose);
+  }
+
+  function detach() {
+    if (!socket) return;
+    socket.removeListener('message', onMessage);
+    socket.removeListener('close', onClose);
+    socket = null;
+  }
+
+  /** The next response, or { type: 'timeout' } after `waitMs`. */
+  function next(waitMs) {
+    if (received.length > 0) return Promise.resolve(received.shift());
+    return new Promise((resolve) => {
+      const timer = setTimeout(() => {
+        wake = null;
+        resolve({ type: 'timeout' });
+      }, Math.max(0, waitMs));
+      wake = () => {
+        clearTimeout(timer);
+        wake = null;
+        resolve(received.shift());
+      };
+    });
+  }
+
+  attach(ws);
+  return { attach, detach, next };
+}
+
+function strokePoints(stroke) {
+  return Array.isArray(stroke?.points) ? stroke.points.length : 0;
 }
 
 /**
  * Send an array of strokes to the relay, batched for efficiency.
- * Always waits for ack/error per batch. On RATE_LIMITED, retries with
- * exponential backoff. On INSUFFICIENT_INQ, stops immediately.
+ * Waits for an ack/error for every batch. On RATE_LIMITED, retries with
+ * exponential backoff. On INSUFFICIENT_INQ, stops sending.
  *
  * By default, strokes are paced for animated viewing (small batches with
  * inter-batch delay so the web client's cursor-tracing animation can play).
  * Large stroke counts auto-scale batch size upward to keep total draw time
- * within MAX_DRAW_SECONDS (20s).
+ * within MAX_DRAW_SECONDS (20s), up to BATCH_SIZE strokes per message.
+ *
+ * Pacing is shared with every other send in the process through the
+ * `ws:points` and `ws:messages` rate controllers (rate.mjs), which learn
+ * from ack latency and RATE_LIMITED answers. Under automatic pacing up to
+ * MAX_IN_FLIGHT batches may await their ack at once; explicit `batchSize`
+ * or `delayMs` keep one batch in flight unless `maxInFlight` says otherwise.
+ *
+ * Each batch goes out at most once unless the relay refuses it with
+ * RATE_LIMITED. Whether the production relay recognises a stroke ID it
+ * already has and skips drawing and charging it again is not documented
+ * (the dev-relay emulator does), so a batch that was sent but never
+ * answered — its ack timed out, or the socket closed under it — is left
+ * pending with a warning and reported in `unconfirmedStrokeIds`. Strokes
+ * without an ID get one before the first send, so acks and the journal can
+ * name them. With `reconnect`, a socket that closes mid-send is replaced
+ * and the batches that never went out are sent on the new one. With
+ * `journal` (from delivery.mjs), every send, ack and final rejection is
+ * recorded so an interrupted send can be resumed later.
  *
  * @param {WebSocket} ws - Connected WebSocket
  * @param {Array} strokes - Array of stroke objects (from helpers.mjs makeStroke)
  * @param {object|number} [optsOrDelay={}] - Options object or legacy delayMs number
- * @param {number} [optsOrDelay.delayMs] - Milliseconds between successful batch sends (auto-computed if omitted)
+ * @param {number} [optsOrDelay.delayMs] - Minimum milliseconds between batch sends (auto-computed if omitted)
  * @param {number} [optsOrDelay.batchSize] - Max strokes per batch (auto-computed if omitted)
+ * @param {number} [optsOrDelay.maxInFlight] - Most batches awaiting an ack at once
  * @param {boolean} [optsOrDelay.legacy=false] - Use single stroke.add per stroke
  * @param {boolean} [optsOrDelay.swarm=false] - Swarm mode: use ideal animation pacing with no time cap so each worker animates smoothly
+ * @param {(closed: WebSocket) => Promise<WebSocket>} [optsOrDelay.reconnect] - Open a replacement for a socket that closed
+ * @param {import('./delivery.mjs').Delivery} [optsOrDelay.journal] - Delivery journal to record acks and rejections in
  * @returns {Promise<SendResult>}
  */
 export async function sendStrokes(ws, strokes, optsOrDelay = {}) {
@@ -295,17 +526,19 @@ export async function sendStrokes(ws, strokes, optsOrDelay = {}) {
 
   const legacy = opts.legacy ?? false;
   const swarm = opts.swarm ?? false;
+  const journal = opts.journal || null;
 
   // Auto-compute pacing for animated drawing when not explicitly set.
   // Ideal: batchSize=2, delay=100ms for smooth cursor animation.
   // Solo mode: if that would exceed MAX_DRAW_SECONDS, scale batch size up to fit.
   // Swarm mode: always use ideal pacing (no time cap) so each worker draws
   //   with its own smooth cursor animation — viewers see N independent painters.
-  let batchSize, delayMs;
+  let batchSize, delayMs, maxInFlight;
   if (opts.batchSize !== undefined || opts.delayMs !== undefined) {
     // Explicit values — use as-is
     batchSize = opts.batchSize ?? BATCH_SIZE;
     delayMs = opts.delayMs ?? 50;
+    maxInFlight = opts.maxInFlight ?? 1;
   } else if (swarm) {
     // Swarm mode: ideal animation pacing, no time cap.
     // Each worker animates independently at the smooth cursor rate.
@@ -324,108 +557,227 @@ export async function sendStrokes(ws, strokes, optsOrDelay = {}) {
     } else {
       // Too many strokes — scale up batch size, keep delay constant
       const maxBatches = Math.floor(capMs / ANIM_DELAY_MS);
-      batchSize = Math.ceil(strokes.length / maxBatches);
+      batchSize = Math.min(BATCH_SIZE, Math.ceil(strokes.length / maxBatches));
       delayMs = ANIM_DELAY_MS;
     }
   }
+  maxInFlight ??= opts.maxInFlight ?? MAX_IN_FLIGHT;
 
-  const result = { sent: 0, acked: 0, rejected: 0, errors: [], strokesSent: 0, strokesAcked: 0, ackedStrokeIds: [] };
+  const result = {
+    sent: 0, acked: 0, rejected: 0, errors: [], strokesSent: 0, strokesAcked: 0, ackedStrokeIds: [], pendingStrokeIds: [],
+    unconfirmedStrokeIds: [],
+    throughput: { elapsedMs: 0, strokesPerSec: 0, pointsPerSec: 0, rateLimited: 0 },
+  };
 
   if (strokes.length === 0) return result;
 
-  let lastPresenceMs = Date.now();
+  const startedAt = Date.now();
+  let lastPresenceMs = startedAt;
+  let ackedPoints = 0;
+  const pointRate = rateController('ws:points');
+  const messageRate = rateController('ws:messages');
+
+  // Every stroke needs a stable ID before the first send, so acks and the
+  // journal can name it
+  for (const stroke of strokes) {
+    if (stroke && (stroke.id === undefined || stroke.id === null)) stroke.id = `stroke-${randomUUID()}`;
+  }
+  /** IDs that need no further sending (acked, or refused for good). */
+  const settled = new Set();
+  const responses = batchResponses(ws);
+  const finish = () => {
+    responses.detach();
+    result.pendingStrokeIds = strokes.map(s => String(s.id)).filter(id => !settled.has(id));
+    const unconfirmed = new Set(unanswered.flatMap(b => b.strokeIds));
+    result.unconfirmedStrokeIds = result.pendingStrokeIds.filter(id => unconfirmed.has(id));
+    const elapsedMs = Date.now() - startedAt;
+    Object.assign(result.throughput, {
+      elapsedMs,
+      strokesPerSec: elapsedMs > 0 ? Math.round((result.strokesAcked / elapsedMs) * 1000) : 0,
+      pointsPerSec: elapsedMs > 0 ? Math.round((ackedPoints / elapsedMs) * 1000) : 0,
+    });
+    return result;
+  };
 
   // Build batches
   const batches = [];
   if (legacy) {
     for (const stroke of strokes) {
-      const id = stroke && stroke.id !== undefined && stroke.id !== null ? String(stroke.id) : null;
-      batches.push({ msg: { type: 'stroke.add', stroke }, count: 1, strokeIds: id ? [id] : [] });
+      batches.push({ msg: { type: 'stroke.add', stroke }, count: 1, strokeIds: [String(stroke.id)], points: strokePoints(stroke) });
     }
   } else {
     for (let i = 0; i < strokes.length; i += batchSize) {
       const batch = strokes.slice(i, i + batchSize);
-      const strokeIds = batch
-        .map(s => (s && s.id !== undefined && s.id !== null ? String(s.id) : null))
-        .filter(Boolean);
-      batches.push({ msg: { type: 'strokes.add', strokes: batch }, count: batch.length, strokeIds });
+      batches.push({
+        msg: { type: 'strokes.add', strokes: batch },
+        count: batch.length,
+        strokeIds: batch.map(s => String(s.id)),
+        points: batch.reduce((sum, s) => sum + strokePoints(s), 0),
+      });
     }
   }
-
-  for (let bi = 0; bi < batches.length; bi++) {
-    const { msg, count, strokeIds = [] } = batches[bi];
-    let accepted = false;
-    let retries = 0;
-
-    while (!accepted && retries <= BATCH_MAX_RETRIES) {
+  batches.forEach((b, index) => Object.assign(b, { index, retries: 0, notBefore: 0, sentAt: 0 }));
+
+  /** Batches waiting to be (re-)sent, in drawing order. */
+  const queue = [...batches];
+  /** Batches sent and awaiting a response, oldest first. */
+  const inFlight = [];
+  /** Batches given up on without an answer; a late ack still settles them. */
+  const unanswered = [];
+  /** Put a batch back in the queue at its place in drawing order. */
+  const requeue = (b) => {
+    const at = queue.findIndex(q => q.index > b.index);
+    queue.splice(at === -1 ? queue.length : at, 0, b);
+  };
+  /** Count a batch as acked and record it. */
+  const acknowledge = (b) => {
+    result.acked++;
+    result.strokesAcked += b.count;
+    result.ackedStrokeIds.push(...b.strokeIds);
+    ackedPoints += b.points;
+    for (const id of b.strokeIds) settled.add(id);
+    journal?.ack(b.strokeIds);
+  };
+  let window = 1;
+  let stopped = false;
+  let lastSentAt = 0;
+
+  while (queue.length > 0 || inFlight.length > 0) {
+    // Socket gone: whatever was in flight may or may not have landed, so it
+    // stays pending; batches that never went out continue on a replacement
+    // socket if there is one
+    if (ws.readyState !== WebSocket.OPEN) {
+      for (const b of inFlight.splice(0)) {
+        console.warn(`[connection] Batch ${b.index + 1} was in flight when the WebSocket closed; it may have landed, so it is left pending, not re-sent`);
+        unanswered.push(b);
+      }
+      if (queue.length === 0) return finish();
+      if (opts.reconnect && !stopped) {
+        console.warn(`[connection] WebSocket closed at batch ${queue[0].index + 1}/${batches.length}, reconnecting to resume`);
+        try {
+          ws = await opts.reconnect(ws);
+          responses.attach(ws);
+          window = 1;
+        } catch (err) {
+          console.warn(`[connection] Reconnect failed: ${err.message}`);
+        }
+      }
       if (ws.readyState !== WebSocket.OPEN) {
-        console.warn(`[connection] WebSocket not open, stopping at batch ${bi + 1}/${batches.length}`);
-        // Count remaining batches as rejected
-        for (let r = bi; r < batches.length; r++) {
+        if (!stopped) console.warn(`[connection] WebSocket not open, stopping at batch ${queue[0].index + 1}/${batches.length}`);
+        // Count remaining batches as rejected (their strokes stay pending)
+        for (let r = 0; r < queue.length && !stopped; r++) {
           result.rejected++;
           result.errors.push('WS_CLOSED');
         }
-        return result;
+        return finish();
       }
+    }
 
-      ws.send(JSON.stringify(msg));
+    // Fill the window
+    const head = queue[0];
+    if (!stopped && head && inFlight.length < window && head.notBefore <= Date.now()) {
+      const gap = lastSentAt + delayMs - Date.now();
+      if (gap > 0) await sleep(gap);
+      await messageRate.acquire(1);
+      await pointRate.acquire(head.points);
+      if (ws.readyState !== WebSocket.OPEN) continue;
+
+      queue.shift();
+      journal?.sent(head.strokeIds);
+      ws.send(JSON.stringify(head.msg));
+      head.sentAt = lastSentAt = Date.now();
+      inFlight.push(head);
       result.sent++;
-      result.strokesSent += count;
-
-      const resp = await waitForBatchResponse(ws);
-
-      if (resp.type === 'ack') {
-        accepted = true;
-        result.acked++;
-        result.strokesAcked += count;
-        if (strokeIds.length > 0) result.ackedStrokeIds.push(...strokeIds);
-      } else if (resp.type === 'error') {
-        if (resp.code === 'RATE_LIMITED') {
-          retries++;
-          if (retries > BATCH_MAX_RETRIES) {
-            result.rejected++;
-            result.errors.push(`RATE_LIMITED (${BATCH_MAX_RETRIES} retries exhausted)`);
-            console.warn(`[connection] Batch ${bi + 1} rate-limited after ${BATCH_MAX_RETRIES} retries, skipping`);
-          } else {
-            const backoff = RATE_LIMIT_BASE_MS * Math.pow(2, retries - 1);
-            console.warn(`[connection] Rate limited, retry ${retries}/${BATCH_MAX_RETRIES} in ${backoff}ms`);
-            await sleep(backoff);
-          }
-        } else if (resp.code === 'INSUFFICIENT_INQ') {
-          result.rejected++;
-          result.errors.push('INSUFFICIENT_INQ');
-          console.warn(`[connection] Insufficient INQ, stopping send`);
-          // Don't count remaining batches as rejected — we just stop
-          return result;
-        } else {
-          // STROKE_TOO_LARGE, BATCH_FAILED, BANNED, etc — skip batch
-          result.rejected++;
-          result.errors.push(resp.code);
-          console.warn(`[connection] Batch ${bi + 1} rejected: ${resp.code} — ${resp.message}`);
-          accepted = true; // move on
-        }
-      } else {
-        // timeout — treat as lost, move on
-        console.warn(`[connection] Batch ${bi + 1} timed out (no ack/error in ${BATCH_ACK_TIMEOUT_MS}ms)`);
-        accepted = true; // move on
-      }
-    }
+      result.strokesSent += head.count;
 
-    // Resend presence every ~10s to keep cursor visible for viewers
-    if (accepted && ws._currentViewport && Date.now() - lastPresenceMs > 10_000) {
-      if (ws.readyState === WebSocket.OPEN) {
+      // Resend presence every ~10s to keep cursor visible for viewers
+      if (ws._currentViewport && Date.now() - lastPresenceMs > 10_000) {
         ws.send(JSON.stringify(ws._currentViewport));
+        lastPresenceMs = Date.now();
       }
-      lastPresenceMs = Date.now();
+      continue;
+    }
+
+    if (inFlight.length === 0) {
+      if (stopped || !head) break;
+      await sleep(head.notBefore - Date.now()); // a rate-limit backoff
+      continue;
     }
 
-    // Inter-batch pacing (only between successful batches, not after the last)
-    if (accepted && bi < batches.length - 1 && delayMs > 0) {
-      await sleep(delayMs);
+    // Wait for a response, the oldest batch's ack timeout, or the next
+    // backoff to end when the window has room
+    const oldest = inFlight[0];
+    let waitMs = oldest.sentAt + BATCH_ACK_TIMEOUT_MS - Date.now();
+    if (!stopped && head && inFlight.length < window) waitMs = Math.min(waitMs, head.notBefore - Date.now());
+    const resp = await responses.next(waitMs);
+
+    if (resp.type === 'closed') continue;
+
+    if (resp.type === 'timeout') {
+      if (Date.now() < oldest.sentAt + BATCH_ACK_TIMEOUT_MS) continue; // backoff over, not a timeout
+      inFlight.shift();
+      window = 1;
+      // The batch may or may not have landed, and a re-send could draw and
+      // charge it twice
+      console.warn(`[connection] Batch ${oldest.index + 1} timed out (no ack/error in ${BATCH_ACK_TIMEOUT_MS}ms); it may have landed, so it is left pending, not re-sent`);
+      unanswered.push(oldest);
+      continue;
+    }
+
+    // Acks name their strokes; errors answer the oldest batch (the relay
+    // handles a socket's messages in order)
+    let at = 0;
+    if (resp.type === 'ack' && resp.strokeIds.length > 0) {
+      at = inFlight.findIndex(b => b.strokeIds.includes(resp.strokeIds[0]));
+      if (at === -1) {
+        // A late ack for a batch that timed out: it did land after all
+        const late = unanswered.findIndex(b => b.strokeIds.includes(resp.strokeIds[0]));
+        if (late !== -1) acknowledge(unanswered.splice(late, 1)[0]);
+        continue;
+      }
+    }
+    const [b] = inFlight.splice(at, 1);
+
+    if (resp.type === 'ack') {
+      acknowledge(b);
+      const latencyMs = Date.now() - b.sentAt;
+      pointRate.success(latencyMs, b.points);
+      messageRate.success(latencyMs, 1);
+      window = Math.min(maxInFlight, window + 1);
+    } else if (resp.code === 'RATE_LIMITED') {
+      result.throughput.rateLimited++;
+      (/message/i.test(resp.message) ? messageRate : pointRate).limited();
+      window = 1;
+      b.retries++;
+      journal?.retry(b.strokeIds);
+      if (b.retries > BATCH_MAX_RETRIES) {
+        result.rejected++;
+        result.errors.push(`RATE_LIMITED (${BATCH_MAX_RETRIES} retries exhausted)`);
+        console.warn(`[connection] Batch ${b.index + 1} rate-limited after ${BATCH_MAX_RETRIES} retries, skipping`);
+      } else {
+        const backoff = RATE_LIMIT_BASE_MS * Math.pow(2, b.retries - 1);
+        console.warn(`[connection] Rate limited, retry ${b.retries}/${BATCH_MAX_RETRIES} in ${backoff}ms`);
+        b.notBefore = Date.now() + backoff;
+        requeue(b);
+      }
+    } else if (resp.code === 'INSUFFICIENT_INQ') {
+      result.rejected++;
+      result.errors.push('INSUFFICIENT_INQ');
+      journal?.retry(b.strokeIds);
+      // Send nothing more; batches already in flight still get their answer
+      if (!stopped) console.warn(`[connection] Insufficient INQ, stopping send`);
+      stopped = true;
+    } else {
+      // STROKE_TOO_LARGE, BATCH_FAILED, BANNED, etc — skip batch
+      result.rejected++;
+      result.errors.push(resp.code);
+      console.warn(`[connection] Batch ${b.index + 1} rejected: ${resp.code} — ${resp.message}`);
+      for (const id of b.strokeIds) settled.add(id);
+      journal?.reject(b.strokeIds, resp.code);
     }
   }
 
-  return result;
+  return finish();
 }
 
 /**
@@ -513,6 +865,157 @@ export function deleteStroke(ws, strokeId, chunkKey) {
   });
 }
 
+/**
+ * Timeout (ms) waiting for image.deleted / sync.error per image.
+ *
+ * image.deleted is not in the relay's published protocol (only the local
+ * emulator is known to send it), and the CLI used to send image.delete
+ * without waiting. So silence is not failure: a delete that draws no
+ * sync.error within this time counts as done, flagged `unconfirmed`.
+ */
+const IMAGE_DELETE_TIMEOUT_MS = 5000;
+
+/**
+ * @typedef {Object} ImageDeleteResult
+ * @property {string} imageId
+ * @property {boolean} ok             - Not refused: confirmed by image.deleted, or no answer at all
+ * @property {boolean} [unconfirmed]  - ok, but the relay sent neither image.deleted nor sync.error
+ * @property {number} attempts        - image.delete messages sent (retries included)
+ * @property {string} [code]          - sync.error code, RATE_LIMITED or WS_CLOSED
+ * @property {string} [error]         - Human-readable reason when not ok
+ */
+
+/**
+ * Wait for the relay's answer to one image.delete.
+ * Resolves with { type: 'deleted' } on a matching image.deleted,
+ * { type: 'error', code, message } on sync.error (errors naming another
+ * image are ignored), or { type: 'timeout' } after IMAGE_DELETE_TIMEOUT_MS.
+ *
+ * @param {WebSocket} ws
+ * @param {string} imageId
+ * @returns {Promise<{type: string, code?: string, message?: string}>}
+ */
+function waitForImageDeleteResponse(ws, imageId) {
+  return new Promise((resolve) => {
+    const timeout = setTimeout(() => {
+      ws.removeListener('message', handler);
+      resolve({ type: 'timeout' });
+    }, IMAGE_DELETE_TIMEOUT_MS);
+
+    function handler(data) {
+      try {
+        const parsed = JSON.parse(data.toString());
+        const msgs = Array.isArray(parsed) ? parsed : [parsed];
+        for (const msg of msgs) {
+          if (msg.type === 'image.deleted' && msg.imageId === imageId) {
+            clearTimeout(timeout);
+            ws.removeListener('message', handler);
+            resolve({ type: 'deleted' });
+            return;
+          }
+          if (msg.type === 'sync.error' && (msg.imageId === undefined || msg.imageId === imageId)) {
+            clearTimeout(timeout);
+            ws.removeListener('message', handler);
+            resolve({ type: 'error', code: msg.code || 'UNKNOWN', message: msg.message || '' });
+            return;
+          }
+        }
+      } catch { /* ignore non-JSON frames */ }
+    }
+
+    ws.on('message', handler);
+  });
+}
+
+/**
+ * Send one image.delete and wait for the answer, retrying RATE_LIMITED with
+ * the same exponential backoff as stroke batches.
+ *
+ * @param {WebSocket} ws
+ * @param {string} imageId
+ * @returns {Promise<ImageDeleteResult>}
+ */
+async function requestImageDelete(ws, imageId) {
+  let attempts = 0;
+  for (;;) {
+    if (ws.readyState !== WebSocket.OPEN) {
+      return { imageId, ok: false, attempts, code: 'WS_CLOSED', error: 'WebSocket not open' };
+    }
+
+    const response = waitForImageDeleteResponse(ws, imageId);
+    ws.send(JSON.stringify({ type: 'image.delete', imageId }));
+    attempts++;
+    const resp = await response;
+
+    if (resp.type === 'deleted') return { imageId, ok: true, attempts };
+    if (resp.type === 'timeout') {
+      if (ws.readyState !== WebSocket.OPEN) {
+        return { imageId, ok: false, attempts, code: 'WS_CLOSED', error: 'WebSocket closed before the relay answered' };
+      }
+      return { imageId, ok: true, unconfirmed: true, attempts };
+    }
+    if (resp.code !== 'RATE_LIMITED') {
+      return { imageId, ok: false, attempts, code: resp.code, error: resp.message || resp.code };
+    }
+    if (attempts > BATCH_MAX_RETRIES) {
+      return { imageId, ok: false, attempts, code: 'RATE_LIMITED', error: `RATE_LIMITED (${BATCH_MAX_RETRIES} retries exhausted)` };
+    }
+    const backoff = RATE_LIMIT_BASE_MS * Math.pow(2, attempts - 1);
+    console.warn(`[connection] Rate limited, retry ${attempts}/${BATCH_MAX_RETRIES} in ${backoff}ms`);
+    await sleep(backoff);
+  }
+}
+
+/**
+ * Delete a placed image by ID (own images only) and wait for the relay's
+ * answer. RATE_LIMITED is retried with backoff. No answer within 5s
+ * resolves with `unconfirmed: true` (see IMAGE_DELETE_TIMEOUT_MS).
+ *
+ * @param {WebSocket} ws - Connected WebSocket
+ * @param {string} imageId - ID of the image to delete
+ * @returns {Promise<{ deleted: true, unconfirmed?: true }>} Rejects with an
+ *   Error whose `code` is the sync.error code, RATE_LIMITED or WS_CLOSED
+ */
+export async function deleteImage(ws, imageId) {
+  const result = await requestImageDelete(ws, imageId);
+  if (!result.ok) {
+    const err = new Error(result.error);
+    err.code = result.code;
+    throw err;
+  }
+  return result.unconfirmed ? { deleted: true, unconfirmed: true } : { deleted: true };
+}
+
+/**
+ * Delete several images one at a time, each answered by the relay (or
+ * unconfirmed after the timeout).
+ * Failures don't stop the run, except a closed socket: the remaining
+ * images are then reported as WS_CLOSED without being sent.
+ *
+ * @param {WebSocket} ws - Connected WebSocket
+ * @param {string[]} imageIds
+ * @param {object} [opts]
+ * @param {number} [opts.delayMs=0] - Milliseconds between deletes
+ * @returns {Promise<{ deleted: number, failed: number, results: ImageDeleteResult[] }>}
+ */
+export async function deleteImages(ws, imageIds, { delayMs = 0 } = {}) {
+  const results = [];
+  for (let i = 0; i < imageIds.length; i++) {
+    const result = await requestImageDelete(ws, imageIds[i]);
+    results.push(result);
+    if (result.code === 'WS_CLOSED') {
+      console.warn(`[connection] WebSocket not open, stopping at image ${i + 1}/${imageIds.length}`);
+      for (const imageId of imageIds.slice(i + 1)) {
+        results.push({ imageId, ok: false, attempts: 0, code: 'WS_CLOSED', error: 'WebSocket not open' });
+      }
+      break;
+    }
+    if (delayMs > 0 && i < imageIds.length - 1) await sleep(delayMs);
+  }
+  const deleted = results.filter(r => r.ok).length;
+  return { deleted, failed: results.length - deleted, results };
+}
+
 /**
  * Delete a waypoint by ID (own waypoints only).
  *
@@ -601,26 +1104,161 @@ export function getWaypointUrl(waypoint) {
   return `https://clawdraw.ai/?wp=${waypoint.id}`;
 }
 
+// ---------------------------------------------------------------------------
+// Chat
+// ---------------------------------------------------------------------------
+
+/** Longest chat message the relay accepts. */
+export const CHAT_MAX_LENGTH = 500;
+/** Most messages one chat.history request returns. */
+export const CHAT_HISTORY_MAX = 200;
+/** How long sendChatMessage waits for the relay to echo the message back. */
+const CHAT_CONFIRM_TIMEOUT_MS = 3000;
+const CHAT_HISTORY_TIMEOUT_MS = 10000;
+
 /**
- * Send a chat message over the WebSocket. Fire-and-forget.
+ * @typedef {object} ChatMessage
+ * @property {string} id
+ * @property {string} userId
+ * @property {string} username
+ * @property {string} content
+ * @property {number} createdAt - ms since the epoch
+ * @property {string} [replyTo] - ID of the message this answers
+ * @property {number} [x] - Sender's cursor when they sent it
+ * @property {number} [y]
+ */
+
+/**
+ * INQ spent on chat over this connection and what the session budget
+ * (connect's `chatBudget`) still allows.
+ *
  * @param {WebSocket} ws
- * @param {string} content
+ * @returns {{ limitInq: number, spentInq: number, remainingInq: number }}
  */
-function sendChatMessage(ws, content) {
-  if (ws.readyState === WebSocket.OPEN) {
-    ws.send(JSON.stringify({ type: 'chat.send', chatMessage: { content } }));
+export function chatBudget(ws) {
+  const budget = ws._chatBudget || { limit: Infinity, spent: 0 };
+  return { limitInq: budget.limit, spentInq: budget.spent, remainingInq: Math.max(0, budget.limit - budget.spent) };
+}
+
+/**
+ * Send a chat message (CHAT_INQ each) and wait for the relay's verdict.
+ * Resolves with the message as the relay broadcast it, or `message: null`
+ * if no echo arrived within 3s (the relay accepted it silently). Rejects
+ * on a sync.error, or with `code: 'CHAT_BUDGET'` before sending when the
+ * session's chat budget can't cover another message.
+ *
+ * `replyTo` is sent as `chatMessage.replyTo`. Only the dev-relay emulator
+ * is known to keep it (and to refuse an unknown ID with NOT_FOUND); if the
+ * relay drops it from the echo, the echo goes unmatched and this resolves
+ * with `message: null` after 3s.
+ *
+ * @param {WebSocket} ws - Connected WebSocket
+ * @param {string} content - Up to CHAT_MAX_LENGTH characters
+ * @param {object} [opts]
+ * @param {string} [opts.replyTo] - ID of the message being answered
+ * @returns {Promise<{ message: ChatMessage|null, inq: number }>}
+ */
+export function sendChatMessage(ws, content, { replyTo } = {}) {
+  const text = String(content ?? '');
+  if (!text.trim()) return Promise.reject(new Error('Chat message is empty'));
+  if (text.length > CHAT_MAX_LENGTH) {
+    return Promise.reject(new Error(`Chat message must be ${CHAT_MAX_LENGTH} characters or fewer`));
   }
+  const budget = ws._chatBudget;
+  if (budget && budget.spent + CHAT_INQ > budget.limit) {
+    return Promise.reject(Object.assign(
+      new Error(`Chat budget used up: ${budget.spent} of ${budget.limit} INQ spent this session (${CHAT_INQ} INQ per message)`),
+      { code: 'CHAT_BUDGET' },
+    ));
+  }
+  if (ws.readyState !== WebSocket.OPEN) return Promise.reject(new Error('WebSocket not open'));
+
+  return new Promise((resolve, reject) => {
+    const done = () => {
+      clearTimeout(timeout);
+      ws.removeListener('message', handler);
+    };
+    const timeout = setTimeout(() => {
+      ws.removeListener('message', handler);
+      resolve({ message: null, inq: CHAT_INQ });
+    }, CHAT_CONFIRM_TIMEOUT_MS);
+
+    function handler(data) {
+      try {
+        const parsed = JSON.parse(data.toString());
+        const msgs = Array.isArray(parsed) ? parsed : [parsed];
+        for (const msg of msgs) {
+          const echo = msg.type === 'chat.message' ? msg.chatMessage : null;
+          if (echo && echo.content === text && (echo.replyTo ?? null) === (replyTo ?? null)) {
+            done();
+            resolve({ message: echo, inq: CHAT_INQ });
+          } else if (msg.type === 'sync.error') {
+            done();
+            if (budget) budget.spent -= CHAT_INQ; // refused; assumed not charged
+            reject(Object.assign(new Error(msg.message || msg.code), { code: msg.code }));
+          }
+        }
+      } catch { /* ignore */ }
+    }
+
+    ws.on('message', handler);
+    if (budget) budget.spent += CHAT_INQ;
+    ws.send(JSON.stringify({ type: 'chat.send', chatMessage: { content: text, ...(replyTo ? { replyTo } : {}) } }));
+  });
+}
+
+/**
+ * Recent chat messages, oldest first, via a `chat.history` request. Free.
+ * Only the dev-relay emulator is known to answer it; against a relay that
+ * doesn't, this rejects after 10s (chat-log.mjs keeps a local fallback).
+ *
+ * @param {WebSocket} ws - Connected WebSocket
+ * @param {object} [opts]
+ * @param {number} [opts.since] - Only messages sent at or after this time (ms since the epoch)
+ * @param {number} [opts.limit=50] - At most this many (the newest), up to CHAT_HISTORY_MAX
+ * @returns {Promise<ChatMessage[]>}
+ */
+export function fetchChatHistory(ws, { since, limit = 50 } = {}) {
+  return new Promise((resolve, reject) => {
+    const timeout = setTimeout(() => {
+      ws.removeListener('message', handler);
+      reject(new Error(`Chat history response timeout (${CHAT_HISTORY_TIMEOUT_MS / 1000}s)`));
+    }, CHAT_HISTORY_TIMEOUT_MS);
+
+    function handler(data) {
+      try {
+        const parsed = JSON.parse(data.toString());
+        const msgs = Array.isArray(parsed) ? parsed : [parsed];
+        for (const msg of msgs) {
+          if (msg.type === 'chat.history') {
+            clearTimeout(timeout);
+            ws.removeListener('message', handler);
+            resolve(msg.messages || []);
+          } else if (msg.type === 'sync.error') {
+            clearTimeout(timeout);
+            ws.removeListener('message', handler);
+            reject(new Error(msg.message || msg.code));
+          }
+        }
+      } catch { /* ignore */ }
+    }
+
+    ws.on('message', handler);
+    ws.send(JSON.stringify({
+      type: 'chat.history',
+      ...(since !== undefined ? { since } : {}),
+      limit: Math.min(Math.max(1, limit), CHAT_HISTORY_MAX),
+    }));
+  });
 }
 
 /**
  * Auto-find an empty canvas spot via the relay API.
  * Returns { x, y } or null on failure.
  */
-async function autoFindSpace(token) {
+async function autoFindSpace(client) {
   try {
-    const res = await fetch(`${RELAY_HTTP_URL}/api/find-space?mode=empty`, {
-      headers: { 'Authorization': `Bearer ${token}` },
-    });
+    const res = await client.fetch(`${RELAY_HTTP_URL}/api/find-space?mode=empty`);
     if (res.ok) {
       const space = await res.json();
       return { x: space.canvasX, y: space.canvasY };
@@ -638,7 +1276,7 @@ async function autoFindSpace(token) {
  *   3. Create waypoint BEFORE drawing
  *   4. Post waypoint link in chat
  *   5. Open waypoint URL in browser
- *   6. Send strokes
+ *   6. Send strokes (reconnecting and re-sending unacked batches if the socket drops)
  *   7. Post waypoint link in chat again
  *   8. Capture snapshot
  *
@@ -653,9 +1291,11 @@ async function autoFindSpace(token) {
  * @param {boolean} [opts.skipWaypoint=false] - Skip persistent waypoint, chat post, and browser open (a temporary waypoint is still created for chunk subscription, then deleted)
  * @param {boolean} [opts.absolute=false] - Strokes are at final absolute coordinates; skip auto-placement and re-centering
  * @param {boolean} [opts.swarm=false] - Swarm mode: use ideal animation pacing with no time cap
- * @returns {Promise<SendResult>}
+ * @param {import('./delivery.mjs').Delivery} [opts.journal] - Delivery journal; begun with the strokes at their final position
+ * @returns {Promise<SendResult & { cx: number, cy: number, waypointUrl: string|null, snapshotPath: string|null }>}
+ *   The send result plus where the drawing landed
  */
-export async function drawAndTrack(ws, strokes, { cx, cy, zoom, name, description, skipWaypoint = false, absolute = false, swarm = false } = {}) {
+export async function drawAndTrack(ws, strokes, { cx, cy, zoom, name, description, skipWaypoint = false, absolute = false, swarm = false, journal } = {}) {
   const drawingName = name || 'Drawing';
 
   const bbox = computeBoundingBox(strokes);
@@ -668,7 +1308,7 @@ export async function drawAndTrack(ws, strokes, { cx, cy, zoom, name, descriptio
   } else {
     // 1. Auto-placement: find empty spot if no position specified
     if (cx === undefined || cy === undefined) {
-      const spot = ws._authToken ? await autoFindSpace(ws._authToken) : null;
+      const spot = ws._authClient ? await autoFindSpace(ws._authClient) : null;
       if (spot) {
         // Add ±500 jitter to prevent concurrent bot collisions
         if (cx === undefined) cx = spot.x + Math.round((Math.random() - 0.5) * 1000);
@@ -704,14 +1344,7 @@ export async function drawAndTrack(ws, strokes, { cx, cy, zoom, name, descriptio
   }
 
   // 2. Update viewport/cursor to drawing center
-  const drawViewport = {
-    type: 'viewport.update',
-    viewport: { center: { x: cx, y: cy }, zoom, size: { width: 6000, height: 6000 } },
-    cursor: { x: cx, y: cy },
-    username: ws._clawdrawUsername,
-  };
-  ws._currentViewport = drawViewport;
-  ws.send(JSON.stringify(drawViewport));
+  setViewport(ws, { center: { x: cx, y: cy }, zoom, size: DEFAULT_VIEWPORT_SIZE });
 
   // 3. Create waypoint BEFORE drawing — always needed to activate chunk
   //    subscriptions at the drawing coordinates. viewport.update alone is
@@ -744,27 +1377,37 @@ export async function drawAndTrack(ws, strokes, { cx, cy, zoom, name, descriptio
     await new Promise(resolve => setTimeout(resolve, 3000));
   }
 
-  // 6. Send strokes
-  const result = await sendStrokes(ws, strokes, { swarm });
+  // 6. Send strokes. A socket that drops mid-send is replaced; the
+  //    replacement is ours to close, since the caller only holds `ws`.
+  journal?.begin(strokes);
+  let live = ws;
+  const result = await sendStrokes(ws, strokes, {
+    swarm,
+    journal,
+    reconnect: async () => (live = await reopen(live)),
+  });
 
   // Clean up temporary waypoint used only for chunk subscription
   if (tempWaypointId) {
     try {
-      await deleteWaypoint(ws, tempWaypointId);
+      await deleteWaypoint(live, tempWaypointId);
     } catch { /* best-effort cleanup */ }
   }
 
   // 7. Capture snapshot
+  let snapshotPath = null;
   try {
-    const snapshot = await captureSnapshot(ws, strokes, TILE_CDN_URL);
+    const snapshot = await captureSnapshot(live, strokes, TILE_CDN_URL);
     if (snapshot) {
+      snapshotPath = snapshot.imagePath;
       console.log(`Snapshot: ${snapshot.imagePath} (${snapshot.width}x${snapshot.height})`);
     }
   } catch (snapErr) {
     console.warn(`[snapshot] Failed: ${snapErr.message}`);
   }
+  if (live !== ws) disconnect(live);
 
-  return result;
+  return { ...result, cx, cy, waypointUrl, snapshotPath };
 }
 
 /**
@@ -777,8 +1420,8 @@ export function disconnect(ws) {
     clearInterval(ws._presenceHeartbeat);
     ws._presenceHeartbeat = null;
   }
-  // Clean up tile update listeners for this socket
-  if (ws) _tileUpdateListeners.delete(ws);
+  // Clean up canvas event listeners for this socket
+  if (ws) releaseCanvasEvents(ws);
   if (ws && ws.readyState === WebSocket.OPEN) {
     ws.close(1000, 'done');
   }
@@ -786,50 +1429,91 @@ export function disconnect(ws) {
 
 /**
  * Connect with automatic reconnection on disconnect.
- * Returns a wrapper that transparently reconnects.
+ * Returns a wrapper that transparently reconnects. Its sendStrokes resumes
+ * on the new socket, re-sending the batch that was in flight. Canvas event
+ * listeners added through the wrapper's `on` carry over to every new
+ * socket, which reconnects with the latest viewport.
  *
- * @param {string} token - JWT
+ * @param {string|import('./client.mjs').Client} auth - Client (re-read on every reconnect), or a JWT
  * @param {object} [opts] - Same as connect() opts
- * @returns {Promise<{ ws: WebSocket, sendStrokes: Function, disconnect: Function }>}
+ * @returns {Promise<{ ws: WebSocket, sendStrokes: Function, setViewport: Function, sendChatMessage: Function, fetchChatHistory: Function, disconnect: Function } & CanvasEvents>}
  */
-export async function connectWithRetry(token, opts = {}) {
+export async function connectWithRetry(auth, opts = {}) {
+  const client = asClient(auth);
   let ws = null;
   let retries = 0;
   let closed = false;
+  /** Settles with the replacement socket (or null) once a reconnect ends. */
+  let reconnecting = null;
+  /** Outlives the sockets; each new one forwards its events here. */
+  const events = createCanvasEmitter();
 
   async function doConnect() {
-    ws = await connect(token, opts);
+    const viewport = ws?._currentViewport?.viewport;
+    const chatSpend = ws?._chatBudget;
+    ws = await connect(client, viewport ? { ...opts, center: viewport.center, zoom: viewport.zoom, size: viewport.size } : opts);
+    if (chatSpend) ws._chatBudget = chatSpend; // one budget for the whole session
     retries = 0;
 
-    ws.on('close', async (code) => {
-      if (ws._presenceHeartbeat) {
-        clearInterval(ws._presenceHeartbeat);
-        ws._presenceHeartbeat = null;
+    const socket = ws;
+    canvasEvents(socket).on('*', (payload, event) => events.emit(event, payload));
+    socket.on('close', (code) => {
+      if (socket._presenceHeartbeat) {
+        clearInterval(socket._presenceHeartbeat);
+        socket._presenceHeartbeat = null;
       }
-      if (closed) return;
+      releaseCanvasEvents(socket);
+      reconnecting = reconnectAfter(code);
+    });
+
+    return ws;
+  }
+
+  async function reconnectAfter(code) {
+    while (!closed) {
       if (retries >= MAX_RETRIES) {
         console.error(`[connection] Max retries (${MAX_RETRIES}) exceeded, giving up`);
-        return;
+        return null;
       }
       const delay = BASE_DELAY_MS * Math.pow(2, retries);
       retries++;
       console.warn(`[connection] Disconnected (code ${code}), reconnecting in ${delay}ms (attempt ${retries})`);
       await sleep(delay);
-      if (!closed) {
-        try { await doConnect(); } catch (e) {
-          console.error(`[connection] Reconnect failed:`, e.message);
-        }
+      if (closed) break;
+      try {
+        return await doConnect();
+      } catch (e) {
+        console.error(`[connection] Reconnect failed:`, e.message);
       }
-    });
+    }
+    return null;
+  }
 
-    return ws;
+  /** The socket that replaces `dead`, for sendStrokes to resume on. */
+  async function nextSocket(dead) {
+    if (ws !== dead && ws.readyState === WebSocket.OPEN) return ws;
+    if (dead.readyState !== WebSocket.CLOSED) {
+      await new Promise(resolve => dead.once('close', resolve));
+    }
+    const next = await reconnecting;
+    if (!next) throw new Error('Connection lost and could not be re-established');
+    return next;
   }
 
   await doConnect();
 
   return {
     get ws() { return ws; },
-    sendStrokes: (strokes, delayMs) => sendStrokes(ws, strokes, delayMs),
+    sendStrokes: (strokes, optsOrDelay = {}) => sendStrokes(ws, strokes, {
+      ...(typeof optsOrDelay === 'number' ? { delayMs: optsOrDelay } : optsOrDelay),
+      reconnect: nextSocket,
+    }),
+    setViewport: (viewport) => setViewport(ws, viewport),
+    sendChatMessage: (content, chatOpts) => sendChatMessage(ws, content, chatOpts),
+    fetchChatHistory: (historyOpts) => fetchChatHistory(ws, historyOpts),
+    on: events.on,
+    off: events.off,
+    once: events.once,
     disconnect() {
       closed = true;
       disconnect(ws);
@@ -1,5 +1,6 @@
 /**
- * Tests for connection.mjs — addWaypoint, getWaypointUrl, sendStrokes (rate-aware).
+ * Tests for connection.mjs — addWaypoint, getWaypointUrl, sendStrokes (rate-aware,
+ * resumable), deleteImage/deleteImages, canvasEvents, setViewport and chat.
  *
  * Uses a lightweight MockWs that mimics the 'ws' WebSocket API surface
  * used by connection.mjs (on, removeListener, send, readyState).
@@ -70,7 +71,11 @@ vi.mock('ws', () => ({
 }));
 
 // Import AFTER mock setup
-const { addWaypoint, getWaypointUrl, sendStrokes, connect, disconnect, setUsername } = await import('./connection.mjs');
+const { resetRateControllers, rateController } = await import('./rate.mjs');
+const {
+  addWaypoint, getWaypointUrl, sendStrokes, connect, disconnect, setUsername, deleteImage, deleteImages,
+  canvasEvents, onTileUpdate, setViewport, viewportForArea, sendChatMessage, fetchChatHistory, chatBudget,
+} = await import('./connection.mjs');
 
 // ---------------------------------------------------------------------------
 // Tests
@@ -187,6 +192,7 @@ describe('sendStrokes (rate-aware)', () => {
 
   beforeEach(() => {
     vi.useFakeTimers();
+    resetRateControllers();
     ws = new MockWs();
   });
 
@@ -198,7 +204,8 @@ describe('sendStrokes (rate-aware)', () => {
     const result = await sendStrokes(ws, []);
     expect(result).toEqual({
       sent: 0, acked: 0, rejected: 0, errors: [],
-      strokesSent: 0, strokesAcked: 0, ackedStrokeIds: [],
+      strokesSent: 0, strokesAcked: 0, ackedStrokeIds: [], pendingStrokeIds: [], unconfirmedStrokeIds: [],
+      throughput: { elapsedMs: 0, strokesPerSec: 0, pointsPerSec: 0, rateLimited: 0 },
     });
   });
 
@@ -211,7 +218,8 @@ describe('sendStrokes (rate-aware)', () => {
 
     expect(result).toEqual({
       sent: 1, acked: 1, rejected: 0, errors: [],
-      strokesSent: 1, strokesAcked: 1, ackedStrokeIds: ['s1'],
+      strokesSent: 1, strokesAcked: 1, ackedStrokeIds: ['s1'], pendingStrokeIds: [], unconfirmedStrokeIds: [],
+      throughput: { elapsedMs: 0, strokesPerSec: 0, pointsPerSec: 0, rateLimited: 0 },
     });
   });
 
@@ -330,20 +338,38 @@ describe('sendStrokes (rate-aware)', () => {
     expect(result.strokesAcked).toBe(1);
   });
 
-  it('should handle timeout (no ack/error) and continue', async () => {
+  it('should leave a timed-out batch pending instead of re-sending it', async () => {
     const strokes = [{ id: 's1' }, { id: 's2' }];
     const p = sendStrokes(ws, strokes, { batchSize: 1, delayMs: 0 });
 
-    // First batch: no response → timeout after 5s
+    // First batch: no response → timeout after 5s; it may have landed
     await vi.advanceTimersByTimeAsync(5000);
     // Second batch: acked
     ws._receive({ type: 'strokes.ack' });
 
     const result = await p;
-    // Timeout batch counts as sent but not acked or rejected
+    expect(ws.sent.map(m => m.strokes[0].id)).toEqual(['s1', 's2']);
     expect(result.sent).toBe(2);
     expect(result.acked).toBe(1);
     expect(result.rejected).toBe(0);
+    expect(result.pendingStrokeIds).toEqual(['s1']);
+    expect(result.unconfirmedStrokeIds).toEqual(['s1']);
+  });
+
+  it('should count a late ack for a timed-out batch', async () => {
+    const strokes = [{ id: 's1' }, { id: 's2' }];
+    const p = sendStrokes(ws, strokes, { batchSize: 1, delayMs: 0 });
+
+    await vi.advanceTimersByTimeAsync(5000);
+    ws._receive({ type: 'strokes.ack', strokeIds: ['s1'] });
+    ws._receive({ type: 'strokes.ack', strokeIds: ['s2'] });
+
+    const result = await p;
+    expect(ws.sent).toHaveLength(2);
+    expect(result.acked).toBe(2);
+    expect(result.ackedStrokeIds).toEqual(['s1', 's2']);
+    expect(result.pendingStrokeIds).toEqual([]);
+    expect(result.unconfirmedStrokeIds).toEqual([]);
   });
 
   it('should handle WS closed mid-send', async () => {
@@ -355,6 +381,120 @@ describe('sendStrokes (rate-aware)', () => {
     expect(result.sent).toBe(0);
     expect(result.rejected).toBe(2);
     expect(result.errors).toEqual(['WS_CLOSED', 'WS_CLOSED']);
+    expect(result.pendingStrokeIds).toEqual(['s1', 's2']);
+  });
+
+  it('should resume on a reconnected socket after a close', async () => {
+    const next = new MockWs();
+    next._autoRespond = () => queueMicrotask(() => next._receive({ type: 'strokes.ack' }));
+    ws._autoRespond = () => queueMicrotask(() => {
+      ws._receive({ type: 'strokes.ack' });
+      ws.close();
+    });
+    const reconnect = vi.fn(async () => next);
+
+    const strokes = [{ id: 's1' }, { id: 's2' }, { id: 's3' }];
+    const result = await sendStrokes(ws, strokes, { batchSize: 1, delayMs: 0, reconnect });
+
+    expect(reconnect).toHaveBeenCalledWith(ws);
+    expect(ws.sent.map(m => m.strokes[0].id)).toEqual(['s1']);
+    expect(next.sent.map(m => m.strokes[0].id)).toEqual(['s2', 's3']);
+    expect(result).toMatchObject({ acked: 3, rejected: 0, errors: [], pendingStrokeIds: [] });
+  });
+
+  it('should not re-send a batch that was in flight when the socket closed', async () => {
+    const next = new MockWs();
+    next._autoRespond = () => queueMicrotask(() => next._receive({ type: 'strokes.ack' }));
+    ws._autoRespond = () => queueMicrotask(() => ws.close());
+    const reconnect = vi.fn(async () => next);
+
+    const strokes = [{ id: 's1' }, { id: 's2' }, { id: 's3' }];
+    const p = sendStrokes(ws, strokes, { batchSize: 1, delayMs: 0, reconnect });
+    // The mock emits no close event, so the send notices at the ack timeout
+    await vi.advanceTimersByTimeAsync(5000);
+    const result = await p;
+
+    expect(ws.sent.map(m => m.strokes[0].id)).toEqual(['s1']);
+    expect(next.sent.map(m => m.strokes[0].id)).toEqual(['s2', 's3']);
+    expect(result).toMatchObject({ acked: 2, pendingStrokeIds: ['s1'], unconfirmedStrokeIds: ['s1'] });
+  });
+
+  it('should record sends, acks and rejections in the journal', async () => {
+    let batchCount = 0;
+    ws._autoRespond = () => {
+      batchCount++;
+      const reply = batchCount === 1 ? { type: 'strokes.ack' }
+        : batchCount === 2 ? { type: 'sync.error', code: 'STROKE_TOO_LARGE' }
+          : { type: 'sync.error', code: 'INSUFFICIENT_INQ' };
+      queueMicrotask(() => ws._receive(reply));
+    };
+    const journal = { sent: vi.fn(), retry: vi.fn(), ack: vi.fn(), reject: vi.fn() };
+
+    const strokes = [{ id: 's1' }, { id: 's2' }, { id: 's3' }, { id: 's4' }];
+    const result = await sendStrokes(ws, strokes, { batchSize: 1, delayMs: 0, journal });
+
+    expect(journal.sent.mock.calls).toEqual([[['s1']], [['s2']], [['s3']]]);
+    expect(journal.retry).toHaveBeenCalledWith(['s3']);
+    expect(journal.ack).toHaveBeenCalledWith(['s1']);
+    expect(journal.reject).toHaveBeenCalledWith(['s2'], 'STROKE_TOO_LARGE');
+    expect(journal.reject).toHaveBeenCalledTimes(1);
+    // INSUFFICIENT_INQ can succeed later, so s3 and the unsent s4 stay pending
+    expect(result.pendingStrokeIds).toEqual(['s3', 's4']);
+  });
+
+  it('should give strokes without an id a stable one before sending', async () => {
+    ws._autoRespond = () => queueMicrotask(() => ws._receive({ type: 'strokes.ack' }));
+    const strokes: any[] = [{ points: [] }];
+    const result = await sendStrokes(ws, strokes, { delayMs: 0 });
+    expect(strokes[0].id).toMatch(/^stroke-/);
+    expect(ws.sent[0].strokes[0].id).toBe(strokes[0].id);
+    expect(result.ackedStrokeIds).toEqual([strokes[0].id]);
+  });
+
+  it('should keep several batches in flight and match acks by stroke id', async () => {
+    const strokes = Array.from({ length: 5 }, (_, i) => ({ id: `s${i}` }));
+    const p = sendStrokes(ws, strokes, { batchSize: 1, delayMs: 0, maxInFlight: 3 });
+    const sentIds = () => ws.sent.map(m => m.strokes[0].id);
+
+    // The window opens one batch per ack
+    await vi.advanceTimersByTimeAsync(0);
+    expect(sentIds()).toEqual(['s0']);
+    ws._receive({ type: 'strokes.ack', strokeIds: ['s0'] });
+    await vi.advanceTimersByTimeAsync(0);
+    expect(sentIds()).toEqual(['s0', 's1', 's2']);
+
+    // Out-of-order acks still settle the right batches
+    ws._receive({ type: 'strokes.ack', strokeIds: ['s2'] });
+    await vi.advanceTimersByTimeAsync(0);
+    expect(sentIds()).toEqual(['s0', 's1', 's2', 's3', 's4']);
+    for (const id of ['s1', 's4', 's3']) ws._receive({ type: 'strokes.ack', strokeIds: [id] });
+
+    const result = await p;
+    expect(result.ackedStrokeIds).toEqual(['s0', 's2', 's1', 's4', 's3']);
+    expect(result.pendingStrokeIds).toEqual([]);
+  });
+
+  it('should report throughput and feed rate limits to the shared controller', async () => {
+    let batchCount = 0;
+    ws._autoRespond = () => {
+      batchCount++;
+      const reply = batchCount === 1
+        ? { type: 'sync.error', code: 'RATE_LIMITED', message: 'Too many points per second' }
+        : { type: 'strokes.ack' };
+      setTimeout(() => ws._receive(reply), 400);
+    };
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+    const points = Array.from({ length: 10 }, (_, i) => ({ x: i, y: 0 }));
+    const p = sendStrokes(ws, [{ id: 's1', points }, { id: 's2', points }], { batchSize: 2, delayMs: 0 });
+    // 400 ms to the RATE_LIMITED answer, 200 ms backoff, 400 ms to the ack
+    await vi.advanceTimersByTimeAsync(1000);
+    const result = await p;
+    warn.mockRestore();
+
+    expect(result.throughput).toEqual({ elapsedMs: 1000, strokesPerSec: 2, pointsPerSec: 20, rateLimited: 1 });
+    expect(rateController('ws:points').stats()).toMatchObject({ limited: 1, completed: 1, units: 20 });
+    expect(rateController('ws:messages').stats().limited).toBe(0);
   });
 
   it('should handle array-wrapped ack messages', async () => {
@@ -410,6 +550,109 @@ describe('sendStrokes (rate-aware)', () => {
   });
 });
 
+describe('deleteImage / deleteImages', () => {
+  let ws: MockWs;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    ws = new MockWs();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('should resolve on the matching image.deleted', async () => {
+    const p = deleteImage(ws, 'img_1');
+    ws._receive({ type: 'image.deleted', imageId: 'img_other' });
+    ws._receive({ type: 'image.deleted', imageId: 'img_1' });
+
+    await expect(p).resolves.toEqual({ deleted: true });
+    expect(ws.sent).toEqual([{ type: 'image.delete', imageId: 'img_1' }]);
+    expect((ws._listeners.message || []).length).toBe(0);
+  });
+
+  it('should reject on sync.error with the error code attached', async () => {
+    const p = deleteImage(ws, 'img_1');
+    ws._receive({ type: 'sync.error', code: 'NOT_OWNER', message: 'Not your image' });
+
+    await expect(p).rejects.toMatchObject({ message: 'Not your image', code: 'NOT_OWNER' });
+  });
+
+  it('should ignore a sync.error naming another image', async () => {
+    const p = deleteImage(ws, 'img_1');
+    ws._receive({ type: 'sync.error', code: 'NOT_FOUND', imageId: 'img_2' });
+    ws._receive({ type: 'image.deleted', imageId: 'img_1' });
+
+    await expect(p).resolves.toEqual({ deleted: true });
+  });
+
+  it('should resolve unconfirmed when the relay stays silent for 5s', async () => {
+    const p = deleteImage(ws, 'img_1');
+    await vi.advanceTimersByTimeAsync(5000);
+    await expect(p).resolves.toEqual({ deleted: true, unconfirmed: true });
+  });
+
+  it('should fail with WS_CLOSED when the socket closes before an answer', async () => {
+    const p = deleteImages(ws, ['img_1']);
+    ws.readyState = MockWs.CLOSED;
+    await vi.advanceTimersByTimeAsync(5000);
+    expect((await p).results[0]).toMatchObject({ ok: false, code: 'WS_CLOSED' });
+  });
+
+  it('should retry on RATE_LIMITED with backoff', async () => {
+    const p = deleteImage(ws, 'img_1');
+
+    ws._receive({ type: 'sync.error', code: 'RATE_LIMITED' });
+    await vi.advanceTimersByTimeAsync(200);
+    ws._receive({ type: 'image.deleted', imageId: 'img_1' });
+
+    await expect(p).resolves.toEqual({ deleted: true });
+    expect(ws.sent).toHaveLength(2);
+  });
+
+  it('should report per-item results and carry on after a failure', async () => {
+    ws._autoRespond = (msg) => {
+      if (msg.type !== 'image.delete') return;
+      queueMicrotask(() => ws._receive(msg.imageId === 'img_bad'
+        ? { type: 'sync.error', code: 'NOT_OWNER', message: 'Not your image' }
+        : { type: 'image.deleted', imageId: msg.imageId }));
+    };
+
+    const result = await deleteImages(ws, ['img_1', 'img_bad', 'img_2']);
+
+    expect(result.deleted).toBe(2);
+    expect(result.failed).toBe(1);
+    expect(result.results.map((r: any) => [r.imageId, r.ok, r.code])).toEqual([
+      ['img_1', true, undefined],
+      ['img_bad', false, 'NOT_OWNER'],
+      ['img_2', true, undefined],
+    ]);
+  });
+
+  it('should exhaust retries on persistent RATE_LIMITED', async () => {
+    const p = deleteImages(ws, ['img_1']);
+
+    // 1 original + 5 retries, backing off 200, 400, 800, 1600, 3200
+    for (let i = 0; i < 6; i++) {
+      ws._receive({ type: 'sync.error', code: 'RATE_LIMITED' });
+      if (i < 5) await vi.advanceTimersByTimeAsync(200 * Math.pow(2, i));
+    }
+
+    const result = await p;
+    expect(result.failed).toBe(1);
+    expect(result.results[0]).toMatchObject({ ok: false, attempts: 6, code: 'RATE_LIMITED' });
+  });
+
+  it('should mark the rest as WS_CLOSED when the socket closes', async () => {
+    ws.readyState = MockWs.CLOSED;
+
+    const result = await deleteImages(ws, ['img_1', 'img_2']);
+    expect(ws.sent).toHaveLength(0);
+    expect(result.results.map((r: any) => r.code)).toEqual(['WS_CLOSED', 'WS_CLOSED']);
+  });
+});
+
 describe('presence heartbeat', () => {
   let ws: MockWs;
 
@@ -542,3 +785,150 @@ describe('setUsername', () => {
     expect(result).toEqual({ username: 'slowname' });
   });
 });
+
+describe('canvasEvents / setViewport', () => {
+  let ws: MockWs;
+
+  beforeEach(() => {
+    ws = new MockWs();
+  });
+
+  it('should turn relay messages into typed events', () => {
+    const events = canvasEvents(ws);
+    const chat = vi.fn();
+    const presence = vi.fn();
+    const all = vi.fn();
+    events.on('chat', chat);
+    events.on('presence', presence);
+    events.on('*', all);
+
+    ws._receive([
+      { type: 'chat.message', chatMessage: { id: 'm1', content: 'hi', username: 'ann' } },
+      { type: 'presence.update', userId: 'u1', username: 'bob', cursor: { x: 1, y: 2 } },
+    ]);
+    ws._receive({ type: 'presence.left', userId: 'u1' });
+    ws._receive({ type: 'strokes.ack', strokeIds: ['s1'] });
+
+    expect(chat).toHaveBeenCalledWith({ id: 'm1', content: 'hi', username: 'ann' }, 'chat');
+    expect(presence.mock.calls.map(c => c[0])).toEqual([
+      { userId: 'u1', username: 'bob', cursor: { x: 1, y: 2 }, left: false },
+      { userId: 'u1', username: undefined, left: true },
+    ]);
+    expect(all.mock.calls.map(c => c[1])).toEqual(['chat', 'presence', 'presence']);
+    disconnect(ws);
+  });
+
+  it('should share one listener per socket and drop it on disconnect', () => {
+    const placed = vi.fn();
+    const stop = canvasEvents(ws).on('image.placed', placed);
+    expect(canvasEvents(ws)).toBe(canvasEvents(ws));
+    onTileUpdate(ws, () => {});
+    expect(ws._listeners.message).toHaveLength(1);
+
+    ws._receive({ type: 'image.placed', image: { id: 'img_1' }, userId: 'u2' });
+    stop();
+    ws._receive({ type: 'image.placed', image: { id: 'img_2' }, userId: 'u2' });
+    expect(placed).toHaveBeenCalledTimes(1);
+    expect(placed.mock.calls[0][0]).toEqual({ image: { id: 'img_1' }, userId: 'u2' });
+
+    disconnect(ws);
+    expect(ws._listeners.message).toHaveLength(0);
+  });
+
+  it('should reject unknown event names and survive throwing listeners', () => {
+    const events = canvasEvents(ws);
+    expect(() => events.on('stroke.add', () => {})).toThrow('Unknown canvas event "stroke.add"');
+    const after = vi.fn();
+    events.once('stroke.added', () => { throw new Error('boom'); });
+    events.on('stroke.added', after);
+    ws._receive({ type: 'stroke.added', stroke: { id: 's1' }, userId: 'u3', chunk: '0_0' });
+    ws._receive({ type: 'stroke.added', stroke: { id: 's2' }, userId: 'u3', chunk: '0_0' });
+    expect(after).toHaveBeenCalledTimes(2);
+    disconnect(ws);
+  });
+
+  it('should move the viewport the heartbeat re-sends', () => {
+    ws._currentViewport = {
+      type: 'viewport.update',
+      viewport: { center: { x: 0, y: 0 }, zoom: 0.2, size: { width: 6000, height: 6000 } },
+      cursor: { x: 0, y: 0 },
+      username: 'watcher',
+    };
+    setViewport(ws, viewportForArea({ x: 500, y: -300, radius: 250.5 }));
+
+    const expected = {
+      type: 'viewport.update',
+      viewport: { center: { x: 500, y: -300 }, zoom: 1, size: { width: 501, height: 501 } },
+      cursor: { x: 500, y: -300 },
+      username: 'watcher',
+    };
+    expect(ws._currentViewport).toEqual(expected);
+    expect(ws.sent).toEqual([expected]);
+
+    setViewport(ws, { center: { x: 1, y: 1 } });
+    expect(ws._currentViewport.viewport).toEqual({ center: { x: 1, y: 1 }, zoom: 1, size: { width: 501, height: 501 } });
+  });
+});
+
+describe('sendChatMessage / fetchChatHistory', () => {
+  let ws: MockWs;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    ws = new MockWs();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('should resolve with the relay echo of a reply', async () => {
+    const p = sendChatMessage(ws, 'thanks!', { replyTo: 'msg_1' });
+    expect(ws.sent[0]).toEqual({ type: 'chat.send', chatMessage: { content: 'thanks!', replyTo: 'msg_1' } });
+
+    ws._receive({ type: 'chat.message', chatMessage: { id: 'msg_0', content: 'thanks!' } });  // not ours: no replyTo
+    ws._receive({ type: 'chat.message', chatMessage: { id: 'msg_2', content: 'thanks!', replyTo: 'msg_1' } });
+    expect(await p).toEqual({ message: { id: 'msg_2', content: 'thanks!', replyTo: 'msg_1' }, inq: 50 });
+    expect(ws._listeners.message).toHaveLength(0);
+  });
+
+  it('should assume success when no echo arrives', async () => {
+    const p = sendChatMessage(ws, 'hello');
+    vi.advanceTimersByTime(3000);
+    expect(await p).toEqual({ message: null, inq: 50 });
+  });
+
+  it('should enforce the session chat budget and refund refused messages', async () => {
+    ws._chatBudget = { limit: 100, spent: 0 };
+    const refused = sendChatMessage(ws, 'one');
+    ws._receive({ type: 'sync.error', code: 'RATE_LIMITED', message: 'Chat: 5 messages per 10 seconds' });
+    await expect(refused).rejects.toMatchObject({ code: 'RATE_LIMITED' });
+    expect(chatBudget(ws)).toEqual({ limitInq: 100, spentInq: 0, remainingInq: 100 });
+
+    for (const text of ['one', 'two']) {
+      const p = sendChatMessage(ws, text);
+      ws._receive({ type: 'chat.message', chatMessage: { id: text, content: text } });
+      await p;
+    }
+    await expect(sendChatMessage(ws, 'three')).rejects.toMatchObject({ code: 'CHAT_BUDGET' });
+    expect(ws.sent).toHaveLength(3);
+    expect(chatBudget(ws).remainingInq).toBe(0);
+  });
+
+  it('should refuse empty and overlong messages without sending', async () => {
+    await expect(sendChatMessage(ws, '  ')).rejects.toThrow('empty');
+    await expect(sendChatMessage(ws, 'x'.repeat(501))).rejects.toThrow('500 characters');
+    expect(ws.sent).toHaveLength(0);
+  });
+
+  it('should request history and resolve with its messages', async () => {
+    const p = fetchChatHistory(ws, { since: 1000, limit: 999 });
+    expect(ws.sent[0]).toEqual({ type: 'chat.history', since: 1000, limit: 200 });
+    ws._receive({ type: 'chat.history', messages: [{ id: 'msg_1' }] });
+    expect(await p).toEqual([{ id: 'msg_1' }]);
+
+    const late = fetchChatHistory(ws);
+    vi.advanceTimersByTime(10000);
+    await expect(late).rejects.toThrow('Chat history response timeout (10s)');
+  });
+});
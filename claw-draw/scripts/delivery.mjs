@@ -0,0 +1,354 @@
+#!/usr/bin/env node
+/**
+ * Stroke delivery journal — one JSONL file per send under
+ * ~/.clawdraw/deliveries/, recording which strokes the relay has acked.
+ *
+ * The first line holds the strokes exactly as sent (final coordinates and
+ * IDs). Each later line is an event:
+ *
+ *   { "event": "sent",   "ids": [...] }             written to the socket
+ *   { "event": "retry",  "ids": [...] }             refused for now (rate limit, INQ), not drawn
+ *   { "event": "ack",    "ids": [...] }             relay confirmed these strokes
+ *   { "event": "reject", "ids": [...], "code": ... } relay refused them for good
+ *   { "event": "finish", "status": "complete" | "interrupted" }
+ *
+ * A delivery is `sending` until finished. One left `sending` (process
+ * killed) or `interrupted` (strokes never confirmed) can be resumed. Its
+ * pending strokes split in two: `unsent()` never reached the relay (or were
+ * refused for now) and are safe to send, while `unconfirmed()` were sent
+ * but never answered and may be on the canvas already. Whether the
+ * production relay skips a stroke ID it already has is not documented (the
+ * dev-relay emulator does), so resuming re-sends only the unsent ones
+ * unless asked otherwise.
+ *
+ * Events are appended with O_APPEND, so recording an ack never rewrites the
+ * stroke data. Delivery IDs are tracked in ~/.clawdraw/deliveries/index.json
+ * so listing never has to enumerate the directory. Completed journals are
+ * deleted; only their index entry remains.
+ *
+ * Usage:
+ *   import { createDelivery, loadDelivery, findLatestDelivery } from './delivery.mjs';
+ *
+ *   const delivery = createDelivery({ command: 'draw', profile: 'default' });
+ *   delivery.begin(strokes);
+ *   await sendStrokes(ws, strokes, { journal: delivery });
+ *   delivery.finish();   // → 'complete' or 'interrupted'
+ *
+ *   const resumable = findLatestDelivery();
+ *   if (resumable) await sendStrokes(ws, resumable.unsent(), { journal: resumable });
+ */
+
+// @security-manifest
+// env: none
+// endpoints: none
+// files: ~/.clawdraw/deliveries/<id>.jsonl, ~/.clawdraw/deliveries/index.json
+// exec: none
+
+import fs from 'node:fs';
+import path from 'node:path';
+import os from 'node:os';
+import { withFileLock } from './file-lock.mjs';
+
+const DELIVERIES_DIR = path.join(os.homedir(), '.clawdraw', 'deliveries');
+const INDEX_FILE = path.join(DELIVERIES_DIR, 'index.json');
+/** Completed deliveries beyond this count drop out of the index (oldest first). */
+const DELIVERIES_MAX_FINISHED = 50;
+
+/** All delivery states. */
+export const DELIVERY_STATUSES = ['sending', 'interrupted', 'complete'];
+/** States `resume-send` picks up. */
+export const RESUMABLE_STATUSES = ['sending', 'interrupted'];
+
+const DELIVERY_ID_RE = /^send-\d{14}-[0-9a-f]{5}$/;
+
+// ---------------------------------------------------------------------------
+// File helpers
+// ---------------------------------------------------------------------------
+
+function deliveryPath(id) {
+  if (!DELIVERY_ID_RE.test(id)) throw new Error(`Invalid delivery id "${id}"`);
+  return path.join(DELIVERIES_DIR, `${id}.jsonl`);
+}
+
+function appendEvent(id, event) {
+  fs.mkdirSync(DELIVERIES_DIR, { recursive: true, mode: 0o700 });
+  fs.appendFileSync(deliveryPath(id), JSON.stringify(event) + '\n', { encoding: 'utf-8', mode: 0o600 });
+}
+
+function readIndex() {
+  try {
+    const data = JSON.parse(fs.readFileSync(INDEX_FILE, 'utf-8'));
+    return Array.isArray(data) ? data : [];
+  } catch {
+    return [];
+  }
+}
+
+/** Acquire a file lock around an index read-modify-write cycle. */
+function withIndexLock(fn) {
+  fs.mkdirSync(DELIVERIES_DIR, { recursive: true, mode: 0o700 });
+  return withFileLock(INDEX_FILE + '.lock', fn);
+}
+
+/** Mirror a delivery's summary into the index, pruning old completed ones. */
+function indexDelivery(delivery) {
+  withIndexLock(() => {
+    const entries = readIndex().filter(e => e.id !== delivery.id);
+    entries.push(summarize(delivery));
+
+    const finished = entries
+      .filter(e => e.status === 'complete')
+      .sort((a, b) => a.updatedAt.localeCompare(b.updatedAt));
+    const pruned = new Set(finished.slice(0, Math.max(0, finished.length - DELIVERIES_MAX_FINISHED)).map(e => e.id));
+
+    const tmp = `${INDEX_FILE}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(entries.filter(e => !pruned.has(e.id)), null, 2), 'utf-8');
+    fs.renameSync(tmp, INDEX_FILE);
+  });
+}
+
+function summarize(delivery) {
+  return {
+    id: delivery.id,
+    command: delivery.command,
+    profile: delivery.profile,
+    status: delivery.status,
+    strokes: delivery.strokes.length,
+    acked: delivery.acked.size,
+    rejected: delivery.rejected.size,
+    unconfirmed: delivery.unconfirmed().length,
+    createdAt: delivery.createdAt,
+    updatedAt: delivery.updatedAt,
+  };
+}
+
+function strokeId(stroke) {
+  return stroke && stroke.id !== undefined && stroke.id !== null ? String(stroke.id) : null;
+}
+
+// ---------------------------------------------------------------------------
+// Journal
+// ---------------------------------------------------------------------------
+
+/**
+ * @typedef {Object} Delivery
+ * @property {string} id
+ * @property {string} command - CLI command that started the send
+ * @property {string} profile - Credential profile whose agent pays for the strokes
+ * @property {string} status - One of DELIVERY_STATUSES
+ * @property {Array} strokes - Every stroke in the send, as sent
+ * @property {Set<string>} acked - IDs the relay acknowledged
+ * @property {Map<string, string>} rejected - ID → error code for strokes refused for good
+ * @property {Set<string>} unanswered - IDs sent and not answered since
+ * @property {(strokes: Array) => void} begin - Write the journal; call once, before sending
+ * @property {(ids: string[]) => void} sent - Record strokes written to the socket
+ * @property {(ids: string[]) => void} retry - Record strokes refused for now, so not drawn
+ * @property {(ids: string[]) => void} ack - Record acknowledged strokes
+ * @property {(ids: string[], code: string) => void} reject - Record strokes the relay will never accept
+ * @property {() => Array} pending - Strokes neither acked nor rejected
+ * @property {() => Array} unsent - Pending strokes that never reached the relay
+ * @property {() => Array} unconfirmed - Pending strokes sent but never answered; they may have landed
+ * @property {() => string} finish - Mark complete (nothing pending) or interrupted; returns the status
+ */
+
+function makeDelivery(fields) {
+  const delivery = {
+    status: 'sending',
+    strokes: [],
+    acked: new Set(),
+    rejected: new Map(),
+    unanswered: new Set(),
+    ...fields,
+
+    begin(strokes) {
+      if (delivery.strokes.length > 0) throw new Error(`Delivery ${delivery.id} has already begun`);
+      const missing = strokes.filter(s => strokeId(s) === null).length;
+      if (missing > 0) throw new Error(`${missing} stroke(s) have no id; the journal needs one per stroke`);
+      delivery.strokes = strokes;
+      appendEvent(delivery.id, {
+        event: 'begin',
+        id: delivery.id,
+        command: delivery.command,
+        profile: delivery.profile,
+        createdAt: delivery.createdAt,
+        strokes,
+      });
+      indexDelivery(delivery);
+    },
+
+    sent(ids) {
+      if (ids.length === 0) return;
+      for (const id of ids) delivery.unanswered.add(String(id));
+      delivery.updatedAt = new Date().toISOString();
+      appendEvent(delivery.id, { event: 'sent', ids, at: delivery.updatedAt });
+    },
+
+    retry(ids) {
+      if (ids.length === 0) return;
+      for (const id of ids) delivery.unanswered.delete(String(id));
+      delivery.updatedAt = new Date().toISOString();
+      appendEvent(delivery.id, { event: 'retry', ids, at: delivery.updatedAt });
+    },
+
+    ack(ids) {
+      if (ids.length === 0) return;
+      for (const id of ids) {
+        delivery.acked.add(String(id));
+        delivery.unanswered.delete(String(id));
+      }
+      delivery.updatedAt = new Date().toISOString();
+      appendEvent(delivery.id, { event: 'ack', ids, at: delivery.updatedAt });
+    },
+
+    reject(ids, code) {
+      if (ids.length === 0) return;
+      for (const id of ids) {
+        delivery.rejected.set(String(id), code);
+        delivery.unanswered.delete(String(id));
+      }
+      delivery.updatedAt = new Date().toISOString();
+      appendEvent(delivery.id, { event: 'reject', ids, code, at: delivery.updatedAt });
+    },
+
+    pending() {
+      return delivery.strokes.filter(s => {
+        const id = strokeId(s);
+        return !delivery.acked.has(id) && !delivery.rejected.has(id);
+      });
+    },
+
+    unsent() {
+      return delivery.pending().filter(s => !delivery.unanswered.has(strokeId(s)));
+    },
+
+    unconfirmed() {
+      return delivery.pending().filter(s => delivery.unanswered.has(strokeId(s)));
+    },
+
+    finish() {
+      const status = delivery.pending().length === 0 ? 'complete' : 'interrupted';
+      delivery.status = status;
+      delivery.updatedAt = new Date().toISOString();
+      if (status === 'complete') {
+        // Nothing left to resume, so the stroke data is no longer needed
+        try { fs.unlinkSync(deliveryPath(delivery.id)); } catch {}
+      } else {
+        appendEvent(delivery.id, { event: 'finish', status, at: delivery.updatedAt });
+      }
+      indexDelivery(delivery);
+      return status;
+    },
+  };
+  return delivery;
+}
+
+// ---------------------------------------------------------------------------
+// Public API
+// ---------------------------------------------------------------------------
+
+/** Generate a sortable delivery ID (send-YYYYMMDDhhmmss-xxxxx). */
+export function newDeliveryId() {
+  const ts = new Date().toISOString().replace(/\D/g, '').slice(0, 14);
+  const rand = Math.random().toString(16).slice(2, 7).padEnd(5, '0');
+  return `send-${ts}-${rand}`;
+}
+
+/**
+ * Start a journal for a new send. Nothing is written until `begin()`.
+ *
+ * @param {object} fields
+ * @param {string} fields.command - CLI command sending the strokes
+ * @param {string} fields.profile - Active credential profile
+ * @returns {Delivery}
+ */
+export function createDelivery({ command, profile }) {
+  const now = new Date().toISOString();
+  return makeDelivery({ id: newDeliveryId(), command, profile, createdAt: now, updatedAt: now });
+}
+
+/**
+ * Load a delivery by replaying its journal.
+ *
+ * @param {string} id
+ * @returns {Delivery|null} The delivery, or null if it is unknown or already complete
+ */
+export function loadDelivery(id) {
+  let lines;
+  try {
+    lines = fs.readFileSync(deliveryPath(id), 'utf-8').split('\n').filter(Boolean);
+  } catch (err) {
+    if (err.message.startsWith('Invalid delivery id')) throw err;
+    return null;
+  }
+
+  let delivery = null;
+  for (const line of lines) {
+    let event;
+    try {
+      event = JSON.parse(line);
+    } catch {
+      continue; // a line cut short by a crash mid-write
+    }
+    if (event.event === 'begin') {
+      delivery = makeDelivery({
+        id: event.id,
+        command: event.command,
+        profile: event.profile,
+        createdAt: event.createdAt,
+        updatedAt: event.createdAt,
+        strokes: event.strokes,
+      });
+      continue;
+    }
+    if (!delivery) continue;
+    if (event.at) delivery.updatedAt = event.at;
+    if (event.event === 'sent') {
+      for (const sid of event.ids) delivery.unanswered.add(String(sid));
+    } else if (event.event === 'retry') {
+      for (const sid of event.ids) delivery.unanswered.delete(String(sid));
+    } else if (event.event === 'ack') {
+      for (const sid of event.ids) {
+        delivery.acked.add(String(sid));
+        delivery.unanswered.delete(String(sid));
+      }
+    } else if (event.event === 'reject') {
+      for (const sid of event.ids) {
+        delivery.rejected.set(String(sid), event.code);
+        delivery.unanswered.delete(String(sid));
+      }
+    } else if (event.event === 'finish') {
+      delivery.status = event.status;
+    }
+  }
+  return delivery;
+}
+
+/**
+ * List deliveries from the index, newest first.
+ *
+ * @param {object} [opts]
+ * @param {string[]} [opts.status] - Only deliveries in these states
+ * @returns {Array<{ id: string, command: string, profile: string, status: string, strokes: number, acked: number, rejected: number, unconfirmed: number, createdAt: string, updatedAt: string }>}
+ *   Index summaries (acked counts are as of the last begin/finish)
+ */
+export function listDeliveries(opts = {}) {
+  return readIndex()
+    .filter(e => !opts.status || opts.status.includes(e.status))
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt) || b.id.localeCompare(a.id));
+}
+
+/**
+ * Most recent delivery that can still be resumed.
+ *
+ * @param {object} [opts]
+ * @param {string} [opts.profile] - Only deliveries sent by this profile
+ * @returns {Delivery|null}
+ */
+export function findLatestDelivery(opts = {}) {
+  for (const entry of listDeliveries({ status: RESUMABLE_STATUSES })) {
+    if (opts.profile && entry.profile !== opts.profile) continue;
+    const delivery = loadDelivery(entry.id);
+    if (delivery) return delivery;
+  }
+  return null;
+}
@@ -0,0 +1,111 @@
+/**
+ * Tests for delivery.mjs — journal writes, replay, unsent vs unconfirmed
+ * strokes, resumable lookup and cleanup of completed deliveries.
+ *
+ * HOME is pointed at a temp dir before the module loads, so the journals
+ * live in <tmp>/.clawdraw/deliveries/.
+ */
+
+import { describe, it, expect, afterAll } from 'vitest';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+const tmpHome = fs.mkdtempSync(path.join(os.tmpdir(), 'clawdraw-delivery-test-'));
+const realHome = process.env.HOME;
+process.env.HOME = tmpHome;
+
+const { createDelivery, loadDelivery, listDeliveries, findLatestDelivery } = await import('./delivery.mjs');
+
+afterAll(() => {
+  process.env.HOME = realHome;
+  fs.rmSync(tmpHome, { recursive: true, force: true });
+});
+
+const dir = path.join(tmpHome, '.clawdraw', 'deliveries');
+
+function strokes(n: number) {
+  return Array.from({ length: n }, (_, i) => ({ id: `s${i}`, points: [{ x: i, y: i }] }));
+}
+
+describe('delivery journal', () => {
+  it('should write nothing until begin', () => {
+    const delivery = createDelivery({ command: 'draw', profile: 'default' });
+    expect(delivery.id).toMatch(/^send-\d{14}-[0-9a-f]{5}$/);
+    expect(fs.existsSync(path.join(dir, `${delivery.id}.jsonl`))).toBe(false);
+    expect(() => delivery.begin([{ points: [] }])).toThrow('have no id');
+  });
+
+  it('should replay acks and rejections into the pending strokes', () => {
+    const delivery = createDelivery({ command: 'compose', profile: 'default' });
+    delivery.begin(strokes(5));
+    delivery.ack(['s0', 's1']);
+    delivery.reject(['s2'], 'STROKE_TOO_LARGE');
+
+    const loaded = loadDelivery(delivery.id)!;
+    expect(loaded.status).toBe('sending');
+    expect(loaded.pending().map((s: any) => s.id)).toEqual(['s3', 's4']);
+    expect(loaded.rejected.get('s2')).toBe('STROKE_TOO_LARGE');
+    expect(loaded.strokes[3].points).toEqual([{ x: 3, y: 3 }]);
+  });
+
+  it('should split pending strokes into unsent and unconfirmed', () => {
+    const delivery = createDelivery({ command: 'draw', profile: 'default' });
+    delivery.begin(strokes(5));
+    delivery.sent(['s0', 's1']);
+    delivery.ack(['s0']);
+    delivery.sent(['s2']);
+    delivery.retry(['s2']); // rate-limited, so not drawn
+    delivery.sent(['s3']);
+    delivery.reject(['s3'], 'STROKE_TOO_LARGE');
+
+    const loaded = loadDelivery(delivery.id)!;
+    expect(loaded.pending().map((s: any) => s.id)).toEqual(['s1', 's2', 's4']);
+    expect(loaded.unconfirmed().map((s: any) => s.id)).toEqual(['s1']);
+    expect(loaded.unsent().map((s: any) => s.id)).toEqual(['s2', 's4']);
+    expect(loaded.finish()).toBe('interrupted');
+    expect(listDeliveries().find((e: any) => e.id === delivery.id)).toMatchObject({ unconfirmed: 1 });
+  });
+
+  it('should ignore a line cut short by a crash', () => {
+    const delivery = createDelivery({ command: 'draw', profile: 'default' });
+    delivery.begin(strokes(2));
+    delivery.ack(['s0']);
+    fs.appendFileSync(path.join(dir, `${delivery.id}.jsonl`), '{"event":"ack","ids":["s');
+    expect(loadDelivery(delivery.id)!.pending().map((s: any) => s.id)).toEqual(['s1']);
+  });
+
+  it('should keep interrupted deliveries and delete completed ones', () => {
+    const done = createDelivery({ command: 'draw', profile: 'default' });
+    done.begin(strokes(1));
+    done.ack(['s0']);
+    expect(done.finish()).toBe('complete');
+    expect(fs.existsSync(path.join(dir, `${done.id}.jsonl`))).toBe(false);
+    expect(loadDelivery(done.id)).toBeNull();
+
+    const cut = createDelivery({ command: 'paint', profile: 'default' });
+    cut.begin(strokes(3));
+    cut.ack(['s0']);
+    expect(cut.finish()).toBe('interrupted');
+    expect(loadDelivery(cut.id)!.status).toBe('interrupted');
+    expect(listDeliveries().find((e: any) => e.id === done.id)).toMatchObject({ status: 'complete', strokes: 1, acked: 1 });
+  });
+
+  it('should find the latest resumable delivery for a profile', () => {
+    const mine = createDelivery({ command: 'draw', profile: 'alice' });
+    mine.begin(strokes(2));
+    const theirs = createDelivery({ command: 'draw', profile: 'bob' });
+    theirs.begin(strokes(2));
+
+    expect(findLatestDelivery({ profile: 'alice' })!.id).toBe(mine.id);
+    mine.ack(['s0', 's1']);
+    mine.finish();
+    expect(findLatestDelivery({ profile: 'alice' })).toBeNull();
+    expect(findLatestDelivery({ profile: 'bob' })!.id).toBe(theirs.id);
+  });
+
+  it('should refuse malformed delivery ids', () => {
+    expect(() => loadDelivery('../../etc/passwd')).toThrow('Invalid delivery id');
+    expect(loadDelivery('send-20260101000000-abcde')).toBeNull();
+  });
+});
@@ -0,0 +1,929 @@
+#!/usr/bin/env node
+/**
+ * Local relay emulator for offline development and integration tests.
+ *
+ * Serves the WebSocket protocol from references/WEBSOCKET.md and the HTTP
+ * routes the CLI uses (relay and logic API) from an in-memory canvas, so
+ * connection.mjs, snapshot.mjs, pgs-lock.mjs and the whole CLI can run
+ * without relay.clawdraw.ai. Point the CLI at it with the existing
+ * overrides (`relay.env()` returns them):
+ *
+ *   CLAWDRAW_RELAY_URL=http://127.0.0.1:8787
+ *   CLAWDRAW_LOGIC_URL=http://127.0.0.1:8787
+ *   CLAWDRAW_WS_URL=ws://127.0.0.1:8787/ws
+ *
+ * Any API key is accepted; each key gets its own agent with `inqBalance`
+ * INQ. Strokes, chat and image placement are charged like the real relay
+ * (inq.mjs), rate limits follow WEBSOCKET.md unless `rateLimits: false`,
+ * and z8 tiles are re-rendered from the strokes (rasterize.mjs) and served
+ * as lossless WebP after each change. Images are stored as uploaded; tiles
+ * show strokes only.
+ *
+ * Usage:
+ *   import { createDevRelay } from './dev-relay.mjs';
+ *
+ *   const relay = createDevRelay({ inqBalance: 5000 });
+ *   await relay.listen();                           // random free port
+ *   Object.assign(process.env, relay.env());        // before importing connection.mjs
+ *   relay.failNext('strokes.add', 'BATCH_FAILED');  // next batch gets a sync.error
+ *   await relay.close();
+ *
+ * Or from the CLI: clawdraw dev-relay [--port 8787]
+ */
+
+// @security-manifest
+// env: none
+// endpoints: none (listens on 127.0.0.1 by default)
+// files: none
+// exec: none
+
+import http from 'node:http';
+import crypto from 'node:crypto';
+import { WebSocketServer } from 'ws';
+import { PNG } from 'pngjs';
+import { rasterizeStrokes } from './rasterize.mjs';
+import { estimatePgsInq, CHAT_INQ, INQ_PER_POINT } from './inq.mjs';
+import { PGS_LOCK_TTL_MS } from './pgs-lock.mjs';
+
+/** Canvas units per chunk / z8 tile. */
+const CHUNK_SIZE = 1024;
+/** z8 tile size in pixels. */
+const TILE_PX = 256;
+/** Wait this long after the last change to a chunk before re-rendering its tile. */
+const TILE_RENDER_DELAY_MS = 100;
+/** Viewport subscriptions are capped to this many chunks per side. */
+const MAX_SUBSCRIBED_CHUNKS_PER_SIDE = 32;
+/** JWT lifetime for tokens issued by /api/agents/auth. */
+const DEFAULT_TOKEN_TTL_MS = 60 * 60 * 1000;
+/** Largest accepted HTTP body (base64 images). */
+const MAX_BODY_BYTES = 64 * 1024 * 1024;
+
+const MAX_BATCH_STROKES = 100;
+const MAX_STROKE_POINTS = 5000;
+const MAX_CHAT_LENGTH = 500;
+/** Chat messages kept for chat.history; older ones are dropped. */
+const MAX_CHAT_HISTORY = 1000;
+/** Most messages one chat.history request returns. */
+const MAX_CHAT_HISTORY_PAGE = 200;
+/** Longest PGS side the emulator approves. */
+const MAX_PGS_SIDE = 4096;
+/** Longest side of the resolution reported for a PGS. */
+const PGS_RESOLUTION_PX = 1024;
+
+export const PGS_MODELS = ['nano-banana-pro', 'nano-banana-2', 'flux-fill-pro', 'flux-kontext', 'gpt-image-1.5'];
+
+/** WEBSOCKET.md "Rate Limits", per connection. */
+const RATE_LIMITS = {
+  messagesPerSecond: 50,
+  chatPer10s: 5,
+  waypointsPer10s: 1,
+  pointsPerSecond: 2500,
+};
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+function chunkKey(x, y) {
+  return `${Math.floor(x / CHUNK_SIZE)}_${Math.floor(y / CHUNK_SIZE)}`;
+}
+
+function chunkBounds(key) {
+  const [cx, cy] = key.split('_').map(Number);
+  return { minX: cx * CHUNK_SIZE, minY: cy * CHUNK_SIZE, maxX: (cx + 1) * CHUNK_SIZE, maxY: (cy + 1) * CHUNK_SIZE };
+}
+
+/** Chunk keys a canvas-space bbox touches. */
+function chunksInBounds({ minX, minY, maxX, maxY }) {
+  const keys = [];
+  for (let cy = Math.floor(minY / CHUNK_SIZE); cy <= Math.floor(maxY / CHUNK_SIZE); cy++) {
+    for (let cx = Math.floor(minX / CHUNK_SIZE); cx <= Math.floor(maxX / CHUNK_SIZE); cx++) {
+      keys.push(`${cx}_${cy}`);
+    }
+  }
+  return keys;
+}
+
+function strokeBbox(stroke) {
+  const r = (stroke.brush?.size || 5) / 2;
+  let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+  for (const p of stroke.points) {
+    minX = Math.min(minX, p.x - r); maxX = Math.max(maxX, p.x + r);
+    minY = Math.min(minY, p.y - r); maxY = Math.max(maxY, p.y + r);
+  }
+  return { minX, minY, maxX, maxY };
+}
+
+function rectsOverlap(a, b) {
+  return a.x < b.x + b.width && a.x + a.width > b.x && a.y < b.y + b.height && a.y + a.height > b.y;
+}
+
+function isValidStroke(stroke) {
+  return stroke && typeof stroke === 'object' && typeof stroke.id === 'string' && stroke.id.length > 0 &&
+    Array.isArray(stroke.points) && stroke.points.length > 0 &&
+    stroke.points.every(p => Number.isFinite(p?.x) && Number.isFinite(p?.y));
+}
+
+function newId(prefix) {
+  return `${prefix}_${crypto.randomBytes(6).toString('hex')}`;
+}
+
+function base64url(obj) {
+  return Buffer.from(JSON.stringify(obj)).toString('base64url');
+}
+
+/** Sliding-window limiter: take() is false once `max` events fall inside `windowMs`. */
+function createWindowLimiter(max, windowMs) {
+  const times = [];
+  return {
+    take() {
+      const now = Date.now();
+      while (times.length > 0 && now - times[0] >= windowMs) times.shift();
+      if (times.length >= max) return false;
+      times.push(now);
+      return true;
+    },
+  };
+}
+
+/**
+ * Points-per-second budget. A batch is accepted while the bucket is not in
+ * debt and may overdraw it, so batches larger than one second's worth still
+ * get through, just more slowly.
+ */
+function createPointBucket(perSecond) {
+  let level = perSecond;
+  let last = Date.now();
+  return {
+    take(points) {
+      const now = Date.now();
+      level = Math.min(perSecond, level + (now - last) / 1000 * perSecond);
+      last = now;
+      if (level < 0) return false;
+      level -= points;
+      return true;
+    },
+  };
+}
+
+function resolutionFor(width, height) {
+  const scale = PGS_RESOLUTION_PX / Math.max(width, height);
+  const side = (v) => Math.max(64, Math.round(v * scale / 8) * 8);
+  return [side(width), side(height)];
+}
+
+// ---------------------------------------------------------------------------
+// Lossless WebP (VP8L) encoding for tiles
+// ---------------------------------------------------------------------------
+
+/** Order in which VP8L stores the code-length code lengths. */
+const CODE_LENGTH_CODE_ORDER = [17, 18, 0, 1, 2, 3, 4, 5, 16, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15];
+
+function createBitWriter() {
+  const bytes = [];
+  let acc = 0;
+  let n = 0;
+  return {
+    /** Write `bits` bits of `value`, least significant first. */
+    put(value, bits) {
+      for (let i = 0; i < bits; i++) {
+        acc |= ((value >>> i) & 1) << n;
+        if (++n === 8) { bytes.push(acc); acc = 0; n = 0; }
+      }
+    },
+    finish() {
+      if (n > 0) bytes.push(acc);
+      return Buffer.from(bytes);
+    },
+  };
+}
+
+const REVERSED_BYTES = Uint8Array.from({ length: 256 }, (_, v) => {
+  let r = 0;
+  for (let i = 0; i < 8; i++) r |= ((v >> i) & 1) << (7 - i);
+  return r;
+});
+
+/**
+ * Prefix code giving every literal 0-255 an 8-bit code (the rest of the
+ * alphabet unused), stored as a "normal" code whose code-length code has
+ * two 1-bit symbols: length 0 and length 8.
+ */
+function writeByteCode(w, alphabetSize) {
+  w.put(0, 1);                       // normal (not simple) code
+  w.put(12 - 4, 4);                  // 12 code-length code lengths: up to symbol 8
+  for (let i = 0; i < 12; i++) {
+    const sym = CODE_LENGTH_CODE_ORDER[i];
+    w.put(sym === 0 || sym === 8 ? 1 : 0, 3);
+  }
+  w.put(0, 1);                       // max_symbol = alphabet size
+  for (let s = 0; s < alphabetSize; s++) w.put(s < 256 ? 1 : 0, 1);  // '1' → length 8, '0' → length 0
+}
+
+/**
+ * Encode RGBA pixels as a lossless WebP: no transforms, no colour cache,
+ * fixed 8-bit codes. Large but simple, and decodable by any WebP decoder.
+ *
+ * @param {{ width: number, height: number, data: Uint8Array }} raster
+ * @returns {Buffer}
+ */
+export function encodeWebpLossless({ width, height, data }) {
+  const w = createBitWriter();
+  let hasAlpha = false;
+  for (let i = 3; i < data.length; i += 4) {
+    if (data[i] !== 255) { hasAlpha = true; break; }
+  }
+  w.put(0x2f, 8);
+  w.put(width - 1, 14);
+  w.put(height - 1, 14);
+  w.put(hasAlpha ? 1 : 0, 1);
+  w.put(0, 3);                       // version
+  w.put(0, 1);                       // no transforms
+  w.put(0, 1);                       // no colour cache
+  w.put(0, 1);                       // no meta prefix codes
+  writeByteCode(w, 256 + 24);        // green + length prefixes
+  writeByteCode(w, 256);             // red
+  writeByteCode(w, 256);             // blue
+  writeByteCode(w, 256);             // alpha
+  w.put(1, 1); w.put(0, 1); w.put(0, 1); w.put(0, 1);  // distance: simple code, one symbol (0)
+  for (let i = 0; i < width * height * 4; i += 4) {
+    w.put(REVERSED_BYTES[data[i + 1]], 8);
+    w.put(REVERSED_BYTES[data[i]], 8);
+    w.put(REVERSED_BYTES[data[i + 2]], 8);
+    w.put(REVERSED_BYTES[data[i + 3]], 8);
+  }
+  const vp8l = w.finish();
+  const pad = vp8l.length % 2;
+  const header = Buffer.alloc(20);
+  header.write('RIFF', 0);
+  header.writeUInt32LE(12 + vp8l.length + pad, 4);
+  header.write('WEBPVP8L', 8);
+  header.writeUInt32LE(vp8l.length, 16);
+  return Buffer.concat([header, vp8l, Buffer.alloc(pad)]);
+}
+
+// ---------------------------------------------------------------------------
+// Relay
+// ---------------------------------------------------------------------------
+
+/**
+ * @typedef {object} DevRelay
+ * @property {(port?: number, host?: string) => Promise<{ url: string, wsUrl: string, port: number }>} listen
+ * @property {() => Promise<void>} close
+ * @property {() => { CLAWDRAW_RELAY_URL: string, CLAWDRAW_LOGIC_URL: string, CLAWDRAW_WS_URL: string }} env
+ * @property {(type: string, code: string, message?: string) => void} failNext
+ *   Answer the next client message of `type` with a sync.error
+ * @property {(type: string) => void} dropNext - Swallow the next client message of `type` (no reply)
+ * @property {object} canvas - In-memory state: agents, strokes, images, waypoints, locks, markers, chat
+ */
+
+/**
+ * Create a relay emulator. Nothing listens until listen() is called.
+ *
+ * @param {object} [opts]
+ * @param {number} [opts.inqBalance=100000] - Starting INQ of each new agent
+ * @param {boolean} [opts.rateLimits=true] - Enforce WEBSOCKET.md rate limits
+ * @param {number} [opts.tokenTtlMs=3600000] - Lifetime of issued JWTs
+ * @param {number} [opts.lockTtlMs] - PGS lock lifetime (default: PGS_LOCK_TTL_MS)
+ * @param {(line: string) => void} [opts.log] - Request log (default: silent)
+ * @returns {DevRelay}
+ */
+export function createDevRelay(opts = {}) {
+  const inqBalance = opts.inqBalance ?? 100000;
+  const rateLimits = opts.rateLimits ?? true;
+  const tokenTtlMs = opts.tokenTtlMs ?? DEFAULT_TOKEN_TTL_MS;
+  const lockTtlMs = opts.lockTtlMs ?? PGS_LOCK_TTL_MS;
+  const log = opts.log || (() => {});
+
+  const canvas = {
+    /** @type {Map<string, { agentId: string, name: string, apiKey: string|null, inqBalance: number }>} */
+    agents: new Map(),
+    /** @type {Map<string, { stroke: object, userId: string, chunk: string, tiles: string[], createdAt: number }>} */
+    strokes: new Map(),
+    /** @type {Map<string, { id: string, x: number, y: number, width: number, height: number, imageUrl: string, userId: string, createdAt: number, png: Buffer }>} */
+    images: new Map(),
+    waypoints: new Map(),
+    /** @type {Map<string, { lockId: string, userId: string, x: number, y: number, width: number, height: number, model: string, resolution: number[], expiresAt: number }>} */
+    locks: new Map(),
+    markers: new Map(),
+    chat: [],
+  };
+  const agentsByKey = new Map();
+  /** chunk key → { version, webp } */
+  const tiles = new Map();
+  const dirtyChunks = new Set();
+  let renderTimer = null;
+  /** message type → queued faults */
+  const faults = new Map();
+  const sockets = new Set();
+  let server = null;
+  let wss = null;
+  let baseUrl = null;
+
+  // -------------------------------------------------------------------------
+  // Agents and tokens
+  // -------------------------------------------------------------------------
+
+  function createAgent({ agentId = newId('agent'), name = 'dev-agent', apiKey = null } = {}) {
+    const agent = { agentId, name, apiKey, inqBalance };
+    canvas.agents.set(agentId, agent);
+    if (apiKey) agentsByKey.set(apiKey, agent);
+    return agent;
+  }
+
+  function issueToken(agent) {
+    const exp = Math.floor((Date.now() + tokenTtlMs) / 1000);
+    return `${base64url({ alg: 'none', typ: 'JWT' })}.${base64url({ sub: agent.agentId, agentName: agent.name, exp })}.dev`;
+  }
+
+  /**
+   * Agent for an Authorization header, or an error string. Tokens this relay
+   * did not issue are accepted too; each distinct one becomes an agent.
+   */
+  function authenticate(header) {
+    const token = /^Bearer\s+(\S+)$/.exec(header || '')?.[1];
+    if (!token) return { error: 'Missing bearer token' };
+    let payload = null;
+    try {
+      payload = JSON.parse(Buffer.from(token.split('.')[1] || '', 'base64url').toString('utf-8'));
+    } catch { /* not one of ours */ }
+    if (payload?.sub) {
+      if (typeof payload.exp === 'number' && payload.exp * 1000 <= Date.now()) return { error: 'Token expired' };
+      return { agent: canvas.agents.get(payload.sub) || createAgent({ agentId: payload.sub, name: payload.agentName }) };
+    }
+    return { agent: canvas.agents.get(token) || createAgent({ agentId: token }) };
+  }
+
+  // -------------------------------------------------------------------------
+  // Broadcasting and tiles
+  // -------------------------------------------------------------------------
+
+  function send(ws, msg) {
+    if (ws.readyState === ws.OPEN) ws.send(JSON.stringify(msg));
+  }
+
+  function broadcast(msg, { except = null, chunk = null } = {}) {
+    for (const ws of sockets) {
+      if (ws === except) continue;
+      if (chunk && !ws._chunks.has(chunk)) continue;
+      send(ws, msg);
+    }
+  }
+
+  function markDirty(keys) {
+    for (const key of keys) dirtyChunks.add(key);
+    if (!renderTimer) renderTimer = setTimeout(renderDirtyTiles, TILE_RENDER_DELAY_MS);
+  }
+
+  function renderDirtyTiles() {
+    renderTimer = null;
+    const keys = [...dirtyChunks];
+    dirtyChunks.clear();
+    for (const key of keys) {
+      const bounds = chunkBounds(key);
+      const strokes = [...canvas.strokes.values()]
+        .filter(s => s.tiles.includes(key))
+        .sort((a, b) => a.createdAt - b.createdAt)
+        .map(s => s.stroke);
+      const version = (tiles.get(key)?.version || 0) + 1;
+      const webp = strokes.length > 0
+        ? encodeWebpLossless(rasterizeStrokes(strokes, { bounds, scale: TILE_PX / CHUNK_SIZE }))
+        : null;
+      tiles.set(key, { version, webp });
+      const [x, y] = key.split('_').map(Number);
+      broadcast({ type: 'tile.updated', x, y, z: 8, version });
+    }
+  }
+
+  // -------------------------------------------------------------------------
+  // WebSocket messages
+  // -------------------------------------------------------------------------
+
+  function subscribe(ws, viewport) {
+    const center = viewport?.center || { x: 0, y: 0 };
+    const zoom = viewport?.zoom > 0 ? viewport.zoom : 1;
+    const size = viewport?.size || { width: 1920, height: 1080 };
+    const maxSpan = MAX_SUBSCRIBED_CHUNKS_PER_SIDE * CHUNK_SIZE / 2;
+    const halfW = Math.min(size.width / zoom / 2, maxSpan);
+    const halfH = Math.min(size.height / zoom / 2, maxSpan);
+    const keys = chunksInBounds({ minX: center.x - halfW, minY: center.y - halfH, maxX: center.x + halfW, maxY: center.y + halfH });
+    const added = keys.filter(k => !ws._chunks.has(k));
+    ws._chunks = new Set(keys);
+    if (added.length === 0 && ws._subscribed) return;
+    ws._subscribed = true;
+
+    const chunks = {};
+    for (const key of added) chunks[key] = [];
+    for (const { stroke, chunk } of canvas.strokes.values()) {
+      if (chunks[chunk]) chunks[chunk].push(stroke);
+    }
+    const view = { x: center.x - halfW, y: center.y - halfH, width: halfW * 2, height: halfH * 2 };
+    const images = [...canvas.images.values()].filter(img => rectsOverlap(img, view)).map(publicImage);
+    send(ws, [{ type: 'chunks.initial', chunks }, { type: 'images.initial', images }]);
+  }
+
+  /** Charge INQ; false (and a sync.error) when the balance is short. */
+  function charge(ws, amount) {
+    if (ws._agent.inqBalance < amount) {
+      send(ws, { type: 'sync.error', code: 'INSUFFICIENT_INQ', message: `Need ${amount} INQ, have ${ws._agent.inqBalance}` });
+      return false;
+    }
+    ws._agent.inqBalance -= amount;
+    return true;
+  }
+
+  function addStrokes(ws, strokes, ackType) {
+    if (strokes.some(s => s.points.length > MAX_STROKE_POINTS)) {
+      return send(ws, { type: 'sync.error', code: 'STROKE_TOO_LARGE', message: `Stroke exceeds ${MAX_STROKE_POINTS} points` });
+    }
+    // Stroke IDs are idempotency keys: a resend is acked without new ink or charge
+    const fresh = strokes.filter(s => !canvas.strokes.has(s.id));
+    const points = fresh.reduce((n, s) => n + s.points.length, 0);
+    if (rateLimits && !ws._limits.points.take(points)) {
+      return send(ws, { type: 'sync.error', code: 'RATE_LIMITED', message: 'Points throughput exceeded' });
+    }
+    if (!charge(ws, points * INQ_PER_POINT)) return;
+
+    const now = Date.now();
+    const touched = new Set();
+    const added = [];
+    for (const stroke of fresh) {
+      const chunk = chunkKey(stroke.points[0].x, stroke.points[0].y);
+      const tileKeys = chunksInBounds(strokeBbox(stroke));
+      canvas.strokes.set(stroke.id, { stroke, userId: ws._agent.agentId, chunk, tiles: tileKeys, createdAt: now });
+      for (const key of tileKeys) touched.add(key);
+      added.push({ type: 'stroke.added', stroke, userId: ws._agent.agentId, chunk });
+    }
+    const ids = strokes.map(s => s.id);
+    send(ws, ackType === 'stroke.ack' ? { type: 'stroke.ack', strokeId: ids[0] } : { type: 'strokes.ack', strokeIds: ids });
+    for (const msg of added) broadcast(msg, { except: ws, chunk: msg.chunk });
+    if (touched.size > 0) markDirty(touched);
+  }
+
+  /** @type {Map<string, (ws: WebSocket, msg: object) => void>} */
+  const MESSAGE_HANDLERS = new Map([
+    ['viewport.update', (ws, msg) => {
+      if (msg.username) ws._username = msg.username;
+      subscribe(ws, msg.viewport);
+      const cursor = msg.cursor || msg.viewport?.center;
+      if (Number.isFinite(cursor?.x) && Number.isFinite(cursor?.y)) {
+        ws._present = true;
+        ws._cursor = cursor;
+        broadcast(
+          { type: 'presence.update', userId: ws._agent.agentId, username: ws._username || ws._agent.name, cursor },
+          { except: ws, chunk: chunkKey(cursor.x, cursor.y) },
+        );
+      }
+    }],
+    ['set.username', (ws, msg) => {
+      ws._username = String(msg.username || '');
+      send(ws, { type: 'username.updated', username: ws._username });
+    }],
+    ['stroke.add', (ws, msg) => {
+      if (!isValidStroke(msg.stroke)) return send(ws, { type: 'sync.error', code: 'INVALID_MESSAGE', message: 'stroke needs an id and points' });
+      addStrokes(ws, [msg.stroke], 'stroke.ack');
+    }],
+    ['strokes.add', (ws, msg) => {
+      const { strokes } = msg;
+      if (!Array.isArray(strokes) || strokes.length === 0 || strokes.length > MAX_BATCH_STROKES || !strokes.every(isValidStroke)) {
+        return send(ws, { type: 'sync.error', code: 'INVALID_BATCH', message: `strokes must be 1-${MAX_BATCH_STROKES} strokes with ids and points` });
+      }
+      addStrokes(ws, strokes, 'strokes.ack');
+    }],
+    ['stroke.delete', (ws, msg) => {
+      const entry = canvas.strokes.get(msg.strokeId);
+      if (!entry) return send(ws, { type: 'sync.error', code: 'NOT_FOUND', message: `Stroke ${msg.strokeId} not found`, strokeId: msg.strokeId });
+      if (entry.userId !== ws._agent.agentId) return send(ws, { type: 'sync.error', code: 'NOT_OWNER', message: 'Not your stroke', strokeId: msg.strokeId });
+      canvas.strokes.delete(msg.strokeId);
+      broadcast({ type: 'stroke.deleted', strokeId: msg.strokeId });
+      markDirty(entry.tiles);
+    }],
+    ['image.delete', (ws, msg) => {
+      const img = canvas.images.get(msg.imageId);
+      if (!img) return send(ws, { type: 'sync.error', code: 'NOT_FOUND', message: `Image ${msg.imageId} not found`, imageId: msg.imageId });
+      if (img.userId !== ws._agent.agentId) return send(ws, { type: 'sync.error', code: 'NOT_OWNER', message: 'Not your image', imageId: msg.imageId });
+      canvas.images.delete(msg.imageId);
+      broadcast({ type: 'image.deleted', imageId: msg.imageId });
+    }],
+    ['waypoint.add', (ws, msg) => {
+      const wp = msg.waypoint || {};
+      if (!Number.isFinite(wp.x) || !Number.isFinite(wp.y)) {
+        return send(ws, { type: 'sync.error', code: 'INVALID_MESSAGE', message: 'waypoint needs x and y' });
+      }
+      if (rateLimits && !ws._limits.waypoints.take()) {
+        return send(ws, { type: 'sync.error', code: 'RATE_LIMITED', message: 'Waypoints: 1 per 10 seconds' });
+      }
+      const waypoint = { id: newId('wp'), name: String(wp.name || 'Waypoint'), x: wp.x, y: wp.y, zoom: wp.zoom ?? 1, description: wp.description, userId: ws._agent.agentId, createdAt: Date.now() };
+      canvas.waypoints.set(waypoint.id, waypoint);
+      send(ws, { type: 'waypoint.added', waypoint });
+      broadcast({ type: 'waypoint.added', waypoint }, { except: ws });
+    }],
+    ['waypoint.delete', (ws, msg) => {
+      const wp = canvas.waypoints.get(msg.waypointId);
+      if (!wp) return send(ws, { type: 'sync.error', code: 'NOT_FOUND', message: `Waypoint ${msg.waypointId} not found` });
+      if (wp.userId !== ws._agent.agentId) return send(ws, { type: 'sync.error', code: 'NOT_OWNER', message: 'Not your waypoint' });
+      canvas.waypoints.delete(msg.waypointId);
+      broadcast({ type: 'waypoint.deleted', waypointId: msg.waypointId });
+    }],
+    ['chat.send', (ws, msg) => {
+      const content = msg.chatMessage?.content;
+      if (typeof content !== 'string' || content.length === 0 || content.length > MAX_CHAT_LENGTH) {
+        return send(ws, { type: 'sync.error', code: 'INVALID_MESSAGE', message: `chatMessage.content must be 1-${MAX_CHAT_LENGTH} characters` });
+      }
+      const replyTo = msg.chatMessage.replyTo;
+      if (replyTo !== undefined && !canvas.chat.some(m => m.id === replyTo)) {
+        return send(ws, { type: 'sync.error', code: 'NOT_FOUND', message: `Chat message ${replyTo} not found` });
+      }
+      if (rateLimits && !ws._limits.chat.take()) {
+        return send(ws, { type: 'sync.error', code: 'RATE_LIMITED', message: 'Chat: 5 messages per 10 seconds' });
+      }
+      if (!charge(ws, CHAT_INQ)) return;
+      const chatMessage = {
+        id: newId('msg'),
+        userId: ws._agent.agentId,
+        username: ws._username || ws._agent.name,
+        content,
+        createdAt: Date.now(),
+        ...(replyTo !== undefined ? { replyTo } : {}),
+        ...(ws._cursor ? { x: ws._cursor.x, y: ws._cursor.y } : {}),
+      };
+      canvas.chat.push(chatMessage);
+      if (canvas.chat.length > MAX_CHAT_HISTORY) canvas.chat.shift();
+      broadcast({ type: 'chat.message', chatMessage });
+    }],
+    ['chat.history', (ws, msg) => {
+      const since = Number.isFinite(msg.since) ? msg.since : 0;
+      const limit = Math.min(Math.max(1, Number(msg.limit) || 50), MAX_CHAT_HISTORY_PAGE);
+      send(ws, { type: 'chat.history', messages: canvas.chat.filter(m => m.createdAt >= since).slice(-limit) });
+    }],
+  ]);
+
+  function onMessage(ws, data) {
+    let msg;
+    try {
+      msg = JSON.parse(data.toString());
+    } catch {
+      return send(ws, { type: 'sync.error', code: 'INVALID_MESSAGE', message: 'Message is not JSON' });
+    }
+    const handler = msg && MESSAGE_HANDLERS.get(msg.type);
+    if (!handler) return send(ws, { type: 'sync.error', code: 'INVALID_MESSAGE', message: `Unknown message type ${msg?.type}` });
+    // Presence updates are not counted against the message limit
+    if (rateLimits && msg.type !== 'viewport.update' && !ws._limits.messages.take()) {
+      return send(ws, { type: 'sync.error', code: 'RATE_LIMITED', message: 'Too many messages per second' });
+    }
+    const fault = faults.get(msg.type)?.shift();
+    if (fault) {
+      log(`ws ${msg.type} → ${fault.drop ? 'dropped' : fault.code} (injected)`);
+      if (!fault.drop) send(ws, { type: 'sync.error', code: fault.code, message: fault.message || `${fault.code} (injected)` });
+      return;
+    }
+    log(`ws ${msg.type}`);
+    handler(ws, msg);
+  }
+
+  function onConnection(ws, agent) {
+    ws._agent = agent;
+    ws._chunks = new Set();
+    ws._subscribed = false;
+    ws._limits = {
+      messages: createWindowLimiter(RATE_LIMITS.messagesPerSecond, 1000),
+      chat: createWindowLimiter(RATE_LIMITS.chatPer10s, 10_000),
+      waypoints: createWindowLimiter(RATE_LIMITS.waypointsPer10s, 10_000),
+      points: createPointBucket(RATE_LIMITS.pointsPerSecond),
+    };
+    sockets.add(ws);
+    ws.on('message', (data) => onMessage(ws, data));
+    ws.on('close', () => {
+      sockets.delete(ws);
+      if (ws._present) broadcast({ type: 'presence.left', userId: agent.agentId, username: ws._username || agent.name });
+    });
+    send(ws, { type: 'connected', userId: agent.agentId, inqBalance: agent.inqBalance });
+  }
+
+  // -------------------------------------------------------------------------
+  // HTTP routes
+  // -------------------------------------------------------------------------
+
+  function httpError(status, message) {
+    const err = new Error(message);
+    err.status = status;
+    return err;
+  }
+
+  function publicImage({ png, ...img }) {
+    return img;
+  }
+
+  function liveLocks() {
+    const now = Date.now();
+    for (const [id, lock] of canvas.locks) {
+      if (lock.expiresAt <= now) canvas.locks.delete(id);
+    }
+    return [...canvas.locks.values()];
+  }
+
+  function requireArea(body) {
+    const { x, y, width, height } = body || {};
+    if (![x, y, width, height].every(Number.isFinite) || width <= 0 || height <= 0) {
+      throw httpError(400, 'x, y, width and height must be numbers (width/height > 0)');
+    }
+    return { x, y, width, height };
+  }
+
+  function isOccupied(rect) {
+    for (const img of canvas.images.values()) if (rectsOverlap(img, rect)) return true;
+    const keys = new Set(chunksInBounds({ minX: rect.x, minY: rect.y, maxX: rect.x + rect.width - 1, maxY: rect.y + rect.height - 1 }));
+    for (const { tiles: t } of canvas.strokes.values()) if (t.some(k => keys.has(k))) return true;
+    return false;
+  }
+
+  /** Chunk-sized cells in a square spiral around the origin. */
+  function* spiralCells(maxRing = 64) {
+    yield { x: 0, y: 0 };
+    for (let r = 1; r <= maxRing; r++) {
+      for (let i = -r; i <= r; i++) {
+        yield { x: i, y: -r }; yield { x: i, y: r };
+      }
+      for (let i = -r + 1; i <= r - 1; i++) {
+        yield { x: -r, y: i }; yield { x: r, y: i };
+      }
+    }
+  }
+
+  function cellRect({ x, y }) {
+    return { x: x * CHUNK_SIZE, y: y * CHUNK_SIZE, width: CHUNK_SIZE, height: CHUNK_SIZE };
+  }
+
+  /** @type {Map<string, { auth?: boolean, handler: (ctx: { agent: object, query: URLSearchParams, body: any }) => any }>} */
+  const ROUTES = new Map([
+    // Logic API
+    ['POST /api/agents', { auth: false, handler: ({ body }) => {
+      const apiKey = newId('dev_key');
+      const agent = createAgent({ name: String(body?.name || 'dev-agent'), apiKey });
+      return { apiKey, agentId: agent.agentId, name: agent.name };
+    } }],
+    ['POST /api/agents/auth', { auth: false, handler: ({ body }) => {
+      if (!body?.apiKey) throw httpError(400, 'apiKey is required');
+      const agent = agentsByKey.get(body.apiKey) || createAgent({ apiKey: body.apiKey });
+      return { token: issueToken(agent), expiresIn: Math.floor(tokenTtlMs / 1000) };
+    } }],
+    ['GET /api/agents/me', { handler: ({ agent }) => ({
+      agentId: agent.agentId, name: agent.name, inqBalance: agent.inqBalance, masterId: null, hasCustomAlgorithm: false,
+    }) }],
+    ['POST /api/agents/images', { handler: ({ agent, body }) => {
+      const lock = liveLocks().find(l => l.lockId === body?.lockId);
+      if (!lock) throw httpError(409, 'Lock not found or expired');
+      if (lock.userId !== agent.agentId) throw httpError(403, 'Lock belongs to another agent');
+      let png;
+      try {
+        png = Buffer.from(String(body.base64 || ''), 'base64');
+        PNG.sync.read(png);
+      } catch {
+        throw httpError(400, 'INVALID_IMAGE: base64 is not a PNG');
+      }
+      const cost = estimatePgsInq(lock.resolution);
+      if (agent.inqBalance < cost) throw httpError(402, `INSUFFICIENT_INQ: need ${cost} INQ, have ${agent.inqBalance}`);
+      agent.inqBalance -= cost;
+      const id = newId('img');
+      const image = { id, x: lock.x, y: lock.y, width: lock.width, height: lock.height, imageUrl: `/images/${id}.png`, userId: agent.agentId, createdAt: Date.now() };
+      canvas.images.set(id, { ...image, png });
+      canvas.locks.delete(lock.lockId);
+      broadcast({ type: 'image.placed', image, userId: agent.agentId });
+      return { image, broadcastOk: true, lockReleased: true };
+    } }],
+
+    // Relay API
+    ['GET /api/find-space', { handler: ({ query }) => {
+      const mode = query.get('mode') || 'empty';
+      const occupied = (cell) => isOccupied(cellRect(cell));
+      const anyContent = canvas.strokes.size > 0 || canvas.images.size > 0;
+      for (const cell of spiralCells()) {
+        if (occupied(cell)) continue;
+        if (mode === 'adjacent' && anyContent) {
+          const next = [[1, 0], [-1, 0], [0, 1], [0, -1]].some(([dx, dy]) => occupied({ x: cell.x + dx, y: cell.y + dy }));
+          if (!next) continue;
+        }
+        return { canvasX: cell.x * CHUNK_SIZE + CHUNK_SIZE / 2, canvasY: cell.y * CHUNK_SIZE + CHUNK_SIZE / 2, mode };
+      }
+      throw httpError(404, 'No free space found');
+    } }],
+    ['GET /api/nearby', { handler: ({ query }) => {
+      const x = Number(query.get('x')), y = Number(query.get('y'));
+      const radius = Number(query.get('radius')) || 500;
+      if (!Number.isFinite(x) || !Number.isFinite(y)) throw httpError(400, 'x and y are required');
+      const strokes = [];
+      const attachPoints = [];
+      for (const { stroke, userId } of canvas.strokes.values()) {
+        if (!stroke.points.some(p => Math.hypot(p.x - x, p.y - y) <= radius)) continue;
+        strokes.push({ ...stroke, userId, brushSize: stroke.brush?.size });
+        const first = stroke.points[0], last = stroke.points[stroke.points.length - 1];
+        attachPoints.push({ x: first.x, y: first.y, strokeId: stroke.id }, { x: last.x, y: last.y, strokeId: stroke.id });
+      }
+      return { strokes, attachPoints, gaps: [] };
+    } }],
+    ['POST /api/markers', { handler: ({ agent, body }) => {
+      const { x, y } = body || {};
+      if (!Number.isFinite(x) || !Number.isFinite(y)) throw httpError(400, 'x and y are required');
+      const marker = { id: newId('mk'), x, y, type: String(body.type || 'note'), message: body.message, userId: agent.agentId, expiresAt: Date.now() + (Number(body.decayMs) || 60 * 60 * 1000) };
+      canvas.markers.set(marker.id, marker);
+      return { marker };
+    } }],
+    ['GET /api/markers', { handler: ({ query }) => {
+      const x = Number(query.get('x')) || 0, y = Number(query.get('y')) || 0;
+      const radius = Number(query.get('radius')) || 2000;
+      const now = Date.now();
+      const markers = [...canvas.markers.values()].filter(m => m.expiresAt > now && Math.hypot(m.x - x, m.y - y) <= radius);
+      return { markers };
+    } }],
+    ['GET /api/pgs/zones', { handler: () => {
+      const images = [...canvas.images.values()];
+      if (images.length === 0) {
+        return { frontier: [{ x: -CHUNK_SIZE / 2, y: -CHUNK_SIZE / 2, width: CHUNK_SIZE, height: CHUNK_SIZE, reason: 'empty canvas' }], interior: [] };
+      }
+      const frontier = [];
+      for (const img of images) {
+        const sides = [
+          ['right', img.x + img.width, img.y], ['left', img.x - img.width, img.y],
+          ['down', img.x, img.y + img.height], ['up', img.x, img.y - img.height],
+        ];
+        for (const [direction, x, y] of sides) {
+          const zone = { x, y, width: img.width, height: img.height };
+          if (!images.some(other => rectsOverlap(other, zone))) frontier.push({ ...zone, direction, imageId: img.id });
+        }
+      }
+      const interior = images.map(img => ({ x: img.x, y: img.y, width: img.width, height: img.height, imageId: img.id }));
+      return { frontier, interior };
+    } }],
+    ['POST /api/pgs/propose', { handler: ({ agent, body }) => {
+      const area = requireArea(body);
+      const model = String(body.model || '');
+      if (!PGS_MODELS.includes(model)) throw httpError(400, `Unknown model "${model}". Use one of: ${PGS_MODELS.join(', ')}`);
+      const resolution = resolutionFor(area.width, area.height);
+      if (Math.max(area.width, area.height) > MAX_PGS_SIDE) {
+        return { approved: false, reason: `Area exceeds ${MAX_PGS_SIDE} units per side`, resolution };
+      }
+      if (liveLocks().some(l => l.userId !== agent.agentId && rectsOverlap(l, area))) {
+        return { approved: false, reason: 'Area is locked by another agent', resolution };
+      }
+      const contextImages = [...canvas.images.values()].filter(img => rectsOverlap(img, area)).map(img => img.id);
+      return { approved: true, resolution, contextImages };
+    } }],
+    ['POST /api/pgs/lock', { handler: ({ agent, body }) => {
+      const area = requireArea(body);
+      if (liveLocks().some(l => l.userId !== agent.agentId && rectsOverlap(l, area))) {
+        throw httpError(409, 'Area is locked by another agent');
+      }
+      const lock = {
+        lockId: newId('lock'), userId: agent.agentId, ...area,
+        model: String(body.model || ''),
+        resolution: Array.isArray(body.resolution) ? body.resolution : resolutionFor(area.width, area.height),
+        expiresAt: Date.now() + lockTtlMs,
+      };
+      canvas.locks.set(lock.lockId, lock);
+      return { lockId: lock.lockId, expiresAt: lock.expiresAt, ttlMs: lockTtlMs };
+    } }],
+    ['POST /api/pgs/lock/renew', { handler: ({ agent, body }) => {
+      const lock = liveLocks().find(l => l.lockId === body?.lockId);
+      if (!lock) throw httpError(409, 'Lock not found or expired');
+      if (lock.userId !== agent.agentId) throw httpError(403, 'Lock belongs to another agent');
+      lock.expiresAt = Date.now() + lockTtlMs;
+      return { lockId: lock.lockId, expiresAt: lock.expiresAt, ttlMs: lockTtlMs };
+    } }],
+    ['POST /api/pgs/lock/release', { handler: ({ agent, body }) => {
+      const lock = canvas.locks.get(body?.lockId);
+      if (lock && lock.userId !== agent.agentId) throw httpError(403, 'Lock belongs to another agent');
+      canvas.locks.delete(body?.lockId);
+      return { released: Boolean(lock) };
+    } }],
+    ['POST /api/pgs/area-images', { handler: ({ body }) => {
+      const area = requireArea(body);
+      return { images: [...canvas.images.values()].filter(img => rectsOverlap(img, area)).map(publicImage) };
+    } }],
+  ]);
+
+  function readBody(req) {
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      let size = 0;
+      req.on('data', (c) => {
+        size += c.length;
+        if (size > MAX_BODY_BYTES) {
+          reject(httpError(413, 'Body too large'));
+          req.destroy();
+          return;
+        }
+        chunks.push(c);
+      });
+      req.on('end', () => {
+        const text = Buffer.concat(chunks).toString('utf-8');
+        if (!text) return resolve(null);
+        try {
+          resolve(JSON.parse(text));
+        } catch {
+          reject(httpError(400, 'Body is not JSON'));
+        }
+      });
+      req.on('error', reject);
+    });
+  }
+
+  async function onRequest(req, res) {
+    const url = new URL(req.url, 'http://relay.local');
+    const reply = (status, body, type = 'application/json') => {
+      res.writeHead(status, { 'Content-Type': type });
+      res.end(type === 'application/json' ? JSON.stringify(body) : body);
+    };
+    log(`${req.method} ${url.pathname}`);
+
+    // Static assets: tiles and placed images (public, like the CDN)
+    const tile = /^\/tiles\/z8\/(-?\d+_-?\d+)\.webp$/.exec(url.pathname);
+    if (tile && req.method === 'GET') {
+      const entry = tiles.get(tile[1]);
+      return entry?.webp ? reply(200, entry.webp, 'image/webp') : reply(404, { error: 'Tile not found' });
+    }
+    const image = /^\/images\/([\w-]+)\.png$/.exec(url.pathname);
+    if (image && req.method === 'GET') {
+      const img = canvas.images.get(image[1]);
+      return img ? reply(200, img.png, 'image/png') : reply(404, { error: 'Image not found' });
+    }
+
+    const route = ROUTES.get(`${req.method} ${url.pathname}`);
+    if (!route) return reply(404, { error: `No route for ${req.method} ${url.pathname}` });
+    try {
+      let agent = null;
+      if (route.auth !== false) {
+        const auth = authenticate(req.headers.authorization);
+        if (auth.error) throw httpError(401, auth.error);
+        agent = auth.agent;
+      }
+      const body = req.method === 'POST' ? await readBody(req) : null;
+      reply(200, await route.handler({ agent, query: url.searchParams, body }));
+    } catch (err) {
+      reply(err.status || 500, { error: err.message });
+    }
+  }
+
+  function onUpgrade(req, socket, head) {
+    const { pathname } = new URL(req.url, 'http://relay.local');
+    const auth = pathname === '/ws' ? authenticate(req.headers.authorization) : { error: 'Not found', status: 404 };
+    if (auth.error) {
+      const status = auth.status || 401;
+      socket.end(`HTTP/1.1 ${status} ${status === 401 ? 'Unauthorized' : 'Not Found'}\r\nConnection: close\r\n\r\n`);
+      return;
+    }
+    wss.handleUpgrade(req, socket, head, (ws) => onConnection(ws, auth.agent));
+  }
+
+  // -------------------------------------------------------------------------
+  // Lifecycle
+  // -------------------------------------------------------------------------
+
+  return {
+    canvas,
+
+    listen(port = 0, host = '127.0.0.1') {
+      server = http.createServer((req, res) => { onRequest(req, res); });
+      wss = new WebSocketServer({ noServer: true });
+      server.on('upgrade', onUpgrade);
+      return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, host, () => {
+          const actual = server.address().port;
+          const hostPart = host.includes(':') ? `[${host}]` : host;
+          baseUrl = `http://${hostPart}:${actual}`;
+          resolve({ url: baseUrl, wsUrl: `ws://${hostPart}:${actual}/ws`, port: actual });
+        });
+      });
+    },
+
+    env() {
+      if (!baseUrl) throw new Error('dev relay is not listening yet');
+      return {
+        CLAWDRAW_RELAY_URL: baseUrl,
+        CLAWDRAW_LOGIC_URL: baseUrl,
+        CLAWDRAW_WS_URL: `${baseUrl.replace(/^http/, 'ws')}/ws`,
+      };
+    },
+
+    failNext(type, code, message) {
+      if (!faults.has(type)) faults.set(type, []);
+      faults.get(type).push({ code, message });
+    },
+
+    dropNext(type) {
+      if (!faults.has(type)) faults.set(type, []);
+      faults.get(type).push({ drop: true });
+    },
+
+    async close() {
+      if (renderTimer) clearTimeout(renderTimer);
+      renderTimer = null;
+      for (const ws of sockets) ws.terminate();
+      sockets.clear();
+      if (!server) return;
+      wss.close();
+      await new Promise(resolve => server.close(() => resolve()));
+      server = null;
+    },
+  };
+}
@@ -0,0 +1,288 @@
+/**
+ * Tests for dev-relay.mjs — connection.mjs, snapshot.mjs and pgs-lock.mjs
+ * running against the local relay emulator over real sockets.
+ *
+ * The relay starts on a random port before connection.mjs is imported, so
+ * the CLAWDRAW_*_URL overrides it reads at load time point at the emulator.
+ */
+
+import { describe, it, expect, afterAll, vi } from 'vitest';
+import fs from 'node:fs';
+import webp from '@cwasm/webp';
+import { PNG } from 'pngjs';
+
+vi.mock('open', () => ({ default: vi.fn(async () => {}) }));
+
+const { createDevRelay, encodeWebpLossless } = await import('./dev-relay.mjs');
+
+const relay = createDevRelay({ inqBalance: 1000 });
+await relay.listen();
+const savedEnv = { ...process.env };
+Object.assign(process.env, relay.env());
+
+const {
+  connect, connectWithRetry, sendStrokes, addWaypoint, deleteWaypoint, drawAndTrack, disconnect, setViewport, viewportForArea,
+  sendChatMessage, fetchChatHistory, chatBudget,
+} = await import('./connection.mjs');
+const { fetchAreaImages, captureFromImages } = await import('./snapshot.mjs');
+const { acquireLock, renewLock, releaseLock } = await import('./pgs-lock.mjs');
+const { createClient } = await import('./client.mjs');
+
+const { CLAWDRAW_RELAY_URL: url } = relay.env();
+const sockets: any[] = [];
+
+afterAll(async () => {
+  for (const ws of sockets) disconnect(ws);
+  await relay.close();
+  process.env = savedEnv;
+});
+
+/** A client for its own agent, authenticated through /api/agents/auth. */
+function clientFor(apiKey: string) {
+  return createClient({
+    tokenSource: async () => {
+      const res = await fetch(`${url}/api/agents/auth`, { method: 'POST', body: JSON.stringify({ apiKey }) });
+      return (await res.json()).token;
+    },
+  });
+}
+
+async function open(api: any) {
+  const ws = await connect(api);
+  sockets.push(ws);
+  return ws;
+}
+
+function line(id: string, x: number, y: number, n = 10) {
+  return {
+    id,
+    points: Array.from({ length: n }, (_, i) => ({ x: x + i * 10, y, pressure: 1 })),
+    brush: { size: 8, color: '#ff0000', opacity: 1 },
+    createdAt: Date.now(),
+  };
+}
+
+/** Resolve with the first message of `type` the socket receives. */
+function nextMessage(ws: any, type: string): Promise<any> {
+  return new Promise((resolve) => {
+    ws.on('message', function handler(data: Buffer) {
+      const msgs = [JSON.parse(data.toString())].flat();
+      const hit = msgs.find((m: any) => m.type === type);
+      if (hit) {
+        ws.removeListener('message', handler);
+        resolve(hit);
+      }
+    });
+  });
+}
+
+describe('tile encoding', () => {
+  it('should encode lossless WebP that decodes to the same pixels', () => {
+    const data = Uint8Array.from({ length: 9 * 4 * 4 }, (_, i) => (i * 53) % 256);
+    const out = webp.decode(new Uint8Array(encodeWebpLossless({ width: 9, height: 4, data })));
+    expect([out.width, out.height]).toEqual([9, 4]);
+    expect(Buffer.from(out.data).equals(Buffer.from(data))).toBe(true);
+  });
+});
+
+describe('strokes', () => {
+  const api = clientFor('key-strokes');
+
+  it('should ack batches, charge per point and treat stroke ids as idempotency keys', async () => {
+    const ws = await open(api);
+    const strokes = [line('s-1', 0, 0), line('s-2', 0, 40)];
+    const result = await sendStrokes(ws, strokes, { batchSize: 100, delayMs: 0 });
+    expect(result).toMatchObject({ strokesSent: 2, strokesAcked: 2, rejected: 0 });
+    expect(relay.canvas.strokes.has('s-1')).toBe(true);
+
+    await sendStrokes(ws, strokes, { batchSize: 100, delayMs: 0 });
+    expect(relay.canvas.strokes.size).toBe(2);
+    const me = await api.fetchJson(`${url}/api/agents/me`);
+    expect(me.inqBalance).toBe(1000 - 20);
+  });
+
+  it('should answer with injected and real sync.error codes', async () => {
+    const ws = await open(api);
+    relay.failNext('strokes.add', 'BATCH_FAILED');
+    const failed = await sendStrokes(ws, [line('s-3', 0, 80)], { batchSize: 100, delayMs: 0 });
+    expect(failed.errors).toEqual(['BATCH_FAILED']);
+
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const tooMuch = await sendStrokes(ws, [line('s-4', 0, 120, 2000)], { batchSize: 100, delayMs: 0 });
+    expect(tooMuch.errors).toEqual(['INSUFFICIENT_INQ']);
+    vi.restoreAllMocks();
+  });
+
+  it('should tell other subscribers about new strokes and serve nearby strokes', async () => {
+    const watcher = await open(clientFor('key-watcher'));
+    const added = nextMessage(watcher, 'stroke.added');
+    await sendStrokes(await open(api), [line('s-5', 100, 200)], { batchSize: 100, delayMs: 0 });
+    expect((await added).stroke.id).toBe('s-5');
+
+    const nearby = await api.fetchJson(`${url}/api/nearby?x=100&y=200&radius=50`);
+    expect(nearby.strokes.map((s: any) => s.id)).toEqual(['s-5']);
+    expect(nearby.attachPoints).toHaveLength(2);
+    const space = await api.fetchJson(`${url}/api/find-space?mode=empty`);
+    expect(space).not.toMatchObject({ canvasX: 512, canvasY: 512 });  // chunk 0_0 has ink
+  });
+});
+
+describe('resumed delivery', () => {
+  it('should finish a send on a new socket after a drop without drawing twice', async () => {
+    const api = clientFor('key-resume');
+    const ws = await open(api);
+    ws.on('message', function dropAfterFirstAck(data: Buffer) {
+      if (JSON.parse(data.toString()).type !== 'strokes.ack') return;
+      ws.removeListener('message', dropAfterFirstAck);
+      ws.terminate();
+    });
+    const strokes = [line('r-1', 0, 300), line('r-2', 0, 340), line('r-3', 0, 380)];
+    const reconnect = vi.fn(async () => open(api));
+
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const result = await sendStrokes(ws, strokes, { batchSize: 1, delayMs: 0, reconnect });
+    // Re-sending everything, as resume-send would after a crash, is acked but free
+    const again = await sendStrokes(sockets.at(-1), strokes, { batchSize: 3, delayMs: 0 });
+    warn.mockRestore();
+
+    expect(reconnect).toHaveBeenCalledTimes(1);
+    expect(result).toMatchObject({ strokesAcked: 3, pendingStrokeIds: [] });
+    expect(again.strokesAcked).toBe(3);
+    expect(['r-1', 'r-2', 'r-3'].every(id => relay.canvas.strokes.has(id))).toBe(true);
+    const me = await api.fetchJson(`${url}/api/agents/me`);
+    expect(me.inqBalance).toBe(1000 - 30);
+  });
+});
+
+describe('canvas events', () => {
+  it('should follow presence, strokes and chat in a watched area across a reconnect', async () => {
+    const watcher = await connectWithRetry(clientFor('key-watch'), viewportForArea({ x: 9000, y: 9000, radius: 500 }));
+    const next = (event: string) => new Promise<any>(resolve => watcher.once(event, resolve));
+    const drawer = await open(clientFor('key-drawer'));
+
+    const moved = next('presence');
+    setViewport(drawer, viewportForArea({ x: 9100, y: 9100, radius: 100 }));
+    expect(await moved).toMatchObject({ cursor: { x: 9100, y: 9100 }, left: false });
+
+    const added = next('stroke.added');
+    await sendStrokes(drawer, [line('w-1', 9000, 9000)], { batchSize: 100, delayMs: 0 });
+    expect((await added).stroke.id).toBe('w-1');
+
+    // Listeners carry over to the replacement socket, which keeps the viewport
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const dropped = watcher.ws;
+    dropped.terminate();
+    await vi.waitFor(() => expect(watcher.ws).not.toBe(dropped), { timeout: 5000 });
+    await vi.waitFor(() => expect(watcher.ws.readyState).toBe(1));
+    warn.mockRestore();
+
+    const chat = next('chat');
+    const again = next('stroke.added');
+    drawer.send(JSON.stringify({ type: 'chat.send', chatMessage: { content: 'hello watchers' } }));
+    await sendStrokes(drawer, [line('w-2', 9000, 9050)], { batchSize: 100, delayMs: 0 });
+    expect((await chat).content).toBe('hello watchers');
+    expect((await again).stroke.id).toBe('w-2');
+
+    const left = next('presence');
+    disconnect(drawer);
+    expect(await left).toMatchObject({ left: true });
+    watcher.disconnect();
+  });
+});
+
+describe('chat', () => {
+  it('should keep history, thread replies and charge the session budget', async () => {
+    const api = clientFor('key-chat');
+    const ws = await connect(api, { center: { x: 700, y: -700 }, chatBudget: 100 });
+    sockets.push(ws);
+    const start = Date.now();
+
+    const { message: question } = await sendChatMessage(ws, 'anyone drawing trees?');
+    expect(question).toMatchObject({ content: 'anyone drawing trees?', x: 700, y: -700 });
+    const { message: answer } = await sendChatMessage(ws, 'me!', { replyTo: question.id });
+    expect(answer.replyTo).toBe(question.id);
+    await expect(sendChatMessage(ws, 'over budget')).rejects.toMatchObject({ code: 'CHAT_BUDGET' });
+    expect(chatBudget(ws)).toMatchObject({ spentInq: 100, remainingInq: 0 });
+
+    const history = await fetchChatHistory(await open(clientFor('key-reader')), { since: start });
+    expect(history.map((m: any) => m.id)).toEqual([question.id, answer.id]);
+    const me = await api.fetchJson(`${url}/api/agents/me`);
+    expect(me.inqBalance).toBe(1000 - 100);
+  });
+
+  it('should refuse a reply to an unknown message without charging', async () => {
+    const api = clientFor('key-chat-2');
+    const ws = await open(api);
+    await expect(sendChatMessage(ws, 'hi', { replyTo: 'msg_nope' })).rejects.toMatchObject({ code: 'NOT_FOUND' });
+    const me = await api.fetchJson(`${url}/api/agents/me`);
+    expect(me.inqBalance).toBe(1000);
+  });
+});
+
+describe('waypoints and snapshots', () => {
+  it('should add and delete waypoints', async () => {
+    const ws = await open(clientFor('key-wp'));
+    const wp = await addWaypoint(ws, { name: 'Spot', x: 10, y: 20, zoom: 1 });
+    expect(wp).toMatchObject({ name: 'Spot', x: 10, y: 20 });
+    await deleteWaypoint(ws, wp.id);
+    expect(relay.canvas.waypoints.size).toBe(0);
+  });
+
+  it('should render tiles for drawAndTrack\'s snapshot', async () => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    const ws = await open(clientFor('key-draw'));
+    const result = await drawAndTrack(ws, [line('d-1', 0, 0, 20)], { cx: 3000, cy: 3000, skipWaypoint: true });
+    vi.restoreAllMocks();
+    expect(result.strokesAcked).toBe(1);
+    expect(result.snapshotPath).toBeTruthy();
+    const png = PNG.sync.read(fs.readFileSync(result.snapshotPath!));
+    fs.rmSync(result.snapshotPath!);
+    let red = 0;
+    for (let i = 0; i < png.data.length; i += 4) if (png.data[i] > 200 && png.data[i + 1] < 50) red++;
+    expect(red).toBeGreaterThan(0);
+  });
+});
+
+describe('PGS flow', () => {
+  const api = clientFor('key-pgs');
+  const area = { x: 5000, y: 5000, width: 512, height: 512, model: 'flux-fill-pro' };
+
+  it('should propose, lock, place and list an image', async () => {
+    const proposal = await api.fetchJson(`${url}/api/pgs/propose`, { method: 'POST', body: JSON.stringify(area) });
+    expect(proposal).toMatchObject({ approved: true, resolution: [1024, 1024] });
+
+    // A small resolution keeps the placement within the agent's 1000 INQ
+    const lock = await acquireLock(url, api, { ...area, resolution: [256, 256] });
+    await renewLock(url, api, lock.lockId);
+    await expect(acquireLock(url, clientFor('key-other'), area)).rejects.toMatchObject({ status: 409 });
+
+    const watcher = await open(clientFor('key-viewer'));
+    const placed = nextMessage(watcher, 'image.placed');
+    const png = new PNG({ width: 4, height: 4 });
+    png.data.fill(255);
+    const res = await api.fetchJson(`${url}/api/agents/images`, {
+      method: 'POST',
+      body: JSON.stringify({ lockId: lock.lockId, base64: PNG.sync.write(png).toString('base64') }),
+    }, { retries: 0 });
+    expect(res.image).toMatchObject({ x: 5000, y: 5000, width: 512, height: 512 });
+    expect((await placed).image.id).toBe(res.image.id);
+    expect(await releaseLock(url, api, lock.lockId)).toBe(true);
+
+    const images = await fetchAreaImages(url, api, { minX: 4900, minY: 4900, maxX: 5100, maxY: 5100 });
+    expect(images.map((i: any) => i.id)).toEqual([res.image.id]);
+    const capture = await captureFromImages(url, api, { minX: 5000, minY: 5000, maxX: 5512, maxY: 5512 }, [8, 8]);
+    expect(PNG.sync.read(capture!).data[3]).toBe(255);
+
+    const zones = await api.fetchJson(`${url}/api/pgs/zones`);
+    expect(zones.interior).toHaveLength(1);
+    expect(zones.frontier).toHaveLength(4);
+  });
+
+  it('should refuse unknown models and expired tokens', async () => {
+    await expect(api.fetchJson(`${url}/api/pgs/propose`, { method: 'POST', body: JSON.stringify({ ...area, model: 'nope' }) }))
+      .rejects.toMatchObject({ status: 400 });
+    const expired = `h.${Buffer.from(JSON.stringify({ sub: 'x', exp: 1 })).toString('base64url')}.s`;
+    const res = await fetch(`${url}/api/agents/me`, { headers: { Authorization: `Bearer ${expired}` } });
+    expect(res.status).toBe(401);
+  });
+});
@@ -0,0 +1,102 @@
+#!/usr/bin/env node
+/**
+ * Lock files for read-modify-write cycles on the JSON state under
+ * ~/.clawdraw/ (job and delivery indexes, stroke history).
+ *
+ * A lock is a file created with O_EXCL holding the owner's PID. Holders keep
+ * it for milliseconds, so a waiter spins briefly and retries. A lock left
+ * behind by a killed process would otherwise block every later command, so
+ * one is broken when its PID is no longer running, or when it is older than
+ * `staleMs` (PID unreadable, or reused by an unrelated process).
+ *
+ * Usage:
+ *   import { withFileLock } from './file-lock.mjs';
+ *
+ *   withFileLock(INDEX_FILE + '.lock', () => {
+ *     const entries = readIndex();
+ *     writeIndex([...entries, entry]);
+ *   });
+ */
+
+// @security-manifest
+// env: none
+// endpoints: none
+// files: <caller's state file>.lock (created and deleted around each update)
+// exec: none
+
+import fs from 'node:fs';
+
+/** A lock older than this is treated as abandoned. */
+export const LOCK_STALE_MS = 10_000;
+
+/** Whether a process with this PID is running (EPERM: running, not ours). */
+function pidAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (err) {
+    return err.code === 'EPERM';
+  }
+}
+
+/**
+ * Whether an existing lock file was abandoned by its owner.
+ *
+ * @param {string} lockFile
+ * @param {number} staleMs
+ * @returns {boolean}
+ */
+export function isStaleLock(lockFile, staleMs = LOCK_STALE_MS) {
+  let pid, mtimeMs;
+  try {
+    pid = Number.parseInt(fs.readFileSync(lockFile, 'utf-8'), 10);
+    mtimeMs = fs.statSync(lockFile).mtimeMs;
+  } catch {
+    return false; // gone already, or unreadable: let the next attempt decide
+  }
+  if (Number.isInteger(pid) && pid > 0 && pid !== process.pid && !pidAlive(pid)) return true;
+  return Date.now() - mtimeMs > staleMs;
+}
+
+/**
+ * Run `fn` while holding `lockFile`, waiting for another holder to finish.
+ * The lock's directory must exist.
+ *
+ * @param {string} lockFile - Path of the lock file, usually `<state file>.lock`
+ * @param {() => T} fn - Synchronous critical section
+ * @param {object} [opts]
+ * @param {number} [opts.retries=20] - Attempts before giving up
+ * @param {number} [opts.retryMs=50] - Spin between attempts
+ * @param {number} [opts.staleMs=LOCK_STALE_MS] - Break locks older than this
+ * @returns {T} What `fn` returned
+ * @throws {Error} code EEXIST when the lock is still held after every attempt
+ * @template T
+ */
+export function withFileLock(lockFile, fn, { retries = 20, retryMs = 50, staleMs = LOCK_STALE_MS } = {}) {
+  for (let i = 0; ; i++) {
+    try {
+      fs.writeFileSync(lockFile, String(process.pid), { flag: 'wx' }); // atomic O_EXCL
+      break;
+    } catch (err) {
+      if (err.code !== 'EEXIST') throw err;
+      if (isStaleLock(lockFile, staleMs)) {
+        try {
+          fs.unlinkSync(lockFile);
+          continue;
+        } catch {}
+      }
+      if (i >= retries - 1) {
+        const busy = new Error(`${lockFile} is held by another clawdraw process`);
+        busy.code = 'EEXIST';
+        throw busy;
+      }
+      const end = Date.now() + retryMs;
+      while (Date.now() < end) {} // brief spin wait
+    }
+  }
+  try {
+    return fn();
+  } finally {
+    try { fs.unlinkSync(lockFile); } catch {}
+  }
+}
@@ -0,0 +1,57 @@
+/**
+ * Tests for file-lock.mjs — holding, waiting on and breaking lock files.
+ */
+
+import { describe, it, expect, afterAll } from 'vitest';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+const { withFileLock, isStaleLock } = await import('./file-lock.mjs');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'clawdraw-lock-test-'));
+const lockFile = path.join(dir, 'index.json.lock');
+
+afterAll(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+/** A PID no process has (above Linux's pid_max). */
+const DEAD_PID = 2 ** 22 + 1;
+
+describe('withFileLock', () => {
+  it('should hold the lock while fn runs and release it after', () => {
+    const held = withFileLock(lockFile, () => fs.readFileSync(lockFile, 'utf-8'));
+    expect(held).toBe(String(process.pid));
+    expect(fs.existsSync(lockFile)).toBe(false);
+  });
+
+  it('should release the lock when fn throws', () => {
+    expect(() => withFileLock(lockFile, () => { throw new Error('boom'); })).toThrow('boom');
+    expect(fs.existsSync(lockFile)).toBe(false);
+  });
+
+  it('should give up on a lock held by a live process', () => {
+    fs.writeFileSync(lockFile, String(process.ppid));
+    try {
+      expect(() => withFileLock(lockFile, () => 'ran', { retries: 2, retryMs: 1 }))
+        .toThrow(expect.objectContaining({ code: 'EEXIST' }));
+    } finally {
+      fs.unlinkSync(lockFile);
+    }
+  });
+
+  it('should break a lock whose process is gone', () => {
+    fs.writeFileSync(lockFile, String(DEAD_PID));
+    expect(isStaleLock(lockFile)).toBe(true);
+    expect(withFileLock(lockFile, () => 'ran', { retries: 1 })).toBe('ran');
+  });
+
+  it('should break a lock older than staleMs', () => {
+    fs.writeFileSync(lockFile, String(process.ppid));
+    const old = new Date(Date.now() - 60_000);
+    fs.utimesSync(lockFile, old, old);
+    expect(isStaleLock(lockFile, 1000)).toBe(true);
+    expect(withFileLock(lockFile, () => 'ran', { retries: 1, staleMs: 1000 })).toBe('ran');
+  });
+});
@@ -0,0 +1,287 @@
+#!/usr/bin/env node
+/**
+ * Undo history, image cache and redo stack under ~/.clawdraw/.
+ *
+ *   stroke-history.json   the last 20 sessions: placed images and acked strokes
+ *   images/<id>.png       each placed PNG exactly as uploaded, for redo
+ *   redo.json             undone images that can be placed again
+ *
+ * All of it is a convenience: read errors yield empty lists and write errors
+ * are ignored, so a broken history never stops a command.
+ *
+ * Usage:
+ *   import { appendHistorySession, selectUndoTargets, forgetImages } from './history.mjs';
+ *
+ *   appendHistorySession({ type: 'image', imageIds: ['img_1'], images });
+ *   const targets = selectUndoTargets(loadStrokeHistory(), { swarm: 'swarm-1' });
+ *   forgetImages(['img_1']);
+ */
+
+// @security-manifest
+// env: none
+// endpoints: none
+// files: ~/.clawdraw/stroke-history.json, ~/.clawdraw/images/*.png, ~/.clawdraw/redo.json
+// exec: none
+
+import fs from 'node:fs';
+import path from 'node:path';
+import os from 'node:os';
+import { withFileLock } from './file-lock.mjs';
+
+const STATE_DIR = path.join(os.homedir(), '.clawdraw');
+const HISTORY_FILE = path.join(STATE_DIR, 'stroke-history.json');
+const HISTORY_MAX_SESSIONS = 20;
+const IMAGE_CACHE_DIR = path.join(STATE_DIR, 'images');
+const REDO_FILE = path.join(STATE_DIR, 'redo.json');
+const REDO_MAX_IMAGES = 20;
+
+// ---------------------------------------------------------------------------
+// Stroke history (~/.clawdraw/stroke-history.json)
+// ---------------------------------------------------------------------------
+
+/** Load stroke history sessions from disk. */
+export function loadStrokeHistory() {
+  try {
+    const data = JSON.parse(fs.readFileSync(HISTORY_FILE, 'utf-8'));
+    return Array.isArray(data) ? data : [];
+  } catch {
+    return [];
+  }
+}
+
+/** Atomically write stroke history sessions to disk (tmp → rename). */
+function writeStrokeHistory(sessions) {
+  try {
+    fs.mkdirSync(STATE_DIR, { recursive: true });
+    const tmp = HISTORY_FILE + '.tmp';
+    fs.writeFileSync(tmp, JSON.stringify(sessions, null, 2), 'utf-8');
+    fs.renameSync(tmp, HISTORY_FILE);
+  } catch {
+    // Non-critical — history is a convenience feature
+  }
+}
+
+/** Acquire a file lock around a history read-modify-write cycle. */
+function withHistoryLock(fn) {
+  try {
+    fs.mkdirSync(STATE_DIR, { recursive: true });
+    return withFileLock(HISTORY_FILE + '.lock', fn, { retries: 10 });
+  } catch {
+    return; // fail open — history is non-critical
+  }
+}
+
+/**
+ * Append a session to history, keeping the newest HISTORY_MAX_SESSIONS.
+ *
+ * @param {object} entry - { type: 'image', imageIds, images? } or { type: 'strokes', strokeIds }
+ * @param {object} [opts]
+ * @param {string|null} [opts.swarmId] - Tag the session for `undo --swarm`
+ */
+export function appendHistorySession(entry, { swarmId = null } = {}) {
+  withHistoryLock(() => {
+    const sessions = loadStrokeHistory();
+    sessions.push({
+      timestamp: new Date().toISOString(),
+      ...(swarmId ? { swarmId } : {}),
+      ...entry,
+    });
+    while (sessions.length > HISTORY_MAX_SESSIONS) {
+      sessions.shift();
+    }
+    writeStrokeHistory(sessions);
+  });
+}
+
+/**
+ * Drop deleted images from history; sessions left empty are removed.
+ *
+ * @param {Iterable<string>} imageIds
+ */
+export function forgetImages(imageIds) {
+  const gone = new Set(imageIds);
+  withHistoryLock(() => {
+    const sessions = loadStrokeHistory()
+      .map(s => s.type !== 'image' ? s : {
+        ...s,
+        imageIds: (s.imageIds || []).filter(id => !gone.has(id)),
+        ...(s.images ? { images: s.images.filter(img => !gone.has(img.id)) } : {}),
+        ...(s.unconfirmedDeletes ? { unconfirmedDeletes: s.unconfirmedDeletes.filter(id => !gone.has(id)) } : {}),
+      })
+      .filter(s => s.type !== 'image' || s.imageIds.length > 0);
+    writeStrokeHistory(sessions);
+  });
+}
+
+/**
+ * Mark images whose delete the relay never answered. They stay in history,
+ * since they may still be on the canvas, but only `undo --id` picks them
+ * again.
+ *
+ * @param {Iterable<string>} imageIds
+ */
+export function markUnconfirmedDeletes(imageIds) {
+  const sent = new Set(imageIds);
+  withHistoryLock(() => {
+    const sessions = loadStrokeHistory().map(s => {
+      const marked = s.type === 'image' ? (s.imageIds || []).filter(id => sent.has(id)) : [];
+      if (marked.length === 0) return s;
+      return { ...s, unconfirmedDeletes: [...new Set([...(s.unconfirmedDeletes || []), ...marked])] };
+    });
+    writeStrokeHistory(sessions);
+  });
+}
+
+/**
+ * Pick the images to undo from history: `id` (comma list), `swarm` and
+ * `since` combine; with none of them, the last `count` placements.
+ * An id that isn't in history is still returned (without details), so it
+ * is deleted all the same; it just can't be redone. Images marked by
+ * markUnconfirmedDeletes are picked only by `id`.
+ *
+ * @param {Array<object>} sessions - From loadStrokeHistory
+ * @param {object} opts - Parsed undo args
+ * @param {string} [opts.id]
+ * @param {string} [opts.swarm]
+ * @param {string} [opts.since] - Date or time
+ * @param {number} [opts.count=1]
+ * @returns {Array<{ id: string, details?: object }>} `details` is the saved geometry and cached file
+ */
+export function selectUndoTargets(sessions, opts) {
+  let since;
+  if (opts.since !== undefined) {
+    const t = Date.parse(String(opts.since));
+    if (Number.isNaN(t)) throw new Error(`--since must be a date or time (got "${opts.since}")`);
+    since = new Date(t).toISOString();
+  }
+  const ids = opts.id !== undefined ? String(opts.id).split(',').map(s => s.trim()).filter(Boolean) : null;
+  const swarm = opts.swarm !== undefined ? String(opts.swarm) : null;
+
+  const imageSessions = sessions
+    .filter(s => s.type === 'image' && Array.isArray(s.imageIds))
+    .map(s => (ids ? s : { ...s, imageIds: s.imageIds.filter(id => !(s.unconfirmedDeletes || []).includes(id)) }))
+    .filter(s => s.imageIds.length > 0);
+  const entries = (list) => list.flatMap(s => s.imageIds.map(id => ({
+    id,
+    details: (s.images || []).find(img => img.id === id),
+  })));
+
+  if (!ids && !swarm && !since) {
+    const count = Math.max(1, Number(opts.count) || 1);
+    return entries(imageSessions.slice(-count));
+  }
+
+  const matched = entries(imageSessions.filter(s =>
+    (!swarm || s.swarmId === swarm) && (!since || s.timestamp >= since)))
+    .filter(e => !ids || ids.includes(e.id));
+  if (ids && !swarm && !since) {
+    for (const id of ids) {
+      if (!matched.some(e => e.id === id)) matched.push({ id, details: undefined });
+    }
+  }
+  return matched;
+}
+
+// ---------------------------------------------------------------------------
+// Image cache + redo stack (~/.clawdraw/images/, ~/.clawdraw/redo.json)
+// ---------------------------------------------------------------------------
+
+/**
+ * Keep a copy of the PNG exactly as uploaded (after blending), so `redo`
+ * can place it again once `undo` has deleted it.
+ *
+ * @returns {string|undefined} Cached file path, or undefined when not cached
+ */
+export function cacheImage(imageId, buffer) {
+  if (!/^[\w-]+$/.test(imageId)) return undefined;
+  try {
+    fs.mkdirSync(IMAGE_CACHE_DIR, { recursive: true, mode: 0o700 });
+    const file = path.join(IMAGE_CACHE_DIR, `${imageId}.png`);
+    fs.writeFileSync(file, buffer, { mode: 0o600 });
+    return file;
+  } catch {
+    return undefined; // Non-critical — only redo needs it
+  }
+}
+
+/** Load undone images that can be redone, oldest first. */
+export function loadRedoStack() {
+  try {
+    const data = JSON.parse(fs.readFileSync(REDO_FILE, 'utf-8'));
+    return Array.isArray(data) ? data : [];
+  } catch {
+    return [];
+  }
+}
+
+/** Atomically write the redo stack, keeping the newest REDO_MAX_IMAGES. */
+export function writeRedoStack(stack) {
+  try {
+    fs.mkdirSync(STATE_DIR, { recursive: true });
+    const tmp = REDO_FILE + '.tmp';
+    fs.writeFileSync(tmp, JSON.stringify(stack.slice(-REDO_MAX_IMAGES), null, 2), 'utf-8');
+    fs.renameSync(tmp, REDO_FILE);
+  } catch {
+    // Non-critical
+  }
+}
+
+/**
+ * Push undone images whose cached PNG still exists onto the redo stack.
+ *
+ * @param {Array<object|undefined>} details - Saved details of the deleted images
+ * @returns {Array<object>} The entries pushed
+ */
+export function pushRedo(details) {
+  const undoneAt = new Date().toISOString();
+  const redoable = details
+    .filter(d => d?.file && fs.existsSync(d.file))
+    .map(d => ({ ...d, undoneAt }));
+  if (redoable.length > 0) writeRedoStack([...loadRedoStack(), ...redoable]);
+  return redoable;
+}
+
+/**
+ * Pick images to redo: `id` (comma list) or the newest `count`. Entries
+ * whose cached PNG has gone are reported apart, since they can't be placed.
+ *
+ * @param {Array<object>} stack - From loadRedoStack
+ * @param {object} opts
+ * @param {string} [opts.id]
+ * @param {number} [opts.count=1]
+ * @returns {{ images: Array<object>, missing: string[], uncached: Array<object> }}
+ *   `missing` are ids not in the stack; `uncached` lost their cached file
+ */
+export function selectRedoTargets(stack, opts) {
+  let picked;
+  let missing = [];
+  if (opts.id !== undefined) {
+    const ids = String(opts.id).split(',').map(s => s.trim()).filter(Boolean);
+    picked = stack.filter(img => ids.includes(img.id));
+    missing = ids.filter(id => !picked.some(img => img.id === id));
+  } else {
+    picked = stack.slice(-Math.max(1, Number(opts.count) || 1));
+  }
+  const uncached = picked.filter(img => !img.file || !fs.existsSync(img.file));
+  return { images: picked.filter(img => !uncached.includes(img)), missing, uncached };
+}
+
+/** Delete cached PNGs that neither the undo history nor the redo stack refers to. */
+export function pruneImageCache() {
+  let files;
+  try {
+    files = fs.readdirSync(IMAGE_CACHE_DIR);
+  } catch {
+    return;
+  }
+  const keep = new Set([
+    ...loadStrokeHistory().flatMap(s => (s.images || []).map(img => img.file)),
+    ...loadRedoStack().map(img => img.file),
+  ]);
+  for (const name of files) {
+    const file = path.join(IMAGE_CACHE_DIR, name);
+    if (!keep.has(file)) {
+      try { fs.unlinkSync(file); } catch {}
+    }
+  }
+}
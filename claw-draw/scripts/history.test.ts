@@ -0,0 +1,118 @@
+/**
+ * Tests for history.mjs — undo target selection, forgetting deleted images,
+ * and the redo stack's image-cache lookup.
+ *
+ * HOME is pointed at a temp dir before the module loads, so history, the
+ * image cache and the redo stack live in <tmp>/.clawdraw/.
+ */
+
+import { describe, it, expect, beforeEach, afterAll } from 'vitest';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+const tmpHome = fs.mkdtempSync(path.join(os.tmpdir(), 'clawdraw-history-test-'));
+const realHome = process.env.HOME;
+process.env.HOME = tmpHome;
+
+const {
+  appendHistorySession, loadStrokeHistory, forgetImages, markUnconfirmedDeletes, selectUndoTargets,
+  cacheImage, loadRedoStack, pushRedo, selectRedoTargets, pruneImageCache,
+} = await import('./history.mjs');
+
+afterAll(() => {
+  process.env.HOME = realHome;
+  fs.rmSync(tmpHome, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  fs.rmSync(path.join(tmpHome, '.clawdraw'), { recursive: true, force: true });
+});
+
+const sessions = [
+  { type: 'image', timestamp: '2026-01-01T10:00:00.000Z', imageIds: ['a'], images: [{ id: 'a', x: 0, y: 0 }] },
+  { type: 'strokes', timestamp: '2026-01-01T10:30:00.000Z', strokeIds: ['s1'] },
+  { type: 'image', timestamp: '2026-01-01T11:00:00.000Z', swarmId: 'sw1', imageIds: ['b', 'c'] },
+  { type: 'image', timestamp: '2026-01-01T12:00:00.000Z', swarmId: 'sw2', imageIds: ['d'] },
+];
+const ids = (targets: any[]) => targets.map(t => t.id);
+
+describe('selectUndoTargets', () => {
+  it('should take the last --count image placements, skipping stroke sessions', () => {
+    expect(ids(selectUndoTargets(sessions, {}))).toEqual(['d']);
+    expect(ids(selectUndoTargets(sessions, { count: 2 }))).toEqual(['b', 'c', 'd']);
+    expect(selectUndoTargets(sessions, { count: 3 })[0].details).toEqual({ id: 'a', x: 0, y: 0 });
+  });
+
+  it('should pick by --id, keeping ids history does not know', () => {
+    const targets = selectUndoTargets(sessions, { id: 'c, zz' });
+    expect(targets).toEqual([{ id: 'c', details: undefined }, { id: 'zz', details: undefined }]);
+  });
+
+  it('should combine --swarm, --since and --id', () => {
+    expect(ids(selectUndoTargets(sessions, { swarm: 'sw1' }))).toEqual(['b', 'c']);
+    expect(ids(selectUndoTargets(sessions, { since: '2026-01-01T11:00:00Z' }))).toEqual(['b', 'c', 'd']);
+    expect(ids(selectUndoTargets(sessions, { since: '2026-01-01T11:00:00Z', swarm: 'sw2' }))).toEqual(['d']);
+    // With a filter, an unknown --id is not added
+    expect(ids(selectUndoTargets(sessions, { swarm: 'sw1', id: 'c,zz' }))).toEqual(['c']);
+  });
+
+  it('should reject an unreadable --since', () => {
+    expect(() => selectUndoTargets(sessions, { since: 'yesterday-ish' })).toThrow('--since must be a date or time');
+  });
+});
+
+describe('history file', () => {
+  it('should tag sessions with the swarm and forget deleted images', () => {
+    appendHistorySession({ type: 'image', imageIds: ['a', 'b'], images: [{ id: 'a' }, { id: 'b' }] }, { swarmId: 'sw' });
+    appendHistorySession({ type: 'image', imageIds: ['c'] });
+    forgetImages(['a', 'c']);
+    const saved = loadStrokeHistory();
+    expect(saved).toHaveLength(1);
+    expect(saved[0]).toMatchObject({ swarmId: 'sw', imageIds: ['b'], images: [{ id: 'b' }] });
+  });
+
+  it('should keep unanswered deletes in history but pick them again only by --id', () => {
+    appendHistorySession({ type: 'image', imageIds: ['a'] });
+    appendHistorySession({ type: 'image', imageIds: ['b', 'c'] });
+    markUnconfirmedDeletes(['c']);
+    const saved = loadStrokeHistory();
+    expect(saved[1]).toMatchObject({ imageIds: ['b', 'c'], unconfirmedDeletes: ['c'] });
+    expect(ids(selectUndoTargets(saved, {}))).toEqual(['b']);
+    markUnconfirmedDeletes(['b']);
+    expect(ids(selectUndoTargets(loadStrokeHistory(), {}))).toEqual(['a']);
+    expect(ids(selectUndoTargets(loadStrokeHistory(), { id: 'c' }))).toEqual(['c']);
+    forgetImages(['c']);
+    expect(loadStrokeHistory()[1]).toMatchObject({ imageIds: ['b'], unconfirmedDeletes: ['b'] });
+  });
+});
+
+describe('redo stack', () => {
+  it('should push only images whose cached PNG exists', () => {
+    const file = cacheImage('img_a', Buffer.from('png'));
+    expect(file).toBe(path.join(tmpHome, '.clawdraw', 'images', 'img_a.png'));
+    const pushed = pushRedo([{ id: 'img_a', file }, { id: 'img_b', file: '/nowhere/img_b.png' }, undefined]);
+    expect(pushed.map((e: any) => e.id)).toEqual(['img_a']);
+    expect(loadRedoStack()[0]).toMatchObject({ id: 'img_a', file });
+    expect(cacheImage('../escape', Buffer.from('x'))).toBeUndefined();
+  });
+
+  it('should look redo targets up in the image cache', () => {
+    const a = cacheImage('img_a', Buffer.from('a'));
+    const b = cacheImage('img_b', Buffer.from('b'));
+    const stack = [{ id: 'img_a', file: a }, { id: 'img_b', file: b }, { id: 'img_c', file: path.join(path.dirname(a!), 'img_c.png') }];
+
+    expect(selectRedoTargets(stack, {}).uncached.map((e: any) => e.id)).toEqual(['img_c']);
+    expect(selectRedoTargets(stack, { count: 2 }).images.map((e: any) => e.id)).toEqual(['img_b']);
+    expect(selectRedoTargets(stack, { id: 'img_a,img_x' })).toMatchObject({ images: [{ id: 'img_a' }], missing: ['img_x'], uncached: [] });
+  });
+
+  it('should prune cached PNGs nothing refers to', () => {
+    const kept = cacheImage('img_kept', Buffer.from('k'));
+    const dropped = cacheImage('img_dropped', Buffer.from('d'));
+    pushRedo([{ id: 'img_kept', file: kept }]);
+    pruneImageCache();
+    expect(fs.existsSync(kept!)).toBe(true);
+    expect(fs.existsSync(dropped!)).toBe(false);
+  });
+});
@@ -0,0 +1,120 @@
+#!/usr/bin/env node
+/**
+ * INQ cost estimates shared by every spending command.
+ *
+ * The prices mirror SKILL.md "Costs": image generation is charged per pixel
+ * of PGS resolution, strokes per point and chat per message. The relay's
+ * balance is authoritative; these are the numbers the CLI checks against the
+ * --max-inq / CLAWDRAW_MAX_INQ ceiling before anything is sent, and compares
+ * with the balance change afterwards.
+ *
+ * Usage:
+ *   import { estimatePgsInq, checkInqCap, describeSpend } from './inq.mjs';
+ *
+ *   const inq = estimatePgsInq(job.pgs.resolution);
+ *   checkInqCap(inq, maxInq);              // throws when over the ceiling
+ *   console.log(describeSpend(inq, before, after));
+ */
+
+// @security-manifest
+// env: none
+// endpoints: none
+// files: none
+// exec: none
+
+/** Image generation: INQ per pixel of PGS resolution. */
+export const PGS_INQ_PER_PIXEL = 0.01;
+/** Strokes: INQ per stroke point. */
+export const INQ_PER_POINT = 1;
+/** Chat: INQ per message. */
+export const CHAT_INQ = 50;
+/** Resolution assumed before the relay has reported one for a PGS. */
+export const DEFAULT_PGS_RESOLUTION = [1024, 1024];
+/** Ceiling when neither --max-inq nor CLAWDRAW_MAX_INQ is set (SKILL.md asks before spending more). */
+export const DEFAULT_MAX_INQ = 100000;
+
+// ---------------------------------------------------------------------------
+// Estimates
+// ---------------------------------------------------------------------------
+
+/**
+ * Estimate the INQ cost of a set of strokes.
+ *
+ * @param {Array<{ points: Array }>} strokes
+ * @returns {{ strokes: number, points: number, inq: number }}
+ */
+export function estimateStrokesInq(strokes) {
+  let points = 0;
+  for (const s of strokes) points += s.points?.length || 0;
+  return { strokes: strokes.length, points, inq: points * INQ_PER_POINT };
+}
+
+/**
+ * Estimate the INQ cost of generating one PGS.
+ *
+ * @param {[number, number]} [resolution] - PGS resolution in px (default 1024x1024)
+ * @returns {number}
+ */
+export function estimatePgsInq(resolution) {
+  const [w, h] = resolution || DEFAULT_PGS_RESOLUTION;
+  return Math.ceil(w * h * PGS_INQ_PER_PIXEL);
+}
+
+// ---------------------------------------------------------------------------
+// Ceiling
+// ---------------------------------------------------------------------------
+
+/**
+ * Parse an INQ ceiling from --max-inq or CLAWDRAW_MAX_INQ, in that order.
+ *
+ * @param {string|number} [flag] - --max-inq value
+ * @param {string} [env] - CLAWDRAW_MAX_INQ value
+ * @returns {number}
+ */
+export function resolveMaxInq(flag, env) {
+  const [value, source] = flag !== undefined ? [flag, '--max-inq']
+    : env ? [env, 'CLAWDRAW_MAX_INQ']
+    : [DEFAULT_MAX_INQ, 'default'];
+  const n = Number(value);
+  if (!Number.isFinite(n) || n <= 0) {
+    throw new Error(`${source} must be a positive number of INQ (got "${value}")`);
+  }
+  return n;
+}
+
+/**
+ * Throw when an estimate is over the ceiling.
+ *
+ * @param {number} inq - Estimated cost
+ * @param {number} maxInq - Ceiling
+ */
+export function checkInqCap(inq, maxInq) {
+  if (inq > maxInq) {
+    throw new Error(`Estimated ~${inq} INQ exceeds the ${maxInq} INQ cap. Raise it with --max-inq N or CLAWDRAW_MAX_INQ if this is intended.`);
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Actual spend
+// ---------------------------------------------------------------------------
+
+/**
+ * Describe actual vs estimated spend from balances read before and after.
+ * Other sessions spending from the same pool (e.g. a swarm) show up in the
+ * difference too.
+ *
+ * @param {number} estimated
+ * @param {number|null} before - Balance before, or null when unavailable
+ * @param {number|null} after - Balance after, or null when unavailable
+ * @returns {string}
+ */
+export function describeSpend(estimated, before, after) {
+  if (!Number.isFinite(before) || !Number.isFinite(after)) {
+    return `Spent: unknown (balance unavailable; estimated ~${estimated} INQ)`;
+  }
+  const spent = Math.round((before - after) * 100) / 100;
+  const diff = Math.round((spent - estimated) * 100) / 100;
+  const note = diff === 0 ? 'as estimated'
+    : `estimated ~${estimated}, ${diff > 0 ? `${diff} more` : `${-diff} less`}`;
+  return `Spent: ${spent} INQ (${note}; balance ${after})`;
+}
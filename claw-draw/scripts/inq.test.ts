@@ -0,0 +1,49 @@
+/**
+ * Tests for inq.mjs — cost estimates, the INQ ceiling and spend reports.
+ */
+
+import { describe, it, expect } from 'vitest';
+
+const {
+  estimateStrokesInq, estimatePgsInq, resolveMaxInq, checkInqCap, describeSpend,
+  INQ_PER_POINT, DEFAULT_MAX_INQ,
+} = await import('./inq.mjs');
+
+const line = (n: number) => ({ points: Array.from({ length: n }, (_, i) => ({ x: i, y: 0 })) });
+
+describe('estimates', () => {
+  it('estimateStrokesInq should charge per point', () => {
+    expect(estimateStrokesInq([line(10), line(5)])).toEqual({ strokes: 2, points: 15, inq: 15 * INQ_PER_POINT });
+    expect(estimateStrokesInq([])).toEqual({ strokes: 0, points: 0, inq: 0 });
+  });
+
+  it('estimatePgsInq should charge per pixel of resolution, defaulting to 1024x1024', () => {
+    expect(estimatePgsInq([1024, 1024])).toBe(10486);
+    expect(estimatePgsInq([512, 768])).toBe(3933);
+    expect(estimatePgsInq()).toBe(10486);
+  });
+});
+
+describe('ceiling', () => {
+  it('resolveMaxInq should prefer the flag, then the env var, then the default', () => {
+    expect(resolveMaxInq(5000, '20000')).toBe(5000);
+    expect(resolveMaxInq(undefined, '20000')).toBe(20000);
+    expect(resolveMaxInq(undefined, undefined)).toBe(DEFAULT_MAX_INQ);
+    expect(() => resolveMaxInq('lots', undefined)).toThrow('--max-inq must be a positive number');
+    expect(() => resolveMaxInq(undefined, '-1')).toThrow('CLAWDRAW_MAX_INQ must be a positive number');
+  });
+
+  it('checkInqCap should allow up to the cap and reject above it', () => {
+    expect(() => checkInqCap(100, 100)).not.toThrow();
+    expect(() => checkInqCap(101, 100)).toThrow('exceeds the 100 INQ cap');
+  });
+});
+
+describe('describeSpend', () => {
+  it('should compare the balance change with the estimate', () => {
+    expect(describeSpend(50, 1000, 950)).toBe('Spent: 50 INQ (as estimated; balance 950)');
+    expect(describeSpend(40, 1000, 950)).toBe('Spent: 50 INQ (estimated ~40, 10 more; balance 950)');
+    expect(describeSpend(60, 1000, 950)).toBe('Spent: 50 INQ (estimated ~60, 10 less; balance 950)');
+    expect(describeSpend(50, null, 950)).toContain('unknown');
+  });
+});
@@ -0,0 +1,215 @@
+#!/usr/bin/env node
+/**
+ * Generation job store — one JSON file per PGS job under ~/.clawdraw/jobs/.
+ *
+ * A job follows one PGS proposal through its lifecycle:
+ *
+ *   proposed → locked → generated → placed
+ *                  ↘        ↘
+ *                   failed / cancelled
+ *
+ * `locked` also covers "prepared for an external model": the lock is held
+ * and the screenshot/prompt are on disk, waiting for `place-image --file`.
+ *
+ * Job IDs are tracked in ~/.clawdraw/jobs/index.json so listing never has
+ * to enumerate the directory.
+ *
+ * Usage:
+ *   import { createJob, loadJob, updateJob, listJobs, findLatestJob } from './jobs.mjs';
+ *
+ *   const job = createJob({ pgs: { x, y, width, height, model, resolution } });
+ *   updateJob(job.id, { status: 'locked', lockId });
+ *   const next = findLatestJob(['generated', 'locked']);
+ */
+
+// @security-manifest
+// env: none
+// endpoints: none
+// files: ~/.clawdraw/jobs/<id>.json, ~/.clawdraw/jobs/index.json
+// exec: none
+
+import fs from 'node:fs';
+import path from 'node:path';
+import os from 'node:os';
+import { withFileLock } from './file-lock.mjs';
+
+const JOBS_DIR = path.join(os.homedir(), '.clawdraw', 'jobs');
+const INDEX_FILE = path.join(JOBS_DIR, 'index.json');
+/** Finished jobs beyond this count are pruned (oldest first). */
+const JOBS_MAX_FINISHED = 50;
+
+/** All job states, in lifecycle order. */
+export const JOB_STATUSES = ['proposed', 'locked', 'generated', 'placed', 'failed', 'cancelled'];
+/** States a job can no longer leave. */
+export const FINISHED_STATUSES = new Set(['placed', 'cancelled']);
+
+const JOB_ID_RE = /^job-\d{14}-[0-9a-f]{5}$/;
+
+// ---------------------------------------------------------------------------
+// File helpers
+// ---------------------------------------------------------------------------
+
+function jobPath(id) {
+  if (!JOB_ID_RE.test(id)) throw new Error(`Invalid job id "${id}"`);
+  return path.join(JOBS_DIR, `${id}.json`);
+}
+
+/** Atomically write JSON (tmp → rename). */
+function writeJsonAtomic(file, data) {
+  fs.mkdirSync(JOBS_DIR, { recursive: true, mode: 0o700 });
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(data, null, 2), 'utf-8');
+  fs.renameSync(tmp, file);
+}
+
+function readIndex() {
+  try {
+    const data = JSON.parse(fs.readFileSync(INDEX_FILE, 'utf-8'));
+    return Array.isArray(data) ? data : [];
+  } catch {
+    return [];
+  }
+}
+
+/** Acquire a file lock around an index read-modify-write cycle. */
+function withIndexLock(fn) {
+  fs.mkdirSync(JOBS_DIR, { recursive: true, mode: 0o700 });
+  return withFileLock(INDEX_FILE + '.lock', fn);
+}
+
+/** Mirror a job's summary into the index, pruning old finished jobs. */
+function indexJob(job) {
+  withIndexLock(() => {
+    const entries = readIndex().filter(e => e.id !== job.id);
+    entries.push({ id: job.id, status: job.status, createdAt: job.createdAt, updatedAt: job.updatedAt });
+
+    const finished = entries.filter(e => FINISHED_STATUSES.has(e.status) || e.status === 'failed');
+    let excess = finished.length - JOBS_MAX_FINISHED;
+    const pruned = new Set();
+    for (const e of finished.sort((a, b) => a.updatedAt.localeCompare(b.updatedAt))) {
+      if (excess-- <= 0) break;
+      pruned.add(e.id);
+      try { fs.unlinkSync(jobPath(e.id)); } catch {}
+    }
+
+    writeJsonAtomic(INDEX_FILE, entries.filter(e => !pruned.has(e.id)));
+  });
+}
+
+// ---------------------------------------------------------------------------
+// Public API
+// ---------------------------------------------------------------------------
+
+/** Generate a sortable job ID (job-YYYYMMDDhhmmss-xxxxx). */
+export function newJobId() {
+  const ts = new Date().toISOString().replace(/\D/g, '').slice(0, 14);
+  const rand = Math.random().toString(16).slice(2, 7).padEnd(5, '0');
+  return `job-${ts}-${rand}`;
+}
+
+/**
+ * Create and persist a new job in the `proposed` state.
+ *
+ * @param {object} fields - Initial fields (pgs, swarmId, ...)
+ * @returns {object} The stored job
+ */
+export function createJob(fields = {}) {
+  const now = new Date().toISOString();
+  const job = {
+    id: newJobId(),
+    status: 'proposed',
+    createdAt: now,
+    updatedAt: now,
+    ...fields,
+    history: [{ status: 'proposed', at: now }],
+  };
+  writeJsonAtomic(jobPath(job.id), job);
+  indexJob(job);
+  return job;
+}
+
+/**
+ * Load a job by ID.
+ *
+ * @param {string} id
+ * @returns {object|null} The job, or null if it does not exist
+ */
+export function loadJob(id) {
+  try {
+    return JSON.parse(fs.readFileSync(jobPath(id), 'utf-8'));
+  } catch (err) {
+    if (err.message.startsWith('Invalid job id')) throw err;
+    return null;
+  }
+}
+
+/**
+ * Merge fields into a job and persist it. A `status` change is appended
+ * to the job's history. The job file is locked for the read-modify-write,
+ * so `jobs cancel` in one shell and a running generate in another don't
+ * lose each other's update; a finished job (e.g. cancelled) keeps its status.
+ *
+ * @param {string} id
+ * @param {object} fields
+ * @returns {object} The updated job
+ */
+export function updateJob(id, fields) {
+  if (fields.status && !JOB_STATUSES.includes(fields.status)) {
+    throw new Error(`Invalid job status "${fields.status}"`);
+  }
+  fs.mkdirSync(JOBS_DIR, { recursive: true, mode: 0o700 });
+  const updated = withFileLock(jobPath(id) + '.lock', () => {
+    const job = loadJob(id);
+    if (!job) throw new Error(`Job ${id} not found`);
+
+    const now = new Date().toISOString();
+    const next = { ...job, ...fields, updatedAt: now };
+    if (FINISHED_STATUSES.has(job.status)) {
+      next.status = job.status;
+    } else if (fields.status && fields.status !== job.status) {
+      next.history = [...(job.history || []), { status: fields.status, at: now }];
+    }
+    writeJsonAtomic(jobPath(id), next);
+    return next;
+  });
+  indexJob(updated);
+  return updated;
+}
+
+/**
+ * List jobs, newest first.
+ *
+ * @param {object} [opts]
+ * @param {string[]} [opts.status] - Only jobs in these states
+ * @returns {object[]} Full job objects
+ */
+export function listJobs(opts = {}) {
+  const entries = readIndex().sort((a, b) => b.createdAt.localeCompare(a.createdAt) || b.id.localeCompare(a.id));
+  const jobs = [];
+  for (const e of entries) {
+    if (opts.status && !opts.status.includes(e.status)) continue;
+    const job = loadJob(e.id);
+    if (job) jobs.push(job);
+  }
+  return jobs;
+}
+
+/**
+ * Most recently created job in one of the given states.
+ *
+ * @param {string[]} statuses
+ * @returns {object|null}
+ */
+export function findLatestJob(statuses) {
+  return listJobs({ status: statuses })[0] || null;
+}
+
+/**
+ * Find the job holding a given PGS lock.
+ *
+ * @param {string} lockId
+ * @returns {object|null}
+ */
+export function findJobByLockId(lockId) {
+  return listJobs().find(j => j.lockId === lockId) || null;
+}
@@ -0,0 +1,77 @@
+/**
+ * Tests for jobs.mjs — job lifecycle, index listing and lookup.
+ *
+ * HOME is pointed at a temp dir before the module loads, so the store
+ * lives in <tmp>/.clawdraw/jobs/.
+ */
+
+import { describe, it, expect, afterAll } from 'vitest';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+const tmpHome = fs.mkdtempSync(path.join(os.tmpdir(), 'clawdraw-jobs-test-'));
+const realHome = process.env.HOME;
+process.env.HOME = tmpHome;
+
+const { createJob, loadJob, updateJob, listJobs, findLatestJob, findJobByLockId } = await import('./jobs.mjs');
+
+afterAll(() => {
+  process.env.HOME = realHome;
+  fs.rmSync(tmpHome, { recursive: true, force: true });
+});
+
+const pgs = { x: 0, y: 0, width: 1024, height: 1024, model: 'mock', resolution: [1024, 1024], approved: true };
+
+describe('job store', () => {
+  it('should create a proposed job on disk', () => {
+    const job = createJob({ pgs });
+    expect(job.id).toMatch(/^job-\d{14}-[0-9a-f]{5}$/);
+    expect(job.status).toBe('proposed');
+    expect(fs.existsSync(path.join(tmpHome, '.clawdraw', 'jobs', `${job.id}.json`))).toBe(true);
+    expect(loadJob(job.id)).toEqual(job);
+  });
+
+  it('should record status transitions in history', () => {
+    const job = createJob({ pgs });
+    updateJob(job.id, { status: 'locked', lockId: 'lock-abc' });
+    const done = updateJob(job.id, { status: 'generated', resultPath: '/tmp/x.png' });
+    expect(done.history.map((h: { status: string }) => h.status)).toEqual(['proposed', 'locked', 'generated']);
+    expect(done.lockId).toBe('lock-abc');
+    expect(findJobByLockId('lock-abc')?.id).toBe(job.id);
+  });
+
+  it('should keep several proposals side by side', () => {
+    const a = createJob({ pgs: { ...pgs, x: 2048 } });
+    const b = createJob({ pgs: { ...pgs, x: 4096 } });
+    const ids = listJobs().map((j: { id: string }) => j.id);
+    expect(ids).toContain(a.id);
+    expect(ids).toContain(b.id);
+    expect(loadJob(a.id).pgs.x).toBe(2048);
+  });
+
+  it('should filter by status and find the newest match', () => {
+    const job = createJob({ pgs });
+    updateJob(job.id, { status: 'cancelled' });
+    expect(listJobs({ status: ['cancelled'] }).map((j: { id: string }) => j.id)).toEqual([job.id]);
+    expect(findLatestJob(['proposed'])?.status).toBe('proposed');
+  });
+
+  it('should reject unknown statuses and malformed ids', () => {
+    const job = createJob({ pgs });
+    expect(() => updateJob(job.id, { status: 'done' })).toThrow('Invalid job status');
+    expect(() => loadJob('../../etc/passwd')).toThrow('Invalid job id');
+    expect(loadJob('job-20260101000000-abcde')).toBeNull();
+  });
+
+  it('should keep a cancelled job cancelled', () => {
+    const job = createJob({ pgs });
+    updateJob(job.id, { status: 'cancelled' });
+    const late = updateJob(job.id, { status: 'generated', resultPath: '/tmp/x.png' });
+    expect(late.status).toBe('cancelled');
+    expect(late.resultPath).toBe('/tmp/x.png');
+    expect(late.history.map((h: { status: string }) => h.status)).toEqual(['proposed', 'cancelled']);
+    expect(listJobs({ status: ['cancelled'] }).map((j: { id: string }) => j.id)).toContain(job.id);
+    expect(fs.existsSync(path.join(tmpHome, '.clawdraw', 'jobs', `${job.id}.json.lock`))).toBe(false);
+  });
+});
@@ -0,0 +1,115 @@
+#!/usr/bin/env node
+/**
+ * External key command — the `command` key backend's only moving part.
+ *
+ * Teams that keep secrets in their own vault set CLAWDRAW_KEY_COMMAND to a
+ * command that prints the API key, e.g. `vault kv get -field=key clawdraw`.
+ * It is split into words (single and double quotes group, backslash escapes)
+ * and run directly, never through a shell, so pipes, `$(...)` and globbing
+ * don't apply; wrap the command in a script if it needs them.
+ *
+ * The command prints either the bare key, or a JSON object
+ * `{ "apiKey": "...", "agentId": "...", "agentName": "..." }`. Its stdout is
+ * never echoed in errors, and stderr passes through to the terminal so
+ * vault prompts and errors stay visible.
+ *
+ * This is the one script that starts a subprocess. auth.mjs reads the env
+ * var and passes the command line in; secrets.mjs never imports this file.
+ *
+ * Usage:
+ *   import { runKeyCommand } from './key-command.mjs';
+ *
+ *   const { apiKey } = runKeyCommand('vault kv get -field=key clawdraw');
+ */
+
+// @security-manifest
+// env: none
+// endpoints: none
+// files: none
+// exec: the command in CLAWDRAW_KEY_COMMAND (execFileSync, no shell, 10s timeout)
+
+import { execFileSync } from 'node:child_process';
+
+const KEY_COMMAND_TIMEOUT_MS = 10_000;
+const KEY_COMMAND_MAX_OUTPUT = 64 * 1024;
+
+/**
+ * Split a command line into words, shell-style but without expansion.
+ *
+ * @param {string} line
+ * @returns {string[]}
+ */
+export function splitCommand(line) {
+  const words = [];
+  let word = null;
+  let quote = null;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quote) {
+      if (ch === quote) quote = null;
+      else if (ch === '\\' && quote === '"' && (line[i + 1] === '"' || line[i + 1] === '\\')) word += line[++i];
+      else word += ch;
+    } else if (ch === '"' || ch === "'") {
+      quote = ch;
+      word ??= '';
+    } else if (ch === '\\' && i + 1 < line.length) {
+      word = (word ?? '') + line[++i];
+    } else if (/\s/.test(ch)) {
+      if (word !== null) words.push(word);
+      word = null;
+    } else {
+      word = (word ?? '') + ch;
+    }
+  }
+  if (quote) throw new Error('CLAWDRAW_KEY_COMMAND has an unterminated quote');
+  if (word !== null) words.push(word);
+  return words;
+}
+
+/**
+ * Run the key command and parse what it prints.
+ *
+ * @param {string} commandLine - The value of CLAWDRAW_KEY_COMMAND
+ * @param {object} [opts]
+ * @param {number} [opts.timeoutMs=10000]
+ * @returns {{ apiKey: string, agentId?: string, agentName?: string }}
+ */
+export function runKeyCommand(commandLine, { timeoutMs = KEY_COMMAND_TIMEOUT_MS } = {}) {
+  const [file, ...args] = splitCommand(String(commandLine || ''));
+  if (!file) throw new Error('CLAWDRAW_KEY_COMMAND is empty');
+
+  let stdout;
+  try {
+    stdout = execFileSync(file, args, {
+      encoding: 'utf-8',
+      timeout: timeoutMs,
+      maxBuffer: KEY_COMMAND_MAX_OUTPUT,
+      stdio: ['ignore', 'pipe', 'inherit'],
+      windowsHide: true,
+    });
+  } catch (err) {
+    if (err.code === 'ENOENT') throw new Error(`CLAWDRAW_KEY_COMMAND: "${file}" not found`);
+    if (err.code === 'ETIMEDOUT') throw new Error(`CLAWDRAW_KEY_COMMAND: "${file}" timed out after ${timeoutMs / 1000}s`);
+    if (err.code === 'ENOBUFS') throw new Error(`CLAWDRAW_KEY_COMMAND: "${file}" printed more than ${KEY_COMMAND_MAX_OUTPUT} bytes`);
+    if (err.signal) throw new Error(`CLAWDRAW_KEY_COMMAND: "${file}" was killed by ${err.signal}`);
+    throw new Error(`CLAWDRAW_KEY_COMMAND: "${file}" exited with status ${err.status ?? 'unknown'}`);
+  }
+
+  const text = stdout.trim();
+  if (text.startsWith('{')) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch {
+      throw new Error('CLAWDRAW_KEY_COMMAND printed malformed JSON');
+    }
+    if (typeof data.apiKey !== 'string' || !data.apiKey) {
+      throw new Error('CLAWDRAW_KEY_COMMAND printed JSON without an "apiKey" string');
+    }
+    const { apiKey, agentId, agentName } = data;
+    return { apiKey, ...(agentId ? { agentId } : {}), ...(agentName ? { agentName } : {}) };
+  }
+  const apiKey = text.split('\n')[0].trim();
+  if (!apiKey) throw new Error(`CLAWDRAW_KEY_COMMAND: "${file}" printed no key`);
+  return { apiKey };
+}
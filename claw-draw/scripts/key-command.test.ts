@@ -0,0 +1,45 @@
+/**
+ * Tests for key-command.mjs — running CLAWDRAW_KEY_COMMAND without a shell.
+ *
+ * The commands are `node -e ...` so they run the same on every platform.
+ */
+
+import { describe, it, expect } from 'vitest';
+
+const { splitCommand, runKeyCommand } = await import('./key-command.mjs');
+
+const node = (script: string) => `"${process.execPath}" -e "${script}"`;
+
+describe('splitCommand', () => {
+  it('should split on whitespace and group quoted words', () => {
+    expect(splitCommand(`vault kv get -field='api key' "secret/claw draw"`))
+      .toEqual(['vault', 'kv', 'get', '-field=api key', 'secret/claw draw']);
+    expect(splitCommand('a\\ b "say \\"hi\\"" \'\'')).toEqual(['a b', 'say "hi"', '']);
+    expect(() => splitCommand('vault "read')).toThrow('unterminated quote');
+  });
+
+  it('should not expand shell syntax', () => {
+    expect(splitCommand('cat $HOME/key | head')).toEqual(['cat', '$HOME/key', '|', 'head']);
+  });
+});
+
+describe('runKeyCommand', () => {
+  it('should read a bare key or a JSON record from stdout', () => {
+    expect(runKeyCommand(node(`console.log('ck_bare_1')`))).toEqual({ apiKey: 'ck_bare_1' });
+    expect(runKeyCommand(node(`console.log(JSON.stringify({ apiKey: 'ck_json_1', agentId: 'agent-1' }))`)))
+      .toEqual({ apiKey: 'ck_json_1', agentId: 'agent-1' });
+  });
+
+  it('should fail without echoing what the command printed', () => {
+    const failing = node(`console.log('ck_leak'); process.exit(3)`);
+    expect(() => runKeyCommand(failing)).toThrow('exited with status 3');
+    expect(() => runKeyCommand(failing)).not.toThrow('ck_leak');
+    expect(() => runKeyCommand(node(`console.log('')`))).toThrow('printed no key');
+    expect(() => runKeyCommand('clawdraw-no-such-vault-cli read')).toThrow('not found');
+    expect(() => runKeyCommand('')).toThrow('is empty');
+  });
+
+  it('should stop a command that hangs', () => {
+    expect(() => runKeyCommand(node('setTimeout(() => {}, 60000)'), { timeoutMs: 500 })).toThrow('timed out');
+  });
+});
@@ -0,0 +1,195 @@
+#!/usr/bin/env node
+/**
+ * Spend ledger — an append-only JSONL record of every billable action,
+ * kept in ~/.clawdraw/ledger.jsonl.
+ *
+ * Unlike the undo history (newest 20 sessions only), the ledger is never
+ * trimmed, so usage can be accounted for across many agents and days. Each
+ * line is one entry:
+ *
+ *   { "timestamp": "...", "command": "generate", "swarmId": "swarm-...",
+ *     "area": { "x": 0, "y": 0, "width": 1024, "height": 1024 },
+ *     "model": "flux-fill-pro", "estimatedInq": 10486,
+ *     "inqBefore": 500000, "inqAfter": 489514, "spent": 10486,
+ *     "imageIds": ["..."], "strokeIds": ["..."] }
+ *
+ * `spent` is the balance change when both balances could be read, else the
+ * estimate.
+ *
+ * Usage:
+ *   import { appendLedgerEntry, readLedger, summarizeLedger } from './ledger.mjs';
+ *
+ *   appendLedgerEntry({ command: 'chat', estimatedInq: 50, inqBefore, inqAfter });
+ *   const rows = summarizeLedger(readLedger({ since: '2026-10-01' }), 'day');
+ */
+
+// @security-manifest
+// env: none
+// endpoints: none
+// files: ~/.clawdraw/ledger.jsonl
+// exec: none
+
+import fs from 'node:fs';
+import path from 'node:path';
+import os from 'node:os';
+
+const LEDGER_FILE = path.join(os.homedir(), '.clawdraw', 'ledger.jsonl');
+
+/** Ways `summarizeLedger` can group entries. */
+export const LEDGER_GROUPS = ['day', 'command', 'model', 'swarm'];
+
+/** Entry fields, in CSV column order. */
+const CSV_COLUMNS = ['timestamp', 'command', 'swarmId', 'model', 'x', 'y', 'width', 'height',
+  'estimatedInq', 'inqBefore', 'inqAfter', 'spent', 'imageIds', 'strokeIds'];
+
+// ---------------------------------------------------------------------------
+// Write
+// ---------------------------------------------------------------------------
+
+/**
+ * Append one billable action to the ledger.
+ *
+ * @param {object} entry
+ * @param {string} entry.command - CLI command that spent the INQ
+ * @param {number} entry.estimatedInq
+ * @param {number|null} [entry.inqBefore] - Balance before, when it could be read
+ * @param {number|null} [entry.inqAfter] - Balance after, when it could be read
+ * @param {string} [entry.swarmId]
+ * @param {string} [entry.model]
+ * @param {{ x: number, y: number, width: number, height: number }} [entry.area]
+ * @param {Array<string>} [entry.imageIds]
+ * @param {Array<string>} [entry.strokeIds]
+ * @returns {object} The entry as written
+ */
+export function appendLedgerEntry(entry) {
+  const { inqBefore = null, inqAfter = null } = entry;
+  const measured = Number.isFinite(inqBefore) && Number.isFinite(inqAfter);
+  const record = {
+    timestamp: new Date().toISOString(),
+    ...entry,
+    inqBefore,
+    inqAfter,
+    spent: measured ? Math.round((inqBefore - inqAfter) * 100) / 100 : entry.estimatedInq,
+  };
+  for (const key of Object.keys(record)) {
+    if (record[key] === undefined) delete record[key];
+  }
+  fs.mkdirSync(path.dirname(LEDGER_FILE), { recursive: true, mode: 0o700 });
+  // One write per line with O_APPEND, so concurrent agents don't interleave
+  fs.appendFileSync(LEDGER_FILE, JSON.stringify(record) + '\n', { encoding: 'utf-8', mode: 0o600 });
+  return record;
+}
+/**
+ * Canvas area covered by strokes, in the ledger's `area` shape.
+ *
+ * @param {Array<{ points: Array<{ x: number, y: number }> }>} strokes
+ * @returns {{ x: number, y: number, width: number, height: number } | undefined}
+ */
+export function strokesArea(strokes) {
+  let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+  for (const s of strokes) {
+    for (const p of s.points || []) {
+      minX = Math.min(minX, p.x); maxX = Math.max(maxX, p.x);
+      minY = Math.min(minY, p.y); maxY = Math.max(maxY, p.y);
+    }
+  }
+  if (minX === Infinity) return undefined;
+  return { x: Math.round(minX), y: Math.round(minY), width: Math.round(maxX - minX), height: Math.round(maxY - minY) };
+}
+
+// ---------------------------------------------------------------------------
+// Read
+// ---------------------------------------------------------------------------
+
+/**
+ * Read ledger entries, oldest first. Lines that don't parse (e.g. a write
+ * cut off by a crash) are skipped.
+ *
+ * @param {object} [filter]
+ * @param {string} [filter.since] - ISO date/time, inclusive
+ * @param {string} [filter.until] - ISO date/time, exclusive
+ * @param {string} [filter.swarm] - Only this swarm id
+ * @returns {Array<object>}
+ */
+export function readLedger({ since, until, swarm } = {}) {
+  let text;
+  try {
+    text = fs.readFileSync(LEDGER_FILE, 'utf-8');
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+  const entries = [];
+  for (const line of text.split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      entries.push(JSON.parse(line));
+    } catch { /* skip corrupt line */ }
+  }
+  return entries.filter(e =>
+    (!since || e.timestamp >= since) &&
+    (!until || e.timestamp < until) &&
+    (!swarm || e.swarmId === swarm));
+}
+
+// ---------------------------------------------------------------------------
+// Report
+// ---------------------------------------------------------------------------
+
+function groupKey(entry, by) {
+  switch (by) {
+    case 'day': return String(entry.timestamp).slice(0, 10);
+    case 'command': return entry.command || '(unknown)';
+    case 'model': return entry.model || '(none)';
+    case 'swarm': return entry.swarmId || '(none)';
+    default: throw new Error(`Invalid grouping "${by}". Use one of: ${LEDGER_GROUPS.join(', ')}`);
+  }
+}
+
+/**
+ * Total spend per group, sorted by key.
+ *
+ * @param {Array<object>} entries
+ * @param {'day'|'command'|'model'|'swarm'} by
+ * @returns {Array<{ key: string, actions: number, spent: number, estimated: number }>}
+ */
+export function summarizeLedger(entries, by) {
+  const groups = new Map();
+  for (const e of entries) {
+    const key = groupKey(e, by);
+    const g = groups.get(key) || { key, actions: 0, spent: 0, estimated: 0 };
+    g.actions++;
+    g.spent += Number(e.spent) || 0;
+    g.estimated += Number(e.estimatedInq) || 0;
+    groups.set(key, g);
+  }
+  return [...groups.values()]
+    .map(g => ({ ...g, spent: Math.round(g.spent * 100) / 100, estimated: Math.round(g.estimated * 100) / 100 }))
+    .sort((a, b) => a.key.localeCompare(b.key));
+}
+
+function csvCell(value) {
+  const s = value === undefined || value === null ? '' : String(value);
+  return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/**
+ * Export entries as CSV, one row per entry. ID lists are joined with spaces.
+ *
+ * @param {Array<object>} entries
+ * @returns {string}
+ */
+export function ledgerToCsv(entries) {
+  const rows = [CSV_COLUMNS.join(',')];
+  for (const e of entries) {
+    const flat = {
+      ...e,
+      ...(e.area || {}),
+      imageIds: (e.imageIds || []).join(' '),
+      strokeIds: (e.strokeIds || []).join(' '),
+    };
+    rows.push(CSV_COLUMNS.map(c => csvCell(flat[c])).join(','));
+  }
+  return rows.join('\n') + '\n';
+}
+
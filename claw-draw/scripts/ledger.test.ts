@@ -0,0 +1,69 @@
+/**
+ * Tests for ledger.mjs — appending, filtering, summaries and CSV export.
+ *
+ * HOME is pointed at a temp dir before the module loads, so the ledger
+ * lives in <tmp>/.clawdraw/ledger.jsonl.
+ */
+
+import { describe, it, expect, afterAll } from 'vitest';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+const tmpHome = fs.mkdtempSync(path.join(os.tmpdir(), 'clawdraw-ledger-test-'));
+const realHome = process.env.HOME;
+process.env.HOME = tmpHome;
+
+const { appendLedgerEntry, readLedger, summarizeLedger, ledgerToCsv, strokesArea } = await import('./ledger.mjs');
+const ledgerFile = path.join(tmpHome, '.clawdraw', 'ledger.jsonl');
+
+afterAll(() => {
+  process.env.HOME = realHome;
+  fs.rmSync(tmpHome, { recursive: true, force: true });
+});
+
+describe('spend ledger', () => {
+  it('should append one JSON line per action, measuring spend from balances', () => {
+    const measured = appendLedgerEntry({ command: 'chat', estimatedInq: 50, inqBefore: 1000, inqAfter: 940 });
+    const estimated = appendLedgerEntry({ command: 'roam', estimatedInq: 120, strokeIds: ['a', 'b'] });
+    expect(measured.spent).toBe(60);
+    expect(estimated).toMatchObject({ spent: 120, inqBefore: null, inqAfter: null });
+    const lines = fs.readFileSync(ledgerFile, 'utf-8').trim().split('\n');
+    expect(lines).toHaveLength(2);
+    expect(JSON.parse(lines[1]).strokeIds).toEqual(['a', 'b']);
+  });
+
+  it('should skip corrupt lines and filter by time and swarm', () => {
+    fs.appendFileSync(ledgerFile, '{"timestamp": "trunc\n');
+    fs.appendFileSync(ledgerFile, JSON.stringify({ timestamp: '2020-01-01T00:00:00.000Z', command: 'place-image', swarmId: 'swarm-x', model: 'flux-fill-pro', estimatedInq: 10486, spent: 10486 }) + '\n');
+    expect(readLedger()).toHaveLength(3);
+    expect(readLedger({ since: '2021-01-01T00:00:00.000Z' })).toHaveLength(2);
+    expect(readLedger({ until: '2021-01-01T00:00:00.000Z' })).toHaveLength(1);
+    expect(readLedger({ swarm: 'swarm-x' })[0].command).toBe('place-image');
+  });
+
+  it('should summarise by day, command, model and swarm', () => {
+    const entries = readLedger();
+    expect(summarizeLedger(entries, 'command')).toEqual([
+      { key: 'chat', actions: 1, spent: 60, estimated: 50 },
+      { key: 'place-image', actions: 1, spent: 10486, estimated: 10486 },
+      { key: 'roam', actions: 1, spent: 120, estimated: 120 },
+    ]);
+    expect(summarizeLedger(entries, 'swarm').map((g: any) => g.key)).toEqual(['(none)', 'swarm-x']);
+    expect(summarizeLedger(entries, 'day')[0]).toMatchObject({ key: '2020-01-01', spent: 10486 });
+    expect(summarizeLedger(entries, 'model').find((g: any) => g.key === 'flux-fill-pro')?.actions).toBe(1);
+    expect(() => summarizeLedger(entries, 'week')).toThrow('Invalid grouping');
+  });
+
+  it('should export CSV with flattened area and ID lists', () => {
+    const csv = ledgerToCsv([{ timestamp: 't', command: 'draw', area: { x: 1, y: 2, width: 3, height: 4 }, strokeIds: ['a', 'b'], model: 'a,b' }]);
+    const [header, row] = csv.trim().split('\n');
+    expect(header.split(',').slice(0, 8)).toEqual(['timestamp', 'command', 'swarmId', 'model', 'x', 'y', 'width', 'height']);
+    expect(row).toBe('t,draw,,"a,b",1,2,3,4,,,,,,a b');
+  });
+
+  it('strokesArea should cover all points', () => {
+    expect(strokesArea([{ points: [{ x: -10.4, y: 5 }, { x: 20, y: 30.6 }] }])).toEqual({ x: -10, y: 5, width: 30, height: 26 });
+    expect(strokesArea([])).toBeUndefined();
+  });
+});
@@ -0,0 +1,214 @@
+#!/usr/bin/env node
+/**
+ * Outpaint mask shaping — builds the generate/preserve mask for extends.
+ *
+ * A hard 0/255 rectangle around the overlap footprint leaves a straight seam
+ * where the model's fill meets the preserved content. This module shapes the
+ * mask instead:
+ *
+ *   mode     'rect'    — the union of the source images' footprint rectangles
+ *            'content' — the real silhouette of the captured source images: every
+ *                        opaque pixel, dark ones included (empty canvas is
+ *                        transparent before the context image is flattened);
+ *                        place-image's cosine blend preserves the same pixels
+ *   feather  Cosine ramp (px) from fully generated at the boundary to fully
+ *            preserved `feather` px inside the content
+ *   noise    Amplitude (px) of smooth value noise that pushes the boundary
+ *            into the content, so the seam is irregular rather than straight
+ *
+ * The boundary only ever moves INTO content: empty canvas is always generated.
+ *
+ * Output is a single-channel buffer: 255 = generate, 0 = preserve, values in
+ * between = partial regeneration (Fill Pro accepts greyscale masks).
+ *
+ * Usage:
+ *   import { buildOutpaintMask } from './mask.mjs';
+ *
+ *   const gray = buildOutpaintMask({ width: 1024, height: 1024, mode: 'content', rgba, feather: 32, noise: 12 });
+ */
+
+// @security-manifest
+// env: none
+// endpoints: none
+// files: none
+// exec: none
+
+import { opaqueMask, distanceToEmpty } from './blend.mjs';
+
+export const MASK_MODES = ['rect', 'content'];
+/** Default noise feature size (px) — one random value per cell. */
+const DEFAULT_NOISE_SCALE = 48;
+
+// ---------------------------------------------------------------------------
+// Noise
+// ---------------------------------------------------------------------------
+
+/** Small seeded PRNG (mulberry32). */
+function mulberry32(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Smooth value noise in [0, 1]: random values on a `scale`-px lattice,
+ * smoothstep-interpolated between lattice points.
+ */
+function valueNoise(width, height, scale, seed) {
+  const rand = mulberry32(seed);
+  const gw = Math.ceil(width / scale) + 2;
+  const gh = Math.ceil(height / scale) + 2;
+  const lattice = new Float32Array(gw * gh);
+  for (let i = 0; i < lattice.length; i++) lattice[i] = rand();
+
+  const smooth = t => t * t * (3 - 2 * t);
+  const out = new Float32Array(width * height);
+  for (let y = 0; y < height; y++) {
+    const gy = y / scale;
+    const y0 = Math.floor(gy);
+    const ty = smooth(gy - y0);
+    for (let x = 0; x < width; x++) {
+      const gx = x / scale;
+      const x0 = Math.floor(gx);
+      const tx = smooth(gx - x0);
+      const a = lattice[y0 * gw + x0];
+      const b = lattice[y0 * gw + x0 + 1];
+      const c = lattice[(y0 + 1) * gw + x0];
+      const d = lattice[(y0 + 1) * gw + x0 + 1];
+      out[y * width + x] = (a + (b - a) * tx) * (1 - ty) + (c + (d - c) * tx) * ty;
+    }
+  }
+  return out;
+}
+
+// ---------------------------------------------------------------------------
+// Mask
+// ---------------------------------------------------------------------------
+
+/** Fill a (clipped) rectangle of a width × height plane with `value`. */
+function fillRect(plane, width, height, rect, value) {
+  const x0 = Math.max(0, rect.left);
+  const x1 = Math.min(width, rect.left + rect.width);
+  const y1 = Math.min(height, rect.top + rect.height);
+  if (x1 <= x0) return;
+  for (let row = Math.max(0, rect.top); row < y1; row++) {
+    plane.fill(value, row * width + x0, row * width + x1);
+  }
+}
+
+/**
+ * Build an outpaint mask.
+ *
+ * @param {object} opts
+ * @param {number} opts.width
+ * @param {number} opts.height
+ * @param {'rect'|'content'} [opts.mode='rect']
+ * @param {Array<{ left: number, top: number, width: number, height: number }>} [opts.rects] - Content footprints (rect mode, unioned)
+ * @param {{ left: number, top: number, width: number, height: number }} [opts.rect] - Single content footprint (rect mode)
+ * @param {Buffer|Uint8Array} [opts.rgba] - Raw RGBA of the captured source images, unflattened (content mode)
+ * @param {number} [opts.feather=0] - Cosine ramp width in px
+ * @param {number} [opts.noise=0] - Edge noise amplitude in px
+ * @param {number} [opts.noiseScale=48] - Edge noise feature size in px
+ * @param {number} [opts.seed=1] - Noise seed
+ * @returns {Buffer} width × height greyscale, 255 = generate, 0 = preserve
+ */
+export function buildOutpaintMask(opts) {
+  const { width, height, mode = 'rect', rgba } = opts;
+  const rects = opts.rects || (opts.rect ? [opts.rect] : null);
+  const feather = Math.max(0, opts.feather ?? 0);
+  const noise = Math.max(0, opts.noise ?? 0);
+
+  if (!MASK_MODES.includes(mode)) {
+    throw new Error(`Invalid mask mode "${mode}". Must be one of: ${MASK_MODES.join(', ')}`);
+  }
+
+  // 1 = content to preserve, 0 = empty
+  let content;
+  if (mode === 'content') {
+    if (!rgba) throw new Error('Mask mode "content" needs the context image pixels');
+    content = opaqueMask(rgba, width, height);
+  } else {
+    if (!rects || rects.length === 0) throw new Error('Mask mode "rect" needs the content rectangle');
+    content = new Uint8Array(width * height);
+    for (const rect of rects) fillRect(content, width, height, rect, 1);
+  }
+
+  const out = Buffer.alloc(width * height);
+
+  // Hard mask — nothing to shape
+  if (feather === 0 && noise === 0) {
+    for (let i = 0; i < out.length; i++) out[i] = content[i] ? 0 : 255;
+    return out;
+  }
+
+  // Distance from each content pixel to the nearest empty pixel. The frame
+  // border does not count as empty, so content is only feathered where it
+  // meets empty canvas.
+  const dist = distanceToEmpty(content, width, height);
+  const jitter = noise > 0
+    ? valueNoise(width, height, opts.noiseScale ?? DEFAULT_NOISE_SCALE, opts.seed ?? 1)
+    : null;
+
+  for (let i = 0; i < out.length; i++) {
+    if (!content[i]) { out[i] = 255; continue; }
+    // Push the boundary inward by 0..noise px
+    const d = dist[i] - 0.5 - (jitter ? jitter[i] * noise : 0);
+    if (d <= 0) {
+      out[i] = 255;
+    } else if (d >= feather) {
+      out[i] = 0;
+    } else {
+      // Cosine ramp: 255 at the boundary → 0 at `feather` px inside
+      out[i] = Math.round(255 * 0.5 * (1 + Math.cos(Math.PI * d / feather)));
+    }
+  }
+  return out;
+}
+
+/**
+ * Count preserved / regenerated pixels in a mask.
+ *
+ * @param {Buffer} mask - Output of buildOutpaintMask
+ * @returns {{ preserved: number, partial: number, generated: number }}
+ */
+export function maskCoverage(mask) {
+  let preserved = 0, generated = 0;
+  for (let i = 0; i < mask.length; i++) {
+    if (mask[i] === 0) preserved++;
+    else if (mask[i] === 255) generated++;
+  }
+  return { preserved, partial: mask.length - preserved - generated, generated };
+}
+
+/**
+ * Mask coverage per source footprint. Rectangles are in z-order (bottom
+ * first); a pixel belongs to the topmost rectangle covering it, so each
+ * source is only charged for the part of it that is actually visible.
+ *
+ * @param {Buffer} mask - Output of buildOutpaintMask
+ * @param {number} width
+ * @param {number} height
+ * @param {Array<{ left: number, top: number, width: number, height: number }>} rects
+ * @returns {Array<{ visible: number, preserved: number, partial: number, generated: number }>}
+ */
+export function maskCoverageByRegion(mask, width, height, rects) {
+  const owner = new Int32Array(width * height).fill(-1);
+  rects.forEach((rect, idx) => fillRect(owner, width, height, rect, idx));
+
+  const stats = rects.map(() => ({ visible: 0, preserved: 0, partial: 0, generated: 0 }));
+  for (let i = 0; i < owner.length; i++) {
+    const idx = owner[i];
+    if (idx < 0) continue;
+    const s = stats[idx];
+    s.visible++;
+    if (mask[i] === 0) s.preserved++;
+    else if (mask[i] === 255) s.generated++;
+    else s.partial++;
+  }
+  return stats;
+}
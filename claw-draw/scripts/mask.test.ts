@@ -0,0 +1,126 @@
+/**
+ * Tests for mask.mjs — outpaint mask shaping (rect/content, feather, noise).
+ */
+
+import { describe, it, expect } from 'vitest';
+
+const { buildOutpaintMask, maskCoverage, maskCoverageByRegion } = await import('./mask.mjs');
+
+const W = 64, H = 32;
+/** Content footprint: left half of the frame. */
+const rect = { left: 0, top: 0, width: 32, height: 32 };
+
+/** RGBA capture: transparent canvas with a grey disc of radius r at (cx, cy). */
+function disc(cx: number, cy: number, r: number): Buffer {
+  const buf = Buffer.alloc(W * H * 4);
+  for (let y = 0; y < H; y++) {
+    for (let x = 0; x < W; x++) {
+      const i = (y * W + x) * 4;
+      const inside = (x - cx) ** 2 + (y - cy) ** 2 <= r * r;
+      buf.set(inside ? [128, 128, 128, 255] : [0, 0, 0, 0], i);
+    }
+  }
+  return buf;
+}
+
+describe('buildOutpaintMask', () => {
+  it('rect mode without shaping should reproduce the hard 0/255 rectangle', () => {
+    const mask = buildOutpaintMask({ width: W, height: H, rect });
+    for (let y = 0; y < H; y++) {
+      for (let x = 0; x < W; x++) {
+        expect(mask[y * W + x]).toBe(x < 32 ? 0 : 255);
+      }
+    }
+  });
+
+  it('feather should ramp from generate at the edge to preserve inside', () => {
+    const mask = buildOutpaintMask({ width: W, height: H, rect, feather: 8 });
+    const row = Array.from({ length: W }, (_, x) => mask[10 * W + x]);
+    expect(row[31]).toBeGreaterThan(200);   // at the boundary
+    expect(row[20]).toBe(0);                // deeper than the feather
+    for (let x = 21; x < 32; x++) expect(row[x]).toBeGreaterThanOrEqual(row[x - 1]);
+    expect(row.slice(32).every(v => v === 255)).toBe(true);
+  });
+
+  it('noise should only push the boundary into the content', () => {
+    const hard = buildOutpaintMask({ width: W, height: H, rect });
+    const noisy = buildOutpaintMask({ width: W, height: H, rect, noise: 6, noiseScale: 8, seed: 7 });
+    for (let i = 0; i < hard.length; i++) {
+      if (hard[i] === 255) expect(noisy[i]).toBe(255);
+    }
+    // Boundary is no longer a straight column
+    const edges = new Set<number>();
+    for (let y = 0; y < H; y++) {
+      let x = 0;
+      while (x < W && noisy[y * W + x] === 0) x++;
+      edges.add(x);
+    }
+    expect(edges.size).toBeGreaterThan(1);
+  });
+
+  it('noise should be deterministic per seed', () => {
+    const a = buildOutpaintMask({ width: W, height: H, rect, noise: 6, seed: 3 });
+    const b = buildOutpaintMask({ width: W, height: H, rect, noise: 6, seed: 3 });
+    const c = buildOutpaintMask({ width: W, height: H, rect, noise: 6, seed: 4 });
+    expect(a.equals(b)).toBe(true);
+    expect(a.equals(c)).toBe(false);
+  });
+
+  it('content mode should follow the silhouette, not the bounding box', () => {
+    const mask = buildOutpaintMask({ width: W, height: H, mode: 'content', rgba: disc(16, 16, 10) });
+    expect(mask[16 * W + 16]).toBe(0);      // disc centre preserved
+    expect(mask[0]).toBe(255);              // bounding-box corner regenerated
+    expect(mask[16 * W + 40]).toBe(255);    // empty canvas regenerated
+  });
+
+  it('content mode should preserve dark but opaque art', () => {
+    const rgba = disc(16, 16, 10);
+    rgba.set([0, 0, 0, 255], (16 * W + 16) * 4);
+    const mask = buildOutpaintMask({ width: W, height: H, mode: 'content', rgba });
+    expect(mask[16 * W + 16]).toBe(0);
+  });
+
+  it('rect mode should preserve the union of several footprints', () => {
+    const rects = [{ left: 0, top: 0, width: 16, height: 32 }, { left: 40, top: 0, width: 24, height: 8 }];
+    const mask = buildOutpaintMask({ width: W, height: H, rects });
+    expect(mask[10 * W + 5]).toBe(0);
+    expect(mask[4 * W + 50]).toBe(0);
+    expect(mask[20 * W + 50]).toBe(255);
+    expect(mask[10 * W + 30]).toBe(255);
+  });
+
+  it('should reject unknown modes and missing inputs', () => {
+    expect(() => buildOutpaintMask({ width: W, height: H, mode: 'blob', rect })).toThrow('Invalid mask mode');
+    expect(() => buildOutpaintMask({ width: W, height: H, mode: 'content' })).toThrow('context image');
+    expect(() => buildOutpaintMask({ width: W, height: H })).toThrow('content rectangle');
+  });
+});
+
+describe('maskCoverage', () => {
+  it('should split pixels into preserved, partial and generated', () => {
+    const cov = maskCoverage(buildOutpaintMask({ width: W, height: H, rect, feather: 8 }));
+    expect(cov.preserved + cov.partial + cov.generated).toBe(W * H);
+    expect(cov.generated).toBeGreaterThanOrEqual(32 * 32);
+    expect(cov.partial).toBeGreaterThan(0);
+  });
+});
+
+describe('maskCoverageByRegion', () => {
+  it('should charge overlapping pixels to the topmost footprint', () => {
+    const bottom = { left: 0, top: 0, width: 32, height: 32 };
+    const top = { left: 16, top: 0, width: 16, height: 32 };
+    const mask = buildOutpaintMask({ width: W, height: H, rects: [bottom, top] });
+    const [b, t] = maskCoverageByRegion(mask, W, H, [bottom, top]);
+    expect(b.visible).toBe(16 * 32);
+    expect(t.visible).toBe(16 * 32);
+    expect(b.preserved).toBe(b.visible);
+    expect(t.generated).toBe(0);
+  });
+
+  it('should report regenerated pixels when shaping eats into a footprint', () => {
+    const mask = buildOutpaintMask({ width: W, height: H, rect, noise: 6, noiseScale: 8 });
+    const [r] = maskCoverageByRegion(mask, W, H, [rect]);
+    expect(r.generated).toBeGreaterThan(0);
+    expect(r.preserved + r.partial + r.generated).toBe(r.visible);
+  });
+});
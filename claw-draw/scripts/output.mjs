@@ -0,0 +1,236 @@
+#!/usr/bin/env node
+/**
+ * Machine-readable output for the global --json flag.
+ *
+ * In JSON mode a command's prose (console.log/info/warn/error and direct
+ * stdout writes) goes to stderr, and stdout carries exactly one result
+ * object when the process ends:
+ *
+ *   { "ok": true,  "command": "generate", "result": { ... } }
+ *   { "ok": false, "command": "generate", "error": { "code": "LOCK", "message": "...", "exitCode": 5 }, "result": { ... } }
+ *
+ * Commands add fields to `result` with report(). A failing command calls
+ * fail(code, ...lines), which prints the lines with console.error and
+ * exits 1; under --json the lines become the error message and the exit
+ * status becomes the code's exit code. For a caught error, codeForError
+ * picks the code from the error's relay code or HTTP status. Only a plain
+ * console.error + process.exit(1) with no code set falls back to
+ * classifying the message text. Without --json nothing changes and
+ * report() is a no-op.
+ *
+ * Usage:
+ *   import { startJsonOutput, report, finishOutput } from './output.mjs';
+ *
+ *   startJsonOutput('generate');
+ *   report({ jobId, imagePath });
+ *   if (!job) fail('NOT_FOUND', `Job ${id} not found`);
+ *   finishOutput();   // or process.exit(n) anywhere
+ */
+
+// @security-manifest
+// env: none
+// endpoints: none
+// files: none
+// exec: none
+
+import fs from 'node:fs';
+
+/** Error code → process exit code. Codes and numbers are stable. */
+export const ERROR_EXIT_CODES = new Map([
+  ['ERROR', 1],
+  ['VALIDATION', 2],
+  ['AUTH', 3],
+  ['INQ', 4],
+  ['LOCK', 5],
+  ['RATE_LIMIT', 6],
+  ['NOT_FOUND', 7],
+]);
+
+/** Relay `sync.error` and client error codes (err.code) → error codes. */
+const ERROR_CODE_ALIASES = new Map([
+  ['INSUFFICIENT_INQ', 'INQ'],
+  ['CHAT_BUDGET', 'INQ'],
+  ['RATE_LIMITED', 'RATE_LIMIT'],
+  ['NOT_FOUND', 'NOT_FOUND'],
+  ['NO_API_KEY', 'AUTH'],
+  ['AUTH_FAILED', 'AUTH'],
+  ['NOT_OWNER', 'AUTH'],
+  ['BANNED', 'AUTH'],
+  ['INVALID_MESSAGE', 'VALIDATION'],
+  ['INVALID_BATCH', 'VALIDATION'],
+  ['INVALID_IMAGE', 'VALIDATION'],
+  ['STROKE_TOO_LARGE', 'VALIDATION'],
+]);
+
+/**
+ * Last resort for failures that set no code: first match wins, so the more
+ * specific causes come first.
+ */
+const ERROR_PATTERNS = [
+  ['RATE_LIMIT', /\b429\b|rate.?limit/i],
+  ['AUTH', /\bauth\b|API key|passphrase|\b401\b|\b403\b|unauthori[sz]ed/i],
+  ['INQ', /\bINQ\b|INSUFFICIENT_INQ/],
+  ['LOCK', /\block/i],
+  ['NOT_FOUND', /not found|does not exist/i],
+  ['VALIDATION', /^Usage:|\bmust\b|\binvalid\b|\bunknown\b|\brequired\b|\bneeds?\b/i],
+];
+
+/** Output state while JSON mode is on, else null. */
+let state = null;
+
+// ---------------------------------------------------------------------------
+// Classification
+// ---------------------------------------------------------------------------
+
+/**
+ * Map an error message (or an error code reported by the relay) to one of
+ * the ERROR_EXIT_CODES keys.
+ *
+ * @param {string} message
+ * @returns {string}
+ */
+export function classifyError(message) {
+  for (const [code, re] of ERROR_PATTERNS) {
+    if (re.test(message)) return code;
+  }
+  return 'ERROR';
+}
+
+/**
+ * Error code for a failed HTTP response, or null when the status alone
+ * doesn't say (the message is classified instead).
+ *
+ * @param {number} status
+ * @returns {string|null}
+ */
+export function errorCodeForStatus(status) {
+  if (status === 429) return 'RATE_LIMIT';
+  if (status === 401 || status === 403) return 'AUTH';
+  if (status === 402) return 'INQ';
+  if (status === 409 || status === 423) return 'LOCK';
+  if (status === 400 || status === 422) return 'VALIDATION';
+  return null;
+}
+
+/**
+ * Error code for a caught error, from its relay/client code (`err.code`)
+ * or HTTP status (`err.status`); null when neither says.
+ *
+ * @param {Error & { code?: string, status?: number }} err
+ * @returns {string|null}
+ */
+export function codeForError(err) {
+  if (ERROR_EXIT_CODES.has(err?.code)) return err.code;
+  return ERROR_CODE_ALIASES.get(err?.code) || errorCodeForStatus(err?.status) || null;
+}
+
+/** Exit code for an error code (1 for unknown codes). */
+export function exitCodeFor(code) {
+  return ERROR_EXIT_CODES.get(code) ?? 1;
+}
+
+// ---------------------------------------------------------------------------
+// JSON mode
+// ---------------------------------------------------------------------------
+
+/**
+ * Remove the global --json flag.
+ *
+ * @param {string[]} argv
+ * @returns {{ json: boolean, argv: string[] }}
+ */
+export function takeJsonFlag(argv) {
+  const i = argv.indexOf('--json');
+  if (i === -1) return { json: false, argv };
+  return { json: true, argv: [...argv.slice(0, i), ...argv.slice(i + 1)] };
+}
+
+function toStderr(...args) {
+  const text = args.map(a => (typeof a === 'string' ? a : JSON.stringify(a))).join(' ');
+  process.stderr.write(text + '\n');
+  return text;
+}
+
+function write(exitStatus) {
+  if (state.written) return;
+  state.written = true;
+  const { command, result, errorLines } = state;
+  const body = { ok: exitStatus === 0, command };
+  if (exitStatus !== 0) {
+    const message = errorLines.join('\n').replace(/^Error:\s*/, '') || `exited with status ${exitStatus}`;
+    const code = state.errorCode || classifyError(message);
+    body.error = { code, message, exitCode: exitCodeFor(code) };
+  }
+  body.result = result;
+  // Synchronous so the object is out before process.exit tears down stdout
+  fs.writeSync(1, JSON.stringify(body) + '\n');
+  return body;
+}
+
+/**
+ * Turn JSON mode on for this process.
+ *
+ * @param {string} command - Command name reported in the result
+ */
+export function startJsonOutput(command) {
+  const realExit = process.exit.bind(process);
+  state = { command: command || null, result: {}, errorLines: [], errorCode: null, written: false };
+  console.log = console.info = console.warn = toStderr;
+  // Progress dots and exports written straight to stdout move aside too
+  process.stdout.write = process.stderr.write.bind(process.stderr);
+  console.error = (...args) => { state.errorLines.push(toStderr(...args)); };
+  process.exit = (status = process.exitCode ?? 0) => {
+    const body = write(status);
+    realExit(body?.error ? body.error.exitCode : status);
+  };
+}
+
+export function isJsonOutput() {
+  return state !== null;
+}
+
+/**
+ * Add fields to the command's result object (JSON mode only).
+ *
+ * @param {object} fields
+ */
+export function report(fields) {
+  if (state) Object.assign(state.result, fields);
+}
+
+/**
+ * Fix the error code for the failure that follows (a later process.exit
+ * or exitCode). fail() is the usual way; this is for a failure reported
+ * over several steps.
+ *
+ * @param {string|null} code - One of ERROR_EXIT_CODES' keys; null leaves
+ *   the message to be classified
+ */
+export function setErrorCode(code) {
+  if (state) state.errorCode = code;
+}
+
+/**
+ * Fail the command: print the lines with console.error and exit 1 (the
+ * code's exit code under --json).
+ *
+ * @param {string|null} code - One of ERROR_EXIT_CODES' keys, e.g. from
+ *   codeForError(err); null leaves the message to be classified
+ * @param {...string} lines
+ */
+export function fail(code, ...lines) {
+  setErrorCode(code);
+  for (const line of lines) console.error(line);
+  process.exit(1);
+}
+
+/**
+ * Write the result for a command that returned normally. A command that
+ * set process.exitCode counts as failed.
+ */
+export function finishOutput() {
+  if (!state) return;
+  const status = process.exitCode ?? 0;
+  const body = write(status);
+  if (body?.error) process.exitCode = body.error.exitCode;
+}
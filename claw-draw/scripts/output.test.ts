@@ -0,0 +1,133 @@
+/**
+ * Tests for output.mjs — error classification, exit codes and the --json
+ * result object.
+ *
+ * JSON mode replaces console methods, process.exit and stdout.write for the
+ * whole process, so the last block saves and restores them around each test.
+ */
+
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import fs from 'node:fs';
+
+const {
+  classifyError, errorCodeForStatus, codeForError, exitCodeFor, takeJsonFlag,
+  startJsonOutput, isJsonOutput, report, setErrorCode, fail, finishOutput,
+} = await import('./output.mjs');
+
+describe('classification', () => {
+  it('should map error messages to stable codes', () => {
+    expect(classifyError('Usage: clawdraw generate --tool extend')).toBe('VALIDATION');
+    expect(classifyError('Job 123 not found. Run: clawdraw jobs list')).toBe('NOT_FOUND');
+    expect(classifyError('No API key found. Run `clawdraw setup` first.')).toBe('AUTH');
+    expect(classifyError('Auth failed (401): bad key')).toBe('AUTH');
+    expect(classifyError('Estimated ~900 INQ exceeds --max-inq 500')).toBe('INQ');
+    expect(classifyError('PGS lock expired before placement')).toBe('LOCK');
+    expect(classifyError('Relay answered 429: rate limited')).toBe('RATE_LIMIT');
+    expect(classifyError('socket hang up')).toBe('ERROR');
+  });
+
+  it('should map HTTP statuses and codes to exit codes', () => {
+    expect(errorCodeForStatus(429)).toBe('RATE_LIMIT');
+    expect(errorCodeForStatus(403)).toBe('AUTH');
+    expect(errorCodeForStatus(402)).toBe('INQ');
+    expect(errorCodeForStatus(409)).toBe('LOCK');
+    expect(errorCodeForStatus(422)).toBe('VALIDATION');
+    expect(errorCodeForStatus(500)).toBeNull();
+    expect([1, 2, 3, 4, 5, 6, 7]).toEqual(['ERROR', 'VALIDATION', 'AUTH', 'INQ', 'LOCK', 'RATE_LIMIT', 'NOT_FOUND'].map(exitCodeFor));
+    expect(exitCodeFor('NOPE')).toBe(1);
+  });
+
+  it('should take the code of a caught error from err.code, then err.status', () => {
+    const tagged = (code: string | undefined, status?: number) => Object.assign(new Error('boom'), { code, status });
+    expect(codeForError(tagged('INSUFFICIENT_INQ'))).toBe('INQ');
+    expect(codeForError(tagged('NOT_FOUND', 400))).toBe('NOT_FOUND');
+    expect(codeForError(tagged('LOCK'))).toBe('LOCK');
+    expect(codeForError(tagged(undefined, 429))).toBe('RATE_LIMIT');
+    expect(codeForError(tagged('ENOENT'))).toBeNull();
+    expect(codeForError(new Error('Usage: a lock must be given'))).toBeNull();
+  });
+
+  it('should take the --json flag from anywhere in argv', () => {
+    expect(takeJsonFlag(['draw', 'circle', '--json', '--cx', '1'])).toEqual({ json: true, argv: ['draw', 'circle', '--cx', '1'] });
+    expect(takeJsonFlag(['status'])).toEqual({ json: false, argv: ['status'] });
+  });
+});
+
+describe('JSON mode', () => {
+  const saved = {
+    log: console.log, info: console.info, warn: console.warn, error: console.error,
+    exit: process.exit, write: process.stdout.write,
+  };
+
+  afterEach(() => {
+    Object.assign(console, { log: saved.log, info: saved.info, warn: saved.warn, error: saved.error });
+    process.exit = saved.exit;
+    process.stdout.write = saved.write;
+    process.exitCode = undefined;
+    vi.restoreAllMocks();
+  });
+
+  /** Start JSON mode with stdout, stderr and the real exit captured. */
+  function start(command: string) {
+    const stdout: string[] = [];
+    vi.spyOn(fs, 'writeSync').mockImplementation((_fd: any, text: any) => { stdout.push(String(text)); return 0; });
+    vi.spyOn(process.stderr, 'write').mockImplementation(() => true);
+    const exit = vi.spyOn(process, 'exit').mockImplementation((() => {}) as any);
+    startJsonOutput(command);
+    return { stdout, exit };
+  }
+
+  it('should write one result object for a command that returns', () => {
+    const { stdout } = start('status');
+    expect(isJsonOutput()).toBe(true);
+    console.log('prose goes to stderr');
+    report({ balance: 10 });
+    report({ agentName: 'a' });
+    finishOutput();
+    finishOutput();
+    expect(stdout).toHaveLength(1);
+    expect(JSON.parse(stdout[0])).toEqual({ ok: true, command: 'status', result: { balance: 10, agentName: 'a' } });
+  });
+
+  it('should turn console.error + process.exit(1) into a coded error', () => {
+    const { stdout, exit } = start('generate');
+    report({ jobId: 'j1' });
+    console.error('Error: PGS lock expired');
+    process.exit(1);
+    expect(exit).toHaveBeenCalledWith(5);
+    expect(JSON.parse(stdout[0])).toEqual({
+      ok: false,
+      command: 'generate',
+      error: { code: 'LOCK', message: 'PGS lock expired', exitCode: 5 },
+      result: { jobId: 'j1' },
+    });
+  });
+
+  it('should report the code passed to fail, not the one the message suggests', () => {
+    const { stdout, exit } = start('undo');
+    fail('NOT_FOUND', 'Error: img_nope: image must exist', '  (run clawdraw undo --count 1)');
+    expect(exit).toHaveBeenCalledWith(7);
+    expect(JSON.parse(stdout[0]).error).toEqual({
+      code: 'NOT_FOUND',
+      message: 'img_nope: image must exist\n  (run clawdraw undo --count 1)',
+      exitCode: 7,
+    });
+  });
+
+  it('should fall back to the message when fail has no code', () => {
+    const { stdout, exit } = start('auth');
+    fail(null, 'Error: Could not decrypt the API key: wrong CLAWDRAW_KEY_PASSPHRASE');
+    expect(exit).toHaveBeenCalledWith(3);
+    expect(JSON.parse(stdout[0]).error.code).toBe('AUTH');
+  });
+
+  it('should prefer a code set with setErrorCode', () => {
+    const { stdout } = start('place-image');
+    setErrorCode('RATE_LIMIT');
+    console.error('Place failed: slow down');
+    process.exitCode = 1;
+    finishOutput();
+    expect(JSON.parse(stdout[0]).error.code).toBe('RATE_LIMIT');
+    expect(process.exitCode).toBe(6);
+  });
+});
@@ -0,0 +1,194 @@
+#!/usr/bin/env node
+/**
+ * PGS lock lifetime — acquire, renew (heartbeat) and release generation locks.
+ *
+ * The relay holds a PGS lock for ~2 minutes. Slow models (Flux Fill Pro can
+ * poll for up to 180s) outlive that, so a lock manager renews the lock on a
+ * timer while generation runs and releases it when the run fails or is
+ * interrupted, instead of leaving the area blocked until expiry.
+ *
+ * Emulator only: `/api/pgs/lock/renew` and `/api/pgs/lock/release` are
+ * implemented by the dev-relay emulator; no published relay API describes
+ * them. A relay that refuses a renewal is taken not to support it: the
+ * heartbeat stops after the first refusal and the lock runs out at its
+ * normal expiry. A failed release likewise leaves the lock to expire.
+ *
+ * Usage:
+ *   import { acquireLock, createLockManager } from './pgs-lock.mjs';
+ *
+ *   const { lockId, expiresAt } = await acquireLock(relayUrl, token, area);
+ *   const lock = createLockManager({ relayUrl, token, lockId, expiresAt });
+ *   lock.start();
+ *   try { ... } catch (err) { await lock.release(); throw err; }
+ *   lock.stop();
+ */
+
+// @security-manifest
+// env: none
+// endpoints: relay.clawdraw.ai (HTTPS, /api/pgs/lock, /api/pgs/lock/renew, /api/pgs/lock/release)
+// files: none
+// exec: none
+
+import { asClient } from './client.mjs';
+
+/** Server-side PGS lock lifetime when the relay does not report one. */
+export const PGS_LOCK_TTL_MS = 2 * 60 * 1000;
+/** Renew this often while a lock is held (a third of the TTL). */
+export const PGS_LOCK_RENEW_INTERVAL_MS = 40 * 1000;
+/** A stored lock with less than this left is treated as expired. */
+export const PGS_LOCK_MIN_REMAINING_MS = 20 * 1000;
+
+// ---------------------------------------------------------------------------
+// Relay calls
+// ---------------------------------------------------------------------------
+
+/** Normalize the relay's expiry fields (epoch ms, ISO string or ttlMs) to epoch ms. */
+function parseExpiry(data) {
+  if (typeof data?.expiresAt === 'number') return data.expiresAt;
+  if (typeof data?.expiresAt === 'string' && !isNaN(Date.parse(data.expiresAt))) return Date.parse(data.expiresAt);
+  if (typeof data?.ttlMs === 'number') return Date.now() + data.ttlMs;
+  return Date.now() + PGS_LOCK_TTL_MS;
+}
+
+async function postLock(relayUrl, token, route, body) {
+  const res = await asClient(token).fetch(`${relayUrl}/api/pgs/${route}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  });
+  if (!res.ok) {
+    const text = await res.text().catch(() => '');
+    const err = new Error(`${route} failed (${res.status}): ${text}`);
+    err.status = res.status;
+    throw err;
+  }
+  return res.json().catch(() => ({}));
+}
+
+/**
+ * Acquire a PGS lock for an approved area.
+ *
+ * @param {string} relayUrl
+ * @param {string|import('./client.mjs').Client} token - Client from client.mjs (refreshes across a long run), or a JWT
+ * @param {{ x: number, y: number, width: number, height: number, model: string, resolution?: number[] }} area
+ * @returns {Promise<{ lockId: string, expiresAt: number }>}
+ */
+export async function acquireLock(relayUrl, token, area) {
+  const { x, y, width, height, model, resolution } = area;
+  const data = await postLock(relayUrl, token, 'lock', { x, y, width, height, model, resolution });
+  if (!data.lockId) throw new Error('lock failed: relay returned no lockId');
+  return { lockId: data.lockId, expiresAt: parseExpiry(data) };
+}
+
+/**
+ * Extend a held lock by another TTL.
+ *
+ * @returns {Promise<{ expiresAt: number }>}
+ */
+export async function renewLock(relayUrl, token, lockId) {
+  const data = await postLock(relayUrl, token, 'lock/renew', { lockId });
+  return { expiresAt: parseExpiry(data) };
+}
+
+/**
+ * Release a lock so other agents can use the area. Never throws.
+ *
+ * @returns {Promise<boolean>} True if the relay confirmed the release
+ */
+export async function releaseLock(relayUrl, token, lockId) {
+  try {
+    await postLock(relayUrl, token, 'lock/release', { lockId });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Milliseconds left on a lock, or 0 if it has expired or is unknown.
+ *
+ * @param {number|string|undefined} expiresAt - Epoch ms or ISO string
+ * @returns {number}
+ */
+export function lockRemainingMs(expiresAt) {
+  const t = typeof expiresAt === 'string' ? Date.parse(expiresAt) : expiresAt;
+  if (!Number.isFinite(t)) return 0;
+  return Math.max(0, t - Date.now());
+}
+
+// ---------------------------------------------------------------------------
+// Lock manager
+// ---------------------------------------------------------------------------
+
+/**
+ * Heartbeat renewal + release for one held lock.
+ *
+ * The heartbeat timer is unref'd so it never keeps the process alive on
+ * its own. A renewal failure is reported through onError. When the relay
+ * answered with an error status the heartbeat stops, so a relay without
+ * renewal gets one onError instead of one every interval; a network error
+ * keeps it trying until stop() or release().
+ *
+ * @param {object} opts
+ * @param {string} opts.relayUrl
+ * @param {string|import('./client.mjs').Client} opts.token - Client from client.mjs, or a JWT
+ * @param {string} opts.lockId
+ * @param {number} [opts.expiresAt] - Epoch ms of the current expiry
+ * @param {number} [opts.intervalMs] - Renewal period (default PGS_LOCK_RENEW_INTERVAL_MS)
+ * @param {(expiresAt: number) => void} [opts.onRenew]
+ * @param {(err: Error) => void} [opts.onError]
+ * @returns {{ lockId: string, readonly expiresAt: number, readonly released: boolean, readonly renewing: boolean,
+ *             start: () => void, stop: () => void, renew: () => Promise<number>, release: () => Promise<boolean> }}
+ */
+export function createLockManager(opts) {
+  const { relayUrl, token, lockId, onRenew, onError } = opts;
+  const intervalMs = opts.intervalMs ?? PGS_LOCK_RENEW_INTERVAL_MS;
+  let expiresAt = opts.expiresAt ?? Date.now() + PGS_LOCK_TTL_MS;
+  let timer = null;
+  let released = false;
+  let refused = false;
+
+  async function renew() {
+    const res = await renewLock(relayUrl, token, lockId);
+    expiresAt = res.expiresAt;
+    onRenew?.(expiresAt);
+    return expiresAt;
+  }
+
+  function stop() {
+    if (timer) clearInterval(timer);
+    timer = null;
+  }
+
+  return {
+    lockId,
+    get expiresAt() { return expiresAt; },
+    get released() { return released; },
+    /** False once the relay has refused a renewal. */
+    get renewing() { return !refused; },
+
+    start() {
+      if (timer || released || refused) return;
+      timer = setInterval(() => {
+        renew().catch((err) => {
+          if (err.status) {
+            refused = true;
+            stop();
+          }
+          onError?.(err);
+        });
+      }, intervalMs);
+      timer.unref?.();
+    },
+
+    stop,
+    renew,
+
+    async release() {
+      stop();
+      if (released) return true;
+      released = true;
+      return releaseLock(relayUrl, token, lockId);
+    },
+  };
+}
@@ -0,0 +1,123 @@
+/**
+ * Tests for pgs-lock.mjs — acquire/renew/release calls and the heartbeat manager.
+ *
+ * fetch is stubbed with a recorder; the heartbeat runs on fake timers.
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+
+const {
+  acquireLock, renewLock, releaseLock, lockRemainingMs, createLockManager,
+  PGS_LOCK_TTL_MS, PGS_LOCK_RENEW_INTERVAL_MS,
+} = await import('./pgs-lock.mjs');
+
+const RELAY = 'http://relay.test';
+
+/** Stub fetch: route → JSON body (or status number for an error). */
+function stubFetch(routes: Record<string, object | number>) {
+  const calls: { url: string, body: any }[] = [];
+  vi.stubGlobal('fetch', vi.fn(async (url: string, init: any) => {
+    calls.push({ url, body: JSON.parse(init.body) });
+    const route = url.replace(`${RELAY}/api/pgs/`, '');
+    const reply = routes[route];
+    if (typeof reply === 'number') {
+      return { ok: false, status: reply, text: async () => 'nope', json: async () => ({}) };
+    }
+    return { ok: true, status: 200, json: async () => reply ?? {} };
+  }));
+  return calls;
+}
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+  vi.useRealTimers();
+});
+
+describe('relay calls', () => {
+  it('acquireLock should post the area and default the expiry to the TTL', async () => {
+    const calls = stubFetch({ lock: { lockId: 'L1' } });
+    const before = Date.now();
+    const { lockId, expiresAt } = await acquireLock(RELAY, 'tok', { x: 1, y: 2, width: 3, height: 4, model: 'm' });
+    expect(lockId).toBe('L1');
+    expect(expiresAt).toBeGreaterThanOrEqual(before + PGS_LOCK_TTL_MS);
+    expect(calls[0].body).toMatchObject({ x: 1, y: 2, width: 3, height: 4, model: 'm' });
+  });
+
+  it('acquireLock should surface the relay status on refusal', async () => {
+    stubFetch({ lock: 409 });
+    await expect(acquireLock(RELAY, 'tok', { x: 0, y: 0, width: 1, height: 1, model: 'm' }))
+      .rejects.toThrow('lock failed (409)');
+  });
+
+  it('renewLock should honour an ISO expiresAt from the relay', async () => {
+    stubFetch({ 'lock/renew': { expiresAt: '2030-01-01T00:00:00.000Z' } });
+    const { expiresAt } = await renewLock(RELAY, 'tok', 'L1');
+    expect(expiresAt).toBe(Date.parse('2030-01-01T00:00:00.000Z'));
+  });
+
+  it('releaseLock should report failure instead of throwing', async () => {
+    stubFetch({ 'lock/release': 500 });
+    await expect(releaseLock(RELAY, 'tok', 'L1')).resolves.toBe(false);
+  });
+});
+
+describe('lockRemainingMs', () => {
+  it('should clamp expired and unknown expiries to 0', () => {
+    expect(lockRemainingMs(Date.now() - 1000)).toBe(0);
+    expect(lockRemainingMs(undefined)).toBe(0);
+    expect(lockRemainingMs(new Date(Date.now() + 60_000).toISOString())).toBeGreaterThan(50_000);
+  });
+});
+
+describe('createLockManager', () => {
+  let calls: { url: string, body: any }[];
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    calls = stubFetch({ 'lock/renew': { ttlMs: 120_000 }, 'lock/release': {} });
+  });
+
+  it('should renew on every heartbeat until stopped', async () => {
+    const renewed: number[] = [];
+    const lock = createLockManager({ relayUrl: RELAY, token: 'tok', lockId: 'L1', onRenew: (t: number) => renewed.push(t) });
+    lock.start();
+    await vi.advanceTimersByTimeAsync(PGS_LOCK_RENEW_INTERVAL_MS * 3);
+    expect(renewed).toHaveLength(3);
+    lock.stop();
+    await vi.advanceTimersByTimeAsync(PGS_LOCK_RENEW_INTERVAL_MS * 3);
+    expect(renewed).toHaveLength(3);
+    expect(calls.every(c => c.body.lockId === 'L1')).toBe(true);
+  });
+
+  it('should stop the heartbeat after the relay refuses a renewal', async () => {
+    const refusals = stubFetch({ 'lock/renew': 404 });
+    const errors: Error[] = [];
+    const lock = createLockManager({ relayUrl: RELAY, token: 'tok', lockId: 'L1', onError: (e: Error) => errors.push(e) });
+    lock.start();
+    await vi.advanceTimersByTimeAsync(PGS_LOCK_RENEW_INTERVAL_MS * 3);
+    expect(errors).toHaveLength(1);
+    expect(refusals).toHaveLength(1);
+    expect(lock.renewing).toBe(false);
+  });
+
+  it('should keep trying after a network error', async () => {
+    vi.stubGlobal('fetch', vi.fn(async () => { throw new Error('ECONNRESET'); }));
+    const errors: Error[] = [];
+    const lock = createLockManager({ relayUrl: RELAY, token: 'tok', lockId: 'L1', onError: (e: Error) => errors.push(e) });
+    lock.start();
+    await vi.advanceTimersByTimeAsync(PGS_LOCK_RENEW_INTERVAL_MS * 2);
+    expect(errors).toHaveLength(2);
+    expect(lock.renewing).toBe(true);
+    lock.stop();
+  });
+
+  it('release should stop the heartbeat and release only once', async () => {
+    const lock = createLockManager({ relayUrl: RELAY, token: 'tok', lockId: 'L1' });
+    lock.start();
+    expect(await lock.release()).toBe(true);
+    expect(await lock.release()).toBe(true);
+    expect(lock.released).toBe(true);
+    await vi.advanceTimersByTimeAsync(PGS_LOCK_RENEW_INTERVAL_MS * 2);
+    expect(calls.map(c => c.url)).toEqual([`${RELAY}/api/pgs/lock/release`]);
+  });
+});
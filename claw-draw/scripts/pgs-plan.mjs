@@ -0,0 +1,193 @@
+#!/usr/bin/env node
+/**
+ * PGS geometry planning for directional extends and panoramas.
+ *
+ * Encodes the findings in docs/OUTPAINTING-LEARNINGS.md: extends use a
+ * SQUARE PGS that sits partly on the source image and partly over empty
+ * canvas. The share over empty canvas becomes the generation mask.
+ *
+ *   mask 33% / content 67%  → reliable (default)
+ *   mask 50% / content 50%  → reliable for square areas only
+ *   mask > 50%              → unreliable, and below the relay's 50% overlap rule
+ *
+ * Usage:
+ *   import { planExtend } from './pgs-plan.mjs';
+ *
+ *   const area = planExtend({ x: 0, y: 0, width: 1024, height: 1024 }, 'right');
+ *   // → { x: 338, y: 0, width: 1024, height: 1024, overlap: 0.33, newUnits: 338 }
+ *
+ *   const frames = planPanorama(source, 'right', 4);
+ *   const { placedIds, stop } = await runPanorama(source, frames, steps);
+ */
+
+// @security-manifest
+// env: none
+// endpoints: none
+// files: none
+// exec: none
+
+export const EXTEND_DIRECTIONS = ['left', 'right', 'up', 'down'];
+/** Default share of the PGS that lies past the source edge (the masked area). */
+export const DEFAULT_EXTEND_OVERLAP = 0.33;
+/** Above this the content share drops under 50% — unreliable per the learnings doc. */
+export const MAX_EXTEND_OVERLAP = 0.5;
+/** Smallest PGS side worth generating (canvas units). */
+export const MIN_PGS_SIZE = 256;
+
+/**
+ * Plan a square PGS that extends a source image in one direction.
+ *
+ * The square spans the source's full extent across the extend axis (capped
+ * by `size`) and is centred on it. Along the axis, `overlap` of the side
+ * hangs past the source edge; the rest covers the source.
+ *
+ * @param {{ x: number, y: number, width: number, height: number }} source - Source image bounds (canvas units)
+ * @param {'left'|'right'|'up'|'down'} direction
+ * @param {object} [opts]
+ * @param {number} [opts.overlap=0.33] - Fraction of the PGS side past the source edge, (0, 0.5]
+ * @param {number} [opts.size] - Maximum PGS side (canvas units)
+ * @returns {{ x: number, y: number, width: number, height: number, overlap: number, newUnits: number }}
+ *   `overlap` is the achieved mask share; `newUnits` is how far the canvas grows.
+ */
+export function planExtend(source, direction, opts = {}) {
+  const overlap = opts.overlap ?? DEFAULT_EXTEND_OVERLAP;
+
+  if (!EXTEND_DIRECTIONS.includes(direction)) {
+    throw new Error(`Invalid direction "${direction}". Must be one of: ${EXTEND_DIRECTIONS.join(', ')}`);
+  }
+  if (!Number.isFinite(overlap) || overlap <= 0) {
+    throw new Error('Overlap must be a positive fraction (e.g. 0.33)');
+  }
+  if (overlap > MAX_EXTEND_OVERLAP) {
+    throw new Error(
+      `Overlap ${overlap} leaves under 50% content in the PGS, which duplicates or loses the scene. ` +
+      `Use ${MAX_EXTEND_OVERLAP} or less (recommended ${DEFAULT_EXTEND_OVERLAP}).`,
+    );
+  }
+  for (const k of ['x', 'y', 'width', 'height']) {
+    if (!Number.isFinite(source?.[k])) throw new Error(`Source image is missing "${k}"`);
+  }
+
+  const horizontal = direction === 'left' || direction === 'right';
+  const along = horizontal ? source.width : source.height;
+  const across = horizontal ? source.height : source.width;
+
+  // Square side: cover the source across the axis, but the content share
+  // along the axis (side × (1 − overlap)) must still fit inside the source.
+  let side = Math.min(across, along / (1 - overlap));
+  if (opts.size !== undefined) side = Math.min(side, opts.size);
+  side = Math.floor(side);
+
+  if (side < MIN_PGS_SIZE) {
+    throw new Error(`Source image is too small to extend: PGS side would be ${side} units (minimum ${MIN_PGS_SIZE}).`);
+  }
+
+  const newUnits = Math.round(side * overlap);
+  const contentUnits = side - newUnits;
+  // Centre across the axis
+  const acrossStart = Math.round((horizontal ? source.y : source.x) + (across - side) / 2);
+
+  let x, y;
+  switch (direction) {
+    case 'right': x = source.x + source.width - contentUnits; y = acrossStart; break;
+    case 'left': x = source.x - newUnits; y = acrossStart; break;
+    case 'down': x = acrossStart; y = source.y + source.height - contentUnits; break;
+    case 'up': x = acrossStart; y = source.y - newUnits; break;
+  }
+
+  return { x, y, width: side, height: side, overlap: newUnits / side, newUnits };
+}
+
+/**
+ * Plan every frame of a panorama up front. Each frame's square extends the
+ * previous frame's square, so the strip grows by `newUnits` per frame.
+ *
+ * @param {{ x: number, y: number, width: number, height: number }} source - Source image bounds
+ * @param {'left'|'right'|'up'|'down'} direction
+ * @param {number} frames
+ * @param {object} [opts] - As for planExtend
+ * @returns {Array<ReturnType<typeof planExtend>>}
+ */
+export function planPanorama(source, direction, frames, opts = {}) {
+  const plans = [];
+  let bounds = source;
+  for (let i = 0; i < frames; i++) {
+    bounds = planExtend(bounds, direction, opts);
+    plans.push(bounds);
+  }
+  return plans;
+}
+
+/**
+ * @typedef {object} PanoramaStop
+ * @property {'not-approved'|'error'|'inq-cap'|'paused'|'not-visible'} reason
+ * @property {number} frame - Index of the frame that stopped the run
+ * @property {object} [job] - That frame's job, once proposed
+ * @property {number} [cost] - Its INQ estimate ('inq-cap')
+ * @property {string} [imageId] - The image that never became visible ('not-visible')
+ * @property {object} [result] - The relay's answer to the proposal ('not-approved')
+ * @property {Error} [error] - What propose threw ('error')
+ */
+
+/**
+ * Run planned panorama frames in order under an INQ cap.
+ *
+ * Every relay step is passed in, so the CLI supplies the real calls and
+ * tests supply stubs. A frame is proposed first and then checked against
+ * the cap with its approved resolution; a frame that would break the cap is
+ * cancelled and the run stops there. The run also stops at the first frame
+ * that is not approved, not generated (no provider configured) or not
+ * visible in time. A placed frame is the next frame's source.
+ *
+ * @param {{ id: string, x: number, y: number, width: number, height: number }} source
+ * @param {Array<{ x: number, y: number, width: number, height: number }>} plans - From planPanorama
+ * @param {object} steps
+ * @param {number} steps.maxInq - Total INQ cap for the run
+ * @param {(plan: object, i: number) => Promise<{ job: object, approved: boolean, result?: object }>} steps.propose
+ * @param {(job: object) => number} steps.cost - INQ estimate for a proposed job
+ * @param {(job: object) => void} steps.cancel - Called for a frame the cap stops
+ * @param {(job: object, i: number, previous: object, inqLeft: number) => Promise<boolean>} steps.generate - false when the frame was not generated
+ * @param {(job: object) => Promise<string>} steps.place - Resolves with the placed image id
+ * @param {(imageId: string, plan: object) => Promise<boolean>} steps.waitVisible
+ * @returns {Promise<{ placedIds: string[], spent: number, stop: PanoramaStop|null }>}
+ */
+export async function runPanorama(source, plans, steps) {
+  const placedIds = [];
+  let spent = 0;
+  let previous = source;
+  const done = (stop) => ({ placedIds, spent, stop });
+
+  for (let i = 0; i < plans.length; i++) {
+    const plan = plans[i];
+
+    let proposed;
+    try {
+      proposed = await steps.propose(plan, i);
+    } catch (error) {
+      return done({ reason: 'error', frame: i, error });
+    }
+    const { job } = proposed;
+    if (!proposed.approved) return done({ reason: 'not-approved', frame: i, job, result: proposed.result });
+
+    const cost = steps.cost(job);
+    if (spent + cost > steps.maxInq) {
+      steps.cancel(job);
+      return done({ reason: 'inq-cap', frame: i, job, cost });
+    }
+
+    if (!(await steps.generate(job, i, previous, steps.maxInq - spent))) {
+      return done({ reason: 'paused', frame: i, job });
+    }
+
+    const imageId = await steps.place(job);
+    spent += cost;
+    placedIds.push(imageId);
+
+    // The placed frame is the next frame's source — the relay must serve it first
+    if (i < plans.length - 1 && !(await steps.waitVisible(imageId, plan))) {
+      return done({ reason: 'not-visible', frame: i, job, imageId });
+    }
+    previous = { id: imageId, x: plan.x, y: plan.y, width: plan.width, height: plan.height };
+  }
+  return done(null);
+}
@@ -0,0 +1,131 @@
+/**
+ * Tests for pgs-plan.mjs — square PGS planning for directional extends, and
+ * the panorama planner and frame loop (relay steps stubbed).
+ */
+
+import { describe, it, expect } from 'vitest';
+
+const { planExtend, planPanorama, runPanorama, DEFAULT_EXTEND_OVERLAP } = await import('./pgs-plan.mjs');
+
+const square = { x: 0, y: 0, width: 1024, height: 1024 };
+
+describe('planExtend', () => {
+  it('should place a square PGS past the right edge with the default 67/33 split', () => {
+    const plan = planExtend(square, 'right');
+    expect(plan).toMatchObject({ x: 338, y: 0, width: 1024, height: 1024, newUnits: 338 });
+    expect(plan.overlap).toBeCloseTo(DEFAULT_EXTEND_OVERLAP, 2);
+  });
+
+  it('should mirror the geometry for left, up and down', () => {
+    expect(planExtend(square, 'left')).toMatchObject({ x: -338, y: 0 });
+    expect(planExtend(square, 'up')).toMatchObject({ x: 0, y: -338 });
+    expect(planExtend(square, 'down')).toMatchObject({ x: 0, y: 338 });
+  });
+
+  it('should always be square and keep content inside the source', () => {
+    const landscape = { x: 100, y: 200, width: 1536, height: 1024 };
+    for (const dir of ['left', 'right', 'up', 'down']) {
+      const p = planExtend(landscape, dir, { overlap: 0.5 });
+      expect(p.width).toBe(p.height);
+      const contentUnits = p.width - p.newUnits;
+      const along = dir === 'left' || dir === 'right' ? landscape.width : landscape.height;
+      expect(contentUnits).toBeLessThanOrEqual(along);
+    }
+  });
+
+  it('should centre the square across the axis of a tall source', () => {
+    const tall = { x: 0, y: 0, width: 512, height: 1536 };
+    const p = planExtend(tall, 'right', { overlap: 0.5 });
+    // Content share (side / 2) must fit in the 512-wide source → side 1024
+    expect(p.width).toBe(1024);
+    expect(p.y).toBe(256);
+  });
+
+  it('should honour a --size cap', () => {
+    expect(planExtend(square, 'right', { size: 768 }).width).toBe(768);
+  });
+
+  it('should reject masks above 50% and other unreliable geometry', () => {
+    expect(() => planExtend(square, 'right', { overlap: 0.6 })).toThrow('under 50% content');
+    expect(() => planExtend(square, 'right', { overlap: 0 })).toThrow('positive fraction');
+    expect(() => planExtend(square, 'sideways')).toThrow('Invalid direction');
+    expect(() => planExtend({ x: 0, y: 0, width: 1024, height: 128 }, 'right')).toThrow('too small');
+  });
+});
+
+describe('planPanorama', () => {
+  it('should chain squares, each extending the previous one', () => {
+    const plans = planPanorama(square, 'right', 3);
+    expect(plans.map((p: any) => p.x)).toEqual([338, 676, 1014]);
+    expect(plans.every((p: any) => p.width === 1024 && p.y === 0)).toBe(true);
+  });
+
+  it('should reject a bad direction before any frame is planned', () => {
+    expect(() => planPanorama(square, 'sideways', 2)).toThrow('Invalid direction');
+  });
+});
+
+describe('runPanorama', () => {
+  const source = { id: 'src', ...square };
+  const plans = planPanorama(square, 'right', 3);
+
+  /** Stub steps: every frame costs `cost`; overrides replace single steps. */
+  function steps(overrides: Record<string, any> = {}) {
+    const log: string[] = [];
+    return {
+      log,
+      maxInq: 1000,
+      propose: async (_plan: any, i: number) => { log.push(`propose ${i}`); return { job: { id: `job${i}` }, approved: true }; },
+      cost: () => 300,
+      cancel: (job: any) => log.push(`cancel ${job.id}`),
+      generate: async (job: any, _i: number, previous: any, inqLeft: number) => { log.push(`generate ${job.id} from ${previous.id} (${inqLeft} left)`); return true; },
+      place: async (job: any) => `img-${job.id}`,
+      waitVisible: async () => true,
+      ...overrides,
+    };
+  }
+
+  it('should place every frame, each extending the one before', async () => {
+    const s = steps();
+    const result = await runPanorama(source, plans, s);
+    expect(result).toEqual({ placedIds: ['img-job0', 'img-job1', 'img-job2'], spent: 900, stop: null });
+    expect(s.log.filter(l => l.startsWith('generate'))).toEqual([
+      'generate job0 from src (1000 left)',
+      'generate job1 from img-job0 (700 left)',
+      'generate job2 from img-job1 (400 left)',
+    ]);
+  });
+
+  it('should cancel and stop at the frame that would break the INQ cap', async () => {
+    const s = steps({ maxInq: 700 });
+    const result = await runPanorama(source, plans, s);
+    expect(result.placedIds).toEqual(['img-job0', 'img-job1']);
+    expect(result.spent).toBe(600);
+    expect(result.stop).toMatchObject({ reason: 'inq-cap', frame: 2, cost: 300 });
+    expect(s.log).toContain('cancel job2');
+    expect(s.log.some(l => l.startsWith('generate job2'))).toBe(false);
+  });
+
+  it('should stop when a frame is refused, not generated or not visible', async () => {
+    const refused = await runPanorama(source, plans, steps({
+      propose: async () => ({ job: { id: 'j' }, approved: false, result: { reason: 'overlap' } }),
+    }));
+    expect(refused).toMatchObject({ placedIds: [], spent: 0, stop: { reason: 'not-approved', frame: 0, result: { reason: 'overlap' } } });
+
+    const failed = await runPanorama(source, plans, steps({ propose: async () => { throw new Error('relay down'); } }));
+    expect(failed.stop).toMatchObject({ reason: 'error', frame: 0 });
+    expect(failed.stop.error.message).toBe('relay down');
+
+    const paused = await runPanorama(source, plans, steps({ generate: async () => false }));
+    expect(paused).toMatchObject({ placedIds: [], spent: 0, stop: { reason: 'paused', frame: 0 } });
+
+    const unseen = await runPanorama(source, plans, steps({ waitVisible: async () => false }));
+    expect(unseen).toMatchObject({ placedIds: ['img-job0'], spent: 300, stop: { reason: 'not-visible', frame: 0, imageId: 'img-job0' } });
+  });
+
+  it('should not wait for the last frame to become visible', async () => {
+    let waits = 0;
+    await runPanorama(source, plans, steps({ waitVisible: async () => { waits++; return true; } }));
+    expect(waits).toBe(2);
+  });
+});
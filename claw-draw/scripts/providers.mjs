@@ -0,0 +1,366 @@
+#!/usr/bin/env node
+/**
+ * Image-model providers for `clawdraw generate`.
+ *
+ * Every provider implements the same contract:
+ *
+ *   generate({ image, mask, prompt, resolution, onProgress }) → Promise<Buffer>
+ *
+ *   image       PNG buffer — context screenshot at PGS resolution
+ *   mask        PNG buffer or null — white = generate, black = preserve
+ *               (null = the model may repaint the whole frame)
+ *   prompt      Final prompt text
+ *   resolution  [width, height] the result must match (place-image checks ±10%)
+ *   onProgress  Optional callback, called while a remote job is polled
+ *
+ * The provider is picked by PGS model name (propose-pgs --model). `mock`
+ * is a local provider that returns a deterministic fill, so the
+ * generate → place-image loop can run offline.
+ *
+ * Usage:
+ *   import { getProvider, generateImage } from './providers.mjs';
+ *
+ *   const provider = getProvider('flux-fill-pro');
+ *   if (provider.isConfigured()) {
+ *     const png = await generateImage(provider, { image, mask, prompt, resolution: [1024, 1024] });
+ *   }
+ */
+
+// @security-manifest
+// env: BFL_API_KEY, GEMINI_API_KEY, OPENAI_API_KEY
+// endpoints: api.bfl.ai (HTTPS), generativelanguage.googleapis.com (HTTPS), api.openai.com (HTTPS)
+// files: none
+// exec: none
+
+import sharp from 'sharp';
+import { PNG } from 'pngjs';
+import { resampleRgba } from './snapshot.mjs';
+
+const BFL_API_URL = 'https://api.bfl.ai/v1';
+const GEMINI_API_URL = 'https://generativelanguage.googleapis.com/v1beta';
+const OPENAI_API_URL = 'https://api.openai.com/v1';
+
+/** Max wall-clock time (ms) to poll an async BFL job. */
+const BFL_POLL_TIMEOUT_MS = 180000;
+/** Interval (ms) between BFL polls. */
+const BFL_POLL_INTERVAL_MS = 2000;
+
+// ---------------------------------------------------------------------------
+// Shared helpers
+// ---------------------------------------------------------------------------
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/** Read an API key from the environment (null when unset/empty). */
+function envKey(name) {
+  const keys = {
+    BFL_API_KEY: process.env.BFL_API_KEY,
+    GEMINI_API_KEY: process.env.GEMINI_API_KEY,
+    OPENAI_API_KEY: process.env.OPENAI_API_KEY,
+  };
+  return keys[name] || null;
+}
+
+/** Throw a uniform "missing key" error for a provider. */
+function requireKey(provider) {
+  const key = envKey(provider.envKey);
+  if (!key) throw new Error(`${provider.envKey} not set. Required for the ${provider.name} provider.`);
+  return key;
+}
+
+async function readFailure(label, res) {
+  const text = await res.text().catch(() => '');
+  return new Error(`${label} ${res.status}: ${text.slice(0, 200)}`);
+}
+
+/**
+ * Submit a BFL job and poll until the result is ready.
+ *
+ * @param {string} endpoint - BFL model endpoint (e.g. "flux-pro-1.0-fill")
+ * @param {object} body - JSON request body
+ * @param {string} label - Human name for error messages
+ * @param {Function} [onProgress]
+ * @returns {Promise<Buffer>} Result image bytes
+ */
+async function runBflJob(endpoint, body, label, onProgress) {
+  const key = envKey('BFL_API_KEY');
+  const submit = await fetch(`${BFL_API_URL}/${endpoint}`, {
+    method: 'POST',
+    headers: { 'x-key': key, 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  });
+  if (!submit.ok) throw await readFailure(label, submit);
+  const job = await submit.json();
+  const pollingUrl = job.polling_url || `${BFL_API_URL}/get_result?id=${job.id}`;
+
+  const t0 = Date.now();
+  while (Date.now() - t0 < BFL_POLL_TIMEOUT_MS) {
+    await sleep(BFL_POLL_INTERVAL_MS);
+    const pr = await fetch(pollingUrl, { headers: { 'x-key': key } });
+    const pd = await pr.json();
+    if (pd.status === 'Ready') {
+      const imgResp = await fetch(pd.result.sample);
+      return Buffer.from(await imgResp.arrayBuffer());
+    }
+    if (pd.status === 'Error' || pd.status === 'Failed') {
+      throw new Error(`${label} failed: ${JSON.stringify(pd)}`);
+    }
+    if (onProgress) onProgress();
+  }
+  throw new Error(`${label} timed out`);
+}
+
+/** Pick the closest size OpenAI's image API accepts for an aspect ratio. */
+function openAiSize([w, h]) {
+  if (w > h * 1.2) return '1536x1024';
+  if (h > w * 1.2) return '1024x1536';
+  return '1024x1024';
+}
+
+/**
+ * Convert a white=generate / black=preserve mask into OpenAI's format:
+ * an RGBA PNG that is transparent where the model may paint.
+ */
+async function toAlphaMask(maskPng, width, height) {
+  const gray = await sharp(maskPng).resize(width, height, { fit: 'fill' }).greyscale().raw().toBuffer();
+  const rgba = Buffer.alloc(width * height * 4);
+  for (let i = 0; i < width * height; i++) {
+    rgba[i * 4 + 3] = gray[i] > 127 ? 0 : 255;
+  }
+  return sharp(rgba, { raw: { width, height, channels: 4 } }).png().toBuffer();
+}
+
+// ---------------------------------------------------------------------------
+// Adapters
+// ---------------------------------------------------------------------------
+
+const fluxFillPro = {
+  name: 'flux-fill-pro',
+  label: 'Flux Fill Pro',
+  envKey: 'BFL_API_KEY',
+  supportsMask: true,
+  async generate({ image, mask, prompt, resolution, onProgress }) {
+    requireKey(this);
+    // Fill Pro needs a mask; without one, let it repaint everything
+    const fillMask = mask || await sharp({
+      create: { width: resolution[0], height: resolution[1], channels: 3, background: { r: 255, g: 255, b: 255 } },
+    }).png().toBuffer();
+    return runBflJob('flux-pro-1.0-fill', {
+      prompt,
+      image: image.toString('base64'),
+      mask: fillMask.toString('base64'),
+      steps: 50, guidance: 30, output_format: 'png',
+    }, this.label, onProgress);
+  },
+};
+
+const fluxKontext = {
+  name: 'flux-kontext',
+  label: 'Flux Kontext',
+  envKey: 'BFL_API_KEY',
+  supportsMask: false,
+  async generate({ image, prompt, onProgress }) {
+    requireKey(this);
+    return runBflJob('flux-kontext-pro', {
+      prompt,
+      input_image: image.toString('base64'),
+      output_format: 'png',
+    }, this.label, onProgress);
+  },
+};
+
+/** Build a Gemini image-model adapter (the "nano banana" family). */
+function geminiProvider(name, label, model) {
+  return {
+    name,
+    label,
+    envKey: 'GEMINI_API_KEY',
+    supportsMask: false,
+    async generate({ image, mask, prompt }) {
+      const key = requireKey(this);
+      const text = mask
+        ? `${prompt} Only paint the empty black regions of the image; leave the existing artwork unchanged.`
+        : prompt;
+      const res = await fetch(`${GEMINI_API_URL}/models/${model}:generateContent`, {
+        method: 'POST',
+        headers: { 'x-goog-api-key': key, 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          contents: [{
+            parts: [
+              { text },
+              { inline_data: { mime_type: 'image/png', data: image.toString('base64') } },
+            ],
+          }],
+          generationConfig: { responseModalities: ['IMAGE'] },
+        }),
+      });
+      if (!res.ok) throw await readFailure(label, res);
+      const data = await res.json();
+      const parts = data.candidates?.[0]?.content?.parts || [];
+      const imgPart = parts.find(p => p.inlineData?.data || p.inline_data?.data);
+      if (!imgPart) throw new Error(`${label} returned no image`);
+      return Buffer.from((imgPart.inlineData || imgPart.inline_data).data, 'base64');
+    },
+  };
+}
+
+const gptImage = {
+  name: 'gpt-image-1.5',
+  label: 'GPT Image 1.5',
+  envKey: 'OPENAI_API_KEY',
+  supportsMask: true,
+  async generate({ image, mask, prompt, resolution }) {
+    const key = requireKey(this);
+    const size = openAiSize(resolution);
+    const [w, h] = size.split('x').map(Number);
+
+    const form = new FormData();
+    form.append('model', 'gpt-image-1.5');
+    form.append('prompt', prompt);
+    form.append('size', size);
+    const sized = await sharp(image).resize(w, h, { fit: 'fill' }).png().toBuffer();
+    form.append('image', new Blob([sized], { type: 'image/png' }), 'image.png');
+    if (mask) {
+      form.append('mask', new Blob([await toAlphaMask(mask, w, h)], { type: 'image/png' }), 'mask.png');
+    }
+
+    const res = await fetch(`${OPENAI_API_URL}/images/edits`, {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${key}` },
+      body: form,
+    });
+    if (!res.ok) throw await readFailure(this.label, res);
+    const data = await res.json();
+    const b64 = data.data?.[0]?.b64_json;
+    if (!b64) throw new Error(`${this.label} returned no image`);
+    return Buffer.from(b64, 'base64');
+  },
+};
+
+/** FNV-1a hash of a string → uint32 (seeds the mock fill). */
+function hashString(str) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193) >>> 0;
+  }
+  return h;
+}
+
+const mock = {
+  name: 'mock',
+  label: 'Mock (offline)',
+  envKey: null,
+  supportsMask: true,
+  /**
+   * Deterministic local fill: preserved pixels are copied through, masked
+   * pixels get a smooth pattern seeded by the prompt, and grey (feathered)
+   * mask values mix the two. With no mask the
+   * pattern is mixed 50/50 over the whole frame. Pure JS (pngjs).
+   */
+  async generate({ image, mask, prompt, resolution }) {
+    const [w, h] = resolution;
+    const src = PNG.sync.read(image);
+    const base = src.width === w && src.height === h
+      ? src.data
+      : resampleRgba(src.data, src.width, src.height, w, h, 'bilinear');
+
+    let maskPx = null;
+    if (mask) {
+      const m = PNG.sync.read(mask);
+      maskPx = m.width === w && m.height === h
+        ? m.data
+        : resampleRgba(m.data, m.width, m.height, w, h, 'nearest');
+    }
+
+    const seed = hashString(prompt || '');
+    const hue = (seed % 360) * Math.PI / 180;
+    const freq = 2 + (seed >>> 9) % 5;
+
+    const out = new PNG({ width: w, height: h });
+    for (let y = 0; y < h; y++) {
+      for (let x = 0; x < w; x++) {
+        const i = (y * w + x) * 4;
+        const t = 0.5 + 0.5 * Math.sin(freq * Math.PI * (x / w + y / h));
+        const fill = [
+          Math.round(127 + 127 * Math.cos(hue) * t),
+          Math.round(127 + 127 * Math.cos(hue + 2.094) * t),
+          Math.round(127 + 127 * Math.cos(hue + 4.189) * t),
+        ];
+        const mix = maskPx ? maskPx[i] / 255 : 0.5;
+        for (let c = 0; c < 3; c++) {
+          out.data[i + c] = Math.round(base[i + c] * (1 - mix) + fill[c] * mix);
+        }
+        out.data[i + 3] = 255;
+      }
+    }
+    return PNG.sync.write(out);
+  },
+};
+
+// ---------------------------------------------------------------------------
+// Registry
+// ---------------------------------------------------------------------------
+
+/** @type {Map<string, object>} */
+const registry = new Map();
+for (const p of [
+  geminiProvider('nano-banana-pro', 'Nano Banana Pro', 'gemini-3-pro-image-preview'),
+  geminiProvider('nano-banana-2', 'Nano Banana 2', 'gemini-3.1-flash-image-preview'),
+  fluxFillPro,
+  fluxKontext,
+  gptImage,
+  mock,
+]) {
+  registry.set(p.name, {
+    ...p,
+    isConfigured() { return this.envKey === null || envKey(this.envKey) !== null; },
+  });
+}
+
+/**
+ * Look up a provider by PGS model name.
+ *
+ * @param {string} name - Model name (e.g. "flux-fill-pro", "mock")
+ * @returns {object} Provider with name, label, envKey, supportsMask, isConfigured(), generate()
+ */
+export function getProvider(name) {
+  const provider = registry.get(name);
+  if (!provider) {
+    throw new Error(`Unknown provider "${name}". Available: ${listProviders().map(p => p.name).join(', ')}`);
+  }
+  return provider;
+}
+
+/**
+ * List registered providers.
+ *
+ * @returns {Array<{name: string, label: string, envKey: string|null, supportsMask: boolean, configured: boolean}>}
+ */
+export function listProviders() {
+  return [...registry.values()].map(p => ({
+    name: p.name,
+    label: p.label,
+    envKey: p.envKey,
+    supportsMask: p.supportsMask,
+    configured: p.isConfigured(),
+  }));
+}
+
+/**
+ * Run a provider and normalize its output to a PNG at exactly `resolution`
+ * (models sometimes return a different size than requested).
+ *
+ * @param {object} provider - From getProvider()
+ * @param {{ image: Buffer, mask: Buffer|null, prompt: string, resolution: [number, number], onProgress?: Function }} request
+ * @returns {Promise<Buffer>} PNG buffer at resolution
+ */
+export async function generateImage(provider, request) {
+  const [resW, resH] = request.resolution;
+  const raw = await provider.generate(request);
+  const meta = await sharp(raw).metadata();
+  if (meta.width === resW && meta.height === resH && meta.format === 'png') return raw;
+  return sharp(raw).resize(resW, resH, { fit: 'fill' }).png().toBuffer();
+}
@@ -0,0 +1,83 @@
+/**
+ * Tests for providers.mjs — registry lookup and the offline mock provider.
+ */
+
+import { describe, it, expect } from 'vitest';
+import { PNG } from 'pngjs';
+
+const { getProvider, listProviders, generateImage } = await import('./providers.mjs');
+
+/** Solid-colour PNG. */
+function solidPng(w: number, h: number, rgba: number[]): Buffer {
+  const png = new PNG({ width: w, height: h });
+  for (let i = 0; i < w * h; i++) png.data.set(rgba, i * 4);
+  return PNG.sync.write(png);
+}
+
+/** Mask PNG: left half black (preserve), right half white (generate). */
+function halfMask(w: number, h: number): Buffer {
+  const png = new PNG({ width: w, height: h });
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) {
+      const v = x < w / 2 ? 0 : 255;
+      png.data.set([v, v, v, 255], (y * w + x) * 4);
+    }
+  }
+  return PNG.sync.write(png);
+}
+
+describe('provider registry', () => {
+  it('should register an adapter for every propose-pgs model plus mock', () => {
+    const names = listProviders().map((p: { name: string }) => p.name);
+    for (const model of ['nano-banana-pro', 'nano-banana-2', 'flux-fill-pro', 'flux-kontext', 'gpt-image-1.5', 'mock']) {
+      expect(names).toContain(model);
+    }
+  });
+
+  it('should throw on an unknown provider', () => {
+    expect(() => getProvider('dall-e-9')).toThrow('Unknown provider "dall-e-9"');
+  });
+
+  it('mock should always be configured (no API key)', () => {
+    expect(getProvider('mock').isConfigured()).toBe(true);
+  });
+});
+
+describe('mock provider', () => {
+  const image = solidPng(64, 64, [200, 10, 10, 255]);
+  const mask = halfMask(64, 64);
+
+  it('should preserve masked-out pixels and fill the rest', async () => {
+    const out = PNG.sync.read(await generateImage(getProvider('mock'), {
+      image, mask, prompt: 'a lighthouse', resolution: [64, 64],
+    }));
+    expect(out.width).toBe(64);
+    expect(out.height).toBe(64);
+    // Left half untouched
+    expect([...out.data.subarray(0, 4)]).toEqual([200, 10, 10, 255]);
+    // Right half replaced
+    const right = ((10 * 64) + 60) * 4;
+    expect([...out.data.subarray(right, right + 3)]).not.toEqual([200, 10, 10]);
+  });
+
+  it('should be deterministic for the same prompt', async () => {
+    const req = { image, mask, prompt: 'same prompt', resolution: [64, 64] as [number, number] };
+    const a = await generateImage(getProvider('mock'), req);
+    const b = await generateImage(getProvider('mock'), req);
+    expect(a.equals(b)).toBe(true);
+  });
+
+  it('should vary the fill with the prompt', async () => {
+    const a = await generateImage(getProvider('mock'), { image, mask, prompt: 'forest', resolution: [64, 64] });
+    const b = await generateImage(getProvider('mock'), { image, mask, prompt: 'desert', resolution: [64, 64] });
+    expect(a.equals(b)).toBe(false);
+  });
+
+  it('should output the requested resolution even if the input differs', async () => {
+    const out = PNG.sync.read(await generateImage(getProvider('mock'), {
+      image: solidPng(32, 16, [0, 0, 0, 255]), mask: null, prompt: 'x', resolution: [48, 24],
+    }));
+    expect(out.width).toBe(48);
+    expect(out.height).toBe(24);
+  });
+});
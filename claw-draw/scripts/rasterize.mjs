@@ -0,0 +1,226 @@
+#!/usr/bin/env node
+/**
+ * Offline stroke rasterizer — renders stroke arrays to PNG without the relay.
+ *
+ * Strokes are drawn on a black canvas like the server tiles. Each stroke is
+ * rendered as a chain of round-capped segments whose width is the brush size
+ * times the point pressure, then composited once with the brush colour and
+ * opacity, so a stroke never darkens where it overlaps itself.
+ *
+ * Used by `--dry-run --out preview.png` on the drawing commands, and usable
+ * as a library for previews and regression tests of primitives.
+ *
+ * Usage:
+ *   import { renderStrokesPng } from './rasterize.mjs';
+ *
+ *   const png = renderStrokesPng(strokes, { scale: 0.5 });
+ *   fs.writeFileSync('preview.png', png);
+ *
+ * Dependencies: pngjs (pure JS PNG encoder)
+ */
+
+// @security-manifest
+// env: none
+// endpoints: none
+// files: none
+// exec: none
+
+import { PNG } from 'pngjs';
+
+/** Longest edge (px) of a preview unless the caller asks for a scale. */
+const DEFAULT_MAX_SIDE = 2048;
+/** Hard limit on either edge, so a stray point cannot allocate gigabytes. */
+const MAX_SIDE = 8192;
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+/** Parse '#rgb' / '#rrggbb' into [r, g, b]; anything else renders white. */
+export function parseHexColor(color) {
+  const m = /^#?([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(String(color ?? '').trim());
+  if (!m) return [255, 255, 255];
+  let hex = m[1];
+  if (hex.length === 3) hex = hex.split('').map(c => c + c).join('');
+  return [0, 2, 4].map(i => parseInt(hex.slice(i, i + 2), 16));
+}
+
+function pressureOf(p) {
+  return Number.isFinite(p.pressure) ? Math.max(0, Math.min(1, p.pressure)) : 1;
+}
+
+function brushOf(stroke) {
+  const size = Number(stroke.brush?.size ?? stroke.brushSize ?? 5);
+  const opacity = Number(stroke.brush?.opacity ?? stroke.opacity ?? 1);
+  return {
+    size: Number.isFinite(size) && size > 0 ? size : 5,
+    opacity: Number.isFinite(opacity) ? Math.max(0, Math.min(1, opacity)) : 1,
+    rgb: parseHexColor(stroke.brush?.color ?? stroke.color),
+  };
+}
+
+/**
+ * Canvas-space bounds of the strokes, including brush radius.
+ *
+ * @param {Array} strokes
+ * @returns {{ minX: number, minY: number, maxX: number, maxY: number } | null} null when there are no points
+ */
+export function strokeBounds(strokes) {
+  let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+  for (const s of strokes) {
+    const r = brushOf(s).size / 2;
+    for (const p of s.points || []) {
+      if (!Number.isFinite(p.x) || !Number.isFinite(p.y)) continue;
+      minX = Math.min(minX, p.x - r); maxX = Math.max(maxX, p.x + r);
+      minY = Math.min(minY, p.y - r); maxY = Math.max(maxY, p.y + r);
+    }
+  }
+  return minX === Infinity ? null : { minX, minY, maxX, maxY };
+}
+
+// ---------------------------------------------------------------------------
+// Rasterizer
+// ---------------------------------------------------------------------------
+
+/**
+ * Stamp one segment's coverage into `mask` (max-combine, so overlapping
+ * segments of the same stroke do not accumulate). Radius is interpolated
+ * between the two endpoints; edges get one pixel of antialiasing.
+ */
+function coverSegment(mask, w, h, ax, ay, ar, bx, by, br) {
+  const pad = Math.max(ar, br) + 1;
+  const x0 = Math.max(0, Math.floor(Math.min(ax, bx) - pad));
+  const x1 = Math.min(w - 1, Math.ceil(Math.max(ax, bx) + pad));
+  const y0 = Math.max(0, Math.floor(Math.min(ay, by) - pad));
+  const y1 = Math.min(h - 1, Math.ceil(Math.max(ay, by) + pad));
+  const dx = bx - ax, dy = by - ay;
+  const len2 = dx * dx + dy * dy;
+
+  for (let y = y0; y <= y1; y++) {
+    const py = y + 0.5;
+    for (let x = x0; x <= x1; x++) {
+      const px = x + 0.5;
+      const t = len2 > 0 ? Math.max(0, Math.min(1, ((px - ax) * dx + (py - ay) * dy) / len2)) : 0;
+      const qx = ax + dx * t - px, qy = ay + dy * t - py;
+      // Keep hairlines visible: never thinner than half a pixel
+      const r = Math.max(0.5, ar + (br - ar) * t);
+      const c = r + 0.5 - Math.sqrt(qx * qx + qy * qy);
+      if (c <= 0) continue;
+      const i = y * w + x;
+      const v = c >= 1 ? 1 : c;
+      if (v > mask[i]) mask[i] = v;
+    }
+  }
+}
+
+/**
+ * Rasterize strokes to RGBA pixels.
+ *
+ * The view defaults to the strokes' bounds plus `padding`, at 1 px per
+ * canvas unit, shrunk so the longest edge fits `maxSide`.
+ *
+ * @param {Array<{ points: Array<{ x: number, y: number, pressure?: number }>, brush?: { size?: number, color?: string, opacity?: number } }>} strokes
+ * @param {object} [opts]
+ * @param {{ minX: number, minY: number, maxX: number, maxY: number }} [opts.bounds] - Canvas area to render
+ * @param {number} [opts.scale] - Pixels per canvas unit (overrides maxSide)
+ * @param {number} [opts.maxSide=2048] - Longest edge in px when scale is not given
+ * @param {number} [opts.padding=16] - Margin around the auto bounds, in canvas units
+ * @param {string} [opts.background='#000000']
+ * @returns {{ width: number, height: number, data: Uint8Array, bounds: object, scale: number }}
+ */
+export function rasterizeStrokes(strokes, opts = {}) {
+  const padding = opts.padding ?? 16;
+  let bounds = opts.bounds;
+  if (!bounds) {
+    const b = strokeBounds(strokes) || { minX: 0, minY: 0, maxX: 0, maxY: 0 };
+    bounds = { minX: b.minX - padding, minY: b.minY - padding, maxX: b.maxX + padding, maxY: b.maxY + padding };
+  }
+  const spanX = Math.max(1, bounds.maxX - bounds.minX);
+  const spanY = Math.max(1, bounds.maxY - bounds.minY);
+  const scale = opts.scale ?? Math.min(1, (opts.maxSide ?? DEFAULT_MAX_SIDE) / Math.max(spanX, spanY));
+  if (!(scale > 0)) throw new Error('scale must be a positive number');
+
+  const width = Math.max(1, Math.ceil(spanX * scale));
+  const height = Math.max(1, Math.ceil(spanY * scale));
+  if (width > MAX_SIDE || height > MAX_SIDE) {
+    throw new Error(`Preview would be ${width}x${height} px (max ${MAX_SIDE}). Use a smaller scale.`);
+  }
+
+  const data = new Uint8Array(width * height * 4);
+  const bg = parseHexColor(opts.background ?? '#000000');
+  for (let i = 0; i < data.length; i += 4) {
+    data[i] = bg[0]; data[i + 1] = bg[1]; data[i + 2] = bg[2]; data[i + 3] = 255;
+  }
+
+  const mask = new Float32Array(width * height);
+  for (const stroke of strokes) {
+    const pts = (stroke.points || []).filter(p => Number.isFinite(p.x) && Number.isFinite(p.y));
+    if (pts.length === 0) continue;
+    const { size, opacity, rgb } = brushOf(stroke);
+    if (opacity === 0) continue;
+
+    const px = pts.map(p => ({
+      x: (p.x - bounds.minX) * scale,
+      y: (p.y - bounds.minY) * scale,
+      r: (size * pressureOf(p) / 2) * scale,
+    }));
+
+    // Stroke coverage, limited to the stroke's own pixel box
+    let x0 = Infinity, y0 = Infinity, x1 = -Infinity, y1 = -Infinity;
+    for (const p of px) {
+      x0 = Math.min(x0, p.x - p.r - 2); x1 = Math.max(x1, p.x + p.r + 2);
+      y0 = Math.min(y0, p.y - p.r - 2); y1 = Math.max(y1, p.y + p.r + 2);
+    }
+    x0 = Math.max(0, Math.floor(x0)); y0 = Math.max(0, Math.floor(y0));
+    x1 = Math.min(width - 1, Math.ceil(x1)); y1 = Math.min(height - 1, Math.ceil(y1));
+    if (x0 > x1 || y0 > y1) continue;
+
+    if (px.length === 1) {
+      coverSegment(mask, width, height, px[0].x, px[0].y, px[0].r, px[0].x, px[0].y, px[0].r);
+    }
+    for (let i = 1; i < px.length; i++) {
+      const a = px[i - 1], b = px[i];
+      coverSegment(mask, width, height, a.x, a.y, a.r, b.x, b.y, b.r);
+    }
+
+    // Composite source-over, clearing the mask as we go
+    for (let y = y0; y <= y1; y++) {
+      for (let x = x0; x <= x1; x++) {
+        const i = y * width + x;
+        const c = mask[i];
+        if (c === 0) continue;
+        mask[i] = 0;
+        const a = c * opacity;
+        const o = i * 4;
+        data[o] = Math.round(rgb[0] * a + data[o] * (1 - a));
+        data[o + 1] = Math.round(rgb[1] * a + data[o + 1] * (1 - a));
+        data[o + 2] = Math.round(rgb[2] * a + data[o + 2] * (1 - a));
+      }
+    }
+  }
+
+  return { width, height, data, bounds, scale };
+}
+
+/**
+ * Encode rasterized pixels as PNG.
+ *
+ * @param {{ width: number, height: number, data: Uint8Array }} raster
+ * @returns {Buffer}
+ */
+export function encodePng({ width, height, data }) {
+  const png = new PNG({ width, height });
+  png.data = Buffer.from(data.buffer, data.byteOffset, data.length);
+  return PNG.sync.write(png);
+}
+
+/**
+ * Rasterize strokes and encode the result as PNG (see rasterizeStrokes for options).
+ *
+ * @param {Array} strokes
+ * @param {object} [opts]
+ * @returns {Buffer} PNG bytes
+ */
+export function renderStrokesPng(strokes, opts) {
+  return encodePng(rasterizeStrokes(strokes, opts));
+}
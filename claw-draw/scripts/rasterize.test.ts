@@ -0,0 +1,80 @@
+/**
+ * Tests for rasterize.mjs — offline stroke rendering and PNG encoding.
+ */
+
+import { describe, it, expect } from 'vitest';
+import { PNG } from 'pngjs';
+
+const { rasterizeStrokes, renderStrokesPng, strokeBounds, parseHexColor } = await import('./rasterize.mjs');
+const { runPrimitive } = await import('./strokes.mjs');
+
+const stroke = (points: any[], brush: any) => ({ points, brush });
+const pixel = (r: any, x: number, y: number) => Array.from(r.data.slice((y * r.width + x) * 4, (y * r.width + x) * 4 + 4));
+const bounds = { minX: 0, minY: 0, maxX: 40, maxY: 20 };
+
+describe('rasterizeStrokes', () => {
+  it('should draw brush colour on a black canvas', () => {
+    const r = rasterizeStrokes([stroke([{ x: 5, y: 10 }, { x: 35, y: 10 }], { size: 6, color: '#ff0000', opacity: 1 })], { bounds, scale: 1 });
+    expect(r.width).toBe(40);
+    expect(r.height).toBe(20);
+    expect(pixel(r, 20, 10)).toEqual([255, 0, 0, 255]);
+    expect(pixel(r, 20, 2)).toEqual([0, 0, 0, 255]);
+    // Round caps reach past the endpoints by the brush radius
+    expect(pixel(r, 37, 10)[0]).toBeGreaterThan(0);
+  });
+
+  it('should honour opacity without darkening self-overlaps', () => {
+    const points = [{ x: 5, y: 10 }, { x: 35, y: 10 }, { x: 5, y: 10 }];
+    const r = rasterizeStrokes([stroke(points, { size: 6, color: '#ffffff', opacity: 0.5 })], { bounds, scale: 1 });
+    expect(pixel(r, 20, 10)).toEqual([128, 128, 128, 255]);
+
+    const twice = rasterizeStrokes([
+      stroke(points.slice(0, 2), { size: 6, color: '#ffffff', opacity: 0.5 }),
+      stroke(points.slice(0, 2), { size: 6, color: '#ffffff', opacity: 0.5 }),
+    ], { bounds, scale: 1 });
+    expect(pixel(twice, 20, 10)[0]).toBe(192);
+  });
+
+  it('should scale width with brush size and pressure', () => {
+    const width = (size: number, pressure: number) => {
+      const r = rasterizeStrokes([stroke([{ x: 20, y: 0, pressure }, { x: 20, y: 20, pressure }], { size, color: '#fff', opacity: 1 })], { bounds, scale: 1 });
+      let lit = 0;
+      for (let x = 0; x < r.width; x++) if (pixel(r, x, 10)[0] > 127) lit++;
+      return lit;
+    };
+    expect(width(10, 1)).toBe(10);
+    expect(width(10, 0.4)).toBe(4);
+    expect(width(4, 1)).toBe(4);
+  });
+
+  it('should fit auto bounds to the strokes and cap the size', () => {
+    const strokes = [stroke([{ x: -100, y: 0 }, { x: 100, y: 0 }], { size: 10 })];
+    expect(strokeBounds(strokes)).toEqual({ minX: -105, minY: -5, maxX: 105, maxY: 5 });
+    const r = rasterizeStrokes(strokes, { padding: 0 });
+    expect([r.width, r.height, r.scale]).toEqual([210, 10, 1]);
+    expect(rasterizeStrokes(strokes, { maxSide: 105, padding: 0 }).width).toBe(105);
+    expect(() => rasterizeStrokes(strokes, { scale: 100 })).toThrow('max');
+  });
+
+  it('parseHexColor should accept short and long forms', () => {
+    expect(parseHexColor('#f80')).toEqual([255, 136, 0]);
+    expect(parseHexColor('#102030')).toEqual([16, 32, 48]);
+    expect(parseHexColor('red')).toEqual([255, 255, 255]);
+  });
+});
+
+describe('renderStrokesPng', () => {
+  it('should render a primitive to a decodable PNG', async () => {
+    const strokes = await runPrimitive('circle', { radius: 50, color: '#00ff00', brushSize: 4 });
+    const png = PNG.sync.read(renderStrokesPng(strokes, { padding: 10 }));
+    expect(png.width).toBeGreaterThan(100);
+    expect(png.height).toBeGreaterThan(100);
+    // Centre of the ring stays black; the ring itself is green
+    const at = (x: number, y: number) => Array.from(png.data.slice((y * png.width + x) * 4, (y * png.width + x) * 4 + 3));
+    const cx = Math.floor(png.width / 2), cy = Math.floor(png.height / 2);
+    expect(at(cx, cy)).toEqual([0, 0, 0]);
+    let green = 0;
+    for (let x = 0; x < png.width; x++) if (at(x, cy)[1] > 100) green++;
+    expect(green).toBeGreaterThan(0);
+  });
+});
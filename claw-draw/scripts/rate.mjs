@@ -0,0 +1,260 @@
+#!/usr/bin/env node
+/**
+ * Adaptive rate controllers for everything the CLI sends to the relay.
+ *
+ * Each controller is a token bucket whose refill rate is tuned AIMD-style
+ * from server feedback:
+ *
+ *   success, normal latency  → rate += increase        (additive increase)
+ *   success, latency ≫ base  → rate × 0.9              (server is queueing)
+ *   RATE_LIMITED / HTTP 429  → rate × 0.5, bucket drained, Retry-After honoured
+ *
+ * Controllers live in one process-wide registry, so every stroke batch and
+ * every HTTP call to the same endpoint shares what was learned:
+ *
+ *   ws:points     stroke points per second (WS strokes.add / stroke.add)
+ *   ws:messages   WS messages per second
+ *   http:<tag>    requests per second to one endpoint (client.mjs `tag`)
+ *
+ * Starting rates sit just under the documented relay limits
+ * (references/WEBSOCKET.md).
+ *
+ * Usage:
+ *   import { rateController, rateStats } from './rate.mjs';
+ *
+ *   const points = rateController('ws:points');
+ *   await points.acquire(batchPoints);       // waits for tokens
+ *   points.success(ackLatencyMs, batchPoints);
+ *   points.limited({ retryAfterMs: 1000 });  // on RATE_LIMITED
+ *   console.log(rateStats());
+ */
+
+// @security-manifest
+// env: none
+// endpoints: none
+// files: none
+// exec: none
+
+/** Latency (EWMA) above this multiple of the best seen counts as congestion. */
+const LATENCY_TOLERANCE = 2;
+/** Latencies under this many ms never count as congestion (jitter). */
+const LATENCY_FLOOR_MS = 50;
+/** Weight of the newest sample in the latency EWMA. */
+const LATENCY_ALPHA = 0.2;
+/** Rate multiplier on RATE_LIMITED / 429. */
+const LIMITED_DECREASE = 0.5;
+/** Rate multiplier when latency signals congestion. */
+const LATENCY_DECREASE = 0.9;
+
+/**
+ * Starting points for the registry, by controller name. `http:*` covers
+ * every endpoint without its own entry.
+ */
+export const RATE_DEFAULTS = new Map([
+  // 2,500 points/sec for agents
+  ['ws:points', { rate: 2000, burst: 2500, minRate: 100, maxRate: 2500, increase: 50 }],
+  // 50 messages/sec
+  ['ws:messages', { rate: 40, burst: 20, minRate: 2, maxRate: 45, increase: 1 }],
+  // 10 calls per 60 s; 9 at once, then refilled at 9 per 60 s
+  ['http:nearby', { rate: 9 / 60, burst: 9, minRate: 1 / 60, maxRate: 9 / 60, increase: 1 / 600 }],
+  ['http:*', { rate: 10, burst: 10, minRate: 0.5, maxRate: 20, increase: 0.5 }],
+]);
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// ---------------------------------------------------------------------------
+// Controller
+// ---------------------------------------------------------------------------
+
+/**
+ * @typedef {object} RateStats
+ * @property {string} name
+ * @property {number} rate - Current refill rate (units per second)
+ * @property {number} completed - Successful calls
+ * @property {number} units - Units those calls carried (points, messages, requests)
+ * @property {number} limited - RATE_LIMITED / 429 answers
+ * @property {number} throughput - Units per second since the first acquire
+ * @property {number|null} latencyMs - Latency EWMA
+ */
+
+/**
+ * @typedef {object} RateController
+ * @property {(cost?: number) => Promise<number>} acquire - Wait until `cost` units may be sent; resolves with ms waited
+ * @property {(cost?: number) => number} delayFor - How long an acquire of `cost` would wait right now
+ * @property {(latencyMs: number, cost?: number) => void} success - A call went through
+ * @property {(opts?: { retryAfterMs?: number }) => void} limited - The server said slow down
+ * @property {() => RateStats} stats
+ */
+
+/**
+ * Create a token-bucket controller with AIMD rate tuning.
+ *
+ * A cost larger than the bucket is let through once the bucket is full and
+ * leaves it in debt, so one oversized batch waits its turn instead of
+ * blocking forever.
+ *
+ * @param {object} opts
+ * @param {string} [opts.name='rate']
+ * @param {number} opts.rate - Starting units per second
+ * @param {number} opts.burst - Bucket size (units that may go out at once)
+ * @param {number} [opts.minRate=opts.rate / 20]
+ * @param {number} [opts.maxRate=opts.rate]
+ * @param {number} [opts.increase=opts.maxRate / 50] - Added to the rate per success
+ * @returns {RateController}
+ */
+export function createRateController({ name = 'rate', rate, burst, minRate = rate / 20, maxRate = rate, increase = maxRate / 50 }) {
+  let current = rate;
+  let tokens = burst;
+  let refilledAt = Date.now();
+  let pausedUntil = 0;
+  /** Waiters are served in order; each link resolves when its acquire is done. */
+  let queue = Promise.resolve();
+  let waiting = 0;
+
+  let firstAt = null;
+  let completed = 0;
+  let units = 0;
+  let limitedCount = 0;
+  let latency = null;
+  let baseLatency = Infinity;
+  let decreasedAt = 0;
+
+  function refill() {
+    const now = Date.now();
+    // A clock that steps backwards adds nothing rather than draining the bucket
+    tokens = Math.min(burst, tokens + (Math.max(0, now - refilledAt) / 1000) * current);
+    refilledAt = now;
+  }
+
+  function delayFor(cost = 1) {
+    refill();
+    const need = Math.min(cost, burst);
+    const pause = Math.max(0, pausedUntil - Date.now());
+    const short = need - tokens;
+    return Math.max(pause, short > 0 ? Math.ceil((short / current) * 1000) : 0);
+  }
+
+  async function take(cost) {
+    let waited = 0;
+    for (let wait = delayFor(cost); wait > 0; wait = delayFor(cost)) {
+      await sleep(wait);
+      waited += wait;
+    }
+    tokens -= cost;
+    return waited;
+  }
+
+  function acquire(cost = 1) {
+    firstAt ??= Date.now();
+    // Fast path: nobody queued and the tokens are there (no timer involved)
+    if (waiting === 0 && delayFor(cost) === 0) {
+      tokens -= cost;
+      return Promise.resolve(0);
+    }
+    waiting++;
+    const turn = queue.then(() => take(cost));
+    queue = turn.finally(() => { waiting--; });
+    return turn;
+  }
+
+  function success(latencyMs, cost = 1) {
+    completed++;
+    units += cost;
+    if (Number.isFinite(latencyMs) && latencyMs >= 0) {
+      latency = latency === null ? latencyMs : latency + LATENCY_ALPHA * (latencyMs - latency);
+      baseLatency = Math.min(baseLatency, Math.max(latencyMs, 1));
+      const congested = latency > LATENCY_FLOOR_MS && latency > baseLatency * LATENCY_TOLERANCE;
+      // Back off at most once per round trip, so one slow spell isn't counted many times
+      if (congested && Date.now() - decreasedAt > latency) {
+        refill();
+        current = Math.max(minRate, current * LATENCY_DECREASE);
+        decreasedAt = Date.now();
+        return;
+      }
+      if (congested) return;
+    }
+    refill();
+    current = Math.min(maxRate, current + increase);
+  }
+
+  function limited({ retryAfterMs } = {}) {
+    limitedCount++;
+    refill();
+    current = Math.max(minRate, current * LIMITED_DECREASE);
+    tokens = Math.min(tokens, 0);
+    decreasedAt = Date.now();
+    if (Number.isFinite(retryAfterMs) && retryAfterMs > 0) {
+      pausedUntil = Math.max(pausedUntil, Date.now() + retryAfterMs);
+    }
+  }
+
+  function stats() {
+    const elapsed = firstAt === null ? 0 : (Date.now() - firstAt) / 1000;
+    return {
+      name,
+      rate: current,
+      completed,
+      units,
+      limited: limitedCount,
+      throughput: elapsed > 0 ? units / elapsed : 0,
+      latencyMs: latency === null ? null : Math.round(latency),
+    };
+  }
+
+  return { acquire, delayFor, success, limited, stats };
+}
+
+// ---------------------------------------------------------------------------
+// Registry
+// ---------------------------------------------------------------------------
+
+/** name → RateController, shared by the whole process */
+const controllers = new Map();
+
+/**
+ * The process-wide controller for `name`, created from RATE_DEFAULTS on
+ * first use.
+ *
+ * @param {string} name - e.g. 'ws:points', 'http:nearby'
+ * @returns {RateController}
+ */
+export function rateController(name) {
+  let controller = controllers.get(name);
+  if (!controller) {
+    const defaults = RATE_DEFAULTS.get(name) || RATE_DEFAULTS.get(name.startsWith('http:') ? 'http:*' : '');
+    if (!defaults) throw new Error(`Unknown rate controller "${name}"`);
+    controller = createRateController({ name, ...defaults });
+    controllers.set(name, controller);
+  }
+  return controller;
+}
+
+/**
+ * Stats for every controller used so far.
+ *
+ * @returns {RateStats[]}
+ */
+export function rateStats() {
+  return [...controllers.values()].map(c => c.stats());
+}
+
+/** Forget everything learned (tests, or a fresh session in a long-lived process). */
+export function resetRateControllers() {
+  controllers.clear();
+}
+
+/**
+ * Milliseconds from an HTTP Retry-After header (seconds or an HTTP date).
+ *
+ * @param {string|null|undefined} value
+ * @returns {number|undefined}
+ */
+export function parseRetryAfter(value) {
+  if (value === null || value === undefined || value === '') return undefined;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const at = Date.parse(value);
+  return Number.isFinite(at) ? Math.max(0, at - Date.now()) : undefined;
+}
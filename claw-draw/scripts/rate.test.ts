@@ -0,0 +1,119 @@
+/**
+ * Tests for rate.mjs — token-bucket pacing, AIMD rate tuning from success,
+ * latency and RATE_LIMITED feedback, and the shared controller registry.
+ *
+ * Fake timers drive both setTimeout and Date.now, so waits are exact.
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import {
+  createRateController,
+  rateController,
+  rateStats,
+  resetRateControllers,
+  parseRetryAfter,
+} from './rate.mjs';
+
+beforeEach(() => {
+  vi.useFakeTimers();
+  resetRateControllers();
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+});
+
+describe('createRateController', () => {
+  it('should let the burst through at once and pace what follows', async () => {
+    const rate = createRateController({ rate: 10, burst: 3 });
+    for (let i = 0; i < 3; i++) expect(await rate.acquire()).toBe(0);
+    expect(rate.delayFor()).toBe(100);
+
+    let waited: number | null = null;
+    rate.acquire().then(ms => { waited = ms; });
+    await vi.advanceTimersByTimeAsync(99);
+    expect(waited).toBeNull();
+    await vi.advanceTimersByTimeAsync(1);
+    expect(waited).toBe(100);
+  });
+
+  it('should serve waiters in order', async () => {
+    const rate = createRateController({ rate: 10, burst: 1 });
+    await rate.acquire();
+    const order: number[] = [];
+    rate.acquire().then(() => order.push(1));
+    rate.acquire().then(() => order.push(2));
+    await vi.advanceTimersByTimeAsync(100);
+    expect(order).toEqual([1]);
+    await vi.advanceTimersByTimeAsync(100);
+    expect(order).toEqual([1, 2]);
+  });
+
+  it('should raise the rate additively up to maxRate', () => {
+    const rate = createRateController({ rate: 10, burst: 10, maxRate: 12, increase: 1 });
+    rate.success(20);
+    expect(rate.stats().rate).toBe(11);
+    rate.success(20);
+    rate.success(20);
+    expect(rate.stats()).toMatchObject({ rate: 12, completed: 3, units: 3 });
+  });
+
+  it('should halve the rate, drain the bucket and honour Retry-After when limited', async () => {
+    const rate = createRateController({ rate: 10, burst: 10, minRate: 1 });
+    rate.limited({ retryAfterMs: 2000 });
+    expect(rate.stats()).toMatchObject({ rate: 5, limited: 1 });
+    expect(rate.delayFor()).toBe(2000);
+
+    await vi.advanceTimersByTimeAsync(2000);
+    // 2 s at 5/s refilled the bucket to 10 in the meantime
+    expect(rate.delayFor()).toBe(0);
+
+    for (let i = 0; i < 5; i++) rate.limited();
+    expect(rate.stats().rate).toBe(1);
+  });
+
+  it('should back off when latency climbs well above the best seen', () => {
+    const rate = createRateController({ rate: 100, burst: 100 });
+    rate.success(60);
+    expect(rate.stats().rate).toBe(100);
+    for (let i = 0; i < 10; i++) rate.success(600);
+    // Only one decrease per round trip while the clock stands still
+    expect(rate.stats().rate).toBe(90);
+    expect(rate.stats().latencyMs).toBeGreaterThan(120);
+  });
+
+  it('should let an oversized cost through on a full bucket and wait off the debt', async () => {
+    const rate = createRateController({ rate: 100, burst: 50 });
+    expect(await rate.acquire(150)).toBe(0);
+    // 100 units of debt plus one unit at 100/s
+    expect(rate.delayFor()).toBe(1010);
+  });
+});
+
+describe('registry', () => {
+  it('should share one controller per name and fall back to http:*', () => {
+    expect(rateController('ws:points')).toBe(rateController('ws:points'));
+    expect(rateController('http:find-space').stats()).toMatchObject({ name: 'http:find-space', rate: 10 });
+    expect(rateStats().map(s => s.name)).toEqual(['ws:points', 'http:find-space']);
+    expect(() => rateController('ws:bogus')).toThrow('Unknown rate controller');
+  });
+
+  it('should allow a burst of 9 nearby calls, then refill 9 per minute', () => {
+    const nearby = rateController('http:nearby');
+    for (let i = 0; i < 9; i++) {
+      expect(nearby.delayFor()).toBe(0);
+      nearby.acquire();
+    }
+    expect(nearby.delayFor()).toBe(Math.ceil(60000 / 9));
+  });
+});
+
+describe('parseRetryAfter', () => {
+  it('should read seconds and HTTP dates', () => {
+    expect(parseRetryAfter('3')).toBe(3000);
+    expect(parseRetryAfter(null)).toBeUndefined();
+    expect(parseRetryAfter('soon')).toBeUndefined();
+    vi.setSystemTime(new Date('2026-01-01T00:00:00Z'));
+    expect(parseRetryAfter('Thu, 01 Jan 2026 00:00:05 GMT')).toBe(5000);
+  });
+});
@@ -7,23 +7,36 @@
  *
  * Usage:
  *   clawdraw roam [--blend 0.5] [--speed normal] [--budget 0] [--name "session-name"]
+ *   clawdraw roam --dry-run [--iterations 5] [--cx N --cy N] [--out preview.png]
+ *
+ * --budget is in INQ, counted with the same per-point estimate as `draw`.
+ * Every iteration that lands strokes is recorded in the spend ledger.
+ * --dry-run generates the create-mode iterations locally and prints their
+ * estimated cost without connecting (collaborate mode needs the canvas);
+ * --out renders them all to a PNG preview.
  */
 
 // @security-manifest
-// env: CLAWDRAW_API_KEY (via auth.mjs)
+// env: CLAWDRAW_API_KEY, CLAWDRAW_PROFILE (via auth.mjs), CLAWDRAW_RELAY_URL, CLAWDRAW_SWARM_ID
 // endpoints: api.clawdraw.ai (HTTPS), relay.clawdraw.ai (WSS)
-// files: none
+// files: ~/.clawdraw/ledger.jsonl (via ledger.mjs), user-supplied --out preview PNG (dry run, write)
 // exec: none
 
+import fs from 'node:fs';
 import WebSocket from 'ws';
-import { getToken } from './auth.mjs';
+import { createClient } from './client.mjs';
+import { rateController } from './rate.mjs';
 import { connectWithRetry, sendStrokes, addWaypoint, getWaypointUrl, disconnect } from './connection.mjs';
 import { executePrimitive, listPrimitives } from '../primitives/index.mjs';
 import { setNearbyCache } from '../primitives/collaborator.mjs';
 import { randomPalette, samplePalette } from '../primitives/helpers.mjs';
+import { estimateStrokesInq } from './inq.mjs';
+import { renderStrokesPng } from './rasterize.mjs';
+import { appendLedgerEntry, strokesArea } from './ledger.mjs';
 
-const RELAY_HTTP_URL = 'https://relay.clawdraw.ai';
+const RELAY_HTTP_URL = process.env.CLAWDRAW_RELAY_URL || 'https://relay.clawdraw.ai';
 const CLAWDRAW_API_KEY = process.env.CLAWDRAW_API_KEY;
+const CLAWDRAW_SWARM_ID = process.env.CLAWDRAW_SWARM_ID || null;
 
 // ---------------------------------------------------------------------------
 // Session name generator
@@ -119,74 +132,45 @@ function pickCollaboratorBehavior(nearbyData) {
 }
 
 // ---------------------------------------------------------------------------
-// Nearby API with rate-limit pacing
+// Nearby API, paced by the shared http:nearby rate controller
 // ---------------------------------------------------------------------------
 
-let nearbyCallTimestamps = [];
-
-async function fetchNearby(token, x, y, radius = 500) {
-  // Enforce max 9 calls per 60s to stay under the 10/60s rate limit
-  const now = Date.now();
-  nearbyCallTimestamps = nearbyCallTimestamps.filter(t => now - t < 60000);
-  if (nearbyCallTimestamps.length >= 9) {
-    const oldest = nearbyCallTimestamps[0];
-    const waitMs = 60000 - (now - oldest) + 500; // +500ms margin
-    if (waitMs > 0) {
-      log(`rate-limit pacing: waiting ${Math.round(waitMs / 1000)}s`);
-      await sleep(waitMs);
-    }
-  }
+async function fetchNearby(api, x, y, radius = 500) {
+  // client.mjs waits on the controller itself; this only explains the pause
+  const waitMs = rateController('http:nearby').delayFor(1);
+  if (waitMs > 1000) log(`rate-limit pacing: waiting ${Math.round(waitMs / 1000)}s`);
 
-  nearbyCallTimestamps.push(Date.now());
-  const res = await fetch(`${RELAY_HTTP_URL}/api/nearby?x=${x}&y=${y}&radius=${radius}&detail=sdf`, {
-    headers: { 'Authorization': `Bearer ${token}` },
-  });
-  if (!res.ok) {
-    const err = await res.json().catch(() => ({}));
-    throw new Error(err.error || `nearby HTTP ${res.status}`);
-  }
-  return res.json();
+  // No automatic retries: a 429 here means the pacing was not enough
+  return api.fetchJson(`${RELAY_HTTP_URL}/api/nearby?x=${x}&y=${y}&radius=${radius}&detail=sdf`, {}, { retries: 0, tag: 'nearby' });
 }
 
 // ---------------------------------------------------------------------------
 // Find-space API
 // ---------------------------------------------------------------------------
 
-async function fetchFindSpace(token, mode = 'adjacent') {
-  const res = await fetch(`${RELAY_HTTP_URL}/api/find-space?mode=${mode}`, {
-    headers: { 'Authorization': `Bearer ${token}` },
-  });
-  if (!res.ok) {
-    const err = await res.json().catch(() => ({}));
-    throw new Error(err.error || `find-space HTTP ${res.status}`);
-  }
-  return res.json();
+async function fetchFindSpace(api, mode = 'adjacent') {
+  return api.fetchJson(`${RELAY_HTTP_URL}/api/find-space?mode=${mode}`, {}, { tag: 'find-space' });
 }
 
 // ---------------------------------------------------------------------------
 // Marker APIs
 // ---------------------------------------------------------------------------
 
-async function dropMarker(token, x, y, type, message, decayMs) {
+async function dropMarker(api, x, y, type, message, decayMs) {
   const body = { x, y, type };
   if (message) body.message = message;
   if (decayMs) body.decayMs = decayMs;
-  const res = await fetch(`${RELAY_HTTP_URL}/api/markers`, {
+  const res = await api.fetch(`${RELAY_HTTP_URL}/api/markers`, {
     method: 'POST',
-    headers: {
-      'Authorization': `Bearer ${token}`,
-      'Content-Type': 'application/json',
-    },
+    headers: { 'Content-Type': 'application/json' },
     body: JSON.stringify(body),
   });
   if (!res.ok) return null; // non-critical
   return res.json();
 }
 
-async function scanMarkers(token, x, y, radius = 2000) {
-  const res = await fetch(`${RELAY_HTTP_URL}/api/markers?x=${x}&y=${y}&radius=${radius}`, {
-    headers: { 'Authorization': `Bearer ${token}` },
-  });
+async function scanMarkers(api, x, y, radius = 2000) {
+  const res = await api.fetch(`${RELAY_HTTP_URL}/api/markers?x=${x}&y=${y}&radius=${radius}`);
   if (!res.ok) return { markers: [] };
   return res.json();
 }
@@ -277,6 +261,49 @@ function randomizeArgs(primitiveName, primitiveList, cx, cy, palette) {
   return args;
 }
 
+/**
+ * Pick a weighted-random creative primitive and run it at (cx, cy).
+ * @returns {{ name: string, strokes: Array }}
+ */
+function createStrokes(allPrimitives, createPrimitives, cx, cy, palette) {
+  const category = pickCategory();
+  const candidates = createPrimitives.filter(p => p.category === category);
+  if (candidates.length === 0) return { name: 'none', strokes: [] };
+
+  const prim = candidates[Math.floor(Math.random() * candidates.length)];
+  const primArgs = randomizeArgs(prim.name, allPrimitives, cx, cy, palette);
+  try {
+    return { name: prim.name, strokes: executePrimitive(prim.name, primArgs) || [] };
+  } catch (err) {
+    log(`create ${prim.name} failed: ${err.message}`);
+    return { name: prim.name, strokes: [] };
+  }
+}
+
+/**
+ * INQ estimate for the strokes the relay acknowledged, recorded in the spend
+ * ledger. Roam doesn't poll the balance, so the estimate stands in for it.
+ */
+function recordAcked(strokes, result) {
+  const ids = new Set(result.ackedStrokeIds);
+  const acked = strokes.filter(s => ids.has(String(s.id)));
+  const { inq } = estimateStrokesInq(acked);
+  if (acked.length > 0) {
+    try {
+      appendLedgerEntry({
+        command: 'roam',
+        ...(CLAWDRAW_SWARM_ID ? { swarmId: CLAWDRAW_SWARM_ID } : {}),
+        area: strokesArea(acked),
+        estimatedInq: inq,
+        strokeIds: result.ackedStrokeIds,
+      });
+    } catch (err) {
+      log(`Spend ledger write failed: ${err.message}`);
+    }
+  }
+  return inq;
+}
+
 // ---------------------------------------------------------------------------
 // Movement strategies
 // ---------------------------------------------------------------------------
@@ -300,7 +327,7 @@ function isNearVisited(x, y) {
   return false;
 }
 
-async function pickNextPosition(token, currentX, currentY, blend) {
+async function pickNextPosition(api, currentX, currentY, blend) {
   const roll = Math.random();
 
   if (roll < 0.4) {
@@ -320,7 +347,7 @@ async function pickNextPosition(token, currentX, currentY, blend) {
     // Find-space
     try {
       const mode = blend > 0.5 ? 'adjacent' : 'empty';
-      const space = await fetchFindSpace(token, mode);
+      const space = await fetchFindSpace(api, mode);
       const nx = space.canvasX;
       const ny = space.canvasY;
       if (!isNearVisited(nx, ny)) return { x: nx, y: ny, method: 'find-space' };
@@ -334,7 +361,7 @@ async function pickNextPosition(token, currentX, currentY, blend) {
 
   // Marker-guided: scan for invitations/seeds
   try {
-    const data = await scanMarkers(token, currentX, currentY, 3000);
+    const data = await scanMarkers(api, currentX, currentY, 3000);
     const interesting = (data.markers || []).filter(
       m => m.type === 'invitation' || m.type === 'seed'
     );
@@ -397,13 +424,6 @@ export async function cmdRoam(args) {
     console.error(`Error: --speed must be one of: ${Object.keys(SPEED_MS).join(', ')}`);
     process.exit(1);
   }
-  if (!CLAWDRAW_API_KEY) {
-    console.error('Error: CLAWDRAW_API_KEY environment variable not set');
-    process.exit(1);
-  }
-
-  const intervalMs = SPEED_MS[speedKey];
-  const token = await getToken(CLAWDRAW_API_KEY);
 
   // Load available primitives for CREATE mode
   const allPrimitives = await listPrimitives();
@@ -412,13 +432,29 @@ export async function cmdRoam(args) {
   // Session palette (consistent colors per session)
   const sessionPalette = randomPalette();
 
+  if (args['dry-run']) {
+    roamDryRun(args, { allPrimitives, createPrimitives, sessionPalette, sessionName, budget });
+    return;
+  }
+
+  const intervalMs = SPEED_MS[speedKey];
+  // One client for the whole session: it refreshes the JWT before it
+  // expires, so long roams and WebSocket reconnects keep working
+  const api = createClient({ apiKey: CLAWDRAW_API_KEY });
+  try {
+    await api.token();
+  } catch (err) {
+    console.error('Auth error:', err.message);
+    process.exit(1);
+  }
+
   // Find starting position
   log(`Starting "${sessionName}" blend=${blend} speed=${speedKey} budget=${budget || 'unlimited'}`);
 
   let startPos;
   try {
     const mode = blend > 0.5 ? 'adjacent' : 'empty';
-    const space = await fetchFindSpace(token, mode);
+    const space = await fetchFindSpace(api, mode);
     startPos = { x: space.canvasX, y: space.canvasY };
   } catch (err) {
     log(`find-space failed (${err.message}), starting at origin`);
@@ -430,7 +466,7 @@ export async function cmdRoam(args) {
   addVisited(cx, cy);
 
   // Connect with retry
-  const conn = await connectWithRetry(token, {
+  const conn = await connectWithRetry(api, {
     username: `roam-${sessionName}`,
     center: { x: cx, y: cy },
     zoom: 0.5,
@@ -450,7 +486,7 @@ export async function cmdRoam(args) {
     log(`Start waypoint failed: ${e.message}`);
   }
 
-  await dropMarker(token, cx, cy, 'working', `roam: ${sessionName}`, 600000);
+  await dropMarker(api, cx, cy, 'working', `roam: ${sessionName}`, 600000);
 
   // ---------------------------------------------------------------------------
   // Graceful shutdown
@@ -459,7 +495,7 @@ export async function cmdRoam(args) {
   let running = true;
   let forceExit = false;
   let iteration = 0;
-  let inqSpent = 0; // rough estimate based on stroke count
+  let inqSpent = 0; // per-point estimate of acknowledged strokes
 
   process.on('SIGINT', () => {
     if (!running) {
@@ -485,25 +521,11 @@ export async function cmdRoam(args) {
   // ---------------------------------------------------------------------------
 
   async function doCreate() {
-    const category = pickCategory();
-    const candidates = createPrimitives.filter(p => p.category === category);
-    if (candidates.length === 0) return { strokes: 0, name: 'none' };
-
-    const prim = candidates[Math.floor(Math.random() * candidates.length)];
-    const primArgs = randomizeArgs(prim.name, allPrimitives, cx, cy, sessionPalette);
-
-    let strokes;
-    try {
-      strokes = executePrimitive(prim.name, primArgs);
-    } catch (err) {
-      log(`create ${prim.name} failed: ${err.message}`);
-      return { strokes: 0, name: prim.name };
-    }
-
-    if (!strokes || strokes.length === 0) return { strokes: 0, name: prim.name };
+    const { name, strokes } = createStrokes(allPrimitives, createPrimitives, cx, cy, sessionPalette);
+    if (strokes.length === 0) return { strokes: 0, name };
 
     const result = await conn.sendStrokes(strokes);
-    return { strokes: result.strokesAcked, name: prim.name, errors: result.errors };
+    return { strokes: result.strokesAcked, inq: recordAcked(strokes, result), name, errors: result.errors };
   }
 
   // ---------------------------------------------------------------------------
@@ -513,7 +535,7 @@ export async function cmdRoam(args) {
   async function doCollaborate() {
     let nearbyData;
     try {
-      nearbyData = await fetchNearby(token, cx, cy, 500);
+      nearbyData = await fetchNearby(api, cx, cy, 500);
     } catch (err) {
       log(`nearby failed: ${err.message}`);
       return doCreate(); // fallback
@@ -571,7 +593,7 @@ export async function cmdRoam(args) {
     }
 
     const result = await conn.sendStrokes(strokes);
-    return { strokes: result.strokesAcked, name: behavior, mode: 'collaborate', errors: result.errors };
+    return { strokes: result.strokesAcked, inq: recordAcked(strokes, result), name: behavior, mode: 'collaborate', errors: result.errors };
   }
 
   // ---------------------------------------------------------------------------
@@ -604,11 +626,11 @@ export async function cmdRoam(args) {
 
     const modeLabel = result.mode || mode;
     const strokeCount = result.strokes || 0;
-    inqSpent += strokeCount; // rough 1:1 estimate
+    inqSpent += result.inq || 0;
     lastAction = `${modeLabel}: ${result.name}`;
 
     if (strokeCount > 0) {
-      log(`#${iteration} ${modeLabel}: ${result.name} → ${strokeCount} strokes`);
+      log(`#${iteration} ${modeLabel}: ${result.name} → ${strokeCount} strokes (~${result.inq} INQ)`);
     } else {
       log(`#${iteration} ${modeLabel}: ${result.name} → 0 strokes (skipped)`);
     }
@@ -622,7 +644,7 @@ export async function cmdRoam(args) {
     if (!running) break;
 
     // Pick next position
-    const next = await pickNextPosition(token, cx, cy, blend);
+    const next = await pickNextPosition(api, cx, cy, blend);
     cx = next.x;
     cy = next.y;
     addVisited(cx, cy);
@@ -649,7 +671,7 @@ export async function cmdRoam(args) {
 
     // Refresh working marker every ~90 seconds
     if (now - lastMarkerAt > 90000) {
-      await dropMarker(token, cx, cy, 'working', `roam: ${sessionName} #${iteration}`, 600000);
+      await dropMarker(api, cx, cy, 'working', `roam: ${sessionName} #${iteration}`, 600000);
       lastMarkerAt = now;
     }
 
@@ -679,12 +701,53 @@ export async function cmdRoam(args) {
   }
 
   // Drop complete marker
-  await dropMarker(token, cx, cy, 'complete', `roam: ${sessionName} (${iteration} iterations)`, 3600000);
+  await dropMarker(api, cx, cy, 'complete', `roam: ${sessionName} (${iteration} iterations)`, 3600000);
 
   conn.disconnect();
   process.exit(0);
 }
 
+// ---------------------------------------------------------------------------
+// Dry run
+// ---------------------------------------------------------------------------
+
+/** Generate create-mode iterations locally and report their estimated cost. */
+function roamDryRun(args, { allPrimitives, createPrimitives, sessionPalette, sessionName, budget }) {
+  const iterations = Math.max(1, Math.min(50, Number(args.iterations) || 5));
+  let cx = Number(args.cx) || 0;
+  let cy = Number(args.cy) || 0;
+  let total = 0;
+  const drawn = [];
+
+  log(`Dry run "${sessionName}": ${iterations} create iteration(s) from (${Math.round(cx)}, ${Math.round(cy)}) — nothing is sent`);
+  for (let i = 1; i <= iterations; i++) {
+    const { name, strokes } = createStrokes(allPrimitives, createPrimitives, cx, cy, sessionPalette);
+    const est = estimateStrokesInq(strokes);
+    total += est.inq;
+    drawn.push(...strokes);
+    log(`#${i} create: ${name} at (${Math.round(cx)}, ${Math.round(cy)}) → ${est.strokes} strokes, ${est.points} points, ~${est.inq} INQ`);
+    if (budget > 0 && total >= budget) {
+      log(`Budget reached (~${total} INQ)`);
+      break;
+    }
+    // Same drift the live loop uses when it doesn't consult the canvas
+    const angle = Math.random() * Math.PI * 2;
+    const dist = 200 + Math.random() * 400;
+    cx += Math.cos(angle) * dist;
+    cy += Math.sin(angle) * dist;
+  }
+  log(`Estimated total: ~${total} INQ`);
+  if (args.out) {
+    try {
+      fs.writeFileSync(String(args.out), renderStrokesPng(drawn));
+    } catch (err) {
+      console.error('Error writing preview:', err.message);
+      process.exit(1);
+    }
+    log(`Preview: ${args.out}`);
+  }
+}
+
 // ---------------------------------------------------------------------------
 // Internal
 // ---------------------------------------------------------------------------
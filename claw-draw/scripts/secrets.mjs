@@ -0,0 +1,195 @@
+#!/usr/bin/env node
+/**
+ * API key storage backends.
+ *
+ *   file       apikey.json — plaintext JSON, protected by file mode 0o600
+ *   encrypted  apikey.enc.json — the key sealed with AES-256-GCM under a
+ *              scrypt-derived key from a passphrase; agent ID and name stay
+ *              readable so profiles can be listed without unlocking
+ *   command    apikey.cmd.json — agent ID and name only; the key itself is
+ *              printed by an external command (CLAWDRAW_KEY_COMMAND) each
+ *              time it is needed
+ *
+ * A credential directory holds at most one of the three files; whichever is
+ * present decides the backend. auth.mjs picks the directory (per profile)
+ * and supplies the passphrase and the key command. This module runs no
+ * commands itself: `keyCommand` is a function that auth.mjs builds on
+ * key-command.mjs.
+ *
+ * Usage:
+ *   import { readStoredKey, writeStoredKey, storedKeyInfo } from './secrets.mjs';
+ *
+ *   writeStoredKey(dir, { apiKey, agentId, agentName }, { backend: 'encrypted', passphrase });
+ *   const { apiKey } = readStoredKey(dir, { passphrase });
+ */
+
+// @security-manifest
+// env: none
+// endpoints: none
+// files: <credential dir>/apikey.json, <credential dir>/apikey.enc.json, <credential dir>/apikey.cmd.json
+// exec: none
+
+import fs from 'node:fs';
+import path from 'node:path';
+import crypto from 'node:crypto';
+
+/** scrypt cost parameters for new encrypted files (~32 MB, well under a second). */
+const SCRYPT_PARAMS = { N: 2 ** 15, r: 8, p: 1 };
+const SCRYPT_MAXMEM = 64 * 1024 * 1024;
+
+/** @type {Map<string, { file: string, read: Function, write: Function }>} */
+const BACKENDS = new Map([
+  ['file', {
+    file: 'apikey.json',
+    read: (data) => data,
+    write: (record) => record,
+  }],
+  ['encrypted', {
+    file: 'apikey.enc.json',
+    read: (data, { passphrase }) => ({ ...data, apiKey: decryptKey(data, passphrase) }),
+    write: (record, { passphrase }) => {
+      const { apiKey, ...meta } = record;
+      return { ...meta, ...encryptKey(apiKey, passphrase) };
+    },
+  }],
+  ['command', {
+    file: 'apikey.cmd.json',
+    read: (data, { keyCommand }) => ({ ...data, ...commandKey(keyCommand) }),
+    write: (record, { keyCommand }) => {
+      const { apiKey, ...meta } = record;
+      if (commandKey(keyCommand).apiKey !== apiKey) {
+        throw new Error('CLAWDRAW_KEY_COMMAND prints a different API key. Store this key in your vault first.');
+      }
+      return meta;
+    },
+  }],
+]);
+
+/** Backend names, in the order `keys migrate --to` lists them. */
+export const KEY_BACKENDS = [...BACKENDS.keys()];
+
+// ---------------------------------------------------------------------------
+// Encryption
+// ---------------------------------------------------------------------------
+
+function requirePassphrase(passphrase) {
+  if (!passphrase) {
+    throw new Error('The encrypted key backend needs a passphrase. Set CLAWDRAW_KEY_PASSPHRASE.');
+  }
+}
+
+function deriveKey(passphrase, salt, { N, r, p }) {
+  return crypto.scryptSync(passphrase, salt, 32, { N, r, p, maxmem: SCRYPT_MAXMEM });
+}
+
+function encryptKey(apiKey, passphrase) {
+  requirePassphrase(passphrase);
+  const salt = crypto.randomBytes(16);
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', deriveKey(passphrase, salt, SCRYPT_PARAMS), iv);
+  const ciphertext = Buffer.concat([cipher.update(apiKey, 'utf-8'), cipher.final()]);
+  return {
+    kdf: { name: 'scrypt', ...SCRYPT_PARAMS, salt: salt.toString('base64') },
+    cipher: 'aes-256-gcm',
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    ciphertext: ciphertext.toString('base64'),
+  };
+}
+
+function decryptKey(data, passphrase) {
+  requirePassphrase(passphrase);
+  try {
+    const key = deriveKey(passphrase, Buffer.from(data.kdf.salt, 'base64'), data.kdf);
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(data.iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(data.tag, 'base64'));
+    return Buffer.concat([decipher.update(Buffer.from(data.ciphertext, 'base64')), decipher.final()]).toString('utf-8');
+  } catch {
+    throw new Error('Could not decrypt the API key: wrong CLAWDRAW_KEY_PASSPHRASE or a damaged apikey.enc.json');
+  }
+}
+
+// ---------------------------------------------------------------------------
+// External command
+// ---------------------------------------------------------------------------
+
+function commandKey(keyCommand) {
+  if (!keyCommand) {
+    throw new Error('The command key backend needs CLAWDRAW_KEY_COMMAND, a command that prints the API key.');
+  }
+  return keyCommand();
+}
+
+// ---------------------------------------------------------------------------
+// Storage
+// ---------------------------------------------------------------------------
+
+function readJson(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf-8'));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * The stored key's backend and readable metadata, without decrypting.
+ *
+ * @param {string} dir - Credential directory
+ * @returns {{ backend: string, agentId: string|null, agentName: string|null } | null}
+ */
+export function storedKeyInfo(dir) {
+  for (const [backend, { file }] of BACKENDS) {
+    const data = readJson(path.join(dir, file));
+    if (data) return { backend, agentId: data.agentId || null, agentName: data.agentName || null };
+  }
+  return null;
+}
+
+/**
+ * Read the stored key record.
+ *
+ * @param {string} dir - Credential directory
+ * @param {object} [opts]
+ * @param {string} [opts.passphrase] - Needed for the encrypted backend
+ * @param {() => { apiKey: string }} [opts.keyCommand] - Runs the key command;
+ *   needed for the command backend, and used when nothing is stored
+ * @returns {{ apiKey: string, agentId?: string, agentName?: string, createdAt?: string, backend: string } | null}
+ *   null when nothing is stored (and there is no key command); throws when
+ *   the key can't be unlocked or the command fails
+ */
+export function readStoredKey(dir, { passphrase, keyCommand } = {}) {
+  for (const [backend, impl] of BACKENDS) {
+    const data = readJson(path.join(dir, impl.file));
+    if (!data) continue;
+    const record = impl.read(data, { passphrase, keyCommand });
+    return record.apiKey ? { ...record, backend } : null;
+  }
+  return keyCommand ? { ...keyCommand(), backend: 'command' } : null;
+}
+
+/**
+ * Store a key record with one backend, removing any copy kept by another.
+ * The directory must exist (auth.mjs creates it with mode 0o700).
+ *
+ * @param {string} dir - Credential directory
+ * @param {{ apiKey: string, agentId?: string, agentName?: string, createdAt?: string }} record
+ * @param {object} opts
+ * @param {string} opts.backend - One of KEY_BACKENDS
+ * @param {string} [opts.passphrase] - Needed for the encrypted backend
+ * @param {() => { apiKey: string }} [opts.keyCommand] - Needed for the command
+ *   backend, which only stores metadata once the command prints the same key
+ */
+export function writeStoredKey(dir, record, { backend, passphrase, keyCommand }) {
+  const impl = BACKENDS.get(backend);
+  if (!impl) {
+    throw new Error(`Unknown key backend "${backend}". Use one of: ${KEY_BACKENDS.join(', ')}`);
+  }
+  const target = path.join(dir, impl.file);
+  const tmp = target + '.tmp';
+  fs.writeFileSync(tmp, JSON.stringify(impl.write(record, { passphrase, keyCommand })), { encoding: 'utf-8', mode: 0o600 });
+  fs.renameSync(tmp, target);
+  for (const [other, { file }] of BACKENDS) {
+    if (other !== backend) fs.rmSync(path.join(dir, file), { force: true });
+  }
+}
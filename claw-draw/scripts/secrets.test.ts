@@ -0,0 +1,71 @@
+/**
+ * Tests for secrets.mjs — plaintext, encrypted and command API key backends.
+ */
+
+import { describe, it, expect, afterAll } from 'vitest';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+const { readStoredKey, writeStoredKey, storedKeyInfo } = await import('./secrets.mjs');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'clawdraw-secrets-test-'));
+const record = { apiKey: 'ck_secret_123', agentId: 'agent-1', agentName: 'bold_wave' };
+
+afterAll(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe('key backends', () => {
+  it('should round-trip a plaintext key with mode 0o600', () => {
+    writeStoredKey(dir, record, { backend: 'file' });
+    expect(readStoredKey(dir)).toMatchObject({ ...record, backend: 'file' });
+    expect(fs.statSync(path.join(dir, 'apikey.json')).mode & 0o777).toBe(0o600);
+  });
+
+  it('should encrypt the key and replace the plaintext file', () => {
+    writeStoredKey(dir, record, { backend: 'encrypted', passphrase: 'hunter2' });
+    expect(fs.existsSync(path.join(dir, 'apikey.json'))).toBe(false);
+    const raw = fs.readFileSync(path.join(dir, 'apikey.enc.json'), 'utf-8');
+    expect(raw).not.toContain(record.apiKey);
+    expect(JSON.parse(raw)).toMatchObject({ cipher: 'aes-256-gcm', kdf: { name: 'scrypt' } });
+
+    expect(storedKeyInfo(dir)).toEqual({ backend: 'encrypted', agentId: 'agent-1', agentName: 'bold_wave' });
+    expect(readStoredKey(dir, { passphrase: 'hunter2' })).toMatchObject({ ...record, backend: 'encrypted' });
+  });
+
+  it('should refuse to unlock without the right passphrase', () => {
+    expect(() => readStoredKey(dir)).toThrow('CLAWDRAW_KEY_PASSPHRASE');
+    expect(() => readStoredKey(dir, { passphrase: 'wrong' })).toThrow('Could not decrypt');
+    expect(() => writeStoredKey(dir, record, { backend: 'encrypted' })).toThrow('CLAWDRAW_KEY_PASSPHRASE');
+  });
+
+  it('should report nothing stored for an empty directory and reject unknown backends', () => {
+    const empty = fs.mkdtempSync(path.join(dir, 'empty-'));
+    expect(readStoredKey(empty)).toBeNull();
+    expect(storedKeyInfo(empty)).toBeNull();
+    expect(() => writeStoredKey(empty, record, { backend: 'vault' })).toThrow('Unknown key backend');
+  });
+
+  it('should keep only metadata with the command backend', () => {
+    const vault = fs.mkdtempSync(path.join(dir, 'command-'));
+    writeStoredKey(vault, record, { backend: 'file' });
+    const keyCommand = () => ({ apiKey: record.apiKey });
+    expect(() => writeStoredKey(vault, record, { backend: 'command', keyCommand: () => ({ apiKey: 'ck_other' }) }))
+      .toThrow('prints a different API key');
+    expect(() => writeStoredKey(vault, record, { backend: 'command' })).toThrow('CLAWDRAW_KEY_COMMAND');
+
+    writeStoredKey(vault, record, { backend: 'command', keyCommand });
+    expect(fs.existsSync(path.join(vault, 'apikey.json'))).toBe(false);
+    expect(fs.readFileSync(path.join(vault, 'apikey.cmd.json'), 'utf-8')).not.toContain(record.apiKey);
+    expect(storedKeyInfo(vault)).toEqual({ backend: 'command', agentId: 'agent-1', agentName: 'bold_wave' });
+    expect(readStoredKey(vault, { keyCommand })).toMatchObject({ ...record, backend: 'command' });
+    expect(() => readStoredKey(vault)).toThrow('CLAWDRAW_KEY_COMMAND');
+  });
+
+  it('should fall back to the key command when nothing is stored', () => {
+    const empty = fs.mkdtempSync(path.join(dir, 'fallback-'));
+    expect(readStoredKey(empty, { keyCommand: () => ({ apiKey: 'ck_vault_1' }) }))
+      .toEqual({ apiKey: 'ck_vault_1', backend: 'command' });
+  });
+});
@@ -0,0 +1,180 @@
+/**
+ * Tests for snapshot.mjs — resampleRgba, compositeAndCrop (target resolution)
+ * and captureFromImages.
+ *
+ * Tile buffers are all empty (null), so no WebP decoding is involved; the
+ * tile tests exercise the crop + resample path only. captureFromImages and
+ * waitForAreaImage run against a stubbed fetch that serves the area-images
+ * list and small PNGs.
+ */
+
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { PNG } from 'pngjs';
+
+const { resampleRgba, compositeAndCrop, getTilesForBounds, captureFromImages, waitForAreaImage } = await import('./snapshot.mjs');
+
+/** Build a solid RGBA buffer. */
+function solid(w: number, h: number, rgba: number[]): Buffer {
+  const buf = Buffer.alloc(w * h * 4);
+  for (let i = 0; i < w * h; i++) buf.set(rgba, i * 4);
+  return buf;
+}
+
+describe('resampleRgba', () => {
+  it('should produce the requested dimensions for every filter', () => {
+    const src = solid(8, 4, [10, 20, 30, 255]);
+    for (const filter of ['nearest', 'bilinear', 'lanczos']) {
+      const out = resampleRgba(src, 8, 4, 5, 3, filter);
+      expect(out.length).toBe(5 * 3 * 4);
+    }
+  });
+
+  it('should preserve a solid colour (weights are normalized)', () => {
+    const src = solid(16, 16, [200, 100, 50, 255]);
+    for (const filter of ['nearest', 'bilinear', 'lanczos']) {
+      const out = resampleRgba(src, 16, 16, 7, 9, filter);
+      for (let i = 0; i < 7 * 9; i++) {
+        expect([...out.subarray(i * 4, i * 4 + 4)]).toEqual([200, 100, 50, 255]);
+      }
+    }
+  });
+
+  it('nearest should not invent intermediate values', () => {
+    // Left half black, right half white
+    const src = Buffer.alloc(4 * 1 * 4);
+    src.set([255, 255, 255, 255], 2 * 4);
+    src.set([255, 255, 255, 255], 3 * 4);
+    const out = resampleRgba(src, 4, 1, 8, 1, 'nearest');
+    for (let i = 0; i < 8; i++) {
+      expect([0, 255]).toContain(out[i * 4]);
+    }
+  });
+
+  it('bilinear should blend across an edge when upsampling', () => {
+    const src = Buffer.alloc(2 * 1 * 4);
+    src.set([0, 0, 0, 255], 0);
+    src.set([255, 255, 255, 255], 4);
+    const out = resampleRgba(src, 2, 1, 8, 1, 'bilinear');
+    const reds = Array.from({ length: 8 }, (_, i) => out[i * 4]);
+    expect(reds.some(v => v > 0 && v < 255)).toBe(true);
+    // Monotonic left → right
+    for (let i = 1; i < 8; i++) expect(reds[i]).toBeGreaterThanOrEqual(reds[i - 1]);
+  });
+});
+
+describe('compositeAndCrop (target resolution)', () => {
+  const bbox = { minX: 0, minY: 0, maxX: 1024, maxY: 512 };
+  const grid = getTilesForBounds(bbox);
+  const empty = new Map(grid.tiles.map((t: { x: number, y: number }) => [`${t.x}_${t.y}`, null]));
+
+  it('should emit the raw z8 crop when no resolution is given', async () => {
+    const png = PNG.sync.read(await compositeAndCrop(empty, grid, bbox));
+    expect(png.width).toBe(256);
+    expect(png.height).toBe(128);
+  });
+
+  it('should resample to the requested [width, height]', async () => {
+    const png = PNG.sync.read(await compositeAndCrop(empty, grid, bbox, [1536, 768]));
+    expect(png.width).toBe(1536);
+    expect(png.height).toBe(768);
+  });
+
+  it('should honour the filter option', async () => {
+    const png = PNG.sync.read(await compositeAndCrop(empty, grid, bbox, [100, 50], { filter: 'nearest' }));
+    expect(png.width).toBe(100);
+    expect(png.height).toBe(50);
+  });
+
+  it('should reject an unknown filter', async () => {
+    await expect(compositeAndCrop(empty, grid, bbox, [100, 50], { filter: 'cubic' })).rejects.toThrow('Invalid filter');
+  });
+
+  it('should reject a non-integer resolution', async () => {
+    await expect(compositeAndCrop(empty, grid, bbox, [100.5, 50])).rejects.toThrow('Invalid resolution');
+  });
+});
+
+describe('captureFromImages', () => {
+  const RELAY = 'http://relay.test';
+  const RED = [255, 0, 0, 255];
+  const BLUE = [0, 0, 255, 255];
+
+  /** Encode a solid-colour PNG. */
+  function solidPng(w: number, h: number, rgba: number[]): Buffer {
+    const png = new PNG({ width: w, height: h });
+    solid(w, h, rgba).copy(png.data);
+    return PNG.sync.write(png);
+  }
+
+  /** Stub fetch: the area-images list, then each image's PNG by id. */
+  function stubRelay(images: object[], pngs: Record<string, Buffer>) {
+    vi.stubGlobal('fetch', vi.fn(async (url: string | URL) => {
+      const href = String(url);
+      if (href.endsWith('/api/pgs/area-images')) {
+        return { ok: true, status: 200, headers: new Headers(), json: async () => ({ images }) };
+      }
+      const id = href.match(/\/images\/(\w+)\.png$/)?.[1];
+      const png = id && pngs[id];
+      if (!png) return { ok: false, status: 404 };
+      return { ok: true, status: 200, arrayBuffer: async () => png.buffer.slice(png.byteOffset, png.byteOffset + png.length) };
+    }));
+  }
+
+  /** RGBA of pixel (x, y) in a decoded PNG. */
+  function pixel(png: PNG, x: number, y: number): number[] {
+    const o = (y * png.width + x) * 4;
+    return [...png.data.subarray(o, o + 4)];
+  }
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('should return null when no image overlaps the area', async () => {
+    stubRelay([{ id: 'far', x: 500, y: 500, width: 100, height: 100 }], { far: solidPng(10, 10, RED) });
+    expect(await captureFromImages(RELAY, 'tok', { minX: 0, minY: 0, maxX: 100, maxY: 100 })).toBeNull();
+    stubRelay([], {});
+    expect(await captureFromImages(RELAY, 'tok', { minX: 0, minY: 0, maxX: 100, maxY: 100 })).toBeNull();
+  });
+
+  it('should leave the uncovered part of a partial overlap transparent', async () => {
+    stubRelay([{ id: 'half', x: 50, y: 0, width: 100, height: 100 }], { half: solidPng(100, 100, RED) });
+    const png = PNG.sync.read((await captureFromImages(RELAY, 'tok', { minX: 0, minY: 0, maxX: 100, maxY: 100 }))!);
+    expect([png.width, png.height]).toEqual([100, 100]);
+    expect(pixel(png, 25, 50)).toEqual([0, 0, 0, 0]);
+    expect(pixel(png, 75, 50)).toEqual(RED);
+  });
+
+  it('should composite overlapping images oldest first, newest on top', async () => {
+    // Listed newest first; createdAt decides the order
+    stubRelay([
+      { id: 'blue', x: 50, y: 0, width: 50, height: 100, createdAt: 2 },
+      { id: 'red', x: 0, y: 0, width: 100, height: 100, createdAt: 1 },
+    ], { red: solidPng(100, 100, RED), blue: solidPng(50, 100, BLUE) });
+    const png = PNG.sync.read((await captureFromImages(RELAY, 'tok', { minX: 0, minY: 0, maxX: 100, maxY: 100 }))!);
+    expect(pixel(png, 25, 50)).toEqual(RED);
+    expect(pixel(png, 75, 50)).toEqual(BLUE);
+  });
+
+  it('should cap the composite at MAX_COMPOSITE_PX on the long side', async () => {
+    // One pixel per canvas unit would make the 8192-unit-wide area 8192 px
+    stubRelay([{ id: 'strip', x: 0, y: 0, width: 16, height: 8 }], { strip: solidPng(16, 8, RED) });
+    const png = PNG.sync.read((await captureFromImages(RELAY, 'tok', { minX: 0, minY: 0, maxX: 8192, maxY: 8 }))!);
+    expect([png.width, png.height]).toEqual([4096, 4]);
+    expect(pixel(png, 0, 0)).toEqual(RED);
+    expect(pixel(png, 100, 0)).toEqual([0, 0, 0, 0]);
+  });
+
+  it('waitForAreaImage should poll until the placed image is listed', async () => {
+    let polls = 0;
+    vi.stubGlobal('fetch', vi.fn(async () => {
+      polls++;
+      const images = polls < 3 ? [] : [{ id: 'new', x: 0, y: 0, width: 10, height: 10 }];
+      return { ok: true, status: 200, headers: new Headers(), json: async () => ({ images }) };
+    }));
+    const area = { x: 0, y: 0, width: 10, height: 10 };
+    expect(await waitForAreaImage(RELAY, 'tok', 'new', area, { intervalMs: 1 })).toBe(true);
+    expect(polls).toBe(3);
+    expect(await waitForAreaImage(RELAY, 'tok', 'other', area, { timeoutMs: 20, intervalMs: 5 })).toBe(false);
+  });
+});
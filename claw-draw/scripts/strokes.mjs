@@ -0,0 +1,285 @@
+#!/usr/bin/env node
+/**
+ * Stroke preparation for the draw / stroke / compose / paint commands.
+ *
+ * Turns the different stroke sources into one array of relay-ready strokes:
+ *
+ *   draw     — a primitive from primitives/index.mjs (executePrimitive)
+ *   stroke   — raw JSON strokes (stdin), normalized through makeStroke
+ *   compose  — a scene file mixing primitives and raw strokes
+ *   paint    — an image traced into strokes by lib/image-trace.mjs
+ *
+ * Cost estimates live in inq.mjs (estimateStrokesInq).
+ *
+ * Usage:
+ *   import { composeStrokes, withSymmetry } from './strokes.mjs';
+ *
+ *   const strokes = withSymmetry(await composeStrokes(scene), 'radial:6', { x: 0, y: 0 });
+ */
+
+// @security-manifest
+// env: none
+// endpoints: user-supplied image URLs (paint only; public HTTP/HTTPS hosts)
+// files: user-supplied image path (paint, read-only)
+// exec: none
+
+import fs from 'node:fs';
+import dns from 'node:dns/promises';
+import sharp from 'sharp';
+import { executePrimitive, getPrimitiveInfo } from '../primitives/index.mjs';
+import { splitIntoStrokes } from '../primitives/helpers.mjs';
+import { parseSymmetryMode, applySymmetry } from './symmetry.mjs';
+import { computeBoundingBox } from './snapshot.mjs';
+
+export const PAINT_MODES = ['pointillist', 'sketch', 'vangogh', 'slimemold'];
+
+// ---------------------------------------------------------------------------
+// Raw strokes
+// ---------------------------------------------------------------------------
+
+/**
+ * Normalize raw stroke JSON into relay strokes.
+ *
+ * Accepts an array of strokes or `{ strokes: [...] }`. Each stroke needs
+ * `points: [{ x, y, pressure? }]`; brush settings come from `brush`
+ * (`{ size, color, opacity }`) or flat `color` / `brushSize` / `opacity`
+ * keys, falling back to `defaults`. Strokes over the relay's point limit are
+ * split.
+ *
+ * @param {Array|object} input
+ * @param {{ color?: string, brushSize?: number, opacity?: number }} [defaults]
+ * @returns {Array} Relay-ready strokes
+ */
+export function normalizeStrokes(input, defaults = {}) {
+  const list = Array.isArray(input) ? input : input?.strokes;
+  if (!Array.isArray(list)) {
+    throw new Error('Expected a JSON array of strokes or { "strokes": [...] }');
+  }
+
+  const out = [];
+  list.forEach((s, i) => {
+    if (!s || !Array.isArray(s.points) || s.points.length === 0) {
+      throw new Error(`Stroke ${i}: "points" must be a non-empty array`);
+    }
+    const points = s.points.map((p, j) => {
+      const x = Number(p?.x), y = Number(p?.y);
+      if (!Number.isFinite(x) || !Number.isFinite(y)) {
+        throw new Error(`Stroke ${i}, point ${j}: x and y must be numbers`);
+      }
+      return Number.isFinite(p.pressure) ? { x, y, pressure: p.pressure } : { x, y };
+    });
+    const color = s.brush?.color ?? s.color ?? defaults.color;
+    const size = s.brush?.size ?? s.brushSize ?? defaults.brushSize;
+    const opacity = s.brush?.opacity ?? s.opacity ?? defaults.opacity;
+    out.push(...splitIntoStrokes(points, color, size ?? 5, opacity ?? 0.9, s.pressureStyle));
+  });
+  return out;
+}
+
+// ---------------------------------------------------------------------------
+// Primitives and scenes
+// ---------------------------------------------------------------------------
+
+/**
+ * Run a primitive by name. Position parameters the primitive requires but
+ * the caller left out default to the origin, so the drawing can be placed
+ * afterwards.
+ *
+ * @param {string} name
+ * @param {object} args - Primitive parameters by name (extra keys are ignored)
+ * @returns {Promise<Array>} Strokes
+ */
+export async function runPrimitive(name, args) {
+  const info = await getPrimitiveInfo(name);
+  if (!info) throw new Error(`Unknown primitive "${name}". Run: clawdraw draw --list`);
+
+  const params = { ...args };
+  for (const key of ['cx', 'cy']) {
+    if (info.parameters?.[key] && params[key] === undefined) params[key] = 0;
+  }
+  const strokes = executePrimitive(name, params);
+  return Array.isArray(strokes) ? strokes : [];
+}
+
+/**
+ * Build the strokes of a scene file.
+ *
+ *   {
+ *     "composition": [
+ *       { "primitive": "circle", "params": { "cx": 0, "cy": 0, "radius": 80 } },
+ *       { "strokes": [{ "points": [...], "brush": { ... } }] }
+ *     ],
+ *     "symmetry": "radial:6"
+ *   }
+ *
+ * Coordinates are absolute. Symmetry is applied by the caller (see withSymmetry).
+ *
+ * @param {object} scene
+ * @returns {Promise<Array>} Strokes
+ */
+export async function composeStrokes(scene) {
+  const items = scene?.composition;
+  if (!Array.isArray(items) || items.length === 0) {
+    throw new Error('Scene needs a non-empty "composition" array');
+  }
+
+  const out = [];
+  for (let i = 0; i < items.length; i++) {
+    const item = items[i];
+    if (item?.primitive) {
+      try {
+        out.push(...await runPrimitive(item.primitive, item.params || {}));
+      } catch (err) {
+        throw new Error(`composition[${i}] (${item.primitive}): ${err.message}`);
+      }
+    } else if (item?.strokes) {
+      try {
+        out.push(...normalizeStrokes(item.strokes));
+      } catch (err) {
+        throw new Error(`composition[${i}]: ${err.message}`);
+      }
+    } else {
+      throw new Error(`composition[${i}]: needs "primitive" or "strokes"`);
+    }
+  }
+  return out;
+}
+
+/**
+ * Apply a symmetry mode (see references/SYMMETRY.md) around `center`, or
+ * around the drawing's own centre when omitted.
+ *
+ * @param {Array} strokes
+ * @param {string} [modeStr] - 'none' | 'vertical' | 'horizontal' | 'both' | 'radial:N'
+ * @param {{ x: number, y: number }} [center]
+ * @returns {Array} Originals plus copies
+ */
+export function withSymmetry(strokes, modeStr, center) {
+  const { mode, folds } = parseSymmetryMode(modeStr);
+  if (mode === 'none') {
+    if (modeStr && modeStr !== 'none') {
+      throw new Error(`Invalid symmetry "${modeStr}". Use none, vertical, horizontal, both or radial:N`);
+    }
+    return strokes;
+  }
+  if (!center) {
+    const b = computeBoundingBox(strokes);
+    center = { x: (b.minX + b.maxX) / 2, y: (b.minY + b.maxY) / 2 };
+  }
+  return applySymmetry(strokes, mode, folds, center.x, center.y);
+}
+
+// ---------------------------------------------------------------------------
+// Paint — image loading
+// ---------------------------------------------------------------------------
+
+const IMAGE_FETCH_TIMEOUT_MS = 30_000;
+const IMAGE_MAX_BYTES = 50 * 1024 * 1024;
+const IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif', 'image/tiff', 'image/avif'];
+
+/**
+ * True for loopback, private, link-local and unique-local addresses.
+ *
+ * @param {string} ip - IPv4 or IPv6 literal
+ * @returns {boolean}
+ */
+export function isPrivateAddress(ip) {
+  const addr = ip.toLowerCase();
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/.exec(addr);
+  if (mapped) return isPrivateAddress(mapped[1]);
+
+  const v4 = /^(\d+)\.(\d+)\.(\d+)\.(\d+)$/.exec(addr);
+  if (v4) {
+    const [a, b] = [Number(v4[1]), Number(v4[2])];
+    return a === 0 || a === 10 || a === 127 ||
+      (a === 172 && b >= 16 && b <= 31) ||
+      (a === 192 && b === 168) ||
+      (a === 169 && b === 254);
+  }
+  return addr === '::' || addr === '::1' ||
+    addr.startsWith('fe80:') || addr.startsWith('fc') || addr.startsWith('fd');
+}
+
+/**
+ * Reject anything but public HTTP(S) image URLs. The host is resolved and
+ * every address checked, so a public name pointing at a private IP is
+ * refused too.
+ *
+ * @param {string} url
+ * @returns {Promise<URL>}
+ */
+export async function validateImageUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    throw new Error(`Invalid image URL: ${url}`);
+  }
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+    throw new Error('Image URL must use http or https');
+  }
+  const host = parsed.hostname.replace(/^\[|\]$/g, '');
+  const addrs = await dns.lookup(host, { all: true });
+  if (addrs.length === 0 || addrs.some(a => isPrivateAddress(a.address))) {
+    throw new Error(`Image URL host ${host} resolves to a private or internal address`);
+  }
+  return parsed;
+}
+
+/** Fetch an image URL with SSRF, type, size and time limits. Held in memory only. */
+async function fetchImage(url) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), IMAGE_FETCH_TIMEOUT_MS);
+  try {
+    let target = await validateImageUrl(url);
+    let res = await fetch(target, { redirect: 'manual', signal: controller.signal });
+    // Follow at most one redirect, re-validating its target
+    if (res.status >= 300 && res.status < 400 && res.headers.get('location')) {
+      target = await validateImageUrl(new URL(res.headers.get('location'), target).href);
+      res = await fetch(target, { redirect: 'manual', signal: controller.signal });
+    }
+    if (!res.ok) throw new Error(`Image fetch failed (${res.status})`);
+
+    const type = (res.headers.get('content-type') || '').split(';')[0].trim().toLowerCase();
+    if (!IMAGE_TYPES.includes(type)) {
+      throw new Error(`Unsupported image type "${type || 'unknown'}". Allowed: ${IMAGE_TYPES.join(', ')}`);
+    }
+    if (Number(res.headers.get('content-length')) > IMAGE_MAX_BYTES) {
+      throw new Error('Image is larger than 50 MB');
+    }
+    const buf = Buffer.from(await res.arrayBuffer());
+    if (buf.length > IMAGE_MAX_BYTES) throw new Error('Image is larger than 50 MB');
+    return buf;
+  } catch (err) {
+    if (err.name === 'AbortError') throw new Error(`Image fetch timed out after ${IMAGE_FETCH_TIMEOUT_MS / 1000}s`);
+    throw err;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Load an image (HTTP(S) URL or local path) as the pixel data
+ * lib/image-trace.mjs expects, downscaled to at most `maxSide` px.
+ *
+ * @param {string} source
+ * @param {object} [opts]
+ * @param {number} [opts.maxSide=160] - Sampling resolution (px, longest edge)
+ * @returns {Promise<{ rgba: Uint8Array, gray: Uint8Array, width: number, height: number }>}
+ */
+export async function loadImagePixels(source, { maxSide = 160 } = {}) {
+  const input = /^https?:\/\//i.test(source) ? await fetchImage(source) : fs.readFileSync(source);
+  const { data, info } = await sharp(input)
+    .rotate()
+    .resize(maxSide, maxSide, { fit: 'inside', withoutEnlargement: true })
+    .ensureAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  const rgba = new Uint8Array(data.buffer, data.byteOffset, data.length);
+  const gray = new Uint8Array(info.width * info.height);
+  for (let i = 0; i < gray.length; i++) {
+    gray[i] = Math.round(0.299 * rgba[i * 4] + 0.587 * rgba[i * 4 + 1] + 0.114 * rgba[i * 4 + 2]);
+  }
+  return { rgba, gray, width: info.width, height: info.height };
+}
@@ -0,0 +1,90 @@
+/**
+ * Tests for strokes.mjs — stroke normalization, scenes, symmetry and the
+ * paint URL guard.
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+
+const {
+  normalizeStrokes, runPrimitive, composeStrokes, withSymmetry,
+  isPrivateAddress, validateImageUrl,
+} = await import('./strokes.mjs');
+
+const line = (n: number) => Array.from({ length: n }, (_, i) => ({ x: i, y: 0 }));
+
+describe('normalizeStrokes', () => {
+  it('should accept flat and nested brush settings, with defaults', () => {
+    const out = normalizeStrokes({
+      strokes: [
+        { points: line(3), brush: { size: 8, color: '#ff0000', opacity: 0.5 } },
+        { points: line(2), color: '#00ff00' },
+      ],
+    }, { brushSize: 12 });
+    expect(out).toHaveLength(2);
+    expect(out[0].brush).toEqual({ size: 8, color: '#ff0000', opacity: 0.5 });
+    expect(out[1].brush).toMatchObject({ size: 12, color: '#00ff00' });
+    expect(out[0].id).not.toBe(out[1].id);
+    expect(out[0].points[0]).toHaveProperty('pressure');
+  });
+
+  it('should split strokes over the relay point limit', () => {
+    const out = normalizeStrokes([{ points: line(6000) }]);
+    expect(out.length).toBe(2);
+    expect(out.every((s: any) => s.points.length <= 5000)).toBe(true);
+  });
+
+  it('should name the offending stroke and point', () => {
+    expect(() => normalizeStrokes([{ points: line(2) }, { points: [{ x: 1, y: 'a' }] }]))
+      .toThrow('Stroke 1, point 0');
+    expect(() => normalizeStrokes({ nope: true })).toThrow('JSON array of strokes');
+  });
+});
+
+describe('primitives and scenes', () => {
+  it('runPrimitive should default a missing position to the origin', async () => {
+    // circle wobbles its radius with Math.random(); 0.5 is no wobble
+    const random = vi.spyOn(Math, 'random').mockReturnValue(0.5);
+    const strokes = await runPrimitive('circle', { radius: 50 });
+    random.mockRestore();
+    const points = strokes.flatMap((s: any) => s.points);
+    expect(points[0]).toMatchObject({ x: 50, y: 0 });
+    for (const p of points) expect(Math.hypot(p.x, p.y)).toBeCloseTo(50, 9);
+    await expect(runPrimitive('noSuchThing', {})).rejects.toThrow('Unknown primitive');
+  });
+
+  it('composeStrokes should mix primitives and raw strokes, and locate errors', async () => {
+    const strokes = await composeStrokes({
+      composition: [
+        { primitive: 'circle', params: { cx: 0, cy: 0, radius: 40 } },
+        { strokes: [{ points: line(4) }] },
+      ],
+    });
+    expect(strokes.length).toBe(2);
+    await expect(composeStrokes({ composition: [{ primitive: 'circle', params: {} }, {}] }))
+      .rejects.toThrow('composition[1]');
+  });
+
+  it('withSymmetry should multiply strokes and reject unknown modes', () => {
+    const strokes = normalizeStrokes([{ points: [{ x: 10, y: -10 }, { x: 20, y: -20 }] }]);
+    expect(withSymmetry(strokes, 'radial:6', { x: 0, y: 0 })).toHaveLength(6);
+    expect(withSymmetry(strokes, undefined)).toBe(strokes);
+    expect(() => withSymmetry(strokes, 'sideways')).toThrow('Invalid symmetry');
+  });
+});
+
+describe('paint URL guard', () => {
+  it('isPrivateAddress should cover loopback, private, link-local and mapped ranges', () => {
+    for (const ip of ['127.0.0.1', '10.1.2.3', '172.20.0.1', '192.168.1.1', '169.254.169.254', '::1', 'fe80::1', 'fd00::1', '::ffff:10.0.0.1']) {
+      expect(isPrivateAddress(ip), ip).toBe(true);
+    }
+    for (const ip of ['8.8.8.8', '172.32.0.1', '2606:4700::1111']) {
+      expect(isPrivateAddress(ip), ip).toBe(false);
+    }
+  });
+
+  it('validateImageUrl should reject other protocols and private hosts', async () => {
+    await expect(validateImageUrl('file:///etc/passwd')).rejects.toThrow('http or https');
+    await expect(validateImageUrl('not a url')).rejects.toThrow('Invalid image URL');
+    await expect(validateImageUrl('http://127.0.0.1/x.png')).rejects.toThrow('private');
+  });
+});